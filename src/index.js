@@ -1,7 +1,30 @@
 const Resolver = require('@forge/resolver').default;
 const { storage } = require('@forge/api');
-const { calculateMeetingCost, calculateCostTrends } = require('./utils/cost-calculator');
-const { generateOptimizations } = require('./utils/velocity-correlator');
+const { randomUUID } = require('crypto');
+const { calculateMeetingCost, meetingCostFields, splitCost, calculateCostTrends, calculateEfficiencyScore, summarizeMeetings, comparePeriods, formatCurrency, formatWholeCurrency } = require('./utils/cost-calculator');
+const { calculateCorrelation, interpretCorrelation, calculateSprintEfficiency, findSprintOutliers } = require('./utils/velocity-correlator');
+const { getBoardsForProject, getBoardProjectKey, getStartedSprints, getUserDisplayNames, getIssueHierarchy } = require('./utils/jira-agile');
+const { createMeetingId, loadMeetings, loadRecentMeetings, loadIssueMeetings, getFirstMeetingDates, getMeeting, insertMeeting, replaceMeeting, removeMeeting } = require('./utils/meeting-store');
+const { diffMeetings, recordRevision, listRevisions } = require('./utils/meeting-history');
+const { flattenRateVersions, currentVersion, upsertRateVersion, normalizeLoadFactors, normalizeContextSwitch } = require('./utils/rate-versions');
+const { parseICalendar, expandEvents } = require('./utils/ical-parser');
+const { mapAttendees, buildImportedMeeting, partitionDuplicates } = require('./utils/meeting-import');
+const { meetingsToCsv, describeCsv, csvToMeetings } = require('./utils/meeting-csv');
+const { getSeries, listSeries, createSeries, deleteSeries, setOccurrenceStatus, occurrenceDateOf, generateOccurrences, generateAllOccurrences, calculateSeriesCost } = require('./utils/meeting-series');
+const { listSnapshots, deleteSnapshot, captureSprintSnapshot, rebuildBoardSnapshots } = require('./utils/sprint-snapshots');
+const { normalizeStartTime, formatClock, normalizeMinFocusMinutes, analyzeFocusTime, costHeatmap, DEFAULT_WORKDAY_START } = require('./utils/focus-time');
+const { normalizeProjectKeys, normalizeIssueKeys, resolveScope, matchesScope, filterByScope } = require('./utils/scope');
+const { resolveDateRange } = require('./utils/date-range');
+const { toDay, addDays, isDay } = require('./utils/dates');
+const { DEFAULT_TIME_ZONE, PERIOD_GROUPINGS, normalizeTimeZone, todayIn } = require('./utils/periods');
+const { listRules, normalizeRuleConfig, generateSuggestions } = require('./utils/suggestion-rules');
+const { scopeKey, listTrackedSuggestions, withStatuses, setSuggestionStatus, openMeasurements, measureStart, measureSuggestions, summarizeRealized } = require('./utils/suggestion-tracker');
+const { sampleWindow, normalizeChanges, simulateSavings, listScenarios, saveScenario, deleteScenario } = require('./utils/savings-simulator');
+const { normalizeBudgets, getBudgetStatus, recordBudgetAlerts, listBudgetAlerts } = require('./utils/budgets');
+const { digestWeek, digestWindow, normalizeDigestConfig, buildDigest, digestTitle, renderDigestStorage, renderDigestAdf } = require('./utils/digest');
+const { publishToConfluencePage, publishToJiraIssue } = require('./utils/digest-publisher');
+const { DEFAULT_TYPE_ID, DEFAULT_MEETING_TYPES, findMeetingType, normalizeMeetingTypes, summarizeByType } = require('./utils/meeting-types');
+const { DEFAULT_CURRENCY, DEFAULT_LOCALE, normalizeCurrency, findMissingExchangeRates, convertRoleRates, convertMeetingCosts, normalizeExchangeRates } = require('./utils/currency');
 
 const resolver = new Resolver();
 
@@ -10,16 +33,18 @@ const resolver = new Resolver();
 // ============================================
 
 resolver.define('getMeetings', async ({ payload }) => {
-  const { limit = 50 } = payload || {};
+  const { limit = 50, startDate, endDate, projectKey, teamId } = payload || {};
 
   try {
-    // Get meetings list from storage (simple array stored under one key)
-    const meetings = await storage.get('meetings') || [];
+    const scope = await getScope({ projectKey, teamId });
+    const currency = await getCurrency();
 
-    // Sort by date descending and limit
-    const sortedMeetings = meetings
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, limit);
+    // Newest meetings first; a date window (such as a trend chart period) reads only its months,
+    // otherwise only as many monthly partitions as the limit needs
+    const meetings = startDate || endDate
+      ? filterByScope(await loadMeetings({ startDate, endDate }), scope).sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit)
+      : await loadRecentMeetings(limit, m => matchesScope(m, scope));
+    const sortedMeetings = convertMeetingCosts(meetings, currency);
 
     return { success: true, meetings: sortedMeetings };
   } catch (error) {
@@ -28,69 +53,79 @@ resolver.define('getMeetings', async ({ payload }) => {
   }
 });
 
-resolver.define('addMeeting', async ({ payload }) => {
-  const { title, date, durationMinutes, attendeeCount, attendeeRoles, meetingType } = payload;
+resolver.define('addMeeting', async ({ payload, context }) => {
+  try {
+    const stored = await createMeeting(payload, context && context.accountId);
+    return { success: true, meeting: stored };
+  } catch (error) {
+    console.error('Error adding meeting:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('updateMeeting', async ({ payload, context }) => {
+  const { meetingId, ...fields } = payload || {};
 
   try {
-    // Get role rates to calculate cost
-    const roleRates = await getRoleRates();
-    const parsedDuration = parseInt(durationMinutes) || 30;
-    const parsedAttendeeCount = parseInt(attendeeCount) || 1;
-
-    // Parse attendee roles if provided
-    let roles = [];
-    try {
-      roles = attendeeRoles ? JSON.parse(attendeeRoles) : [];
-    } catch (e) {
-      roles = [];
-    }
-
-    // Calculate cost
-    let calculatedCost = 0;
-    if (roles.length > 0) {
-      roles.forEach(roleId => {
-        const rate = roleRates.find(r => r.roleId === roleId);
-        if (rate) {
-          calculatedCost += (parsedDuration / 60) * rate.hourlyRate;
-        }
-      });
-    } else {
-      // Use average rate if no roles specified
-      const avgRate = roleRates.reduce((sum, r) => sum + r.hourlyRate, 0) / roleRates.length;
-      calculatedCost = (parsedDuration / 60) * avgRate * parsedAttendeeCount;
+    const existing = await getMeeting(meetingId);
+    if (!existing) {
+      return { success: false, error: `Meeting ${meetingId} not found` };
     }
 
-    const meeting = {
-      id: `meeting-${Date.now()}`,
-      title,
-      date: date || new Date().toISOString().split('T')[0],
-      durationMinutes: parsedDuration,
-      attendeeCount: parsedAttendeeCount,
-      attendeeRoles: roles,
-      meetingType: meetingType || 'ad-hoc',
-      calculatedCost,
-      createdAt: new Date().toISOString()
+    const roleRates = await getRoleRates();
+    const currency = await getCurrency();
+    const updated = {
+      ...existing,
+      ...await parseMeetingEdits(fields),
+      currency: currency.code
     };
+    // Cost follows the edited duration, attendees and date
+    Object.assign(updated, meetingCostFields(updated, roleRates, currency));
+
+    const changes = diffMeetings(existing, updated);
+    if (changes.length === 0) {
+      return { success: true, meeting: existing, changes };
+    }
 
-    // Add to meetings array
-    const meetings = await storage.get('meetings') || [];
-    meetings.push(meeting);
-    await storage.set('meetings', meetings);
+    const stored = await replaceMeeting({ ...updated, updatedAt: new Date().toISOString() });
+    await recordRevision(meetingId, { action: 'updated', changedBy: context && context.accountId, changes });
 
-    return { success: true, meeting };
+    return { success: true, meeting: stored, changes };
   } catch (error) {
-    console.error('Error adding meeting:', error);
+    console.error('Error updating meeting:', error);
     return { success: false, error: error.message };
   }
 });
 
+resolver.define('getMeetingHistory', async ({ payload }) => {
+  const { meetingId } = payload || {};
+
+  try {
+    const revisions = await listRevisions(meetingId);
+    const names = await getUserDisplayNames(revisions.map(r => r.changedBy));
+
+    return {
+      success: true,
+      revisions: revisions.map(r => ({ ...r, changedByName: names[r.changedBy] || r.changedBy || 'Unknown' }))
+    };
+  } catch (error) {
+    console.error('Error getting meeting history:', error);
+    return { success: false, error: error.message, revisions: [] };
+  }
+});
+
 resolver.define('deleteMeeting', async ({ payload }) => {
   const { meetingId } = payload;
 
   try {
-    const meetings = await storage.get('meetings') || [];
-    const filtered = meetings.filter(m => m.id !== meetingId);
-    await storage.set('meetings', filtered);
+    const meeting = await getMeeting(meetingId);
+    if (meeting && meeting.seriesId && await getSeries(meeting.seriesId)) {
+      // Deleting a generated occurrence cancels the date it was generated for, even after it was
+      // moved, so the series does not recreate it
+      await setOccurrenceStatus(meeting.seriesId, occurrenceDateOf(meeting), 'cancelled');
+    } else {
+      await removeMeeting(meetingId);
+    }
     return { success: true };
   } catch (error) {
     console.error('Error deleting meeting:', error);
@@ -99,71 +134,49 @@ resolver.define('deleteMeeting', async ({ payload }) => {
 });
 
 resolver.define('getDashboardStats', async ({ payload }) => {
-  const { dateRange = 'last-month' } = payload || {};
+  const { dateRange, startDate, endDate, groupBy = 'week', projectKey, teamId } = payload || {};
 
   try {
-    // Fetch all meetings
-    const meetings = await storage.get('meetings') || [];
-
-    // Filter by date range
-    const now = new Date();
-    let startDate;
-    switch (dateRange) {
-      case 'last-week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'last-month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'last-quarter':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (!PERIOD_GROUPINGS.includes(groupBy)) {
+      throw new Error(`Unknown grouping: ${groupBy}`);
     }
+    const timeZone = await getTimeZone();
+    const today = todayIn(timeZone);
+    const period = resolveDateRange({ dateRange, startDate, endDate }, today);
+    const teams = await getTeams();
+    const scope = resolveScope({ projectKey, teamId }, teams);
+    const currency = await getCurrency();
+    const { meetings: filteredMeetings, previousMeetings } = await loadPeriodMeetings(period, scope, currency);
 
-    const filteredMeetings = meetings.filter(m => new Date(m.date) >= startDate);
-
-    // Calculate stats
-    const totalCost = filteredMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
-    const totalHours = filteredMeetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60;
-    const meetingCount = filteredMeetings.length;
+    // Every headline metric is compared with the previous equivalent period
+    const current = summarizeMeetings(filteredMeetings);
+    const previous = summarizeMeetings(previousMeetings);
+    const changes = comparePeriods(current, previous);
 
     // Cost by meeting type
-    const costByType = {};
-    filteredMeetings.forEach(m => {
-      const type = m.meetingType || 'ad-hoc';
-      if (!costByType[type]) {
-        costByType[type] = { cost: 0, count: 0, hours: 0 };
-      }
-      costByType[type].cost += m.calculatedCost || 0;
-      costByType[type].count += 1;
-      costByType[type].hours += (m.durationMinutes || 0) / 60;
-    });
+    const costByType = summarizeByType(filteredMeetings);
 
-    // Cost trends
-    const trends = calculateCostTrends(filteredMeetings, 'week');
+    // Cost trends, by sprint from the scope's Jira board when asked
+    const sprints = groupBy === 'sprint' ? await getScopeSprints(scope) : [];
+    const trends = calculateCostTrends(filteredMeetings, groupBy, { sprints, timeZone, range: period });
 
-    // Calculate trend percentage
-    let trendPercentage = 0;
-    if (trends.length >= 2) {
-      const currentWeek = trends[trends.length - 1]?.totalCost || 0;
-      const previousWeek = trends[trends.length - 2]?.totalCost || 0;
-      if (previousWeek > 0) {
-        trendPercentage = ((currentWeek - previousWeek) / previousWeek) * 100;
-      }
-    }
+    // A team view also shows its budget for the current period
+    const budget = teamId ? (await getBudgets(teams)).find(b => b.teamId === scope.teamIds[0]) : null;
 
     return {
       success: true,
       stats: {
-        totalCost,
-        totalHours,
-        meetingCount,
+        ...current,
         costByType,
         trends,
-        trendPercentage,
-        dateRange
+        groupBy,
+        trendPercentage: changes.totalCost || 0,
+        comparison: { previous, changes },
+        dateRange: period.dateRange,
+        period,
+        scope: scope ? scope.label : null,
+        budget: budget ? await getBudgetStatus(budget, teams, currency, today) : null,
+        currency: { code: currency.code, locale: currency.locale }
       }
     };
   } catch (error) {
@@ -172,174 +185,1865 @@ resolver.define('getDashboardStats', async ({ payload }) => {
   }
 });
 
+resolver.define('getFocusTimeStats', async ({ payload }) => {
+  const { dateRange, startDate, endDate, projectKey, teamId, minFocusMinutes } = payload || {};
+
+  try {
+    const minFocus = normalizeMinFocusMinutes(minFocusMinutes);
+    const period = resolveDateRange({ dateRange, startDate, endDate }, todayIn(await getTimeZone()));
+    const scope = await getScope({ projectKey, teamId });
+    const currency = await getCurrency();
+    const meetings = await loadRangeMeetings(period, scope, currency);
+
+    return {
+      success: true,
+      focus: analyzeFocusTime(meetings, { ...period, ...await getWorkday(), minFocusMinutes: minFocus }),
+      heatmap: costHeatmap(meetings),
+      period,
+      scope: scope ? scope.label : null,
+      currency: { code: currency.code, locale: currency.locale }
+    };
+  } catch (error) {
+    console.error('Error getting focus time stats:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // ============================================
-// Admin Configuration Resolvers
+// Calendar Import Resolvers
 // ============================================
 
-resolver.define('getRoleRates', async () => {
+resolver.define('previewIcsImport', async ({ payload }) => {
+  const { ics, from, to, projectKeys, teamIds } = payload || {};
+
   try {
-    const rates = await getRoleRates();
-    return { success: true, rates };
+    const plan = await planIcsImport(ics, { from, to }, await resolveTags({ projectKeys, teamIds }));
+    return { success: true, ...summarizeImportPlan(plan) };
   } catch (error) {
-    console.error('Error getting role rates:', error);
-    return { success: false, error: error.message, rates: [] };
+    console.error('Error previewing calendar import:', error);
+    return { success: false, error: error.message };
   }
 });
 
-resolver.define('saveRoleRates', async ({ payload }) => {
-  const { rates } = payload;
+resolver.define('importIcs', async ({ payload }) => {
+  const { ics, from, to, projectKeys, teamIds } = payload || {};
 
   try {
-    await storage.set('config:roleRates', rates);
-    return { success: true };
+    const plan = await planIcsImport(ics, { from, to }, await resolveTags({ projectKeys, teamIds }));
+
+    for (const candidate of plan.toImport) {
+      await insertMeeting({ ...candidate, id: createMeetingId(), createdAt: new Date().toISOString() });
+    }
+
+    return { success: true, imported: plan.toImport.length, ...summarizeImportPlan(plan) };
   } catch (error) {
-    console.error('Error saving role rates:', error);
+    console.error('Error importing calendar:', error);
     return { success: false, error: error.message };
   }
 });
 
-resolver.define('getConfig', async () => {
+resolver.define('getAttendeeRoleMap', async () => {
   try {
-    const settings = await storage.get('config:settings') || {
-      currency: 'USD',
-      workHoursPerDay: 8
-    };
-    return { success: true, settings };
+    const roleMap = await getAttendeeRoleMap();
+    return { success: true, roleMap };
   } catch (error) {
-    console.error('Error getting config:', error);
-    return { success: false, error: error.message };
+    console.error('Error getting attendee role map:', error);
+    return { success: false, error: error.message, roleMap: [] };
   }
 });
 
-resolver.define('saveConfig', async ({ payload }) => {
-  const { settings } = payload;
+resolver.define('saveAttendeeRoleMap', async ({ payload }) => {
+  const { roleMap } = payload;
 
   try {
-    await storage.set('config:settings', settings);
+    const cleaned = (roleMap || [])
+      .filter(r => r.pattern && r.roleId)
+      .map(r => ({ pattern: r.pattern.trim().toLowerCase(), roleId: r.roleId }));
+    await storage.set('config:attendeeRoleMap', cleaned);
     return { success: true };
   } catch (error) {
-    console.error('Error saving config:', error);
+    console.error('Error saving attendee role map:', error);
     return { success: false, error: error.message };
   }
 });
 
 // ============================================
-// Helper Functions
+// CSV Import / Export Resolvers
 // ============================================
 
-async function getRoleRates() {
-  const defaultRates = [
-    { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 75, currency: 'USD' },
-    { roleId: 'senior-engineer', roleName: 'Senior Engineer', hourlyRate: 100, currency: 'USD' },
-    { roleId: 'tech-lead', roleName: 'Tech Lead', hourlyRate: 125, currency: 'USD' },
-    { roleId: 'pm', roleName: 'Product Manager', hourlyRate: 90, currency: 'USD' },
-    { roleId: 'designer', roleName: 'Designer', hourlyRate: 80, currency: 'USD' },
-    { roleId: 'manager', roleName: 'Engineering Manager', hourlyRate: 130, currency: 'USD' },
-    { roleId: 'exec', roleName: 'Executive', hourlyRate: 200, currency: 'USD' }
-  ];
+resolver.define('exportMeetingsCsv', async ({ payload }) => {
+  const { startDate, endDate, columns, roleBreakdown = false, projectKey, teamId } = payload || {};
 
-  const stored = await storage.get('config:roleRates');
-  return stored || defaultRates;
-}
+  try {
+    const roleRates = await getRoleRates();
+    const currency = await getCurrency();
+    const teams = await getTeams();
+    const scope = resolveScope({ projectKey, teamId }, teams);
+    const meetings = convertMeetingCosts(filterByScope(await loadMeetings({ startDate, endDate }), scope), currency)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const csv = meetingsToCsv(meetings, { columns, roleBreakdown, teams, meetingTypes: await getMeetingTypes(), currency }, roleRates);
+    const filename = `meetings-${startDate || 'all'}-to-${endDate || toDay()}.csv`;
+
+    return { success: true, csv, filename, rowCount: meetings.length, currency: currency.code };
+  } catch (error) {
+    console.error('Error exporting meetings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('describeCsvImport', async ({ payload }) => {
+  const { csv } = payload || {};
+
+  try {
+    return { success: true, ...describeCsv(csv) };
+  } catch (error) {
+    console.error('Error reading CSV:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('importMeetingsCsv', async ({ payload }) => {
+  const { csv, mapping = {}, dryRun = true, projectKeys, teamIds } = payload || {};
+
+  try {
+    const roleRates = await getRoleRates();
+    const { meetings, errors } = csvToMeetings(csv, mapping, roleRates, {
+      currency: await getCurrency(),
+      teams: await getTeams(),
+      meetingTypes: await getMeetingTypes(),
+      defaults: await resolveTags({ projectKeys, teamIds })
+    });
+
+    const dates = meetings.map(m => m.date).sort();
+    const existing = dates.length > 0
+      ? await loadMeetings({ startDate: dates[0], endDate: dates[dates.length - 1] })
+      : [];
+    const { toImport, duplicates } = partitionDuplicates(meetings, existing);
+
+    if (!dryRun) {
+      for (const { row, ...candidate } of toImport) {
+        await insertMeeting({ ...candidate, id: createMeetingId(), createdAt: new Date().toISOString() });
+      }
+    }
+
+    return {
+      success: true,
+      dryRun,
+      imported: dryRun ? 0 : toImport.length,
+      meetings: toImport,
+      totalCost: toImport.reduce((sum, m) => sum + m.calculatedCost, 0),
+      duplicates,
+      errors
+    };
+  } catch (error) {
+    console.error('Error importing CSV:', error);
+    return { success: false, error: error.message };
+  }
+});
 
 // ============================================
-// Rovo Agent Actions
+// Recurring Series Resolvers
 // ============================================
 
-async function getMeetingCostSummary({ payload }) {
-  const { dateRange = 'last-month' } = payload || {};
+resolver.define('getMeetingSeries', async ({ payload }) => {
+  const { projectKey, teamId } = payload || {};
+
+  try {
+    const roleRates = await getRoleRates();
+    const currency = await getCurrency();
+    const timeZone = await getTimeZone();
+    const scope = await getScope({ projectKey, teamId });
+    const series = filterByScope(await listSeries(), scope).map(s => ({ ...s, ...calculateSeriesCost(s, roleRates, currency, timeZone) }));
+    series.sort((a, b) => b.annualizedCost - a.annualizedCost);
+
+    return {
+      success: true,
+      series,
+      totalAnnualizedCost: series.reduce((sum, s) => sum + s.annualizedCost, 0)
+    };
+  } catch (error) {
+    console.error('Error getting meeting series:', error);
+    return { success: false, error: error.message, series: [] };
+  }
+});
+
+resolver.define('createMeetingSeries', async ({ payload }) => {
+  const { title, rrule, startDate, startTime, durationMinutes, attendeeCount, attendeeRoles, meetingType, projectKeys, teamIds } = payload;
+
+  try {
+    const timeZone = await getTimeZone();
+    const series = await createSeries({
+      title,
+      rrule,
+      startDate,
+      startTime,
+      durationMinutes,
+      attendeeCount,
+      attendeeRoles: parseAttendeeRoles(attendeeRoles),
+      meetingType: parseMeetingType(meetingType, await getMeetingTypes()),
+      ...await resolveTags({ projectKeys, teamIds })
+    }, timeZone);
+
+    // Back-fill occurrences that already happened
+    const roleRates = await getRoleRates();
+    const currency = await getCurrency();
+    const generated = await generateOccurrences(series, roleRates, currency, timeZone);
+
+    return { success: true, series: { ...series, ...calculateSeriesCost(series, roleRates, currency, timeZone) }, generated };
+  } catch (error) {
+    console.error('Error creating meeting series:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('updateSeriesOccurrence', async ({ payload }) => {
+  const { seriesId, date, status } = payload;
+
+  try {
+    const series = await setOccurrenceStatus(seriesId, date, status);
+    return { success: true, series };
+  } catch (error) {
+    console.error('Error updating series occurrence:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('deleteMeetingSeries', async ({ payload }) => {
+  const { seriesId } = payload;
 
   try {
-    const meetings = await storage.get('meetings') || [];
+    await deleteSeries(seriesId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting meeting series:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Issue Panel Resolvers
+// ============================================
 
-    const now = new Date();
-    let startDate;
-    switch (dateRange) {
-      case 'last-week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'last-month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'last-quarter':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+resolver.define('getIssueMeetingCost', async ({ payload, context }) => {
+  const { includeChildren = true } = payload || {};
+  // The issue panel asks about the issue it is shown on
+  const issueKey = (payload && payload.issueKey)
+    || (context && context.extension && context.extension.issue && context.extension.issue.key);
+
+  try {
+    const [key] = normalizeIssueKeys(issueKey);
+    if (!key) {
+      throw new Error('An issue key is required');
     }
+    const issues = includeChildren
+      ? await getIssueHierarchy(key)
+      : [{ key, summary: null, issueType: null, parentKey: null }];
+    const currency = await getCurrency();
+    const meetings = convertMeetingCosts(await loadIssueMeetings(issues.map(i => i.key)), currency)
+      .sort((a, b) => b.date.localeCompare(a.date));
 
-    const filteredMeetings = meetings.filter(m => new Date(m.date) >= startDate);
-    const totalCost = filteredMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
-    const totalHours = filteredMeetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60;
-    const meetingCount = filteredMeetings.length;
+    // Per-issue totals count a meeting under every issue it is linked to; the overall totals count it once
+    const byIssue = issues
+      .map(issue => {
+        const { totalCost, totalHours, meetingCount } = summarizeMeetings(meetings.filter(m => (m.issueKeys || []).includes(issue.key)));
+        return { ...issue, totalCost, totalHours, meetingCount };
+      })
+      .filter((issue, i) => i === 0 || issue.meetingCount > 0);
 
     return {
-      totalCost,
-      totalHours,
-      meetingCount,
-      avgCostPerMeeting: meetingCount > 0 ? totalCost / meetingCount : 0,
-      dateRange,
-      summary: `Over the ${dateRange.replace('-', ' ')}, your team spent $${totalCost.toFixed(0)} on ${meetingCount} meetings (${totalHours.toFixed(1)} hours total).`
+      success: true,
+      issue: issues[0],
+      childCount: issues.length - 1,
+      ...summarizeMeetings(meetings),
+      costByType: summarizeByType(meetings),
+      issues: byIssue,
+      meetings,
+      currency: { code: currency.code, locale: currency.locale }
     };
   } catch (error) {
-    console.error('Error in getMeetingCostSummary:', error);
-    return { error: error.message };
+    console.error('Error getting issue meeting cost:', error);
+    return { success: false, error: error.message };
   }
-}
+});
+
+// ============================================
+// Savings Simulator Resolvers
+// ============================================
+
+resolver.define('simulateSavings', async ({ payload }) => {
+  const { changes, projectKey, teamId } = payload || {};
 
-async function getVelocityCorrelation({ payload }) {
   try {
-    // In a real implementation, we would fetch velocity data from Jira
-    // For now, return sample insight
+    const context = await getSimulationContext();
+    const scope = await getScope({ projectKey, teamId });
+    const currency = await getCurrency();
+    const sample = sampleWindow(await getToday());
+    const meetings = filterByScope(await loadMeetings(sample), scope);
+    const result = simulateSavings(meetings, normalizeChanges(changes, context), {
+      roleRates: context.roleRates,
+      currency,
+      days: sample.days
+    });
+
     return {
-      correlation: -0.35,
-      interpretation: 'Moderate negative correlation - higher meeting hours tend to correlate with lower sprint velocity.',
-      recommendation: 'Consider reducing meeting-heavy weeks to improve delivery.',
-      dataPoints: 'Based on available meeting data'
+      success: true,
+      sample,
+      scope: scope ? scope.label : null,
+      currency: { code: currency.code, locale: currency.locale },
+      ...result
     };
   } catch (error) {
-    console.error('Error in getVelocityCorrelation:', error);
-    return { error: error.message };
+    console.error('Error simulating savings:', error);
+    return { success: false, error: error.message };
   }
-}
+});
 
-async function suggestOptimizations({ payload }) {
+resolver.define('getScenarios', async () => {
   try {
-    const meetings = await storage.get('meetings') || [];
+    return { success: true, scenarios: await listScenarios() };
+  } catch (error) {
+    console.error('Error getting scenarios:', error);
+    return { success: false, error: error.message, scenarios: [] };
+  }
+});
 
-    const totalCost = meetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
-    const totalHours = meetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60;
-    const meetingCount = meetings.length;
+resolver.define('saveScenario', async ({ payload, context }) => {
+  const { scenario } = payload || {};
 
-    // Calculate cost by type
-    const costByType = {};
-    meetings.forEach(m => {
-      const type = m.meetingType || 'ad-hoc';
-      if (!costByType[type]) {
-        costByType[type] = { cost: 0, count: 0, hours: 0 };
-      }
-      costByType[type].cost += m.calculatedCost || 0;
-      costByType[type].count += 1;
-      costByType[type].hours += (m.durationMinutes || 0) / 60;
-    });
+  try {
+    const stored = await saveScenario(scenario, await getSimulationContext(), context && context.accountId);
+    return { success: true, scenario: stored };
+  } catch (error) {
+    console.error('Error saving scenario:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    const optimizationResult = generateOptimizations({
-      totalCost,
-      totalHours,
-      meetingCount,
-      costByType,
-      trendPercentage: 0
+resolver.define('deleteScenario', async ({ payload }) => {
+  const { scenarioId } = payload || {};
+
+  try {
+    await deleteScenario(scenarioId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting scenario:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Suggestion Resolvers
+// ============================================
+
+resolver.define('getSuggestions', async ({ payload }) => {
+  const { projectKey, teamId } = payload || {};
+
+  try {
+    const currency = await getCurrency();
+    const result = await loadSuggestions({ projectKey, teamId }, currency);
+    return { success: true, ...result, currency: { code: currency.code, locale: currency.locale } };
+  } catch (error) {
+    console.error('Error getting suggestions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('updateSuggestionStatus', async ({ payload, context }) => {
+  const { projectKey, teamId, suggestionId, status } = payload || {};
+
+  try {
+    const currency = await getCurrency();
+    const scope = await getScope({ projectKey, teamId });
+    const filter = scopeFilter({ projectKey, teamId }, scope);
+    const { suggestions } = await loadSuggestions({ projectKey, teamId }, currency);
+    // A suggestion the rules no longer make can still be updated, e.g. marked done once it worked
+    const suggestion = suggestions.find(s => s.id === suggestionId)
+      || (await listTrackedSuggestions(scopeKey(filter))).find(r => r.id === suggestionId);
+    if (!suggestion) {
+      throw new Error(`Unknown suggestion: ${suggestionId}`);
+    }
+
+    const record = await setSuggestionStatus(suggestion, status, {
+      scope: filter,
+      currency,
+      today: toDay(await getToday()),
+      accountId: context.accountId
     });
+    return { success: true, suggestion: record };
+  } catch (error) {
+    console.error('Error updating suggestion status:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    return optimizationResult;
+resolver.define('getSuggestionRules', async () => {
+  try {
+    return { success: true, rules: listRules(), config: await getRuleConfig() };
   } catch (error) {
-    console.error('Error in suggestOptimizations:', error);
-    return { error: error.message };
+    console.error('Error getting suggestion rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('saveSuggestionRules', async ({ payload }) => {
+  const { config } = payload;
+
+  try {
+    const cleaned = normalizeRuleConfig(config);
+    await storage.set('config:suggestionRules', cleaned);
+    return { success: true, config: cleaned };
+  } catch (error) {
+    console.error('Error saving suggestion rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Sprint Snapshot Resolvers
+// ============================================
+
+resolver.define('getSprintSnapshots', async ({ payload }) => {
+  const { boardId, projectKey } = payload || {};
+
+  try {
+    const resolvedBoardId = boardId || (projectKey ? await resolveBoardId(projectKey) : undefined);
+    if (projectKey && !resolvedBoardId) {
+      return { success: true, snapshots: [], efficiencyScore: null, outliers: { best: null, worst: null } };
+    }
+
+    const snapshots = await listSnapshots({ boardId: resolvedBoardId });
+
+    return {
+      success: true,
+      snapshots: snapshots.map(s => ({ ...s, ...calculateSprintEfficiency(s) })),
+      efficiencyScore: calculateEfficiencyScore(snapshots),
+      outliers: findSprintOutliers(snapshots)
+    };
+  } catch (error) {
+    console.error('Error getting sprint snapshots:', error);
+    return { success: false, error: error.message, snapshots: [] };
+  }
+});
+
+resolver.define('recomputeSprintSnapshots', async ({ payload }) => {
+  const { boardId, projectKey, maxSprints } = payload || {};
+
+  try {
+    const resolvedBoardId = boardId || (projectKey ? await resolveBoardId(projectKey) : undefined);
+    if (!resolvedBoardId) {
+      return { success: false, error: 'A boardId or a projectKey with a scrum board is required' };
+    }
+
+    const scope = await getBoardScope(resolvedBoardId, projectKey);
+    const snapshots = await rebuildBoardSnapshots(resolvedBoardId, { maxSprints, scope, currency: await getCurrency() });
+    return { success: true, snapshots };
+  } catch (error) {
+    console.error('Error recomputing sprint snapshots:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('deleteSprintSnapshot', async ({ payload }) => {
+  const { boardId, sprintId } = payload || {};
+
+  try {
+    if (!boardId || !sprintId) {
+      return { success: false, error: 'boardId and sprintId are required' };
+    }
+
+    await deleteSnapshot(boardId, sprintId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting sprint snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Admin Configuration Resolvers
+// ============================================
+
+resolver.define('getRoleRates', async ({ payload }) => {
+  try {
+    const versions = await getRateVersions();
+    const currency = await getCurrency();
+    const today = await getToday();
+    // Without an effectiveFrom the version in effect today is returned; null selects the first version
+    const version = payload && 'effectiveFrom' in payload
+      ? versions.find(v => v.effectiveFrom === (payload.effectiveFrom || null))
+      : currentVersion(versions, today);
+    if (!version) {
+      return { success: false, error: `No rate version effective from ${payload.effectiveFrom}`, rates: [] };
+    }
+
+    return {
+      success: true,
+      rates: version.rates.map(rate => ({ ...rate, reportingHourlyRate: reportingRate(rate, currency, today) })),
+      effectiveFrom: version.effectiveFrom,
+      contextSwitch: normalizeContextSwitch(version.contextSwitch),
+      versions: versions.map(v => ({ effectiveFrom: v.effectiveFrom, savedAt: v.savedAt || null, roleCount: v.rates.length }))
+    };
+  } catch (error) {
+    console.error('Error getting role rates:', error);
+    return { success: false, error: error.message, rates: [] };
+  }
+});
+
+resolver.define('saveRoleRates', async ({ payload, context }) => {
+  const { rates } = payload;
+
+  try {
+    const { code } = await getCurrency();
+    const versions = await getRateVersions();
+    // Clients that do not send a date edit the version in effect today, as before rates were dated
+    const effectiveFrom = 'effectiveFrom' in payload
+      ? payload.effectiveFrom || null
+      : currentVersion(versions, await getToday()).effectiveFrom;
+    const cleaned = (rates || []).map(({ reportingHourlyRate, effectiveFrom: from, effectiveTo, contextSwitch, ...rate }) => normalizeLoadFactors({
+      ...rate,
+      currency: normalizeCurrency(rate.currency || code)
+    }));
+    // Clients that do not send context switching keep what the version had
+    const edited = versions.find(v => v.effectiveFrom === effectiveFrom) || {};
+
+    const updated = upsertRateVersion(versions, {
+      effectiveFrom,
+      rates: cleaned,
+      contextSwitch: normalizeContextSwitch(payload.contextSwitch || edited.contextSwitch),
+      savedAt: new Date().toISOString(),
+      savedBy: context && context.accountId
+    });
+    await storage.set('config:roleRateVersions', updated);
+    return { success: true, effectiveFrom };
+  } catch (error) {
+    console.error('Error saving role rates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('deleteRateVersion', async ({ payload }) => {
+  const effectiveFrom = (payload && payload.effectiveFrom) || null;
+
+  try {
+    const versions = await getRateVersions();
+    const remaining = versions.filter(v => v.effectiveFrom !== effectiveFrom);
+    if (remaining.length === versions.length) {
+      return { success: false, error: `No rate version effective from ${effectiveFrom}` };
+    }
+    if (remaining.length === 0) {
+      return { success: false, error: 'The only rate version cannot be deleted' };
+    }
+
+    await storage.set('config:roleRateVersions', remaining);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting rate version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('recomputeMeetingCosts', async ({ payload, context }) => {
+  const { startDate, endDate, dryRun = true } = payload || {};
+
+  try {
+    const roleRates = await getRoleRates();
+    const currency = await getCurrency();
+    const meetings = await loadMeetings({ startDate, endDate });
+    const previous = convertMeetingCosts(meetings, currency);
+
+    const changed = [];
+    meetings.forEach((meeting, i) => {
+      const costs = meetingCostFields(meeting, roleRates, currency);
+      const previousCost = previous[i].calculatedCost || 0;
+      // Ignore sub-cent float noise; meetings costed before the cost was fully loaded gain their split
+      if (Math.abs(costs.calculatedCost - previousCost) >= 0.005 || meeting.currency !== currency.code
+        || typeof meeting.hiddenCost !== 'number') {
+        changed.push({ meeting, recomputed: { ...meeting, ...costs, currency: currency.code }, previousCost });
+      }
+    });
+
+    if (!dryRun) {
+      for (const { meeting, recomputed } of changed) {
+        await replaceMeeting(recomputed);
+        await recordRevision(meeting.id, {
+          action: 'recomputed',
+          changedBy: context && context.accountId,
+          changes: diffMeetings(meeting, recomputed)
+        });
+      }
+    }
+
+    const previousTotal = previous.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
+    const delta = changed.reduce((sum, c) => sum + c.recomputed.calculatedCost - c.previousCost, 0);
+
+    return {
+      success: true,
+      dryRun,
+      meetingCount: meetings.length,
+      changedCount: changed.length,
+      previousTotal,
+      newTotal: previousTotal + delta,
+      delta,
+      currency: currency.code,
+      changes: changed
+        .map(({ meeting, recomputed, previousCost }) => ({
+          id: meeting.id,
+          title: meeting.title,
+          date: meeting.date,
+          previousCost,
+          newCost: recomputed.calculatedCost,
+          delta: recomputed.calculatedCost - previousCost
+        }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    };
+  } catch (error) {
+    console.error('Error recomputing meeting costs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('getExchangeRates', async () => {
+  try {
+    const exchangeRates = await storage.get('config:exchangeRates') || [];
+    return { success: true, exchangeRates };
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    return { success: false, error: error.message, exchangeRates: [] };
+  }
+});
+
+resolver.define('saveExchangeRates', async ({ payload }) => {
+  const { exchangeRates } = payload;
+
+  try {
+    const cleaned = normalizeExchangeRates(exchangeRates);
+    await checkExchangeRates((await getCurrency()).code, cleaned);
+    await storage.set('config:exchangeRates', cleaned);
+    return { success: true, exchangeRates: cleaned };
+  } catch (error) {
+    console.error('Error saving exchange rates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('getTeams', async () => {
+  try {
+    const teams = await getTeams();
+    return { success: true, teams };
+  } catch (error) {
+    console.error('Error getting teams:', error);
+    return { success: false, error: error.message, teams: [] };
+  }
+});
+
+resolver.define('saveTeams', async ({ payload }) => {
+  const { teams } = payload;
+
+  try {
+    const cleaned = (teams || [])
+      .filter(t => t.name && t.name.trim())
+      .map(t => ({
+        teamId: t.teamId || `team-${randomUUID()}`,
+        name: t.name.trim(),
+        projectKeys: normalizeProjectKeys(t.projectKeys)
+      }));
+    await storage.set('config:teams', cleaned);
+    return { success: true, teams: cleaned };
+  } catch (error) {
+    console.error('Error saving teams:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Budget Resolvers
+// ============================================
+
+resolver.define('getBudgets', async () => {
+  try {
+    const teams = await getTeams();
+    const currency = await getCurrency();
+    const budgets = await getBudgets(teams);
+    const today = await getToday();
+
+    const statuses = [];
+    for (const budget of budgets) {
+      statuses.push(await getBudgetStatus(budget, teams, currency, today));
+    }
+
+    return { success: true, budgets, statuses, currency: currency.code };
+  } catch (error) {
+    console.error('Error getting budgets:', error);
+    return { success: false, error: error.message, budgets: [], statuses: [] };
+  }
+});
+
+resolver.define('saveBudgets', async ({ payload }) => {
+  const { budgets } = payload;
+
+  try {
+    const cleaned = normalizeBudgets(budgets, await getTeams());
+    await storage.set('config:budgets', cleaned);
+    return { success: true, budgets: cleaned };
+  } catch (error) {
+    console.error('Error saving budgets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('getBudgetAlerts', async ({ payload }) => {
+  const { teamId, days = 90 } = payload || {};
+
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const alerts = await listBudgetAlerts({ teamId, since });
+    return { success: true, alerts };
+  } catch (error) {
+    console.error('Error getting budget alerts:', error);
+    return { success: false, error: error.message, alerts: [] };
+  }
+});
+
+// ============================================
+// Weekly Digest Resolvers
+// ============================================
+
+resolver.define('getDigestConfig', async () => {
+  try {
+    const config = await getDigestConfig();
+    return { success: true, config, lastSent: await storage.get('digest:lastSent') || null };
+  } catch (error) {
+    console.error('Error getting digest config:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('saveDigestConfig', async ({ payload }) => {
+  const { config } = payload;
+
+  try {
+    const cleaned = normalizeDigestConfig(config);
+    if (cleaned.teamId) {
+      // Throws for a team that no longer exists
+      resolveScope({ teamId: cleaned.teamId }, await getTeams());
+    }
+    await storage.set('config:digest', cleaned);
+    return { success: true, config: cleaned };
+  } catch (error) {
+    console.error('Error saving digest config:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('previewDigest', async ({ payload }) => {
+  const { teamId } = payload || {};
+
+  try {
+    const digest = await buildWeeklyDigest({ ...await getDigestConfig(), teamId: teamId || null });
+    return { success: true, digest, title: digestTitle(digest), storage: renderDigestStorage(digest) };
+  } catch (error) {
+    console.error('Error previewing digest:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('sendDigest', async () => {
+  try {
+    const config = await getDigestConfig();
+    const digest = await buildWeeklyDigest(config);
+    const result = await publishDigest(config, digest);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error sending digest:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('getMeetingTypes', async () => {
+  try {
+    const meetingTypes = await getMeetingTypes();
+    return { success: true, meetingTypes };
+  } catch (error) {
+    console.error('Error getting meeting types:', error);
+    return { success: false, error: error.message, meetingTypes: DEFAULT_MEETING_TYPES };
+  }
+});
+
+resolver.define('saveMeetingTypes', async ({ payload }) => {
+  const { meetingTypes } = payload;
+
+  try {
+    // Meetings keep the id of a removed type and show it until they are edited
+    const cleaned = normalizeMeetingTypes(meetingTypes);
+    await storage.set('config:meetingTypes', cleaned);
+    return { success: true, meetingTypes: cleaned };
+  } catch (error) {
+    console.error('Error saving meeting types:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('getConfig', async () => {
+  try {
+    const settings = {
+      currency: DEFAULT_CURRENCY,
+      locale: DEFAULT_LOCALE,
+      timeZone: DEFAULT_TIME_ZONE,
+      workHoursPerDay: 8,
+      ...await storage.get('config:settings')
+    };
+    return { success: true, settings };
+  } catch (error) {
+    console.error('Error getting config:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('saveConfig', async ({ payload }) => {
+  const { settings } = payload;
+
+  try {
+    const locale = settings.locale || DEFAULT_LOCALE;
+    // Throws a RangeError for a malformed locale tag
+    new Intl.NumberFormat(locale);
+    const currency = normalizeCurrency(settings.currency || DEFAULT_CURRENCY);
+    const current = await getCurrency();
+    if (currency !== current.code) {
+      await checkExchangeRates(currency, current.exchangeRates);
+    }
+    await storage.set('config:settings', {
+      ...settings,
+      currency,
+      locale,
+      timeZone: normalizeTimeZone(settings.timeZone),
+      workdayStart: normalizeStartTime(settings.workdayStart) || DEFAULT_WORKDAY_START
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving config:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Helper Functions
+// ============================================
+
+const DEFAULT_ROLE_RATES = [
+  { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 75, currency: 'USD' },
+  { roleId: 'senior-engineer', roleName: 'Senior Engineer', hourlyRate: 100, currency: 'USD' },
+  { roleId: 'tech-lead', roleName: 'Tech Lead', hourlyRate: 125, currency: 'USD' },
+  { roleId: 'pm', roleName: 'Product Manager', hourlyRate: 90, currency: 'USD' },
+  { roleId: 'designer', roleName: 'Designer', hourlyRate: 80, currency: 'USD' },
+  { roleId: 'manager', roleName: 'Engineering Manager', hourlyRate: 130, currency: 'USD' },
+  { roleId: 'exec', roleName: 'Executive', hourlyRate: 200, currency: 'USD' }
+];
+
+/**
+ * Rate versions, oldest first. Sites that saved rates before they were dated
+ * get their stored rates back as the first version.
+ */
+async function getRateVersions() {
+  const versions = await storage.get('config:roleRateVersions');
+  if (versions && versions.length > 0) {
+    return versions;
+  }
+  return [{ effectiveFrom: null, rates: await storage.get('config:roleRates') || DEFAULT_ROLE_RATES }];
+}
+
+/**
+ * Role rates from every version, each with the window it is in effect for;
+ * cost calculations pick the rates valid on the meeting date
+ */
+async function getRoleRates() {
+  return flattenRateVersions(await getRateVersions());
+}
+
+async function getAttendeeRoleMap() {
+  return await storage.get('config:attendeeRoleMap') || [];
+}
+
+/**
+ * Reporting currency, display locale and exchange-rate table
+ * @returns {Object} { code, locale, exchangeRates }
+ */
+async function getCurrency() {
+  const settings = await storage.get('config:settings') || {};
+  return {
+    code: settings.currency || DEFAULT_CURRENCY,
+    locale: settings.locale || DEFAULT_LOCALE,
+    exchangeRates: await storage.get('config:exchangeRates') || []
+  };
+}
+
+// A role's hourly rate in the reporting currency on the org's today, or null without an exchange rate
+function reportingRate(rate, currency, today) {
+  try {
+    return convertRoleRates([rate], currency, today)[0].hourlyRate;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * First day each stored currency is converted at: the day its role rates
+ * take effect, or the first meeting they cost, and the first meeting costed
+ * in it
+ */
+async function getCurrencyFirstUse() {
+  const { earliest: firstMeeting, currencies } = await getFirstMeetingDates();
+  const today = toDay(await getToday());
+  const earliest = firstMeeting && firstMeeting < today ? firstMeeting : today;
+
+  const firstUse = {};
+  const use = (currency, day) => {
+    if (currency && !(firstUse[currency] <= day)) {
+      firstUse[currency] = day;
+    }
+  };
+  (await getRateVersions()).forEach(version => version.rates.forEach(rate =>
+    use(rate.currency, version.effectiveFrom && version.effectiveFrom > earliest ? version.effectiveFrom : earliest)
+  ));
+  Object.entries(currencies).forEach(([currency, day]) => use(currency, day));
+  return firstUse;
+}
+
+/**
+ * Make sure every stored rate and meeting cost converts into a reporting currency
+ * @throws {Error} Naming the exchange rates that are missing
+ */
+async function checkExchangeRates(code, exchangeRates) {
+  const missing = findMissingExchangeRates(code, await getCurrencyFirstUse(), exchangeRates);
+  if (missing.length > 0) {
+    throw new Error(`Costs cannot be shown in ${code} without an exchange rate to ${code} from ${missing.map(m => `${m.currency} (in effect by ${m.date})`).join(', ')}. Add them under Exchange Rates first.`);
+  }
+}
+
+/**
+ * Org timezone, which decides the day meetings default to and where periods start
+ */
+async function getTimeZone() {
+  const settings = await storage.get('config:settings') || {};
+  return settings.timeZone || DEFAULT_TIME_ZONE;
+}
+
+async function getToday() {
+  return todayIn(await getTimeZone());
+}
+
+async function getTeams() {
+  return await storage.get('config:teams') || [];
+}
+
+/**
+ * Budgets of teams that still exist
+ */
+async function getBudgets(teams) {
+  const budgets = await storage.get('config:budgets') || [];
+  return budgets.filter(b => teams.some(t => t.teamId === b.teamId));
+}
+
+async function getDigestConfig() {
+  return normalizeDigestConfig(await storage.get('config:digest') || {});
+}
+
+/**
+ * Build the digest for the last full week, scoped to the configured team
+ */
+async function buildWeeklyDigest(config, today) {
+  const week = digestWeek(today || await getToday());
+  const scope = await getScope({ teamId: config.teamId });
+  const currency = await getCurrency();
+  const meetings = convertMeetingCosts(filterByScope(await loadMeetings(digestWindow(week)), scope), currency);
+  return buildDigest(meetings, week, {
+    ...await getSuggestionOptions(),
+    currency,
+    scopeLabel: scope ? scope.label : null
+  });
+}
+
+/**
+ * Publish a digest to the configured page or issue and remember the week it covered
+ */
+async function publishDigest(config, digest) {
+  let published;
+  if (config.target === 'jira') {
+    if (!config.issueKey) {
+      throw new Error('No Jira issue is configured for the digest');
+    }
+    published = await publishToJiraIssue(config.issueKey, renderDigestAdf(digest));
+  } else {
+    if (!config.pageId) {
+      throw new Error('No Confluence page is configured for the digest');
+    }
+    published = await publishToConfluencePage(config.pageId, digestTitle(digest), renderDigestStorage(digest));
+  }
+
+  const lastSent = { weekStart: digest.weekStart, target: config.target, ...published, sentAt: new Date().toISOString() };
+  await storage.set('digest:lastSent', lastSent);
+  return lastSent;
+}
+
+async function getMeetingTypes() {
+  return await storage.get('config:meetingTypes') || DEFAULT_MEETING_TYPES;
+}
+
+/**
+ * Check a meeting type against the configured types; no type means ad-hoc
+ * @throws {Error} When the type is not configured
+ */
+function parseMeetingType(meetingType, meetingTypes) {
+  if (!meetingType) {
+    return DEFAULT_TYPE_ID;
+  }
+  const type = findMeetingType(meetingTypes, meetingType);
+  if (!type) {
+    throw new Error(`Unknown meeting type: ${meetingType}`);
+  }
+  return type.typeId;
+}
+
+/**
+ * Suggestion rule settings, with defaults for rules an admin has not tuned
+ */
+async function getRuleConfig() {
+  return normalizeRuleConfig(await storage.get('config:suggestionRules') || {});
+}
+
+/**
+ * What the suggestion rules run with besides the meetings themselves
+ */
+async function getSuggestionOptions() {
+  const settings = await storage.get('config:settings') || {};
+  return {
+    meetingTypes: await getMeetingTypes(),
+    roleRates: await getRoleRates(),
+    workHoursPerDay: Number(settings.workHoursPerDay) || 8,
+    ruleConfig: await getRuleConfig()
+  };
+}
+
+/**
+ * The working day focus time is measured in
+ * @returns {Object} { workdayStart: HH:MM, workHoursPerDay }
+ */
+async function getWorkday() {
+  const settings = await storage.get('config:settings') || {};
+  return {
+    workdayStart: settings.workdayStart || DEFAULT_WORKDAY_START,
+    workHoursPerDay: Number(settings.workHoursPerDay) || 8
+  };
+}
+
+// The team or project of a resolved scope, as suggestions are tracked by
+function scopeFilter({ projectKey, teamId }, scope) {
+  if (!scope) {
+    return {};
+  }
+  return teamId ? { teamId: scope.teamIds[0] } : { projectKey: scope.projectKeys[0] };
+}
+
+/**
+ * Suggestions for the last 30 days of a scope with their tracked status,
+ * and the realized savings of those the team accepted
+ * @returns {Object} { suggestions, totalPotentialSavings, summary, tracked, realized }
+ */
+async function loadSuggestions(filter, currency) {
+  const today = await getToday();
+  // Suggestions look at the last 30 days, matching the monthly savings they report
+  const period = resolveDateRange({ dateRange: 'last-30-days' }, today);
+  const scope = await getScope(filter);
+  const key = scopeKey(scopeFilter(filter, scope));
+  const { meetings, previousMeetings } = await loadPeriodMeetings(period, scope, currency);
+  const changes = comparePeriods(summarizeMeetings(meetings), summarizeMeetings(previousMeetings));
+
+  const result = generateSuggestions(meetings, {
+    ...await getSuggestionOptions(),
+    currency,
+    days: 30,
+    trendPercentage: changes.totalCost || 0
+  });
+
+  const records = await listTrackedSuggestions(key);
+  // Only suggestions still being measured need meetings loaded
+  const open = openMeasurements(records);
+  const history = open.length > 0
+    ? convertMeetingCosts(filterByScope(await loadMeetings({ startDate: measureStart(open, toDay(today)), endDate: toDay(today) }), scope), currency)
+    : [];
+  const tracked = (await measureSuggestions(records, history, { today: toDay(today), currency }))
+    .sort((a, b) => b.acceptedOn.localeCompare(a.acceptedOn));
+
+  return {
+    ...result,
+    suggestions: withStatuses(result.suggestions, records, key),
+    tracked,
+    realized: summarizeRealized(tracked)
+  };
+}
+
+/**
+ * What simulated changes may refer to: meeting types, roles and series
+ */
+async function getSimulationContext() {
+  return {
+    meetingTypes: await getMeetingTypes(),
+    roleRates: await getRoleRates(),
+    series: await listSeries()
+  };
+}
+
+/**
+ * Resolve a { projectKey, teamId } filter against the configured teams
+ * @returns {Object|null} Scope for filterByScope, or null when unfiltered
+ */
+async function getScope(filter) {
+  return resolveScope(filter, await getTeams());
+}
+
+/**
+ * Started sprints of the Jira board behind a scope: the project's board, or
+ * the board of a team's first project
+ * @throws {Error} When the scope has no project with a board
+ */
+async function getScopeSprints(scope) {
+  const projectKey = scope && scope.projectKeys[0];
+  const boardId = projectKey ? await resolveBoardId(projectKey) : undefined;
+  if (!boardId) {
+    throw new Error('Grouping by sprint needs a team or project with a Jira board');
+  }
+  return getStartedSprints(boardId);
+}
+
+/**
+ * Load a resolved date range's meetings and those of its previous period,
+ * with one read covering both
+ * @returns {Object} { meetings, previousMeetings } costed in the reporting currency
+ */
+async function loadPeriodMeetings(period, scope, currency) {
+  const meetings = convertMeetingCosts(
+    filterByScope(await loadMeetings({ startDate: period.previous.startDate, endDate: period.endDate }), scope),
+    currency
+  );
+  return {
+    meetings: meetings.filter(m => m.date >= period.startDate),
+    previousMeetings: meetings.filter(m => m.date <= period.previous.endDate)
+  };
+}
+
+/**
+ * Meetings of a resolved date range in a scope
+ * @returns {Array} Meetings costed in the reporting currency
+ */
+async function loadRangeMeetings(range, scope, currency) {
+  return convertMeetingCosts(
+    filterByScope(await loadMeetings({ startDate: range.startDate, endDate: range.endDate }), scope),
+    currency
+  );
+}
+
+/**
+ * The meeting a Rovo question is about: by id, or the latest one whose title
+ * contains the given text, on a given date or in the last 90 days
+ * @throws {Error} When no meeting matches
+ */
+async function findMeetingForAction({ meetingId, title, date }) {
+  if (meetingId) {
+    const meeting = await getMeeting(meetingId);
+    if (!meeting) {
+      throw new Error(`Meeting ${meetingId} not found`);
+    }
+    return meeting;
+  }
+  if (!title) {
+    throw new Error('Give a meeting id or title');
+  }
+
+  const today = toDay(await getToday());
+  const range = date
+    ? { startDate: date, endDate: date }
+    : { startDate: addDays(today, -89), endDate: today };
+  const text = String(title).trim().toLowerCase();
+  const matches = (await loadMeetings(range))
+    .filter(m => (m.title || '').toLowerCase().includes(text))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  if (matches.length === 0) {
+    throw new Error(`No meeting titled "${title}" ${date ? `on ${date}` : 'in the last 90 days'}`);
+  }
+  return matches[0];
+}
+
+/**
+ * Scope for a board's meetings: its project, or the project it was looked up by
+ */
+async function getBoardScope(boardId, projectKey) {
+  const key = projectKey || await getBoardProjectKey(boardId);
+  return key ? getScope({ projectKey: key }) : null;
+}
+
+/**
+ * Normalize the project and team tags of a meeting, dropping unknown teams
+ */
+async function resolveTags({ projectKeys, teamIds } = {}) {
+  const teams = await getTeams();
+  return {
+    projectKeys: normalizeProjectKeys(projectKeys),
+    teamIds: (teamIds || []).filter(id => teams.some(t => t.teamId === id))
+  };
+}
+
+/**
+ * Parse an .ics file and work out which meetings it would add
+ * Defaults to the last 90 days up to today, so open-ended recurrences stay bounded
+ */
+async function planIcsImport(ics, { from, to } = {}, tags = {}) {
+  const today = await getToday();
+  const window = {
+    from: from || addDays(toDay(today), -90),
+    to: to || toDay(today)
+  };
+
+  const roleRates = await getRoleRates();
+  const currency = await getCurrency();
+  const roleMap = await getAttendeeRoleMap();
+  const meetingTypes = await getMeetingTypes();
+  const timeZone = await getTimeZone();
+  const { instances, skipped } = expandEvents(parseICalendar(ics), { ...window, timeZone });
+
+  const unmapped = {};
+  const candidates = instances.map(instance => {
+    const { roles, unmapped: unmappedEmails } = mapAttendees(instance.attendees, roleMap);
+    unmappedEmails.forEach(email => {
+      unmapped[email] = (unmapped[email] || 0) + 1;
+    });
+
+    return buildImportedMeeting({
+      title: instance.title,
+      date: instance.date,
+      // All-day events have no time of day
+      startTime: typeof instance.startMinutes === 'number' ? formatClock(instance.startMinutes) : null,
+      durationMinutes: instance.durationMinutes,
+      attendeeRoles: roles,
+      attendeeCount: instance.attendees.length,
+      ...tags,
+      source: 'ics',
+      externalId: `ics:${instance.uid}:${instance.occurrence}`
+    }, roleRates, currency, meetingTypes);
+  });
+
+  const existing = await loadMeetings({ startDate: window.from, endDate: window.to });
+  const { toImport, duplicates } = partitionDuplicates(candidates, existing);
+
+  return {
+    window,
+    toImport,
+    duplicates,
+    skipped,
+    unmappedAttendees: Object.entries(unmapped)
+      .map(([email, count]) => ({ email, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+function summarizeImportPlan(plan) {
+  return {
+    window: plan.window,
+    meetings: plan.toImport,
+    totalCost: plan.toImport.reduce((sum, m) => sum + m.calculatedCost, 0),
+    duplicates: plan.duplicates,
+    skipped: plan.skipped,
+    unmappedAttendees: plan.unmappedAttendees
+  };
+}
+
+/**
+ * Validate the fields of a meeting edit; only fields present in the payload change
+ * @throws {Error} On an invalid value
+ */
+async function parseMeetingEdits(fields) {
+  const edits = {};
+
+  if (fields.title !== undefined) {
+    edits.title = String(fields.title).trim();
+    if (!edits.title) {
+      throw new Error('Title is required');
+    }
+  }
+  if (fields.date !== undefined) {
+    if (!isDay(fields.date)) {
+      throw new Error(`Invalid date: ${fields.date}`);
+    }
+    edits.date = fields.date;
+  }
+  if (fields.startTime !== undefined) {
+    edits.startTime = normalizeStartTime(fields.startTime);
+  }
+  if (fields.durationMinutes !== undefined) {
+    edits.durationMinutes = parseInt(fields.durationMinutes);
+    if (!(edits.durationMinutes > 0)) {
+      throw new Error(`Invalid duration: ${fields.durationMinutes}`);
+    }
+  }
+  if (fields.attendeeCount !== undefined) {
+    edits.attendeeCount = parseInt(fields.attendeeCount) || 1;
+  }
+  if (fields.attendeeRoles !== undefined) {
+    edits.attendeeRoles = parseAttendeeRoles(fields.attendeeRoles);
+  }
+  if (fields.meetingType !== undefined) {
+    edits.meetingType = parseMeetingType(fields.meetingType, await getMeetingTypes());
+  }
+  if (fields.issueKeys !== undefined) {
+    edits.issueKeys = normalizeIssueKeys(fields.issueKeys);
+  }
+  if (fields.projectKeys !== undefined || fields.teamIds !== undefined) {
+    const tags = await resolveTags(fields);
+    if (fields.projectKeys !== undefined) {
+      edits.projectKeys = tags.projectKeys;
+    }
+    if (fields.teamIds !== undefined) {
+      edits.teamIds = tags.teamIds;
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Validate, cost and store a new meeting; the meeting form and the Rovo
+ * action both log meetings through here
+ * @param {Object} fields - { title, date, startTime, durationMinutes, attendeeCount, attendeeRoles, meetingType, issueKeys, projectKeys, teamIds }
+ * @param {string} accountId - Who logged it, for the history
+ * @returns {Object} The stored meeting
+ * @throws {Error} On a missing title, a malformed date, start time, duration or issue key, or an unknown meeting type
+ */
+async function createMeeting(fields, accountId) {
+  const { title, date, startTime, durationMinutes, attendeeCount, attendeeRoles, meetingType, issueKeys, projectKeys, teamIds } = fields || {};
+  // Get role rates and the reporting currency to calculate cost
+  const roleRates = await getRoleRates();
+  const currency = await getCurrency();
+
+  const meeting = {
+    id: createMeetingId(),
+    ...await parseMeetingEdits({
+      title: title || '',
+      date: date || toDay(await getToday()),
+      startTime: startTime || null,
+      durationMinutes: durationMinutes || 30,
+      attendeeCount: attendeeCount || 1,
+      attendeeRoles: attendeeRoles || [],
+      meetingType: meetingType || null,
+      issueKeys: issueKeys || [],
+      projectKeys: projectKeys || [],
+      teamIds: teamIds || []
+    }),
+    currency: currency.code,
+    createdAt: new Date().toISOString()
+  };
+  // Rates are converted into the reporting currency as of the meeting date
+  Object.assign(meeting, meetingCostFields(meeting, roleRates, currency));
+
+  const stored = await insertMeeting(meeting);
+  await recordRevision(stored.id, { action: 'created', changedBy: accountId });
+  return stored;
+}
+
+/**
+ * Attendee roles from a list such as "2 engineers, a product manager and exec";
+ * each entry is a role id or name, in the singular or plural, with an optional count
+ * @returns {Array} Role ids, one per attendee
+ * @throws {Error} On a role that is not configured
+ */
+function parseRoleList(text, roleRates) {
+  const roles = [];
+  String(text || '').split(/,|\band\b|\+/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [, count, name] = part.match(/^(?:(\d+|an?|one)\s+)?(?:x\s+)?(.+)$/i);
+    const value = name.trim().toLowerCase();
+    const role = roleRates.find(r =>
+      [r.roleId, r.roleName.toLowerCase()].some(n => value === n || value === `${n}s`)
+    );
+    if (!role) {
+      throw new Error(`Unknown role: ${name.trim()}`);
+    }
+    for (let i = 0; i < (parseInt(count) || 1); i++) {
+      roles.push(role.roleId);
+    }
+  });
+  return roles;
+}
+
+function parseAttendeeRoles(attendeeRoles) {
+  if (Array.isArray(attendeeRoles)) {
+    return attendeeRoles;
+  }
+  try {
+    return attendeeRoles ? JSON.parse(attendeeRoles) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// The first scrum board of a project; that is the one teams plan with
+async function resolveBoardId(projectKey) {
+  const boards = await getBoardsForProject(projectKey);
+  return boards.length > 0 ? boards[0].id : undefined;
+}
+
+// ============================================
+// Rovo Agent Actions
+// ============================================
+
+// Closed sprints the velocity correlation looks at, the latest ones
+const MAX_CORRELATED_SPRINTS = 10;
+
+// Top-meetings answers: what can be ranked, and how many by default and at most
+const TOP_MEETING_GROUPINGS = ['meeting', 'series'];
+const DEFAULT_TOP_MEETINGS = 5;
+const MAX_TOP_MEETINGS = 20;
+
+// " ($X direct, $Y hidden)" for a cost with a hidden part, empty otherwise
+function describeCostSplit({ directCost, hiddenCost }, currency) {
+  return hiddenCost > 0
+    ? ` (${formatWholeCurrency(directCost, currency.code, currency.locale)} direct, ${formatWholeCurrency(hiddenCost, currency.code, currency.locale)} hidden)`
+    : '';
+}
+
+async function getMeetingCostSummary({ payload }) {
+  const { dateRange, startDate, endDate, projectKey, team } = payload || {};
+
+  try {
+    const period = resolveDateRange({ dateRange, startDate, endDate }, await getToday());
+    const scope = await getScope({ projectKey, teamId: team });
+    const currency = await getCurrency();
+    const { meetings, previousMeetings } = await loadPeriodMeetings(period, scope, currency);
+    const current = summarizeMeetings(meetings);
+    const { totalCost, directCost, hiddenCost, totalHours, meetingCount, avgCostPerMeeting } = current;
+    const previous = summarizeMeetings(previousMeetings);
+    const change = comparePeriods(current, previous).totalCost;
+    const comparison = change === null
+      ? 'There were no meetings in the previous period to compare with.'
+      : `That is ${Math.abs(change).toFixed(1)}% ${change >= 0 ? 'more' : 'less'} than the previous period (${formatWholeCurrency(previous.totalCost, currency.code, currency.locale)}).`;
+
+    return {
+      totalCost,
+      directCost,
+      hiddenCost,
+      totalHours,
+      meetingCount,
+      avgCostPerMeeting,
+      dateRange: period.dateRange,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      previous: { ...period.previous, totalCost: previous.totalCost, meetingCount: previous.meetingCount },
+      changePercentage: change,
+      scope: scope ? scope.label : null,
+      currency: currency.code,
+      summary: `From ${period.startDate} to ${period.endDate} (${period.label.toLowerCase()}), ${scope ? scope.label : 'your team'} spent ${formatWholeCurrency(totalCost, currency.code, currency.locale)}${describeCostSplit(current, currency)} on ${meetingCount} meetings (${totalHours.toFixed(1)} hours total). ${comparison}`
+    };
+  } catch (error) {
+    console.error('Error in getMeetingCostSummary:', error);
+    return { error: error.message };
+  }
+}
+
+async function getVelocityCorrelation({ payload }) {
+  const { projectKey } = payload || {};
+
+  try {
+    if (!projectKey) {
+      return { error: 'projectKey is required' };
+    }
+
+    // Snapshots are captured as sprints close or rebuilt from the admin page, never on a read
+    const boardId = await resolveBoardId(projectKey);
+    const snapshots = boardId ? (await listSnapshots({ boardId })).slice(-MAX_CORRELATED_SPRINTS) : [];
+
+    if (snapshots.length < 3) {
+      return {
+        correlation: null,
+        interpretation: `Not enough closed sprints for ${projectKey} to analyze (found ${snapshots.length}, need at least 3).`,
+        recommendation: 'Keep logging meetings; the analysis becomes available after three closed sprints. An admin can backfill past sprints under Sprint Snapshots in MeetingROI Settings.',
+        dataPoints: `${snapshots.length} closed sprints`,
+        sprints: snapshots
+      };
+    }
+
+    const correlation = calculateCorrelation(snapshots);
+    const { interpretation, recommendation } = interpretCorrelation(correlation);
+
+    return {
+      correlation: Math.round(correlation * 100) / 100,
+      interpretation,
+      recommendation,
+      dataPoints: `Based on ${snapshots.length} closed sprints in ${projectKey}`,
+      sprints: snapshots.map(s => ({
+        sprintName: s.sprintName,
+        startDate: s.startDate,
+        endDate: s.endDate,
+        completedPoints: s.completedPoints,
+        totalMeetingHours: Math.round(s.totalMeetingHours * 10) / 10,
+        totalMeetingCost: Math.round(s.totalMeetingCost)
+      }))
+    };
+  } catch (error) {
+    console.error('Error in getVelocityCorrelation:', error);
+    return { error: error.message };
+  }
+}
+
+async function suggestOptimizations({ payload }) {
+  const { projectKey, team } = payload || {};
+
+  try {
+    const currency = await getCurrency();
+    const result = await loadSuggestions({ projectKey, teamId: team }, currency);
+    const money = amount => formatWholeCurrency(amount, currency.code, currency.locale);
+    // Dismissed suggestions stay out of answers until a rule finds something new
+    const suggestions = result.suggestions.filter(s => s.status !== 'dismissed');
+    const { realized } = result;
+
+    return {
+      suggestions,
+      totalPotentialSavings: suggestions.reduce((sum, s) => sum + (s.potentialSavings || 0), 0),
+      tracked: result.tracked,
+      realizedSavings: realized,
+      summary: `${result.summary}${realized.measured > 0
+        ? ` ${realized.measured === 1 ? 'The accepted suggestion' : `The ${realized.measured} accepted suggestions`} measured so far promised ${money(realized.promised)}/month and saved ${money(realized.realized)}/month.`
+        : ''}`
+    };
+  } catch (error) {
+    console.error('Error in suggestOptimizations:', error);
+    return { error: error.message };
+  }
+}
+
+async function getTeamBudgets({ payload }) {
+  const { team } = payload || {};
+
+  try {
+    const teams = await getTeams();
+    const currency = await getCurrency();
+    const scope = team ? resolveScope({ teamId: team }, teams) : null;
+    const budgets = (await getBudgets(teams)).filter(b => !scope || b.teamId === scope.teamIds[0]);
+
+    const statuses = [];
+    for (const budget of budgets) {
+      // The daily burn-down is for the dashboard chart
+      const { burnDown, ...status } = await getBudgetStatus(budget, teams, currency, await getToday());
+      statuses.push(status);
+    }
+    const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    const alerts = await listBudgetAlerts({ teamId: scope ? scope.teamIds[0] : undefined, since });
+
+    const money = amount => formatWholeCurrency(amount, currency.code, currency.locale);
+    const lines = statuses.map(s =>
+      `${s.teamName} has spent ${money(s.spent)} of its ${money(s.amount)} ${s.period}ly budget for ${s.periodKey} (${s.percentUsed.toFixed(0)}%), on track for ${money(s.projectedSpend)}.`
+    );
+
+    return {
+      budgets: statuses,
+      alerts,
+      currency: currency.code,
+      summary: statuses.length > 0
+        ? lines.join(' ')
+        : `No meeting budget is set${scope ? ` for ${scope.label}` : ''}.`
+    };
+  } catch (error) {
+    console.error('Error in getTeamBudgets:', error);
+    return { error: error.message };
+  }
+}
+
+async function logMeeting({ payload, context }) {
+  const { title, date, startTime, durationMinutes, attendees, attendeeCount, meetingType, issueKeys, projectKey, team } = payload || {};
+
+  try {
+    const teams = await getTeams();
+    const meeting = await createMeeting({
+      title,
+      date,
+      startTime,
+      durationMinutes,
+      attendeeCount,
+      attendeeRoles: parseRoleList(attendees, await getRoleRates()),
+      meetingType,
+      issueKeys,
+      projectKeys: projectKey ? [projectKey] : [],
+      // Throws for a team that is not configured
+      teamIds: team ? resolveScope({ teamId: team }, teams).teamIds : []
+    }, context && context.accountId);
+
+    const currency = await getCurrency();
+    const [converted] = convertMeetingCosts([meeting], currency);
+    const attendeeTotal = meeting.attendeeRoles.length || meeting.attendeeCount;
+    return {
+      meeting: converted,
+      currency: currency.code,
+      summary: `Logged "${meeting.title}" on ${meeting.date}${meeting.startTime ? ` at ${meeting.startTime}` : ''}: ${meeting.durationMinutes} minutes with ${attendeeTotal} attendee${attendeeTotal === 1 ? '' : 's'}, costing ${formatWholeCurrency(converted.calculatedCost, currency.code, currency.locale)}.`
+    };
+  } catch (error) {
+    console.error('Error in logMeeting:', error);
+    return { error: error.message };
+  }
+}
+
+async function getTopMeetings({ payload }) {
+  const { dateRange, startDate, endDate, projectKey, team, groupBy = 'meeting', limit } = payload || {};
+
+  try {
+    if (!TOP_MEETING_GROUPINGS.includes(groupBy)) {
+      throw new Error(`Unknown grouping: ${groupBy} (expected ${TOP_MEETING_GROUPINGS.join(' or ')})`);
+    }
+    const period = resolveDateRange({ dateRange, startDate, endDate }, await getToday());
+    const scope = await getScope({ projectKey, teamId: team });
+    const currency = await getCurrency();
+    const meetings = await loadRangeMeetings(period, scope, currency);
+    const count = Math.min(Math.max(parseInt(limit) || DEFAULT_TOP_MEETINGS, 1), MAX_TOP_MEETINGS);
+    const money = amount => formatWholeCurrency(amount, currency.code, currency.locale);
+
+    let top;
+    if (groupBy === 'series') {
+      const series = await listSeries();
+      const bySeries = {};
+      meetings.filter(m => m.seriesId).forEach(m => {
+        const found = series.find(x => x.id === m.seriesId);
+        const entry = bySeries[m.seriesId] = bySeries[m.seriesId] || { seriesId: m.seriesId, title: found ? found.title : m.title, occurrences: 0, totalCost: 0, directCost: 0, hiddenCost: 0, totalHours: 0 };
+        entry.occurrences += 1;
+        entry.totalCost += m.calculatedCost || 0;
+        entry.directCost += splitCost(m).directCost;
+        entry.hiddenCost += splitCost(m).hiddenCost;
+        entry.totalHours += (m.durationMinutes || 0) / 60;
+      });
+      top = Object.values(bySeries).sort((a, b) => b.totalCost - a.totalCost).slice(0, count);
+    } else {
+      top = [...meetings]
+        .sort((a, b) => (b.calculatedCost || 0) - (a.calculatedCost || 0))
+        .slice(0, count)
+        .map(m => ({
+          id: m.id,
+          title: m.title,
+          date: m.date,
+          durationMinutes: m.durationMinutes,
+          attendees: (m.attendeeRoles || []).length || m.attendeeCount || 1,
+          meetingType: m.meetingType,
+          totalCost: m.calculatedCost || 0,
+          ...splitCost(m)
+        }));
+    }
+
+    const lines = top.map((t, i) => groupBy === 'series'
+      ? `${i + 1}. ${t.title}: ${money(t.totalCost)}${describeCostSplit(t, currency)} over ${t.occurrences} meetings`
+      : `${i + 1}. ${t.title} on ${t.date}: ${money(t.totalCost)}${describeCostSplit(t, currency)}`);
+    const what = groupBy === 'series' ? 'recurring series' : 'meetings';
+    return {
+      [groupBy === 'series' ? 'series' : 'meetings']: top,
+      groupBy,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      scope: scope ? scope.label : null,
+      currency: currency.code,
+      summary: top.length > 0
+        ? `The most expensive ${what} from ${period.startDate} to ${period.endDate}${scope ? ` for ${scope.label}` : ''}: ${lines.join('; ')}.`
+        : `No ${what} from ${period.startDate} to ${period.endDate}${scope ? ` for ${scope.label}` : ''}.`
+    };
+  } catch (error) {
+    console.error('Error in getTopMeetings:', error);
+    return { error: error.message };
+  }
+}
+
+async function compareMeetingCosts({ payload }) {
+  const {
+    dateRange, startDate, endDate, projectKey, team,
+    compareDateRange, compareStartDate, compareEndDate, compareProjectKey, compareTeam
+  } = payload || {};
+
+  try {
+    const today = await getToday();
+    const currency = await getCurrency();
+    const period = resolveDateRange({ dateRange, startDate, endDate }, today);
+    const scope = await getScope({ projectKey, teamId: team });
+    // Comparing teams keeps the period; otherwise the other side defaults to the previous period
+    const otherScopeGiven = Boolean(compareProjectKey || compareTeam);
+    const otherScope = otherScopeGiven ? await getScope({ projectKey: compareProjectKey, teamId: compareTeam }) : scope;
+    const otherPeriod = compareDateRange
+      ? resolveDateRange({ dateRange: compareDateRange, startDate: compareStartDate, endDate: compareEndDate }, today)
+      : otherScopeGiven ? period : { ...period.previous, label: 'Previous period' };
+
+    const firstMeetings = await loadRangeMeetings(period, scope, currency);
+    const secondMeetings = await loadRangeMeetings(otherPeriod, otherScope, currency);
+    const firstSummary = summarizeMeetings(firstMeetings);
+    const secondSummary = summarizeMeetings(secondMeetings);
+    const side = (range, sideScope, meetings, summary) => ({
+      label: `${sideScope ? sideScope.label : 'All teams'}, ${range.startDate} to ${range.endDate}`,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      scope: sideScope ? sideScope.label : null,
+      ...summary,
+      costByType: summarizeByType(meetings)
+    });
+    const first = side(period, scope, firstMeetings, firstSummary);
+    const second = side(otherPeriod, otherScope, secondMeetings, secondSummary);
+    // Only the headline metrics are compared, not the labels and breakdowns around them
+    const changes = comparePeriods(firstSummary, secondSummary);
+
+    const money = amount => formatWholeCurrency(amount, currency.code, currency.locale);
+    const change = changes.totalCost === null
+      ? `${second.label} had no meeting cost to compare with.`
+      : `That is ${Math.abs(changes.totalCost).toFixed(1)}% ${changes.totalCost >= 0 ? 'more' : 'less'}.`;
+    return {
+      first,
+      second,
+      changes,
+      currency: currency.code,
+      summary: [first, second].map(x =>
+        `${x.label}: ${money(x.totalCost)}${describeCostSplit(x, currency)} on ${x.meetingCount} meeting${x.meetingCount === 1 ? '' : 's'} (${x.totalHours.toFixed(1)} hours).`
+      ).concat(change).join(' ')
+    };
+  } catch (error) {
+    console.error('Error in compareMeetingCosts:', error);
+    return { error: error.message };
+  }
+}
+
+async function explainMeetingCost({ payload }) {
+  const { meetingId, title, date } = payload || {};
+
+  try {
+    const meeting = await findMeetingForAction({ meetingId, title, date });
+    const currency = await getCurrency();
+    const cost = calculateMeetingCost(meeting, await getRoleRates(), currency);
+    const money = amount => formatWholeCurrency(amount, currency.code, currency.locale);
+
+    // One line per role, however many attendees share it
+    const byRole = [];
+    cost.breakdown.forEach(item => {
+      const key = item.roleId || item.role;
+      const entry = byRole.find(r => r.key === key);
+      if (entry) {
+        entry.attendees += 1;
+        entry.directCost += item.directCost;
+        entry.hiddenCost += item.overheadCost + item.contextSwitchCost;
+        entry.cost += item.cost;
+      } else {
+        byRole.push({
+          key,
+          role: item.role,
+          attendees: item.attendeeCount || 1,
+          hourlyRate: item.hourlyRate,
+          loadedRate: item.loadedRate,
+          hours: item.hours,
+          directCost: item.directCost,
+          hiddenCost: item.overheadCost + item.contextSwitchCost,
+          cost: item.cost
+        });
+      }
+    });
+    const breakdown = byRole.map(({ key, ...r }) => r);
+    const lines = breakdown.map(r =>
+      `${r.attendees} × ${r.role} at ${formatCurrency(r.hourlyRate, currency.code, currency.locale)}/hour for ${r.hours.toFixed(2).replace(/\.?0+$/, '')}h = ${money(r.directCost)}`
+      + (r.hiddenCost > 0 ? ` + ${money(r.hiddenCost)} hidden` : '')
+    );
+    const hidden = [
+      cost.overheadCost > 0 ? `${money(cost.overheadCost)} of benefits and overhead` : null,
+      cost.contextSwitchCost > 0 ? `${money(cost.contextSwitchCost)} of context switching` : null
+    ].filter(Boolean);
+
+    return {
+      meeting: { id: meeting.id, title: meeting.title, date: meeting.date, durationMinutes: meeting.durationMinutes, meetingType: meeting.meetingType },
+      totalCost: cost.totalCost,
+      directCost: cost.directCost,
+      hiddenCost: cost.hiddenCost,
+      overheadCost: cost.overheadCost,
+      contextSwitchCost: cost.contextSwitchCost,
+      costPerHour: cost.costPerHour,
+      breakdown,
+      currency: currency.code,
+      summary: `"${meeting.title}" on ${meeting.date} cost ${money(cost.totalCost)} (${money(cost.costPerHour)} per hour): ${lines.length > 0 ? lines.join('; ') : 'no attendee has a configured rate'}.`
+        + (hidden.length > 0 ? ` The hidden cost is ${hidden.join(' and ')}.` : '')
+    };
+  } catch (error) {
+    console.error('Error in explainMeetingCost:', error);
+    return { error: error.message };
+  }
+}
+
+// ============================================
+// Scheduled and Event Triggers
+// ============================================
+
+// Runs daily and publishes once per week, as soon as the week is complete
+async function sendWeeklyDigest() {
+  try {
+    const config = await getDigestConfig();
+    if (!config.enabled) {
+      return;
+    }
+    const lastSent = await storage.get('digest:lastSent');
+    const today = await getToday();
+    if (lastSent && lastSent.weekStart === digestWeek(today).weekStart) {
+      return;
+    }
+    const sent = await publishDigest(config, await buildWeeklyDigest(config, today));
+    console.log(`Published the meeting digest for the week of ${sent.weekStart} to ${sent.target}`);
+  } catch (error) {
+    console.error('Error sending weekly digest:', error);
+  }
+}
+
+async function evaluateBudgetAlerts() {
+  try {
+    const teams = await getTeams();
+    const currency = await getCurrency();
+    const today = await getToday();
+    let recorded = 0;
+    for (const budget of await getBudgets(teams)) {
+      const alerts = await recordBudgetAlerts(await getBudgetStatus(budget, teams, currency, today));
+      recorded += alerts.length;
+    }
+    console.log(`Recorded ${recorded} budget alerts`);
+  } catch (error) {
+    console.error('Error evaluating budget alerts:', error);
+  }
+}
+
+async function generateSeriesOccurrences() {
+  try {
+    const roleRates = await getRoleRates();
+    const generated = await generateAllOccurrences(roleRates, await getCurrency(), await getTimeZone());
+    console.log(`Generated ${generated} recurring meeting occurrences`);
+  } catch (error) {
+    console.error('Error generating series occurrences:', error);
+  }
+}
+
+async function onSprintClosed(event) {
+  const sprint = event && event.sprint;
+
+  try {
+    if (!sprint || !sprint.originBoardId) {
+      console.warn('Sprint closed event without a board, skipping snapshot');
+      return;
+    }
+
+    const scope = await getBoardScope(sprint.originBoardId);
+    await captureSprintSnapshot(sprint.originBoardId, sprint, { scope, currency: await getCurrency() });
+  } catch (error) {
+    console.error('Error capturing sprint snapshot:', error);
   }
 }
 
-// Export resolver and Rovo actions
+// Export resolver, Rovo actions and triggers
 exports.resolver = resolver.getDefinitions();
 exports.getMeetingCostSummary = getMeetingCostSummary;
 exports.getVelocityCorrelation = getVelocityCorrelation;
 exports.suggestOptimizations = suggestOptimizations;
+exports.getTeamBudgets = getTeamBudgets;
+exports.logMeeting = logMeeting;
+exports.getTopMeetings = getTopMeetings;
+exports.compareMeetingCosts = compareMeetingCosts;
+exports.explainMeetingCost = explainMeetingCost;
+exports.evaluateBudgetAlerts = evaluateBudgetAlerts;
+exports.sendWeeklyDigest = sendWeeklyDigest;
+exports.onSprintClosed = onSprintClosed;
+exports.generateSeriesOccurrences = generateSeriesOccurrences;
@@ -0,0 +1,197 @@
+/**
+ * Team Meeting Budgets
+ * Each team can have a monthly or quarterly meeting-cost budget in the
+ * reporting currency. Spend is tracked against it per period and an alert
+ * is recorded once per threshold and period:
+ *
+ *   budget-alert:<teamId>:<periodKey>:<threshold>
+ */
+
+const { storage } = require('@forge/api');
+const { queryByPrefix } = require('./storage-query');
+const { loadMeetings } = require('./meeting-store');
+const { resolveScope, filterByScope } = require('./scope');
+const { convertMeetingCosts } = require('./currency');
+const { periodKey, periodBounds } = require('./periods');
+const { DAY_MS, parseDay, toDay, addDays, daysBetween } = require('./dates');
+
+const KEY_PREFIX = 'budget-alert:';
+const BUDGET_PERIODS = ['month', 'quarter'];
+const DEFAULT_THRESHOLDS = [80, 100];
+
+/**
+ * The budget period containing a date, as the cost trend buckets it
+ * @param {string} period - 'month' or 'quarter'
+ * @param {Date} date - Any day in the period
+ * @returns {Object} { periodKey, startDate, endDate } with inclusive YYYY-MM-DD bounds
+ */
+function budgetPeriod(period, date = new Date()) {
+    const day = toDay(date);
+    return { periodKey: periodKey(day, period), ...periodBounds(day, period) };
+}
+
+/**
+ * Validate the budgets entered by an admin
+ * @param {Array} budgets - { teamId, period, amount, thresholds }
+ * @param {Array} teams - Configured teams
+ * @returns {Array} Normalized budgets, one per team
+ * @throws {Error} On an unknown team, a second budget for a team, or a bad amount or threshold
+ */
+function normalizeBudgets(budgets = [], teams = []) {
+    const seen = new Set();
+    return budgets.map(budget => {
+        const team = teams.find(t => t.teamId === budget.teamId);
+        if (!team) {
+            throw new Error(`Unknown team: ${budget.teamId}`);
+        }
+        if (seen.has(team.teamId)) {
+            throw new Error(`${team.name} already has a budget`);
+        }
+        seen.add(team.teamId);
+
+        if (!BUDGET_PERIODS.includes(budget.period)) {
+            throw new Error(`Invalid budget period for ${team.name}: ${budget.period}`);
+        }
+        const amount = Number(budget.amount);
+        if (!(amount > 0)) {
+            throw new Error(`Invalid budget amount for ${team.name}: ${budget.amount}`);
+        }
+
+        const thresholds = (budget.thresholds && budget.thresholds.length > 0 ? budget.thresholds : DEFAULT_THRESHOLDS)
+            .map(Number);
+        thresholds.forEach(t => {
+            if (!Number.isInteger(t) || t <= 0 || t > 1000) {
+                throw new Error(`Invalid alert threshold for ${team.name}: ${t} (expected a percentage)`);
+            }
+        });
+
+        return {
+            teamId: team.teamId,
+            period: budget.period,
+            amount,
+            thresholds: [...new Set(thresholds)].sort((a, b) => a - b)
+        };
+    });
+}
+
+/**
+ * Measure spend in the current period against a budget
+ * @param {Object} budget - Normalized budget
+ * @param {Array} meetings - The team's meetings in the period, costed in the reporting currency
+ * @param {Date} today - Evaluation date
+ * @returns {Object} Status with spend, projection, crossed thresholds and a daily burn-down
+ */
+function evaluateBudget(budget, meetings, today = new Date()) {
+    const { periodKey: key, startDate, endDate } = budgetPeriod(budget.period, today);
+    const totalDays = daysBetween(startDate, endDate);
+    const elapsedDays = Math.min(totalDays, Math.floor((today - parseDay(startDate)) / DAY_MS) + 1);
+
+    const spendByDay = {};
+    meetings.forEach(m => {
+        spendByDay[m.date] = (spendByDay[m.date] || 0) + (m.calculatedCost || 0);
+    });
+
+    // Remaining budget at the end of each day so far, against an even burn
+    const burnDown = [];
+    let spent = 0;
+    for (let i = 0; i < elapsedDays; i++) {
+        const date = addDays(startDate, i);
+        spent += spendByDay[date] || 0;
+        burnDown.push({
+            date,
+            remaining: budget.amount - spent,
+            ideal: budget.amount * (1 - (i + 1) / totalDays)
+        });
+    }
+
+    const percentUsed = (spent / budget.amount) * 100;
+    return {
+        teamId: budget.teamId,
+        period: budget.period,
+        periodKey: key,
+        startDate,
+        endDate,
+        amount: budget.amount,
+        spent,
+        remaining: budget.amount - spent,
+        percentUsed,
+        // Straight-line projection of the spend so far
+        projectedSpend: elapsedDays > 0 ? (spent / elapsedDays) * totalDays : 0,
+        thresholds: budget.thresholds,
+        crossedThresholds: budget.thresholds.filter(t => percentUsed >= t),
+        burnDown
+    };
+}
+
+/**
+ * Evaluate a team's budget for the period containing `today`
+ * @param {Object} budget - Normalized budget
+ * @param {Array} teams - Configured teams
+ * @param {Object} currency - Reporting currency ({ code, exchangeRates })
+ */
+async function getBudgetStatus(budget, teams, currency, today = new Date()) {
+    const { startDate, endDate } = budgetPeriod(budget.period, today);
+    const scope = resolveScope({ teamId: budget.teamId }, teams);
+    const meetings = convertMeetingCosts(filterByScope(await loadMeetings({ startDate, endDate }), scope), currency);
+    return {
+        ...evaluateBudget(budget, meetings, today),
+        teamName: scope.label
+    };
+}
+
+function alertKey(teamId, periodKey, threshold) {
+    return `${KEY_PREFIX}${teamId}:${periodKey}:${threshold}`;
+}
+
+/**
+ * Record an alert for each threshold the status has crossed that has no
+ * alert yet this period
+ * @param {Object} status - Result of getBudgetStatus
+ * @returns {Array} Newly recorded alerts
+ */
+async function recordBudgetAlerts(status) {
+    const recorded = [];
+    for (const threshold of status.crossedThresholds) {
+        const key = alertKey(status.teamId, status.periodKey, threshold);
+        if (await storage.get(key)) {
+            continue;
+        }
+        const alert = {
+            teamId: status.teamId,
+            teamName: status.teamName,
+            period: status.period,
+            periodKey: status.periodKey,
+            threshold,
+            amount: status.amount,
+            spent: status.spent,
+            percentUsed: status.percentUsed,
+            triggeredAt: new Date().toISOString()
+        };
+        await storage.set(key, alert);
+        recorded.push(alert);
+    }
+    return recorded;
+}
+
+/**
+ * List recorded alerts, newest first
+ * @param {Object} filter - { teamId, since: ISO timestamp }
+ */
+async function listBudgetAlerts({ teamId, since } = {}) {
+    const entries = await queryByPrefix(teamId ? `${KEY_PREFIX}${teamId}:` : KEY_PREFIX);
+    return entries
+        .map(entry => entry.value)
+        .filter(alert => !since || alert.triggeredAt >= since)
+        .sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt));
+}
+
+module.exports = {
+    BUDGET_PERIODS,
+    DEFAULT_THRESHOLDS,
+    budgetPeriod,
+    normalizeBudgets,
+    evaluateBudget,
+    getBudgetStatus,
+    recordBudgetAlerts,
+    listBudgetAlerts
+};
@@ -3,16 +3,29 @@
  * Calculates meeting costs based on attendee roles and hourly rates
  */
 
+const { convertRoleRates, DEFAULT_CURRENCY, DEFAULT_LOCALE } = require('./currency');
+const { ratesInEffect } = require('./rate-versions');
+const { dayInTimeZone, periodKey, periodLabel, periodBounds, listPeriods } = require('./periods');
+const { summarizeByType } = require('./meeting-types');
+
 /**
- * Calculate the total cost of a meeting
+ * Calculate the fully loaded cost of a meeting. Its direct cost is the time
+ * in the meeting at each attendee's hourly rate; its hidden cost is what the
+ * benefits and overhead multipliers add to that rate, plus the
+ * context-switching time before and after the meeting at the loaded rate.
  * @param {Object} meeting - Meeting details
- * @param {Array} roleRates - Array of role hourly rates
- * @returns {Object} Cost breakdown
+ * @param {Array} roleRates - Array of role hourly rates; dated rates (see rate-versions.js) are
+ *   narrowed to those in effect on the meeting date
+ * @param {Object} currency - Optional { code, locale, exchangeRates }; rates are converted into
+ *   this currency as of the meeting date
+ * @returns {Object} Cost breakdown; totalCost is directCost plus hiddenCost, and hiddenCost is
+ *   overheadCost plus contextSwitchCost
  */
-function calculateMeetingCost(meeting, roleRates) {
+function calculateMeetingCost(meeting, roleRates, currency) {
     const { durationMinutes, attendeeRoles, attendeeCount } = meeting;
+    roleRates = convertRoleRates(ratesInEffect(roleRates, meeting.date), currency, meeting.date);
+    const hours = durationMinutes / 60;
 
-    let totalCost = 0;
     const breakdown = [];
 
     // Parse attendee roles if it's a string
@@ -28,90 +41,176 @@ function calculateMeetingCost(meeting, roleRates) {
         for (const roleId of roles) {
             const rate = roleRates.find(r => r.roleId === roleId);
             if (rate) {
-                const cost = (durationMinutes / 60) * rate.hourlyRate;
-                totalCost += cost;
                 breakdown.push({
                     role: rate.roleName,
                     roleId: rate.roleId,
                     hourlyRate: rate.hourlyRate,
-                    hours: durationMinutes / 60,
-                    cost
+                    loadedRate: loadedRate(rate),
+                    hours,
+                    ...attendeeCost(hours, rate.hourlyRate, loadedRate(rate), switchHours(rate), 1)
                 });
             }
         }
     } else if (attendeeCount) {
         // Fallback: use average rate if no specific roles provided
-        const avgRate = roleRates.reduce((sum, r) => sum + r.hourlyRate, 0) / roleRates.length;
-        totalCost = (durationMinutes / 60) * avgRate * attendeeCount;
+        const average = fn => roleRates.reduce((sum, r) => sum + fn(r), 0) / roleRates.length;
+        const avgRate = average(r => r.hourlyRate);
+        const avgLoadedRate = average(loadedRate);
         breakdown.push({
             role: 'Average (estimated)',
             hourlyRate: avgRate,
+            loadedRate: avgLoadedRate,
             attendeeCount,
-            hours: durationMinutes / 60,
-            cost: totalCost
+            hours,
+            ...attendeeCost(hours, avgRate, avgLoadedRate, average(switchHours), attendeeCount)
         });
     }
 
+    const sum = field => breakdown.reduce((total, entry) => total + entry[field], 0);
+    const totalCost = sum('cost');
+    const overheadCost = sum('overheadCost');
+    const contextSwitchCost = sum('contextSwitchCost');
+
     return {
         totalCost,
+        directCost: sum('directCost'),
+        hiddenCost: overheadCost + contextSwitchCost,
+        overheadCost,
+        contextSwitchCost,
         breakdown,
         costPerMinute: durationMinutes > 0 ? totalCost / durationMinutes : 0,
-        costPerHour: totalCost / (durationMinutes / 60 || 1),
-        formattedCost: formatCurrency(totalCost)
+        costPerHour: totalCost / (hours || 1),
+        formattedCost: currency ? formatCurrency(totalCost, currency.code, currency.locale) : formatCurrency(totalCost)
     };
 }
 
+// Hourly rate with benefits and overhead
+function loadedRate(rate) {
+    return rate.hourlyRate * (rate.benefitsMultiplier || 1) * (rate.overheadMultiplier || 1);
+}
+
+// Hours an attendee loses switching context around a meeting
+function switchHours(rate) {
+    const { beforeMinutes = 0, afterMinutes = 0 } = rate.contextSwitch || {};
+    return (beforeMinutes + afterMinutes) / 60;
+}
+
+function attendeeCost(hours, hourlyRate, loaded, switched, attendees) {
+    const directCost = hours * hourlyRate * attendees;
+    const overheadCost = hours * (loaded - hourlyRate) * attendees;
+    const contextSwitchCost = switched * loaded * attendees;
+    return { directCost, overheadCost, contextSwitchCost, cost: directCost + overheadCost + contextSwitchCost };
+}
+
 /**
- * Calculate meeting cost trends over time
- * @param {Array} meetings - Array of meetings
- * @param {string} groupBy - 'day', 'week', 'month'
- * @returns {Array} Trend data for charting
+ * Cost fields stored on a meeting: its fully loaded cost and the direct and hidden parts of it
+ * @returns {Object} { calculatedCost, directCost, hiddenCost }
  */
-function calculateCostTrends(meetings, groupBy = 'week') {
-    if (!meetings || meetings.length === 0) {
-        return [];
+function meetingCostFields(meeting, roleRates, currency) {
+    const { totalCost, directCost, hiddenCost } = calculateMeetingCost(meeting, roleRates, currency);
+    return { calculatedCost: totalCost, directCost, hiddenCost };
+}
+
+/**
+ * Direct and hidden part of a meeting's stored cost. Meetings costed before
+ * the cost was fully loaded only have a direct cost.
+ */
+function splitCost(meeting) {
+    if (typeof meeting.hiddenCost !== 'number') {
+        return { directCost: meeting.calculatedCost || 0, hiddenCost: 0 };
     }
+    return { directCost: meeting.directCost, hiddenCost: meeting.hiddenCost };
+}
 
-    const grouped = groupMeetingsByPeriod(meetings, groupBy);
+/**
+ * Headline totals for a set of meetings
+ * @returns {Object} { totalCost, directCost, hiddenCost, totalHours, meetingCount, costPerHour, avgCostPerMeeting }
+ */
+function summarizeMeetings(meetings) {
+    const totalCost = meetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
+    const totalHours = meetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60;
+    return {
+        totalCost,
+        directCost: meetings.reduce((sum, m) => sum + splitCost(m).directCost, 0),
+        hiddenCost: meetings.reduce((sum, m) => sum + splitCost(m).hiddenCost, 0),
+        totalHours,
+        meetingCount: meetings.length,
+        costPerHour: totalHours > 0 ? totalCost / totalHours : 0,
+        avgCostPerMeeting: meetings.length > 0 ? totalCost / meetings.length : 0
+    };
+}
 
-    return Object.entries(grouped)
-        .map(([period, periodMeetings]) => ({
+/**
+ * Percentage change of every metric from a previous period
+ * @param {Object} current - summarizeMeetings result for the period
+ * @param {Object} previous - summarizeMeetings result for the period before
+ * @returns {Object} Metric -> percentage change, or null when the previous value is zero
+ */
+function comparePeriods(current, previous) {
+    const changes = {};
+    Object.keys(current).forEach(metric => {
+        changes[metric] = previous[metric] > 0
+            ? ((current[metric] - previous[metric]) / previous[metric]) * 100
+            : null;
+    });
+    return changes;
+}
+
+/**
+ * Calculate meeting cost trends over time
+ * @param {Array} meetings - Array of meetings
+ * @param {string} groupBy - 'day', 'week' (ISO 8601), 'month', 'quarter' or 'sprint'
+ * @param {Object} options - { sprints, timeZone, range }; sprints (oldest first) are required for
+ *   'sprint', and a range ({ startDate, endDate }) lists its periods without meetings too
+ * @returns {Array} Trend data for charting, oldest period first, each period with its key and
+ *   display label, its first and last day, its direct and hidden cost, and its cost and hours by meeting type
+ */
+function calculateCostTrends(meetings, groupBy = 'week', options = {}) {
+    const grouped = groupMeetingsByPeriod(meetings || [], groupBy, options);
+    const periods = options.range
+        ? listPeriods(options.range.startDate, options.range.endDate, groupBy, options)
+        : Object.entries(grouped).map(([period, periodMeetings]) => ({
             period,
-            totalCost: periodMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0),
-            meetingCount: periodMeetings.length,
-            totalHours: periodMeetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60,
-            avgCostPerMeeting: periodMeetings.length > 0
-                ? periodMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0) / periodMeetings.length
-                : 0
-        }))
-        .sort((a, b) => a.period.localeCompare(b.period));
+            ...periodBounds(dayInTimeZone(periodMeetings[0].date, options.timeZone), groupBy, options)
+        }));
+
+    return periods
+        .map(({ period, startDate, endDate }) => {
+            const periodMeetings = grouped[period] || [];
+            const totalCost = periodMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
+            return {
+                period,
+                label: periodLabel(period, groupBy, options),
+                startDate,
+                endDate,
+                totalCost,
+                directCost: periodMeetings.reduce((sum, m) => sum + splitCost(m).directCost, 0),
+                hiddenCost: periodMeetings.reduce((sum, m) => sum + splitCost(m).hiddenCost, 0),
+                meetingCount: periodMeetings.length,
+                totalHours: periodMeetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60,
+                avgCostPerMeeting: periodMeetings.length > 0 ? totalCost / periodMeetings.length : 0,
+                costByType: summarizeByType(periodMeetings)
+            };
+        })
+        // Sprint ids do not sort by date, so periods sort by their first day
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
 }
 
 /**
- * Group meetings by time period
+ * Group meetings by time period. Meetings outside every sprint are left out
+ * of a sprint grouping.
+ * @param {Array} meetings - Array of meetings
+ * @param {string} groupBy - 'day', 'week' (ISO 8601), 'month', 'quarter' or 'sprint'
+ * @param {Object} options - { sprints, timeZone }, see periodKey
+ * @returns {Object} Period key -> meetings
  */
-function groupMeetingsByPeriod(meetings, groupBy) {
+function groupMeetingsByPeriod(meetings, groupBy, options = {}) {
     const grouped = {};
 
     meetings.forEach(meeting => {
-        const date = new Date(meeting.date);
-        let key;
-
-        switch (groupBy) {
-            case 'day':
-                key = date.toISOString().split('T')[0];
-                break;
-            case 'week':
-                // Get ISO week
-                const startOfYear = new Date(date.getFullYear(), 0, 1);
-                const weekNum = Math.ceil(((date - startOfYear) / 86400000 + startOfYear.getDay() + 1) / 7);
-                key = `${date.getFullYear()}-W${String(weekNum).padStart(2, '0')}`;
-                break;
-            case 'month':
-                key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                break;
-            default:
-                key = date.toISOString().split('T')[0];
+        const key = periodKey(dayInTimeZone(meeting.date, options.timeZone), groupBy, options);
+        if (key === null) {
+            return;
         }
 
         if (!grouped[key]) {
@@ -149,36 +248,36 @@ function calculateEfficiencyScore(sprintSnapshots) {
 }
 
 /**
- * Calculate cost savings potential
+ * Format currency
  */
-function calculateSavingsPotential(meetings, targetReduction = 0.2) {
-    const totalCost = meetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
-    const totalHours = meetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60;
-
-    return {
-        currentMonthlyCost: totalCost,
-        currentMonthlyHours: totalHours,
-        potentialSavings: totalCost * targetReduction,
-        potentialHoursSaved: totalHours * targetReduction,
-        targetReductionPercent: targetReduction * 100
-    };
+function formatCurrency(amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currency
+    }).format(amount);
 }
 
 /**
- * Format currency
+ * Format currency rounded to whole units, for summaries
  */
-function formatCurrency(amount, currency = 'USD') {
-    return new Intl.NumberFormat('en-US', {
+function formatWholeCurrency(amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+    return new Intl.NumberFormat(locale, {
         style: 'currency',
-        currency: currency
+        currency: currency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
     }).format(amount);
 }
 
 module.exports = {
     calculateMeetingCost,
+    meetingCostFields,
+    splitCost,
+    summarizeMeetings,
+    comparePeriods,
     calculateCostTrends,
     calculateEfficiencyScore,
-    calculateSavingsPotential,
     groupMeetingsByPeriod,
-    formatCurrency
+    formatCurrency,
+    formatWholeCurrency
 };
@@ -0,0 +1,89 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and serialization
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {Array} Rows, each an array of strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    // Spreadsheets run text starting with these as a formula; a leading quote keeps it text
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows into CSV text
+ * @param {Array} header - Column titles
+ * @param {Array} rows - Rows, each an array of values
+ * @returns {string} CSV content with CRLF line endings
+ */
+function toCsv(header, rows) {
+    return [header, ...rows]
+        .map(row => row.map(escapeField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
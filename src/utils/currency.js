@@ -0,0 +1,155 @@
+/**
+ * Currency Conversion
+ * Role rates are entered in their own currency and converted into the
+ * reporting currency through an admin-managed exchange-rate table
+ */
+
+const { toDay, isDay } = require('./dates');
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Validate and normalize a currency code
+ * @throws {Error} When the code is not a three-letter ISO 4217 code
+ */
+function normalizeCurrency(code) {
+    const value = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(value)) {
+        throw new Error(`Invalid currency code: ${code}`);
+    }
+    return value;
+}
+
+/**
+ * Find the exchange rate in effect on a date
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {string|Date} date - Day the amount applies to
+ * @param {Array} exchangeRates - Entries ({ from, to, rate, effectiveDate })
+ * @returns {number} Units of `to` per unit of `from`
+ * @throws {Error} When no rate for the pair is in effect on that date
+ */
+function getExchangeRate(from, to, date, exchangeRates = []) {
+    if (from === to) {
+        return 1;
+    }
+
+    const day = toDay(date);
+    const entry = findExchangeRate(from, to, day, exchangeRates);
+    if (!entry) {
+        throw new Error(`No exchange rate from ${from} to ${to} in effect on ${day}`);
+    }
+    return entry.from === from ? entry.rate : 1 / entry.rate;
+}
+
+// The latest entry on or before the day wins; a rate entered the other way round counts too
+function findExchangeRate(from, to, day, exchangeRates) {
+    return exchangeRates
+        .filter(r => r.effectiveDate <= day)
+        .filter(r => (r.from === from && r.to === to) || (r.from === to && r.to === from))
+        .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0];
+}
+
+/**
+ * Stored currencies that cannot be converted into a reporting currency. A
+ * rate in effect on the first day a currency is used covers every later day.
+ * @param {string} code - Reporting currency
+ * @param {Object} firstUse - Currency -> first day (YYYY-MM-DD) an amount in it is converted at
+ * @param {Array} exchangeRates - Entries ({ from, to, rate, effectiveDate })
+ * @returns {Array} { currency, date } for each currency without a rate in effect on its first day
+ */
+function findMissingExchangeRates(code, firstUse, exchangeRates = []) {
+    return Object.entries(firstUse)
+        .filter(([currency, date]) => currency !== code && !findExchangeRate(currency, code, date, exchangeRates))
+        .map(([currency, date]) => ({ currency, date }))
+        .sort((a, b) => a.currency.localeCompare(b.currency));
+}
+
+function convertAmount(amount, from, to, date, exchangeRates) {
+    return amount * getExchangeRate(from, to, date, exchangeRates);
+}
+
+/**
+ * Express role rates in the reporting currency as of a date
+ * @param {Array} roleRates - Role rates, each in its own `currency`
+ * @param {Object} currency - { code, exchangeRates }
+ * @param {string|Date} date - Day the rates apply to
+ * @returns {Array} Role rates with `hourlyRate` converted and `currency` set to the reporting currency
+ */
+function convertRoleRates(roleRates, currency, date) {
+    if (!currency) {
+        return roleRates;
+    }
+    return roleRates.map(rate => {
+        const from = rate.currency || currency.code;
+        return {
+            ...rate,
+            hourlyRate: convertAmount(rate.hourlyRate, from, currency.code, date, currency.exchangeRates),
+            currency: currency.code
+        };
+    });
+}
+
+/**
+ * Express stored meeting costs in the reporting currency. Costs are converted
+ * at the rate in effect on the meeting date; meetings logged before costs
+ * carried a currency are taken to be in the reporting currency already.
+ * @param {Array} meetings - Meetings with `calculatedCost` (and its `directCost` and `hiddenCost`)
+ *   in their own `currency`
+ * @param {Object} currency - { code, exchangeRates }
+ */
+function convertMeetingCosts(meetings, currency) {
+    return meetings.map(meeting => {
+        if (!meeting.currency || meeting.currency === currency.code) {
+            return meeting;
+        }
+        const convert = amount => convertAmount(amount || 0, meeting.currency, currency.code, meeting.date, currency.exchangeRates);
+        return {
+            ...meeting,
+            calculatedCost: convert(meeting.calculatedCost),
+            // Only fully loaded costs carry the split
+            ...(typeof meeting.hiddenCost === 'number'
+                ? { directCost: convert(meeting.directCost), hiddenCost: convert(meeting.hiddenCost) }
+                : {}),
+            currency: currency.code
+        };
+    });
+}
+
+/**
+ * Validate an exchange-rate table entered by an admin
+ * @returns {Array} Normalized entries, newest first
+ * @throws {Error} On a malformed entry
+ */
+function normalizeExchangeRates(entries = []) {
+    return entries
+        .map(entry => {
+            const from = normalizeCurrency(entry.from);
+            const to = normalizeCurrency(entry.to);
+            const rate = Number(entry.rate);
+            if (from === to) {
+                throw new Error(`Exchange rate from ${from} to itself`);
+            }
+            if (!(rate > 0)) {
+                throw new Error(`Invalid exchange rate for ${from} to ${to}: ${entry.rate}`);
+            }
+            if (!isDay(entry.effectiveDate)) {
+                throw new Error(`Invalid effective date for ${from} to ${to}: ${entry.effectiveDate || ''}`);
+            }
+            return { from, to, rate, effectiveDate: entry.effectiveDate };
+        })
+        .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate));
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    DEFAULT_LOCALE,
+    normalizeCurrency,
+    getExchangeRate,
+    findMissingExchangeRates,
+    convertAmount,
+    convertRoleRates,
+    convertMeetingCosts,
+    normalizeExchangeRates
+};
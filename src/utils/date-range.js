@@ -0,0 +1,106 @@
+/**
+ * Date Ranges
+ * Turns a preset or custom range into concrete dates, plus the previous
+ * equivalent period to compare against. All dates are inclusive YYYY-MM-DD.
+ */
+
+const { parseDay, toDay, addDays, daysBetween, isDay } = require('./dates');
+
+// Rolling windows end today; calendar presets follow month, quarter and year boundaries
+const DATE_RANGE_PRESETS = {
+    'last-7-days': { label: 'Last 7 days', days: 7 },
+    'last-30-days': { label: 'Last 30 days', days: 30 },
+    'last-90-days': { label: 'Last 90 days', days: 90 },
+    'this-month': { label: 'This month', unit: 'month', offset: 0 },
+    'previous-month': { label: 'Last month', unit: 'month', offset: -1 },
+    'this-quarter': { label: 'This quarter', unit: 'quarter', offset: 0 },
+    'previous-quarter': { label: 'Last quarter', unit: 'quarter', offset: -1 },
+    'year-to-date': { label: 'Year to date', unit: 'year', offset: 0 }
+};
+
+// Older clients and Rovo prompts use these names for the rolling windows
+const LEGACY_PRESETS = {
+    'last-week': 'last-7-days',
+    'last-month': 'last-30-days',
+    'last-quarter': 'last-90-days'
+};
+
+const UNIT_MONTHS = { month: 1, quarter: 3, year: 12 };
+
+// First day of the month, quarter or year containing a day, moved by `offset` units
+function unitStart(day, unit, offset) {
+    const date = parseDay(day);
+    const months = UNIT_MONTHS[unit];
+    const month = Math.floor(date.getUTCMonth() / months) * months + offset * months;
+    return toDay(new Date(Date.UTC(date.getUTCFullYear(), month, 1)));
+}
+
+/**
+ * Resolve a date range request
+ * @param {Object} request - { dateRange: preset id or 'custom', startDate, endDate } (dates only for custom)
+ * @param {Date} today - Reference date
+ * @returns {Object} { dateRange, label, startDate, endDate, previous: { startDate, endDate } }
+ * @throws {Error} On an unknown preset or invalid custom dates
+ */
+function resolveDateRange({ dateRange = 'last-30-days', startDate, endDate } = {}, today = new Date()) {
+    const day = toDay(today);
+    const id = LEGACY_PRESETS[dateRange] || dateRange;
+
+    if (id === 'custom') {
+        if (!isDay(startDate) || !isDay(endDate)) {
+            throw new Error(`Invalid custom range: ${startDate || ''} to ${endDate || ''} (expected YYYY-MM-DD)`);
+        }
+        if (startDate > endDate) {
+            throw new Error('The start date must be on or before the end date');
+        }
+        const days = daysBetween(startDate, endDate);
+        return {
+            dateRange: id,
+            label: `${startDate} to ${endDate}`,
+            startDate,
+            endDate,
+            previous: { startDate: addDays(startDate, -days), endDate: addDays(startDate, -1) }
+        };
+    }
+
+    const preset = DATE_RANGE_PRESETS[id];
+    if (!preset) {
+        throw new Error(`Unknown date range: ${dateRange}`);
+    }
+
+    if (preset.days) {
+        const start = addDays(day, -(preset.days - 1));
+        return {
+            dateRange: id,
+            label: preset.label,
+            startDate: start,
+            endDate: day,
+            previous: { startDate: addDays(start, -preset.days), endDate: addDays(start, -1) }
+        };
+    }
+
+    const start = unitStart(day, preset.unit, preset.offset);
+    const unitEnd = addDays(unitStart(start, preset.unit, 1), -1);
+    // A period still in progress ends today, and is compared with the same stretch of the period before
+    const complete = unitEnd < day;
+    const end = complete ? unitEnd : day;
+    const previousStart = unitStart(start, preset.unit, -1);
+    const previousUnitEnd = addDays(start, -1);
+    const previousEnd = addDays(previousStart, daysBetween(start, end) - 1);
+
+    return {
+        dateRange: id,
+        label: preset.label,
+        startDate: start,
+        endDate: end,
+        previous: {
+            startDate: previousStart,
+            endDate: complete || previousEnd > previousUnitEnd ? previousUnitEnd : previousEnd
+        }
+    };
+}
+
+module.exports = {
+    DATE_RANGE_PRESETS,
+    resolveDateRange
+};
@@ -0,0 +1,59 @@
+/**
+ * Calendar Days
+ * Meeting dates are calendar days (YYYY-MM-DD). Day arithmetic is done on
+ * midnight UTC of each day, so the server's timezone never moves a date.
+ * Which day "today" is in the org timezone is decided by periods.js.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of a calendar day
+ */
+function parseDay(day) {
+    return new Date(`${day}T00:00:00Z`);
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a date or timestamp, read in UTC. Plain days
+ * are returned unchanged; without a value, the current UTC day.
+ */
+function toDay(value = new Date()) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value;
+    }
+    return new Date(value).toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+    return toDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+}
+
+/**
+ * Number of days from one day to another, both included
+ */
+function daysBetween(startDate, endDate) {
+    return Math.round((parseDay(endDate) - parseDay(startDate)) / DAY_MS) + 1;
+}
+
+/**
+ * Whether a value is a real YYYY-MM-DD day. Date parsing rolls impossible
+ * days like 2026-02-30 over into the next month, so the day must survive
+ * the round trip unchanged.
+ */
+function isDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = parseDay(value);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+    DAY_MS,
+    parseDay,
+    toDay,
+    addDays,
+    daysBetween,
+    isDay
+};
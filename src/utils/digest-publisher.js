@@ -0,0 +1,100 @@
+/**
+ * Digest Publisher
+ * Writes a rendered digest to a child page of a Confluence page or a Jira
+ * issue comment
+ */
+
+const { asApp, route } = require('@forge/api');
+
+async function readJson(response, what) {
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`${what} failed (${response.status}): ${text}`);
+    }
+    return response.json();
+}
+
+async function writeConfluencePage(path, method, body, what) {
+    const response = await asApp().requestConfluence(path, {
+        method,
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return readJson(response, what);
+}
+
+/**
+ * Publish a digest as a child page of a Confluence page. Each digest gets its
+ * own page, so the parent page is never overwritten; publishing the same
+ * title again updates that child page.
+ * @param {string} parentId - Id of the Confluence page to publish under
+ * @param {string} title - Child page title, unique per digest
+ * @param {string} storage - Page body in storage format
+ * @returns {Object} { parentPageId, pageId, title, version }
+ * @throws {Error} When a page with the title exists elsewhere in the space
+ */
+async function publishToConfluencePage(parentId, title, storage) {
+    const parent = await readJson(
+        await asApp().requestConfluence(route`/wiki/rest/api/content/${parentId}?expand=space`, {
+            headers: { Accept: 'application/json' }
+        }),
+        `Reading Confluence page ${parentId}`
+    );
+
+    // Page titles are unique within a space
+    const { results } = await readJson(
+        await asApp().requestConfluence(route`/wiki/rest/api/content?spaceKey=${parent.space.key}&title=${title}&type=page&expand=version,ancestors`, {
+            headers: { Accept: 'application/json' }
+        }),
+        `Looking up Confluence page "${title}"`
+    );
+    const existing = results[0];
+    const body = { storage: { value: storage, representation: 'storage' } };
+
+    if (!existing) {
+        const created = await writeConfluencePage(route`/wiki/rest/api/content`, 'POST', {
+            type: 'page',
+            title,
+            space: { key: parent.space.key },
+            ancestors: [{ id: parent.id }],
+            body
+        }, `Creating Confluence page "${title}"`);
+        return { parentPageId: parent.id, pageId: created.id, title, version: created.version.number };
+    }
+
+    const ancestors = existing.ancestors || [];
+    if (ancestors.length === 0 || ancestors[ancestors.length - 1].id !== parent.id) {
+        throw new Error(`A page titled "${title}" already exists elsewhere in space ${parent.space.key}`);
+    }
+    const updated = await writeConfluencePage(route`/wiki/rest/api/content/${existing.id}`, 'PUT', {
+        type: 'page',
+        title,
+        version: { number: existing.version.number + 1, message: 'Weekly meeting-cost digest' },
+        body
+    }, `Updating Confluence page ${existing.id}`);
+    return { parentPageId: parent.id, pageId: existing.id, title, version: updated.version.number };
+}
+
+/**
+ * Add a comment to a Jira issue
+ * @param {string} issueKey - Issue key
+ * @param {Object} adf - Comment body in Atlassian Document Format
+ * @returns {Object} { issueKey, commentId }
+ */
+async function publishToJiraIssue(issueKey, adf) {
+    const comment = await readJson(
+        await asApp().requestJira(route`/rest/api/3/issue/${issueKey}/comment`, {
+            method: 'POST',
+            headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ body: adf })
+        }),
+        `Commenting on ${issueKey}`
+    );
+
+    return { issueKey, commentId: comment.id };
+}
+
+module.exports = {
+    publishToConfluencePage,
+    publishToJiraIssue
+};
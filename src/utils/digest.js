@@ -0,0 +1,244 @@
+/**
+ * Weekly Digest
+ * Builds the weekly meeting-cost digest and renders it for Confluence
+ * (storage format) and Jira comments (ADF). Building and rendering are pure:
+ * the same meetings and settings always give the same output.
+ */
+
+const { calculateCostTrends, splitCost, formatWholeCurrency } = require('./cost-calculator');
+const { isoWeekStart, periodKey } = require('./periods');
+const { generateSuggestions } = require('./suggestion-rules');
+const { DEFAULT_MEETING_TYPES, summarizeByType } = require('./meeting-types');
+const { toDay, addDays } = require('./dates');
+const { ISSUE_KEY_PATTERN } = require('./scope');
+
+const TOP_TYPES = 3;
+const TOP_SUGGESTIONS = 3;
+// Suggestions look at four weeks, as their savings are monthly
+const SUGGESTION_WEEKS = 4;
+
+/**
+ * The last full week before a date. Weeks run Monday to Sunday, matching
+ * the ISO week buckets of calculateCostTrends.
+ * @returns {Object} { weekStart, weekEnd } as YYYY-MM-DD
+ */
+function digestWeek(today = new Date()) {
+    const weekStart = addDays(isoWeekStart(toDay(today)), -7);
+    return { weekStart, weekEnd: addDays(weekStart, 6) };
+}
+
+/**
+ * Window of meetings a digest needs: its week plus the weeks before it
+ * used for the trend and suggestions
+ */
+function digestWindow(week) {
+    return { startDate: addDays(week.weekStart, -7 * (SUGGESTION_WEEKS - 1)), endDate: week.weekEnd };
+}
+
+/**
+ * Validate the digest settings entered by an admin
+ * @param {Object} config - { enabled, target: 'confluence' | 'jira', pageId, issueKey, teamId }
+ * @throws {Error} When the selected target is missing or malformed
+ */
+function normalizeDigestConfig(config = {}) {
+    const target = config.target === 'jira' ? 'jira' : 'confluence';
+    const pageId = String(config.pageId || '').trim();
+    const issueKey = String(config.issueKey || '').trim().toUpperCase();
+
+    if (target === 'confluence' && pageId && !/^\d+$/.test(pageId)) {
+        throw new Error(`Invalid Confluence page id: ${pageId}`);
+    }
+    if (target === 'jira' && issueKey && !ISSUE_KEY_PATTERN.test(issueKey)) {
+        throw new Error(`Invalid Jira issue key: ${issueKey}`);
+    }
+    if (config.enabled && !(target === 'confluence' ? pageId : issueKey)) {
+        throw new Error(target === 'confluence' ? 'Enter the Confluence page to publish under' : 'Enter the Jira issue to comment on');
+    }
+
+    return {
+        enabled: Boolean(config.enabled),
+        target,
+        pageId: pageId || null,
+        issueKey: issueKey || null,
+        teamId: config.teamId || null
+    };
+}
+
+function totals(meetings) {
+    return {
+        totalCost: meetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0),
+        directCost: meetings.reduce((sum, m) => sum + splitCost(m).directCost, 0),
+        hiddenCost: meetings.reduce((sum, m) => sum + splitCost(m).hiddenCost, 0),
+        totalHours: meetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60,
+        meetingCount: meetings.length
+    };
+}
+
+/**
+ * Build the digest for one week
+ * @param {Array} meetings - Meetings in digestWindow(week), costed in the reporting currency
+ * @param {Object} week - { weekStart, weekEnd }
+ * @param {Object} options - { currency: { code, locale }, meetingTypes, scopeLabel,
+ *   roleRates, workHoursPerDay, ruleConfig } (the last three for the suggestion rules)
+ * @returns {Object} Digest
+ */
+function buildDigest(meetings, week, {
+    currency,
+    meetingTypes = DEFAULT_MEETING_TYPES,
+    scopeLabel = null,
+    roleRates = [],
+    workHoursPerDay,
+    ruleConfig = {}
+}) {
+    const weekMeetings = meetings.filter(m => m.date >= week.weekStart && m.date <= week.weekEnd);
+    const current = totals(weekMeetings);
+
+    // Week over week, from the weekly buckets of the trend data
+    const trends = calculateCostTrends(meetings, 'week');
+    const thisWeek = trends.find(t => t.period === periodKey(week.weekStart, 'week'));
+    const lastWeek = trends.find(t => t.period === periodKey(addDays(week.weekStart, -7), 'week'));
+    const previousCost = lastWeek ? lastWeek.totalCost : 0;
+    const trendPercentage = previousCost > 0 ? (((thisWeek ? thisWeek.totalCost : 0) - previousCost) / previousCost) * 100 : null;
+
+    const costByType = summarizeByType(weekMeetings);
+    const topTypes = Object.entries(costByType)
+        .sort((a, b) => b[1].cost - a[1].cost || a[0].localeCompare(b[0]))
+        .slice(0, TOP_TYPES)
+        .map(([typeId, data]) => {
+            const type = meetingTypes.find(t => t.typeId === typeId);
+            return {
+                typeId,
+                label: type ? type.label : typeId,
+                cost: data.cost,
+                hours: data.hours,
+                count: data.count,
+                share: current.totalCost > 0 ? (data.cost / current.totalCost) * 100 : 0
+            };
+        });
+
+    const { suggestions } = generateSuggestions(meetings, {
+        currency,
+        meetingTypes,
+        roleRates,
+        workHoursPerDay,
+        days: SUGGESTION_WEEKS * 7,
+        trendPercentage: trendPercentage || 0,
+        ruleConfig
+    });
+
+    return {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        scope: scopeLabel,
+        currency: { code: currency.code, locale: currency.locale },
+        ...current,
+        previousCost,
+        trendPercentage,
+        topTypes,
+        suggestions: suggestions.slice(0, TOP_SUGGESTIONS).map(({ ruleId, priority, title, description, potentialSavings }) => ({
+            ruleId,
+            priority,
+            title,
+            description,
+            potentialSavings
+        }))
+    };
+}
+
+function digestTitle(digest) {
+    return `Meeting cost digest: ${digest.weekStart} to ${digest.weekEnd}${digest.scope ? ` (${digest.scope})` : ''}`;
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Plain-text lines shared by both renderers
+function digestLines(digest) {
+    const money = amount => formatWholeCurrency(amount, digest.currency.code, digest.currency.locale);
+    const trend = digest.trendPercentage === null
+        ? 'No meetings the week before to compare with.'
+        : `${digest.trendPercentage >= 0 ? 'Up' : 'Down'} ${Math.abs(digest.trendPercentage).toFixed(1)}% on the week before (${money(digest.previousCost)}).`;
+
+    const split = digest.hiddenCost > 0 ? ` (${money(digest.directCost)} direct, ${money(digest.hiddenCost)} hidden)` : '';
+
+    return {
+        summary: `${money(digest.totalCost)}${split} on ${plural(digest.meetingCount, 'meeting')} (${digest.totalHours.toFixed(1)} hours).`,
+        trend,
+        types: digest.topTypes.map(t => `${t.label}: ${money(t.cost)} (${t.share.toFixed(0)}%), ${plural(t.count, 'meeting')}, ${t.hours.toFixed(1)} hours`),
+        suggestions: digest.suggestions.map(s => ({
+            title: `${s.title} (saves about ${money(s.potentialSavings)}/month)`,
+            description: s.description
+        }))
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a digest as Confluence storage format
+ */
+function renderDigestStorage(digest) {
+    const lines = digestLines(digest);
+    const list = items => items.length > 0 ? `<ul>${items.join('')}</ul>` : '<p>None this week.</p>';
+
+    return [
+        `<h2>${escapeXml(digestTitle(digest))}</h2>`,
+        `<p><strong>${escapeXml(lines.summary)}</strong> ${escapeXml(lines.trend)}</p>`,
+        '<h3>Top meeting types</h3>',
+        list(lines.types.map(t => `<li>${escapeXml(t)}</li>`)),
+        '<h3>Suggestions</h3>',
+        list(lines.suggestions.map(s => `<li><strong>${escapeXml(s.title)}</strong>: ${escapeXml(s.description)}</li>`))
+    ].join('\n');
+}
+
+function adfText(text, marks) {
+    return marks ? { type: 'text', text, marks } : { type: 'text', text };
+}
+
+function adfList(items) {
+    if (items.length === 0) {
+        return { type: 'paragraph', content: [adfText('None this week.')] };
+    }
+    return {
+        type: 'bulletList',
+        content: items.map(content => ({ type: 'listItem', content: [{ type: 'paragraph', content }] }))
+    };
+}
+
+/**
+ * Render a digest as an Atlassian Document Format document, for Jira comments
+ */
+function renderDigestAdf(digest) {
+    const lines = digestLines(digest);
+    const strong = [{ type: 'strong' }];
+
+    return {
+        type: 'doc',
+        version: 1,
+        content: [
+            { type: 'heading', attrs: { level: 3 }, content: [adfText(digestTitle(digest))] },
+            { type: 'paragraph', content: [adfText(lines.summary, strong), adfText(` ${lines.trend}`)] },
+            { type: 'heading', attrs: { level: 4 }, content: [adfText('Top meeting types')] },
+            adfList(lines.types.map(t => [adfText(t)])),
+            { type: 'heading', attrs: { level: 4 }, content: [adfText('Suggestions')] },
+            adfList(lines.suggestions.map(s => [adfText(s.title, strong), adfText(`: ${s.description}`)]))
+        ]
+    };
+}
+
+module.exports = {
+    digestWeek,
+    digestWindow,
+    normalizeDigestConfig,
+    buildDigest,
+    digestTitle,
+    renderDigestStorage,
+    renderDigestAdf
+};
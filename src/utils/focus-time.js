@@ -0,0 +1,248 @@
+/**
+ * Focus Time
+ * Meetings with a start time (HH:MM, wall-clock time in the org timezone)
+ * are placed in the working day, which runs for workHoursPerDay from the
+ * workday start. The gaps between meetings are the team's free time; only
+ * gaps long enough for deep work count as focus blocks, the rest is time
+ * broken up by meetings. Meeting cost is also bucketed by weekday and hour
+ * of day, which shows whether a policy such as no-meeting mornings would
+ * move much spend.
+ */
+
+const { parseDay, addDays } = require('./dates');
+
+const DEFAULT_WORKDAY_START = '09:00';
+const DEFAULT_MIN_FOCUS_MINUTES = 120;
+const MIN_FOCUS_RANGE = [15, 480];
+// Meetings starting before noon are morning meetings
+const MORNING_END_MINUTES = 12 * 60;
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Validate a start time
+ * @param {string} value - H:MM or HH:MM, 24-hour; empty for none
+ * @returns {string|null} HH:MM, or null when no time is given
+ * @throws {Error} On anything else
+ */
+function normalizeStartTime(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) {
+        return null;
+    }
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        throw new Error(`Invalid start time: ${text} (expected HH:MM, e.g. 09:30)`);
+    }
+    return formatClock(parseInt(match[1]) * 60 + parseInt(match[2]));
+}
+
+/**
+ * Validate the shortest gap that counts as a focus block
+ * @returns {number} Minutes; the default when none is given
+ * @throws {Error} Outside MIN_FOCUS_RANGE
+ */
+function normalizeMinFocusMinutes(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_MIN_FOCUS_MINUTES;
+    }
+    const minutes = parseInt(value);
+    const [min, max] = MIN_FOCUS_RANGE;
+    if (!(minutes >= min && minutes <= max)) {
+        throw new Error(`The shortest focus block must be between ${min} and ${max} minutes`);
+    }
+    return minutes;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * HH:MM of a number of minutes since midnight
+ */
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// 0 for Monday through 6 for Sunday
+function weekdayIndex(day) {
+    return (parseDay(day).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Monday to Friday days of a date range
+ */
+function workingDays(startDate, endDate) {
+    const days = [];
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        if (weekdayIndex(day) < 5) {
+            days.push(day);
+        }
+    }
+    return days;
+}
+
+/**
+ * Busy intervals of a day's meetings within the working day, overlapping
+ * meetings merged
+ * @returns {Array} [start, end] in minutes since midnight, earliest first
+ */
+function busyIntervals(meetings, dayStart, dayEnd) {
+    const intervals = meetings
+        .map(m => {
+            const start = toMinutes(m.startTime);
+            return [Math.max(start, dayStart), Math.min(start + m.durationMinutes, dayEnd)];
+        })
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    return intervals.reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) {
+            last[1] = Math.max(last[1], interval[1]);
+        } else {
+            merged.push([...interval]);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Focus blocks and fragmentation of one working day
+ * @returns {Object} { date, weekday, meetingMinutes, focusMinutes, fragmentedMinutes,
+ *   longestBlockMinutes, focusBlocks, untimedMeetings }
+ */
+function analyzeDay(date, meetings, { dayStart, dayEnd, minFocusMinutes }) {
+    const timed = meetings.filter(m => m.startTime);
+    const busy = busyIntervals(timed, dayStart, dayEnd);
+
+    const gaps = [];
+    let cursor = dayStart;
+    busy.forEach(([start, end]) => {
+        if (start > cursor) {
+            gaps.push([cursor, start]);
+        }
+        cursor = end;
+    });
+    if (dayEnd > cursor) {
+        gaps.push([cursor, dayEnd]);
+    }
+
+    const blocks = gaps.filter(([start, end]) => end - start >= minFocusMinutes);
+    const gapMinutes = gaps.reduce((sum, [start, end]) => sum + end - start, 0);
+    const focusMinutes = blocks.reduce((sum, [start, end]) => sum + end - start, 0);
+
+    return {
+        date,
+        weekday: WEEKDAYS[weekdayIndex(date)],
+        meetingMinutes: busy.reduce((sum, [start, end]) => sum + end - start, 0),
+        focusMinutes,
+        fragmentedMinutes: gapMinutes - focusMinutes,
+        longestBlockMinutes: blocks.reduce((longest, [start, end]) => Math.max(longest, end - start), 0),
+        focusBlocks: blocks.map(([start, end]) => ({ start: formatClock(start), end: formatClock(end), minutes: end - start })),
+        untimedMeetings: meetings.length - timed.length
+    };
+}
+
+/**
+ * Uninterrupted focus time per working day of a date range. Weekends are
+ * left out; meetings without a start time cannot be placed and are only
+ * counted.
+ * @param {Array} meetings - Meetings of the range
+ * @param {Object} options - { startDate, endDate, workdayStart: HH:MM, workHoursPerDay,
+ *   minFocusMinutes: shortest gap that counts as a focus block }
+ * @returns {Object} { days, summary } with per-day averages in summary
+ */
+function analyzeFocusTime(meetings, {
+    startDate,
+    endDate,
+    workdayStart = DEFAULT_WORKDAY_START,
+    workHoursPerDay = 8,
+    minFocusMinutes = DEFAULT_MIN_FOCUS_MINUTES
+}) {
+    const dayStart = toMinutes(normalizeStartTime(workdayStart) || DEFAULT_WORKDAY_START);
+    const dayEnd = Math.min(dayStart + workHoursPerDay * 60, DAY_MINUTES);
+    const workMinutes = dayEnd - dayStart;
+
+    const days = workingDays(startDate, endDate)
+        .map(date => analyzeDay(date, meetings.filter(m => m.date === date), { dayStart, dayEnd, minFocusMinutes }));
+
+    const total = field => days.reduce((sum, d) => sum + d[field], 0);
+    const perDay = field => days.length > 0 ? total(field) / days.length : 0;
+    const share = field => days.length > 0 && workMinutes > 0 ? (total(field) / (days.length * workMinutes)) * 100 : 0;
+    const timed = meetings.filter(m => m.startTime);
+
+    return {
+        days,
+        summary: {
+            workingDays: days.length,
+            workday: { start: formatClock(dayStart), end: formatClock(dayEnd), minutes: workMinutes },
+            minFocusMinutes,
+            avgMeetingMinutes: perDay('meetingMinutes'),
+            avgFocusMinutes: perDay('focusMinutes'),
+            avgFragmentedMinutes: perDay('fragmentedMinutes'),
+            meetingShare: share('meetingMinutes'),
+            focusShare: share('focusMinutes'),
+            fragmentedShare: share('fragmentedMinutes'),
+            daysWithoutFocus: days.filter(d => d.focusMinutes === 0).length,
+            timedMeetings: timed.length,
+            untimedMeetings: meetings.length - timed.length
+        }
+    };
+}
+
+/**
+ * Meeting cost by weekday and hour of day. A meeting's cost is spread over
+ * the hours it runs through, in proportion to its minutes in each.
+ * @param {Array} meetings - Meetings with `calculatedCost`, in the reporting currency
+ * @returns {Object} { weekdays, cost: 7 × 24 grid (Monday first), byWeekday, byHour,
+ *   timedCost, untimedCost, morningCost, morningShare }
+ */
+function costHeatmap(meetings) {
+    const cost = WEEKDAYS.map(() => new Array(24).fill(0));
+    let untimedCost = 0;
+    let morningCost = 0;
+
+    meetings.forEach(m => {
+        const amount = m.calculatedCost || 0;
+        if (!m.startTime || !(m.durationMinutes > 0)) {
+            untimedCost += amount;
+            return;
+        }
+        const start = toMinutes(m.startTime);
+        // A meeting running past midnight is kept on its own day
+        const end = Math.min(start + m.durationMinutes, DAY_MINUTES);
+        const row = cost[weekdayIndex(m.date)];
+        for (let hour = Math.floor(start / 60); hour * 60 < end; hour++) {
+            const minutes = Math.min(end, (hour + 1) * 60) - Math.max(start, hour * 60);
+            row[hour] += amount * (minutes / (end - start));
+        }
+        if (start < MORNING_END_MINUTES) {
+            morningCost += amount;
+        }
+    });
+
+    const timedCost = cost.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+    return {
+        weekdays: WEEKDAYS,
+        cost,
+        byWeekday: cost.map(row => row.reduce((a, b) => a + b, 0)),
+        byHour: cost[0].map((_, hour) => cost.reduce((sum, row) => sum + row[hour], 0)),
+        timedCost,
+        untimedCost,
+        morningCost,
+        morningShare: timedCost > 0 ? (morningCost / timedCost) * 100 : 0
+    };
+}
+
+module.exports = {
+    DEFAULT_WORKDAY_START,
+    DEFAULT_MIN_FOCUS_MINUTES,
+    normalizeStartTime,
+    normalizeMinFocusMinutes,
+    formatClock,
+    analyzeFocusTime,
+    costHeatmap
+};
@@ -0,0 +1,321 @@
+/**
+ * iCalendar Parser
+ * Reads VEVENTs from an .ics export and expands recurring events,
+ * including EXDATE exclusions and RECURRENCE-ID overrides. Times in UTC or
+ * with a TZID are moved into the org timezone; floating times and all-day
+ * dates are taken as written.
+ */
+
+const { expandRecurrence } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, normalizeTimeZone, wallClockIn, instantAt } = require('./periods');
+const { parseDay, addDays } = require('./dates');
+
+/**
+ * Parse the text of an .ics file into events
+ * @param {string} text - iCalendar content
+ * @returns {Array} Events ({ uid, summary, start, end, duration, rrule, exdates, recurrenceId, status, attendees, line })
+ */
+function parseICalendar(text) {
+    if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+        throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+    }
+
+    const lines = unfoldLines(text);
+    const events = [];
+    let current = null;
+
+    lines.forEach(({ content, line }) => {
+        const property = parseProperty(content);
+        if (!property) {
+            return;
+        }
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+            current = { line, attendees: [], exdates: [] };
+            return;
+        }
+        if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+            if (current) {
+                // Events without a UID still need a stable identity for duplicate detection
+                events.push({ uid: `line-${current.line}`, ...current });
+            }
+            current = null;
+            return;
+        }
+        if (!current) {
+            return;
+        }
+
+        switch (property.name) {
+            case 'UID':
+                current.uid = property.value;
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeText(property.value);
+                break;
+            case 'DTSTART':
+                current.start = parseDateTime(property.value, property.params);
+                break;
+            case 'DTEND':
+                current.end = parseDateTime(property.value, property.params);
+                break;
+            case 'DURATION':
+                current.duration = parseDuration(property.value);
+                break;
+            case 'RRULE':
+                current.rrule = property.value;
+                break;
+            case 'EXDATE':
+                property.value.split(',').map(v => parseDateTime(v, property.params)).filter(Boolean)
+                    .forEach(exdate => current.exdates.push(exdate));
+                break;
+            case 'RECURRENCE-ID':
+                current.recurrenceId = parseDateTime(property.value, property.params);
+                break;
+            case 'STATUS':
+                current.status = property.value.toUpperCase();
+                break;
+            case 'ATTENDEE': {
+                const email = property.value.replace(/^mailto:/i, '').trim().toLowerCase();
+                if (email) {
+                    current.attendees.push(email);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return events;
+}
+
+/**
+ * Join folded lines (RFC 5545 3.1) and keep the source line number of each
+ */
+function unfoldLines(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        if (/^[ \t]/.test(raw) && lines.length > 0) {
+            lines[lines.length - 1].content += raw.slice(1);
+        } else if (raw.trim()) {
+            lines.push({ content: raw, line: i + 1 });
+        }
+    });
+    return lines;
+}
+
+function parseProperty(content) {
+    const colon = content.indexOf(':');
+    if (colon === -1) {
+        return null;
+    }
+    const [name, ...params] = content.slice(0, colon).split(';');
+    return {
+        name: name.toUpperCase(),
+        params,
+        value: content.slice(colon + 1)
+    };
+}
+
+function unescapeText(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// The TZID of a property, when the runtime knows it; other zones are read as floating time
+function zoneParam(params = []) {
+    const tzid = params.find(p => /^TZID=/i.test(p));
+    if (!tzid) {
+        return null;
+    }
+    try {
+        return normalizeTimeZone(tzid.slice(5).replace(/^"|"$/g, ''));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value as written
+ * @param {string} value - Property value
+ * @param {Array} params - Property parameters, for its TZID
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes: minutes since midnight or null, timeZone: 'UTC' for
+ *   a Z time, the TZID, or null for floating times and dates }
+ */
+function parseDateTime(value, params) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const minutes = match[4] ? parseInt(match[4]) * 60 + parseInt(match[5]) : null;
+    return {
+        date: `${match[1]}-${match[2]}-${match[3]}`,
+        minutes,
+        timeZone: minutes === null ? null : match[7] ? 'UTC' : zoneParam(params)
+    };
+}
+
+function instantOf(dateTime) {
+    return dateTime.timeZone
+        ? instantAt(dateTime.date, dateTime.minutes, dateTime.timeZone)
+        : parseDay(dateTime.date).getTime() + dateTime.minutes * 60 * 1000;
+}
+
+/**
+ * The same moment in another timezone; floating times and dates stay as written
+ * @returns {Object} { date, minutes }
+ */
+function moveTo(dateTime, timeZone) {
+    if (!dateTime.timeZone || dateTime.timeZone === timeZone) {
+        return { date: dateTime.date, minutes: dateTime.minutes };
+    }
+    return wallClockIn(instantOf(dateTime), timeZone);
+}
+
+/**
+ * Parse an iCalendar DURATION (e.g. PT1H30M, P1D) into minutes
+ */
+function parseDuration(value) {
+    const match = /^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [, weeks, days, hours, minutes] = match.map(v => parseInt(v) || 0);
+    return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes;
+}
+
+function eventDurationMinutes(event) {
+    if (event.duration !== undefined && event.duration !== null) {
+        return event.duration;
+    }
+    if (event.start && event.end && event.start.minutes !== null && event.end.minutes !== null) {
+        return Math.round((instantOf(event.end) - instantOf(event.start)) / (60 * 1000));
+    }
+    return null;
+}
+
+/**
+ * Turn parsed events into dated instances within a window
+ * @param {Array} events - Output of parseICalendar
+ * @param {Object} options - { from, to } (YYYY-MM-DD, inclusive, in the org timezone), and the org `timeZone`
+ * @returns {Object} { instances, skipped } where skipped lists events that could not be used, and
+ *   RECURRENCE-ID overrides that match no occurrence of an event in the file; each instance's `occurrence`
+ *   is its originally scheduled date in the event's own timezone, stable when an occurrence is moved
+ */
+function expandEvents(events, { from, to, timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const instances = [];
+    const skipped = [];
+    const inWindow = date => (!from || date >= from) && (!to || date <= to);
+    const masters = events.filter(e => !e.recurrenceId);
+    const overrides = events.filter(e => e.recurrenceId);
+    // Overrides of events missing from the file, then of days their event is not scheduled on
+    const unmatched = overrides.filter(o => !masters.some(m => m.uid === o.uid));
+
+    const toInstance = (event, local, master, occurrence) => ({
+        uid: master.uid,
+        occurrence,
+        title: event.summary || master.summary || 'Untitled',
+        date: local.date,
+        startMinutes: local.minutes,
+        durationMinutes: eventDurationMinutes(event) ?? eventDurationMinutes(master),
+        attendees: event.attendees.length > 0 ? event.attendees : master.attendees,
+        line: event.line
+    });
+
+    masters.forEach(event => {
+        if (!event.start) {
+            skipped.push({ line: event.line, title: event.summary, reason: 'Missing or invalid DTSTART' });
+            return;
+        }
+        if (event.status === 'CANCELLED') {
+            skipped.push({ line: event.line, title: event.summary, reason: 'Event is cancelled' });
+            return;
+        }
+
+        // Occurrences are dated in the event's own timezone, then moved into the org's
+        const zone = event.start.timeZone;
+        const dayInZone = dateTime => moveTo(dateTime, zone).date;
+        const scheduled = date => moveTo({ ...event.start, date }, timeZone);
+        const ownOverrides = overrides.filter(o => o.uid === event.uid);
+
+        let dates = [event.start.date];
+        if (event.rrule) {
+            try {
+                // Moving into the org timezone shifts a date by a day at most
+                dates = expandRecurrence(event.rrule, event.start.date, {
+                    from: from && addDays(from, -1),
+                    to: to && addDays(to, 1),
+                    exdates: event.exdates.map(dayInZone)
+                });
+            } catch (error) {
+                skipped.push({ line: event.line, title: event.summary, reason: error.message });
+                return;
+            }
+        }
+
+        dates.forEach(date => {
+            const local = scheduled(date);
+            const override = ownOverrides.find(o => dayInZone(o.recurrenceId) === date);
+            if (!override) {
+                if (inWindow(local.date)) {
+                    instances.push(toInstance(event, local, event, date));
+                }
+                return;
+            }
+            if (override.status === 'CANCELLED') {
+                if (inWindow(local.date)) {
+                    skipped.push({ line: override.line, title: event.summary, date: local.date, reason: 'Occurrence is cancelled' });
+                }
+                return;
+            }
+            // A moved occurrence keeps its new date, which may fall outside the window
+            const moved = override.start ? moveTo(override.start, timeZone) : local;
+            if (inWindow(moved.date)) {
+                instances.push(toInstance(override, moved, event, date));
+            }
+        });
+
+        unmatched.push(...ownOverrides.filter(o => !isOccurrence(event, dayInZone(o.recurrenceId))));
+    });
+
+    unmatched.forEach(override => {
+        const local = moveTo(override.start || override.recurrenceId, timeZone);
+        if (inWindow(local.date)) {
+            skipped.push({
+                line: override.line,
+                title: override.summary,
+                date: local.date,
+                reason: masters.some(m => m.uid === override.uid)
+                    ? 'Changes an occurrence its recurring event does not have'
+                    : 'Changes an occurrence of a recurring event that is not in the file'
+            });
+        }
+    });
+
+    instances.forEach(instance => {
+        if (!instance.durationMinutes || instance.durationMinutes <= 0) {
+            skipped.push({ line: instance.line, title: instance.title, date: instance.date, reason: 'All-day or zero-length event' });
+        }
+    });
+
+    return {
+        instances: instances
+            .filter(i => i.durationMinutes > 0)
+            .sort((a, b) => a.date.localeCompare(b.date)),
+        skipped
+    };
+}
+
+// Whether an event is scheduled on a day of its own timezone, exclusions aside
+function isOccurrence(event, date) {
+    if (!event.rrule) {
+        return date === event.start.date;
+    }
+    return expandRecurrence(event.rrule, event.start.date, { from: date, to: date }).includes(date);
+}
+
+module.exports = {
+    parseICalendar,
+    parseDuration,
+    expandEvents
+};
@@ -0,0 +1,315 @@
+/**
+ * Jira Agile Client
+ * Fetches boards, sprints and completed story points through the Jira Agile REST API,
+ * and issue hierarchies through the Jira platform API
+ */
+
+const { asApp, route } = require('@forge/api');
+
+const STORY_POINT_FIELD_NAMES = ['Story Points', 'Story point estimate'];
+const PAGE_SIZE = 50;
+// Parent keys per child-issue search, keeping the JQL well under the URL limit
+const PARENT_BATCH = 50;
+// Issues read below an epic: its issues and their sub-tasks
+const HIERARCHY_DEPTH = 2;
+const MAX_HIERARCHY_ISSUES = 1000;
+
+/**
+ * Perform a GET against Jira as the app and return the parsed JSON body
+ */
+async function requestJson(path) {
+    const response = await asApp().requestJira(path, {
+        headers: { Accept: 'application/json' }
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Jira request failed (${response.status}): ${text}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Collect every page of an Agile API list endpoint
+ * @param {Function} buildRoute - (startAt) => route for that page
+ * @param {string} itemsKey - Property holding the page items ('values' or 'issues')
+ */
+async function fetchAllPages(buildRoute, itemsKey = 'values') {
+    const items = [];
+    let startAt = 0;
+
+    while (true) {
+        const page = await requestJson(buildRoute(startAt));
+        const pageItems = page[itemsKey] || [];
+        items.push(...pageItems);
+
+        const total = typeof page.total === 'number' ? page.total : null;
+        const isLast = page.isLast === true
+            || pageItems.length === 0
+            || (total !== null && startAt + pageItems.length >= total);
+        if (isLast) {
+            break;
+        }
+        startAt += pageItems.length;
+    }
+
+    return items;
+}
+
+/**
+ * Get the scrum boards that belong to a project
+ * @param {string} projectKey - Jira project key
+ * @returns {Array} Boards ({ id, name, type })
+ */
+async function getBoardsForProject(projectKey) {
+    return fetchAllPages(startAt =>
+        route`/rest/agile/1.0/board?projectKeyOrId=${projectKey}&type=scrum&startAt=${startAt}&maxResults=${PAGE_SIZE}`
+    );
+}
+
+/**
+ * Get the project a board belongs to
+ * @param {number} boardId - Agile board id
+ * @returns {string|undefined} Project key, if the board is located in a project
+ */
+async function getBoardProjectKey(boardId) {
+    const board = await requestJson(route`/rest/agile/1.0/board/${boardId}`);
+    return board.location && board.location.projectKey;
+}
+
+/**
+ * Get closed sprints of a board, oldest first
+ * @param {number} boardId - Agile board id
+ * @returns {Array} Sprints ({ id, name, startDate, endDate, completeDate })
+ */
+async function getClosedSprints(boardId) {
+    const sprints = await fetchAllPages(startAt =>
+        route`/rest/agile/1.0/board/${boardId}/sprint?state=closed&startAt=${startAt}&maxResults=${PAGE_SIZE}`
+    );
+
+    return sprints
+        .filter(s => s.startDate && (s.completeDate || s.endDate))
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+/**
+ * Get the sprints of a board that have started, closed and active, oldest first
+ * @param {number} boardId - Agile board id
+ * @returns {Array} Sprints ({ id, name, state, startDate, endDate, completeDate })
+ */
+async function getStartedSprints(boardId) {
+    const sprints = await fetchAllPages(startAt =>
+        route`/rest/agile/1.0/board/${boardId}/sprint?state=active,closed&startAt=${startAt}&maxResults=${PAGE_SIZE}`
+    );
+
+    return sprints
+        .filter(s => s.startDate && (s.completeDate || s.endDate))
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+/**
+ * Look up display names for Atlassian account ids
+ * @param {Array} accountIds - Account ids
+ * @returns {Object} accountId -> display name; ids that cannot be resolved are left out
+ */
+async function getUserDisplayNames(accountIds) {
+    const names = {};
+    for (const accountId of [...new Set(accountIds.filter(Boolean))]) {
+        try {
+            const user = await requestJson(route`/rest/api/3/user?accountId=${accountId}`);
+            names[accountId] = user.displayName;
+        } catch (error) {
+            // Deleted or inaccessible users fall back to their account id
+            console.warn(`Could not resolve user ${accountId}: ${error.message}`);
+        }
+    }
+    return names;
+}
+
+function toIssue(issue) {
+    return {
+        key: issue.key,
+        summary: issue.fields.summary,
+        issueType: issue.fields.issuetype ? issue.fields.issuetype.name : null,
+        parentKey: issue.fields.parent ? issue.fields.parent.key : null
+    };
+}
+
+/**
+ * Get the children of a set of issues: an epic's issues, or a story's sub-tasks
+ * @param {Array} parentKeys - Issue keys
+ * @returns {Array} Issues ({ key, summary, issueType, parentKey })
+ */
+async function getChildIssues(parentKeys) {
+    const children = [];
+    for (let i = 0; i < parentKeys.length; i += PARENT_BATCH) {
+        const jql = `parent in (${parentKeys.slice(i, i + PARENT_BATCH).join(',')}) ORDER BY key`;
+        let nextPageToken;
+        do {
+            // The search endpoint pages with a token instead of startAt
+            const page = await requestJson(nextPageToken
+                ? route`/rest/api/3/search/jql?jql=${jql}&fields=summary,issuetype,parent&maxResults=${PAGE_SIZE}&nextPageToken=${nextPageToken}`
+                : route`/rest/api/3/search/jql?jql=${jql}&fields=summary,issuetype,parent&maxResults=${PAGE_SIZE}`);
+            children.push(...(page.issues || []).map(toIssue));
+            nextPageToken = page.nextPageToken;
+        } while (nextPageToken);
+    }
+    return children;
+}
+
+/**
+ * Get an issue with everything below it, such as an epic with its stories
+ * and their sub-tasks
+ * @param {string} issueKey - Issue key
+ * @returns {Array} Issues ({ key, summary, issueType, parentKey }), the issue itself first
+ * @throws {Error} When the issue does not exist or the app cannot see it
+ */
+async function getIssueHierarchy(issueKey) {
+    const root = toIssue(await requestJson(route`/rest/api/3/issue/${issueKey}?fields=summary,issuetype,parent`));
+    const issues = [root];
+    let level = [root.key];
+    for (let depth = 0; depth < HIERARCHY_DEPTH && level.length > 0 && issues.length < MAX_HIERARCHY_ISSUES; depth++) {
+        const children = (await getChildIssues(level)).filter(c => !issues.some(i => i.key === c.key));
+        issues.push(...children.slice(0, MAX_HIERARCHY_ISSUES - issues.length));
+        level = children.map(c => c.key);
+    }
+    return issues;
+}
+
+/**
+ * Find the id of the story points custom field on this site
+ * @returns {string|null} Field id, e.g. 'customfield_10016'
+ */
+async function getStoryPointsFieldId() {
+    const fields = await requestJson(route`/rest/api/3/field`);
+
+    for (const name of STORY_POINT_FIELD_NAMES) {
+        const field = fields.find(f => f.name === name);
+        if (field) {
+            return field.id;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Status category of every status on the site
+ * @returns {Object} status id -> category key ('new', 'indeterminate' or 'done')
+ */
+async function getStatusCategories() {
+    const statuses = await requestJson(route`/rest/api/3/status`);
+    return statuses.reduce((categories, status) => {
+        categories[status.id] = status.statusCategory ? status.statusCategory.key : null;
+        return categories;
+    }, {});
+}
+
+function changesField(item, fieldId, fieldNames) {
+    return item.fieldId === fieldId || (!item.fieldId && fieldNames.includes(item.field));
+}
+
+/**
+ * Status and story points of an issue at a moment in the past: its current
+ * values with every later changelog entry undone
+ * @param {Object} issue - Issue with `changelog` expanded
+ * @param {Date} at - Moment to roll back to
+ * @param {string} storyPointsField - Custom field id holding the estimate
+ * @returns {Object} { statusId, points }
+ */
+function issueStateAt(issue, at, storyPointsField) {
+    const fields = issue.fields || {};
+    let statusId = fields.status ? fields.status.id : null;
+    let points = fields[storyPointsField];
+
+    const histories = ((issue.changelog && issue.changelog.histories) || [])
+        .filter(h => new Date(h.created) > at)
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
+    histories.forEach(history => {
+        history.items.forEach(item => {
+            if (changesField(item, 'status', ['status'])) {
+                statusId = item.from;
+            } else if (changesField(item, storyPointsField, STORY_POINT_FIELD_NAMES)) {
+                points = item.fromString;
+            }
+        });
+    });
+
+    return { statusId, points };
+}
+
+/**
+ * Sum story points of issues that were done when a sprint closed. Issues
+ * reopened since still count; issues finished after the sprint closed, or
+ * re-estimated since, do not change the sprint's velocity.
+ * @param {number} boardId - Agile board id
+ * @param {Object} sprint - Jira sprint ({ id, completeDate, endDate })
+ * @param {string} storyPointsField - Custom field id holding the estimate
+ * @param {Object} statusCategories - getStatusCategories result, fetched when not given
+ * @returns {number} Completed story points
+ */
+async function getCompletedPoints(boardId, sprint, storyPointsField, statusCategories = null) {
+    const categories = statusCategories || await getStatusCategories();
+    const closedAt = new Date(sprint.completeDate || sprint.endDate);
+    const fields = `status,${storyPointsField}`;
+    const issues = await fetchAllPages(startAt =>
+        route`/rest/agile/1.0/board/${boardId}/sprint/${sprint.id}/issue?fields=${fields}&expand=changelog&startAt=${startAt}&maxResults=${PAGE_SIZE}`,
+        'issues'
+    );
+
+    return issues.reduce((sum, issue) => {
+        const { statusId, points } = issueStateAt(issue, closedAt, storyPointsField);
+        const value = Number(points);
+        return categories[statusId] === 'done' && points !== null && Number.isFinite(value) ? sum + value : sum;
+    }, 0);
+}
+
+/**
+ * Get completed story points for the most recent closed sprints of a board
+ * @param {number} boardId - Agile board id
+ * @param {Object} options - { maxSprints }
+ * @returns {Array} Sprint velocity ({ boardId, sprintId, sprintName, startDate, endDate, completedPoints })
+ */
+async function getBoardSprintVelocity(boardId, { maxSprints = 10 } = {}) {
+    const storyPointsField = await requireStoryPointsFieldId();
+    const statusCategories = await getStatusCategories();
+    const sprints = (await getClosedSprints(boardId)).slice(-maxSprints);
+
+    const velocity = [];
+    for (const sprint of sprints) {
+        velocity.push({
+            boardId,
+            sprintId: sprint.id,
+            sprintName: sprint.name,
+            startDate: sprint.startDate,
+            endDate: sprint.completeDate || sprint.endDate,
+            completedPoints: await getCompletedPoints(boardId, sprint, storyPointsField, statusCategories)
+        });
+    }
+
+    return velocity;
+}
+
+async function requireStoryPointsFieldId() {
+    const storyPointsField = await getStoryPointsFieldId();
+    if (!storyPointsField) {
+        throw new Error('No story points field found on this Jira site');
+    }
+    return storyPointsField;
+}
+
+module.exports = {
+    getBoardsForProject,
+    getBoardProjectKey,
+    getClosedSprints,
+    getStartedSprints,
+    getUserDisplayNames,
+    getChildIssues,
+    getIssueHierarchy,
+    getStoryPointsFieldId,
+    requireStoryPointsFieldId,
+    getStatusCategories,
+    getCompletedPoints,
+    getBoardSprintVelocity
+};
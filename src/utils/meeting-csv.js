@@ -0,0 +1,299 @@
+/**
+ * Meeting CSV Utilities
+ * Maps CSV rows onto meetings for import and meetings onto CSV rows for export
+ */
+
+const { parseCsv, toCsv } = require('./csv');
+const { calculateMeetingCost, splitCost } = require('./cost-calculator');
+const { buildImportedMeeting } = require('./meeting-import');
+const { normalizeProjectKeys, normalizeIssueKeys, findTeam } = require('./scope');
+const { DEFAULT_MEETING_TYPES, findMeetingType } = require('./meeting-types');
+const { normalizeStartTime } = require('./focus-time');
+const { isDay } = require('./dates');
+
+const EXPORT_COLUMNS = [
+    { id: 'id', title: 'ID', value: m => m.id },
+    { id: 'date', title: 'Date', value: m => m.date },
+    { id: 'title', title: 'Title', value: m => m.title },
+    { id: 'startTime', title: 'Start Time', value: m => m.startTime || '' },
+    { id: 'meetingType', title: 'Type', value: (m, { meetingTypes }) => typeLabel(m.meetingType, meetingTypes) },
+    { id: 'durationMinutes', title: 'Duration (min)', value: m => m.durationMinutes },
+    { id: 'attendeeCount', title: 'Attendees', value: m => m.attendeeCount },
+    { id: 'attendeeRoles', title: 'Roles', value: m => (m.attendeeRoles || []).join(';') },
+    { id: 'issueKeys', title: 'Issues', value: m => (m.issueKeys || []).join(';') },
+    { id: 'projectKeys', title: 'Projects', value: m => (m.projectKeys || []).join(';') },
+    { id: 'teams', title: 'Teams', value: (m, { teams }) => (m.teamIds || []).map(id => teamName(id, teams)).join(';') },
+    { id: 'calculatedCost', title: 'Cost', value: m => roundCurrency(m.calculatedCost) },
+    { id: 'directCost', title: 'Direct Cost', value: m => roundCurrency(splitCost(m).directCost) },
+    { id: 'hiddenCost', title: 'Hidden Cost', value: m => roundCurrency(splitCost(m).hiddenCost) },
+    { id: 'source', title: 'Source', value: m => m.source || 'manual' },
+    { id: 'createdAt', title: 'Created', value: m => m.createdAt }
+];
+
+const DEFAULT_EXPORT_COLUMNS = ['date', 'title', 'meetingType', 'durationMinutes', 'attendeeCount', 'attendeeRoles', 'calculatedCost', 'directCost', 'hiddenCost'];
+
+// Meeting fields a CSV column can be mapped onto, with header names to guess from
+const IMPORT_FIELDS = [
+    { id: 'title', required: true, aliases: ['title', 'subject', 'name', 'meeting'] },
+    { id: 'date', required: true, aliases: ['date', 'day', 'start date', 'start'] },
+    { id: 'durationMinutes', required: true, aliases: ['duration', 'duration (min)', 'minutes', 'length'] },
+    { id: 'startTime', required: false, aliases: ['start time', 'time', 'starts at', 'start (hh:mm)'] },
+    { id: 'meetingType', required: false, aliases: ['type', 'meeting type', 'category'] },
+    { id: 'attendeeRoles', required: false, aliases: ['roles', 'attendee roles'] },
+    { id: 'attendeeCount', required: false, aliases: ['attendees', 'attendee count', 'participants'] },
+    { id: 'issueKeys', required: false, aliases: ['issue', 'issues', 'issue key', 'issue keys', 'jira issue', 'epic'] },
+    { id: 'projectKeys', required: false, aliases: ['project', 'projects', 'project key', 'project keys'] },
+    { id: 'teams', required: false, aliases: ['team', 'teams', 'squad'] }
+];
+
+const MAX_DURATION_MINUTES = 24 * 60;
+
+function roundCurrency(amount) {
+    return Math.round((amount || 0) * 100) / 100;
+}
+
+// One entry per role, named as in its latest rate version
+function distinctRoles(roleRates) {
+    const roles = new Map();
+    roleRates.forEach(r => roles.set(r.roleId, r));
+    return [...roles.values()];
+}
+
+function typeLabel(typeId, meetingTypes) {
+    const type = meetingTypes.find(t => t.typeId === typeId);
+    return type ? type.label : typeId;
+}
+
+function teamName(teamId, teams) {
+    const team = teams.find(t => t.teamId === teamId);
+    return team ? team.name : teamId;
+}
+
+/**
+ * Serialize meetings to CSV
+ * @param {Array} meetings - Meetings to export
+ * @param {Object} options - { columns: column ids, roleBreakdown: add one cost column per role, teams: to name team tags,
+ *   meetingTypes: to label types, currency: reporting currency the breakdown is costed in }
+ * @param {Array} roleRates - Role hourly rates, used to split each stored cost between roles
+ * @returns {string} CSV content
+ */
+function meetingsToCsv(meetings, { columns = DEFAULT_EXPORT_COLUMNS, roleBreakdown = false, teams = [], meetingTypes = DEFAULT_MEETING_TYPES, currency } = {}, roleRates = []) {
+    const selected = EXPORT_COLUMNS.filter(c => columns.includes(c.id));
+    const header = selected.map(c => c.title);
+    const roles = distinctRoles(roleRates);
+    if (roleBreakdown) {
+        roles.forEach(r => header.push(`${r.roleName} Cost`));
+        header.push('Unattributed Cost');
+    }
+
+    const rows = meetings.map(meeting => {
+        const row = selected.map(c => c.value(meeting, { teams, meetingTypes }));
+        if (roleBreakdown) {
+            // The rates only give each role's share; the amounts split the stored cost, so the
+            // breakdown adds up to the Cost column even when rates changed since the meeting was costed
+            const { totalCost, breakdown } = calculateMeetingCost(meeting, roleRates, currency);
+            const storedCost = meeting.calculatedCost || 0;
+            let attributed = 0;
+            roles.forEach(r => {
+                const share = breakdown
+                    .filter(b => b.roleId === r.roleId)
+                    .reduce((sum, b) => sum + b.cost, 0);
+                const cost = totalCost > 0 ? roundCurrency(storedCost * share / totalCost) : 0;
+                attributed += cost;
+                row.push(cost);
+            });
+            // Head counts without roles, and roles no longer configured
+            row.push(roundCurrency(storedCost - attributed));
+        }
+        return row;
+    });
+
+    return toCsv(header, rows);
+}
+
+/**
+ * Read the header of a CSV and guess which column feeds each meeting field
+ * @returns {Object} { headers, mapping, fields }
+ */
+function describeCsv(text) {
+    const [headers = []] = parseCsv(text);
+    const normalized = headers.map(h => h.trim().toLowerCase());
+
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex(h => field.aliases.includes(h));
+        if (index !== -1) {
+            mapping[field.id] = headers[index];
+        }
+    });
+
+    return {
+        headers,
+        mapping,
+        fields: IMPORT_FIELDS.map(({ id, required }) => ({ id, required }))
+    };
+}
+
+function resolveRole(token, roleRates) {
+    const value = token.trim().toLowerCase();
+    const rate = roleRates.find(r => r.roleId.toLowerCase() === value || r.roleName.toLowerCase() === value);
+    return rate ? rate.roleId : null;
+}
+
+function validateRow(values, rowNumber, roleRates, teams, meetingTypes) {
+    const errors = [];
+    const fail = (column, message) => errors.push({ row: rowNumber, column, message });
+
+    const title = (values.title || '').trim();
+    if (!title) {
+        fail('title', 'Title is required');
+    }
+
+    const date = (values.date || '').trim();
+    if (!isDay(date)) {
+        fail('date', `Invalid date "${values.date || ''}" (expected YYYY-MM-DD)`);
+    }
+
+    const durationMinutes = Number(values.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_DURATION_MINUTES) {
+        fail('durationMinutes', `Invalid duration "${values.durationMinutes || ''}" (expected whole minutes, 1-${MAX_DURATION_MINUTES})`);
+    }
+
+    let startTime = null;
+    try {
+        startTime = normalizeStartTime(values.startTime);
+    } catch (error) {
+        fail('startTime', error.message);
+    }
+
+    let attendeeCount;
+    if (values.attendeeCount !== undefined && values.attendeeCount.trim() !== '') {
+        attendeeCount = Number(values.attendeeCount);
+        if (!Number.isInteger(attendeeCount) || attendeeCount <= 0) {
+            fail('attendeeCount', `Invalid attendee count "${values.attendeeCount}"`);
+        }
+    }
+
+    const attendeeRoles = [];
+    (values.attendeeRoles || '').split(/[;|]/).filter(t => t.trim()).forEach(token => {
+        const roleId = resolveRole(token, roleRates);
+        if (roleId) {
+            attendeeRoles.push(roleId);
+        } else {
+            fail('attendeeRoles', `Unknown role "${token.trim()}"`);
+        }
+    });
+
+    let meetingType;
+    if (values.meetingType !== undefined && values.meetingType.trim() !== '') {
+        const type = findMeetingType(meetingTypes, values.meetingType);
+        if (type) {
+            meetingType = type.typeId;
+        } else {
+            fail('meetingType', `Unknown meeting type "${values.meetingType.trim()}"`);
+        }
+    }
+
+    let issueKeys = [];
+    try {
+        issueKeys = normalizeIssueKeys(values.issueKeys);
+    } catch (error) {
+        fail('issueKeys', error.message);
+    }
+
+    const teamIds = [];
+    (values.teams || '').split(/[;|]/).filter(t => t.trim()).forEach(token => {
+        const team = findTeam(teams, token);
+        if (team) {
+            teamIds.push(team.teamId);
+        } else {
+            fail('teams', `Unknown team "${token.trim()}"`);
+        }
+    });
+
+    return {
+        errors,
+        fields: {
+            title,
+            date,
+            startTime,
+            durationMinutes,
+            attendeeCount,
+            attendeeRoles,
+            meetingType,
+            issueKeys,
+            projectKeys: normalizeProjectKeys(values.projectKeys),
+            teamIds
+        }
+    };
+}
+
+/**
+ * Turn CSV rows into meetings using a column mapping
+ * @param {string} text - CSV content with a header row
+ * @param {Object} mapping - Meeting field id -> CSV header
+ * @param {Array} roleRates - Role hourly rates
+ * @param {Object} options - { teams: configured teams, defaults: { projectKeys, teamIds } for rows without tags,
+ *   currency: reporting currency to cost meetings in, meetingTypes: configured types, matched by id or label }
+ * @returns {Object} { meetings, errors } where errors are row-level ({ row, column, message })
+ */
+function csvToMeetings(text, mapping, roleRates, { teams = [], defaults = {}, currency, meetingTypes = DEFAULT_MEETING_TYPES } = {}) {
+    const [headers, ...rows] = parseCsv(text);
+    if (!headers) {
+        throw new Error('CSV file is empty');
+    }
+
+    const missing = IMPORT_FIELDS
+        .filter(f => f.required && (!mapping[f.id] || !headers.includes(mapping[f.id])))
+        .map(f => f.id);
+    if (missing.length > 0) {
+        throw new Error(`Map a CSV column to: ${missing.join(', ')}`);
+    }
+
+    const meetings = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+        // Row numbers match the spreadsheet: the header is row 1
+        const rowNumber = i + 2;
+        const values = {};
+        Object.entries(mapping).forEach(([fieldId, header]) => {
+            const index = headers.indexOf(header);
+            if (index !== -1) {
+                values[fieldId] = row[index];
+            }
+        });
+
+        const result = validateRow(values, rowNumber, roleRates, teams, meetingTypes);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+            return;
+        }
+
+        const { fields } = result;
+        const untagged = fields.projectKeys.length === 0 && fields.teamIds.length === 0;
+        let meeting;
+        try {
+            meeting = buildImportedMeeting({ ...fields, ...(untagged ? defaults : {}), source: 'csv' }, roleRates, currency, meetingTypes);
+        } catch (error) {
+            // A rate in a currency without an exchange rate for this date
+            errors.push({ row: rowNumber, column: 'date', message: error.message });
+            return;
+        }
+
+        meetings.push({
+            ...meeting,
+            row: rowNumber
+        });
+    });
+
+    return { meetings, errors };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    meetingsToCsv,
+    describeCsv,
+    csvToMeetings
+};
@@ -0,0 +1,93 @@
+/**
+ * Meeting Revision History
+ * Records who changed which fields of a meeting and when. Each revision is
+ * its own key so concurrent edits never overwrite each other's entries.
+ *
+ *   meeting-revision:<meetingId>:<timestamp>:<suffix>
+ */
+
+const { storage } = require('@forge/api');
+const { randomUUID } = require('crypto');
+const { queryByPrefix } = require('./storage-query');
+
+const KEY_PREFIX = 'meeting-revision:';
+
+// Fields a user can edit; cost is derived but tracked so its changes are visible
+const TRACKED_FIELDS = [
+    'title',
+    'date',
+    'startTime',
+    'durationMinutes',
+    'attendeeCount',
+    'attendeeRoles',
+    'meetingType',
+    'issueKeys',
+    'projectKeys',
+    'teamIds',
+    'calculatedCost',
+    'hiddenCost',
+    'currency'
+];
+
+function revisionPrefix(meetingId) {
+    return `${KEY_PREFIX}${meetingId}:`;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * List the fields that differ between two versions of a meeting
+ * @returns {Array} Changes ({ field, from, to })
+ */
+function diffMeetings(before, after) {
+    return TRACKED_FIELDS
+        .filter(field => !sameValue(before[field], after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Append a revision to a meeting's history
+ * @param {string} meetingId - Meeting id
+ * @param {Object} revision - { action: 'created' | 'updated', changedBy, changes }
+ * @returns {Object} The stored revision
+ */
+async function recordRevision(meetingId, { action, changedBy, changes = [] }) {
+    const changedAt = new Date().toISOString();
+    const record = {
+        meetingId,
+        action,
+        changedBy: changedBy || null,
+        changedAt,
+        changes
+    };
+    // The timestamp keeps keys in chronological order; the suffix keeps same-millisecond edits apart
+    await storage.set(`${revisionPrefix(meetingId)}${changedAt}:${randomUUID().slice(0, 8)}`, record);
+    return record;
+}
+
+/**
+ * List a meeting's revisions, newest first
+ */
+async function listRevisions(meetingId) {
+    const entries = await queryByPrefix(revisionPrefix(meetingId));
+    return entries
+        .map(entry => entry.value)
+        .sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+}
+
+async function deleteRevisions(meetingId) {
+    const entries = await queryByPrefix(revisionPrefix(meetingId));
+    for (const entry of entries) {
+        await storage.delete(entry.key);
+    }
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    diffMeetings,
+    recordRevision,
+    listRevisions,
+    deleteRevisions
+};
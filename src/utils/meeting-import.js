@@ -0,0 +1,154 @@
+/**
+ * Meeting Import Utilities
+ * Shared by the calendar and CSV importers: attendee-to-role mapping,
+ * meeting construction and duplicate detection
+ */
+
+const { meetingCostFields } = require('./cost-calculator');
+const { DEFAULT_TYPE_ID, DEFAULT_MEETING_TYPES } = require('./meeting-types');
+
+const TYPE_KEYWORDS = [
+    { type: 'standup', pattern: /stand-?up|daily scrum/i },
+    { type: 'planning', pattern: /planning/i },
+    { type: 'retro', pattern: /retro/i },
+    { type: 'review', pattern: /review|demo/i },
+    { type: 'one-on-one', pattern: /1:1|1-on-1|one[- ]on[- ]one/i },
+    { type: 'all-hands', pattern: /all[- ]hands|town ?hall/i },
+    { type: 'interview', pattern: /interview/i },
+    { type: 'team-sync', pattern: /sync/i }
+];
+
+/**
+ * Find the role for an attendee email
+ * @param {string} email - Attendee email
+ * @param {Array} roleMap - Rules ({ pattern, roleId }); pattern is an email, '*@domain' or '*'
+ * @returns {string|null} Role id
+ */
+function matchRole(email, roleMap) {
+    const address = email.toLowerCase();
+    const domain = address.split('@')[1];
+
+    // Most specific rule wins: exact address, then domain, then catch-all
+    const exact = roleMap.find(r => r.pattern.toLowerCase() === address);
+    const byDomain = roleMap.find(r => r.pattern.toLowerCase() === `*@${domain}`);
+    const fallback = roleMap.find(r => r.pattern === '*');
+    const rule = exact || byDomain || fallback;
+
+    return rule ? rule.roleId : null;
+}
+
+/**
+ * Map attendee emails onto role ids
+ * @returns {Object} { roles, unmapped }
+ */
+function mapAttendees(emails, roleMap) {
+    const roles = [];
+    const unmapped = [];
+    emails.forEach(email => {
+        const roleId = matchRole(email, roleMap);
+        if (roleId) {
+            roles.push(roleId);
+        } else {
+            unmapped.push(email);
+        }
+    });
+    return { roles, unmapped };
+}
+
+/**
+ * Guess the meeting type from its title: the built-in keywords of types that
+ * are still configured, then the label of any other type
+ * @param {string} title - Meeting title
+ * @param {Array} meetingTypes - Configured meeting types
+ */
+function inferMeetingType(title, meetingTypes = DEFAULT_MEETING_TYPES) {
+    const text = title || '';
+    const keyword = TYPE_KEYWORDS.find(k => k.pattern.test(text) && meetingTypes.some(t => t.typeId === k.type));
+    if (keyword) {
+        return keyword.type;
+    }
+    const byLabel = meetingTypes.find(t => t.typeId !== DEFAULT_TYPE_ID && text.toLowerCase().includes(t.label.toLowerCase()));
+    return byLabel ? byLabel.typeId : DEFAULT_TYPE_ID;
+}
+
+/**
+ * Build a meeting record (without id) and cost it through meetingCostFields
+ * @param {Object} fields - { title, date, durationMinutes, attendeeRoles, attendeeCount, meetingType, projectKeys, teamIds, externalId }
+ * @param {Array} roleRates - Role hourly rates
+ * @param {Object} currency - Reporting currency ({ code, exchangeRates }) to cost the meeting in
+ * @param {Array} meetingTypes - Configured meeting types, to infer a missing type from the title
+ */
+function buildImportedMeeting(fields, roleRates, currency, meetingTypes) {
+    const attendeeRoles = fields.attendeeRoles || [];
+    const meeting = {
+        title: fields.title || 'Untitled',
+        date: fields.date,
+        startTime: fields.startTime || null,
+        durationMinutes: fields.durationMinutes,
+        attendeeCount: fields.attendeeCount || attendeeRoles.length || 1,
+        attendeeRoles,
+        meetingType: fields.meetingType || inferMeetingType(fields.title, meetingTypes),
+        issueKeys: fields.issueKeys || [],
+        projectKeys: fields.projectKeys || [],
+        teamIds: fields.teamIds || [],
+        source: fields.source,
+        externalId: fields.externalId
+    };
+
+    return {
+        ...meeting,
+        ...meetingCostFields(meeting, roleRates, currency),
+        currency: currency ? currency.code : undefined
+    };
+}
+
+function normalizeTitle(title) {
+    return (title || '').trim().toLowerCase();
+}
+
+/**
+ * Find an existing meeting that a candidate duplicates: same external id, or
+ * same title, date and duration
+ */
+function findDuplicate(candidate, existingMeetings) {
+    return existingMeetings.find(m =>
+        (candidate.externalId && m.externalId === candidate.externalId)
+        || (m.date === candidate.date
+            && m.durationMinutes === candidate.durationMinutes
+            && normalizeTitle(m.title) === normalizeTitle(candidate.title))
+    );
+}
+
+/**
+ * Split candidates into new meetings and duplicates of existing ones (or of
+ * earlier candidates in the same file)
+ * @returns {Object} { toImport, duplicates }
+ */
+function partitionDuplicates(candidates, existingMeetings) {
+    const toImport = [];
+    const duplicates = [];
+
+    candidates.forEach(candidate => {
+        const existing = findDuplicate(candidate, existingMeetings) || findDuplicate(candidate, toImport);
+        if (existing) {
+            duplicates.push({
+                title: candidate.title,
+                date: candidate.date,
+                duplicateOf: existing.id || null
+            });
+        } else {
+            toImport.push(candidate);
+        }
+    });
+
+    return { toImport, duplicates };
+}
+
+module.exports = {
+    matchRole,
+    mapAttendees,
+    inferMeetingType,
+    buildImportedMeeting,
+    findDuplicate,
+    partitionDuplicates
+};
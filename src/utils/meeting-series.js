@@ -0,0 +1,242 @@
+/**
+ * Meeting Series
+ * Stores recurring meeting definitions and generates their occurrences
+ * into the meeting store
+ */
+
+const { storage } = require('@forge/api');
+const { randomUUID } = require('crypto');
+const { queryByPrefix } = require('./storage-query');
+const { parseRRule, expandRecurrence, describeRRule } = require('./recurrence');
+const { calculateMeetingCost, meetingCostFields } = require('./cost-calculator');
+const { getMeeting, insertMeeting, removeMeeting } = require('./meeting-store');
+const { normalizeStartTime } = require('./focus-time');
+const { toDay, addDays, isDay } = require('./dates');
+const { DEFAULT_TIME_ZONE, todayIn } = require('./periods');
+
+const KEY_PREFIX = 'series:';
+const EXCEPTION_STATUSES = ['skipped', 'cancelled'];
+
+function seriesKey(seriesId) {
+    return `${KEY_PREFIX}${seriesId}`;
+}
+
+function occurrenceId(seriesId, date) {
+    return `meeting-${seriesId}-${date}`;
+}
+
+/**
+ * The date a generated meeting was scheduled for, which stays put when the meeting is moved
+ * @param {Object} meeting - Meeting with a seriesId
+ * @returns {string} YYYY-MM-DD
+ */
+function occurrenceDateOf(meeting) {
+    // Occurrences generated before the date was stored still carry it in their id
+    return meeting.occurrenceDate || meeting.id.slice(occurrenceId(meeting.seriesId, '').length);
+}
+
+async function getSeries(seriesId) {
+    return storage.get(seriesKey(seriesId));
+}
+
+async function listSeries() {
+    const entries = await queryByPrefix(KEY_PREFIX);
+    return entries
+        .map(entry => entry.value)
+        .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Create a recurring meeting series
+ * @param {Object} definition - { title, rrule, startDate, startTime, durationMinutes, attendeeRoles, attendeeCount, meetingType, projectKeys, teamIds }
+ * @param {string} timeZone - Org timezone that decides which day today is
+ * @returns {Object} The stored series
+ */
+async function createSeries(definition, timeZone = DEFAULT_TIME_ZONE) {
+    const { title, rrule, startDate, startTime, durationMinutes, attendeeRoles = [], attendeeCount, meetingType, projectKeys = [], teamIds = [] } = definition;
+
+    if (!title) {
+        throw new Error('Series title is required');
+    }
+    if (!startDate) {
+        throw new Error('Series start date is required');
+    }
+    if (!isDay(startDate)) {
+        throw new Error(`Invalid series start date: ${startDate} (expected YYYY-MM-DD)`);
+    }
+    // Throws on an invalid rule, or one too long to back-fill, so bad input never reaches storage
+    expandRecurrence(parseRRule(rrule), startDate, { to: toDay(todayIn(timeZone)) });
+
+    const series = {
+        id: `series-${randomUUID()}`,
+        title,
+        rrule,
+        startDate,
+        startTime: normalizeStartTime(startTime),
+        durationMinutes: parseInt(durationMinutes) || 30,
+        attendeeRoles,
+        attendeeCount: parseInt(attendeeCount) || attendeeRoles.length || 1,
+        meetingType: meetingType || 'ad-hoc',
+        projectKeys,
+        teamIds,
+        exceptions: {},
+        generatedThrough: null,
+        createdAt: new Date().toISOString()
+    };
+
+    await storage.set(seriesKey(series.id), series);
+    return series;
+}
+
+/**
+ * Stop a series from generating further occurrences. Meetings that already
+ * happened stay in the store.
+ */
+async function deleteSeries(seriesId) {
+    await storage.delete(seriesKey(seriesId));
+}
+
+/**
+ * Skip or cancel a single occurrence, or restore it with status 'scheduled'
+ * @param {string} seriesId - Series id
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @param {string} status - 'skipped', 'cancelled' or 'scheduled'
+ */
+async function setOccurrenceStatus(seriesId, date, status) {
+    const series = await getSeries(seriesId);
+    if (!series) {
+        throw new Error(`Series ${seriesId} not found`);
+    }
+    if (status !== 'scheduled' && !EXCEPTION_STATUSES.includes(status)) {
+        throw new Error(`Invalid occurrence status: ${status}`);
+    }
+    if (!expandRecurrence(series.rrule, series.startDate, { from: date, to: date }).includes(date)) {
+        throw new Error(`${date} is not an occurrence of this series`);
+    }
+
+    const exceptions = { ...series.exceptions };
+    if (status === 'scheduled') {
+        delete exceptions[date];
+    } else {
+        exceptions[date] = status;
+        await removeMeeting(occurrenceId(seriesId, date));
+    }
+
+    // Restored past occurrences are regenerated on the next run
+    const generatedThrough = status === 'scheduled' && series.generatedThrough && date <= series.generatedThrough
+        ? addDays(date, -1)
+        : series.generatedThrough;
+
+    const updated = { ...series, exceptions, generatedThrough };
+    await storage.set(seriesKey(seriesId), updated);
+    return updated;
+}
+
+/**
+ * Build the meeting record for one occurrence
+ */
+function buildOccurrence(series, date, roleRates, currency) {
+    return {
+        id: occurrenceId(series.id, date),
+        title: series.title,
+        date,
+        startTime: series.startTime || null,
+        durationMinutes: series.durationMinutes,
+        attendeeCount: series.attendeeCount,
+        attendeeRoles: series.attendeeRoles,
+        meetingType: series.meetingType,
+        projectKeys: series.projectKeys || [],
+        teamIds: series.teamIds || [],
+        seriesId: series.id,
+        occurrenceDate: date,
+        ...meetingCostFields({ ...series, date }, roleRates, currency),
+        currency: currency ? currency.code : undefined,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Write occurrences that have happened up to today into the meeting store
+ * @param {Object} series - Meeting series
+ * @param {Array} roleRates - Role hourly rates
+ * @param {Object} currency - Reporting currency ({ code, exchangeRates }) to cost occurrences in
+ * @param {string} timeZone - Org timezone that decides which day today is
+ * @returns {number} Number of meetings generated
+ */
+async function generateOccurrences(series, roleRates, currency, timeZone = DEFAULT_TIME_ZONE) {
+    const through = toDay(todayIn(timeZone));
+    const from = series.generatedThrough ? addDays(series.generatedThrough, 1) : series.startDate;
+    if (from > through) {
+        return 0;
+    }
+
+    const dates = expandRecurrence(series.rrule, series.startDate, {
+        from,
+        to: through,
+        exdates: Object.keys(series.exceptions || {})
+    });
+
+    let generated = 0;
+    for (const date of dates) {
+        // Occurrence ids are deterministic, so a re-run never duplicates a meeting
+        if (!await getMeeting(occurrenceId(series.id, date))) {
+            await insertMeeting(buildOccurrence(series, date, roleRates, currency));
+            generated++;
+        }
+    }
+
+    await storage.set(seriesKey(series.id), { ...series, generatedThrough: through });
+    return generated;
+}
+
+/**
+ * Generate due occurrences for every series
+ * @returns {number} Number of meetings generated
+ */
+async function generateAllOccurrences(roleRates, currency, timeZone = DEFAULT_TIME_ZONE) {
+    const allSeries = await listSeries();
+    let generated = 0;
+    for (const series of allSeries) {
+        generated += await generateOccurrences(series, roleRates, currency, timeZone);
+    }
+    return generated;
+}
+
+/**
+ * Project the cost of a series over the next twelve months
+ * @returns {Object} { costPerOccurrence, occurrencesPerYear, annualizedCost, annualizedDirectCost,
+ *   annualizedHiddenCost, annualizedHours, description }
+ */
+function calculateSeriesCost(series, roleRates, currency, timeZone = DEFAULT_TIME_ZONE) {
+    const today = toDay(todayIn(timeZone));
+    const from = series.startDate > today ? series.startDate : today;
+    const occurrencesPerYear = expandRecurrence(series.rrule, series.startDate, {
+        from,
+        to: addDays(from, 364),
+        exdates: Object.keys(series.exceptions || {})
+    }).length;
+    // Projected at the rates in effect today
+    const { totalCost, directCost, hiddenCost } = calculateMeetingCost({ ...series, date: from }, roleRates, currency);
+
+    return {
+        costPerOccurrence: totalCost,
+        occurrencesPerYear,
+        annualizedCost: totalCost * occurrencesPerYear,
+        annualizedDirectCost: directCost * occurrencesPerYear,
+        annualizedHiddenCost: hiddenCost * occurrencesPerYear,
+        annualizedHours: (series.durationMinutes / 60) * occurrencesPerYear,
+        description: describeRRule(series.rrule)
+    };
+}
+
+module.exports = {
+    getSeries,
+    listSeries,
+    createSeries,
+    deleteSeries,
+    setOccurrenceStatus,
+    occurrenceDateOf,
+    generateOccurrences,
+    generateAllOccurrences,
+    calculateSeriesCost
+};
@@ -0,0 +1,382 @@
+/**
+ * Meeting Store
+ * Keeps every meeting under its own key, partitioned by calendar month, so
+ * concurrent writers never read-modify-write a shared array. A marker key per
+ * month forms the partition index and a reference key maps meeting ids to
+ * their month. Link keys index meetings by the Jira issues they are about,
+ * and currency markers the months holding meetings costed in each currency.
+ *
+ *   meeting:<YYYY-MM>:<id>            meeting record
+ *   meeting-month:<YYYY-MM>           partition index entry
+ *   meeting-ref:<id>                  month the meeting lives in
+ *   meeting-issue:<issue>:<id>        month of a meeting linked to a Jira issue
+ *   meeting-currency:<code>:<YYYY-MM> month holding meetings costed in a currency
+ *
+ * Revision history lives alongside, see meeting-history.js
+ */
+
+const { storage } = require('@forge/api');
+const { randomUUID } = require('crypto');
+const { queryByPrefix } = require('./storage-query');
+const { deleteRevisions } = require('./meeting-history');
+const { toDay } = require('./dates');
+
+const LEGACY_KEY = 'meetings';
+const LEGACY_INDEX_KEY = 'meetings:index';
+const CURRENCY_INDEX_KEY = 'meeting-currency-index';
+const MAX_INSERT_ATTEMPTS = 3;
+
+function recordKey(month, meetingId) {
+    return `meeting:${month}:${meetingId}`;
+}
+
+function monthKey(month) {
+    return `meeting-month:${month}`;
+}
+
+function refKey(meetingId) {
+    return `meeting-ref:${meetingId}`;
+}
+
+function currencyKey(currency, month) {
+    return `meeting-currency:${currency}:${month}`;
+}
+
+function issuePrefix(issueKey) {
+    return `meeting-issue:${issueKey}:`;
+}
+
+/**
+ * Create a collision-free meeting id
+ */
+function createMeetingId() {
+    return `meeting-${randomUUID()}`;
+}
+
+/**
+ * Month partition (YYYY-MM) a meeting date belongs to
+ */
+function monthOf(date) {
+    return toDay(date).slice(0, 7);
+}
+
+// Migration runs at most once per warm function instance
+let migration = null;
+
+function ensureMigrated() {
+    if (!migration) {
+        migration = migrateLegacyMeetings().catch(error => {
+            migration = null;
+            throw error;
+        });
+    }
+    return migration;
+}
+
+// Meetings stored before currency markers existed are indexed once, the same way
+let currencyIndex = null;
+
+function ensureCurrencyIndex() {
+    if (!currencyIndex) {
+        currencyIndex = indexMeetingCurrencies().catch(error => {
+            currencyIndex = null;
+            throw error;
+        });
+    }
+    return currencyIndex;
+}
+
+async function indexMeetingCurrencies() {
+    if (await storage.get(CURRENCY_INDEX_KEY)) {
+        return;
+    }
+    for (const month of await getMonths()) {
+        for (const meeting of await readPartition(month)) {
+            if (meeting.currency) {
+                await storage.set(currencyKey(meeting.currency, month), { currency: meeting.currency, month });
+            }
+        }
+    }
+    await storage.set(CURRENCY_INDEX_KEY, { indexedAt: new Date().toISOString() });
+}
+
+/**
+ * Move meetings from the legacy single `meetings` array and from the
+ * array-per-month partitions into per-record keys
+ * @returns {number} Number of meetings migrated
+ */
+async function migrateLegacyMeetings() {
+    const legacy = await storage.get(LEGACY_KEY) || [];
+    const legacyMonths = await storage.get(LEGACY_INDEX_KEY) || [];
+
+    const meetings = [...legacy];
+    for (const month of legacyMonths) {
+        const partition = await storage.get(`meetings:${month}`);
+        if (partition) {
+            meetings.push(...partition.meetings);
+        }
+    }
+
+    // Timestamp ids from the old store can collide; give duplicates a fresh id
+    const seen = new Set();
+    for (const meeting of meetings) {
+        const id = seen.has(meeting.id) ? createMeetingId() : meeting.id;
+        seen.add(id);
+        await writeRecord({ ...meeting, id });
+    }
+
+    // Drop the old keys only after every record is written so a crash re-runs the migration
+    for (const month of legacyMonths) {
+        await storage.delete(`meetings:${month}`);
+    }
+    if (legacyMonths.length > 0) {
+        await storage.delete(LEGACY_INDEX_KEY);
+    }
+    if (legacy.length > 0) {
+        await storage.delete(LEGACY_KEY);
+    }
+    if (meetings.length > 0) {
+        console.log(`Migrated ${meetings.length} meetings into per-record storage`);
+    }
+
+    return meetings.length;
+}
+
+async function writeRecord(meeting) {
+    const month = monthOf(meeting.date);
+    await storage.set(recordKey(month, meeting.id), meeting);
+    await storage.set(refKey(meeting.id), month);
+    await storage.set(monthKey(month), { month });
+    if (meeting.currency) {
+        await storage.set(currencyKey(meeting.currency, month), { currency: meeting.currency, month });
+    }
+    for (const issueKey of meeting.issueKeys || []) {
+        await storage.set(`${issuePrefix(issueKey)}${meeting.id}`, month);
+    }
+}
+
+// Drop the issue links a meeting no longer has
+async function unlinkIssues(previous, meeting) {
+    const kept = (meeting && meeting.issueKeys) || [];
+    for (const issueKey of (previous && previous.issueKeys) || []) {
+        if (!kept.includes(issueKey)) {
+            await storage.delete(`${issuePrefix(issueKey)}${previous.id}`);
+        }
+    }
+}
+
+/**
+ * Get the sorted list of months that hold meetings
+ */
+async function getMonths() {
+    await ensureMigrated();
+    const entries = await queryByPrefix('meeting-month:');
+    return entries.map(entry => entry.value.month).sort();
+}
+
+async function readPartition(month) {
+    const entries = await queryByPrefix(`meeting:${month}:`);
+    return entries.map(entry => entry.value);
+}
+
+/**
+ * Load meetings, reading only the partitions that overlap the date range
+ * @param {Object} range - { startDate, endDate } (Date or YYYY-MM-DD), both optional
+ * @returns {Array} Meetings within the range
+ */
+async function loadMeetings({ startDate, endDate } = {}) {
+    const startDay = startDate ? toDay(startDate) : null;
+    const endDay = endDate ? toDay(endDate) : null;
+
+    const months = (await getMonths()).filter(month =>
+        (!startDay || month >= startDay.slice(0, 7)) && (!endDay || month <= endDay.slice(0, 7))
+    );
+
+    const meetings = [];
+    for (const month of months) {
+        const partition = await readPartition(month);
+        partition.forEach(m => {
+            if ((!startDay || m.date >= startDay) && (!endDay || m.date <= endDay)) {
+                meetings.push(m);
+            }
+        });
+    }
+
+    return meetings;
+}
+
+/**
+ * Load the most recent meetings, newest first, reading partitions from the
+ * latest month backwards until the limit is met
+ * @param {number} limit - Maximum number of meetings
+ * @param {Function} filter - Optional predicate; only matching meetings count toward the limit
+ */
+async function loadRecentMeetings(limit = 50, filter = () => true) {
+    const months = (await getMonths()).reverse();
+    const meetings = [];
+
+    for (const month of months) {
+        meetings.push(...(await readPartition(month)).filter(filter));
+        if (meetings.length >= limit) {
+            break;
+        }
+    }
+
+    return meetings
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, limit);
+}
+
+/**
+ * Load the meetings linked to any of a set of Jira issues
+ * @param {Array} issueKeys - Issue keys
+ * @returns {Array} Meetings, each once however many of the issues it is linked to
+ */
+async function loadIssueMeetings(issueKeys) {
+    await ensureMigrated();
+    const months = new Map();
+    for (const issueKey of issueKeys) {
+        const prefix = issuePrefix(issueKey);
+        (await queryByPrefix(prefix)).forEach(entry => months.set(entry.key.slice(prefix.length), entry.value));
+    }
+
+    const meetings = [];
+    for (const [meetingId, month] of months) {
+        const meeting = await storage.get(recordKey(month, meetingId));
+        if (meeting) {
+            meetings.push(meeting);
+        }
+    }
+    return meetings;
+}
+
+/**
+ * Earliest meeting date overall and in each currency meetings are costed in,
+ * reading partitions from the oldest marked month up rather than all of them.
+ * Markers outlive the meetings that set them, so a month may turn out to hold none.
+ * @returns {Object} { earliest: YYYY-MM-DD or null, currencies: { <code>: YYYY-MM-DD } }
+ */
+async function getFirstMeetingDates() {
+    await ensureMigrated();
+    await ensureCurrencyIndex();
+
+    const partitions = new Map();
+    const firstDate = async (months, matches) => {
+        for (const month of months) {
+            if (!partitions.has(month)) {
+                partitions.set(month, await readPartition(month));
+            }
+            const dates = partitions.get(month).filter(matches).map(m => m.date).sort();
+            if (dates.length > 0) {
+                return dates[0];
+            }
+        }
+        return null;
+    };
+
+    const marked = new Map();
+    (await queryByPrefix('meeting-currency:')).forEach(({ value }) => {
+        marked.set(value.currency, [...(marked.get(value.currency) || []), value.month]);
+    });
+
+    const currencies = {};
+    for (const [currency, months] of marked) {
+        const date = await firstDate(months.sort(), m => m.currency === currency);
+        if (date) {
+            currencies[currency] = date;
+        }
+    }
+    return { earliest: await firstDate(await getMonths(), () => true), currencies };
+}
+
+/**
+ * Load one meeting by id
+ * @returns {Object|undefined} The meeting, if it exists
+ */
+async function getMeeting(meetingId) {
+    await ensureMigrated();
+    const month = await storage.get(refKey(meetingId));
+    if (!month) {
+        return undefined;
+    }
+    return storage.get(recordKey(month, meetingId));
+}
+
+/**
+ * Store a new meeting under its own key, drawing a fresh id if the given
+ * one is already taken. The check and the write are not atomic; that is
+ * safe because ids are random UUIDs, so two concurrent inserts never race
+ * for the same id, and every index key holds a fixed value for its key
+ * (the month marker, the meeting's month), so rewriting one is harmless.
+ */
+async function insertMeeting(meeting) {
+    await ensureMigrated();
+
+    let record = { ...meeting, id: meeting.id || createMeetingId() };
+    for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+        const taken = await storage.get(refKey(record.id));
+        if (!taken) {
+            await writeRecord(record);
+            return record;
+        }
+        record = { ...record, id: createMeetingId() };
+    }
+
+    throw new Error(`Could not allocate a unique meeting id after ${MAX_INSERT_ATTEMPTS} attempts`);
+}
+
+/**
+ * Overwrite an existing meeting, moving it to another partition when its
+ * date moved to a different month
+ * @returns {Object} The stored meeting
+ * @throws {Error} When the meeting does not exist
+ */
+async function replaceMeeting(meeting) {
+    await ensureMigrated();
+    const previousMonth = await storage.get(refKey(meeting.id));
+    if (!previousMonth) {
+        throw new Error(`Meeting ${meeting.id} not found`);
+    }
+
+    const previous = await storage.get(recordKey(previousMonth, meeting.id));
+
+    // Write the new record first so a failure part-way never loses the meeting
+    await writeRecord(meeting);
+    await unlinkIssues(previous, meeting);
+    if (previousMonth !== monthOf(meeting.date)) {
+        await storage.delete(recordKey(previousMonth, meeting.id));
+    }
+    return meeting;
+}
+
+/**
+ * Remove a meeting by id
+ * @returns {boolean} Whether a meeting was removed
+ */
+async function removeMeeting(meetingId) {
+    await ensureMigrated();
+    const month = await storage.get(refKey(meetingId));
+    if (!month) {
+        return false;
+    }
+
+    await unlinkIssues(await storage.get(recordKey(month, meetingId)), null);
+    await storage.delete(recordKey(month, meetingId));
+    await storage.delete(refKey(meetingId));
+    await deleteRevisions(meetingId);
+    return true;
+}
+
+module.exports = {
+    createMeetingId,
+    monthOf,
+    migrateLegacyMeetings,
+    loadMeetings,
+    loadRecentMeetings,
+    loadIssueMeetings,
+    getFirstMeetingDates,
+    getMeeting,
+    insertMeeting,
+    replaceMeeting,
+    removeMeeting
+};
@@ -0,0 +1,107 @@
+/**
+ * Meeting Types
+ * Admins define the meeting types their teams use: a label and color for
+ * display, an expected timebox and a category the analysis reasons about
+ */
+
+const DEFAULT_TYPE_ID = 'ad-hoc';
+
+// Categories the optimization rules understand
+const MEETING_TYPE_CATEGORIES = ['ceremony', 'sync', 'people', 'company', 'external', 'unplanned'];
+
+const DEFAULT_MEETING_TYPES = [
+    { typeId: 'standup', label: 'Standup', color: '#00875A', timeboxMinutes: 15, category: 'ceremony' },
+    { typeId: 'planning', label: 'Planning', color: '#0052CC', timeboxMinutes: null, category: 'ceremony' },
+    { typeId: 'retro', label: 'Retro', color: '#6554C0', timeboxMinutes: null, category: 'ceremony' },
+    { typeId: 'review', label: 'Review', color: '#FF991F', timeboxMinutes: null, category: 'ceremony' },
+    { typeId: 'one-on-one', label: '1:1', color: '#00B8D9', timeboxMinutes: null, category: 'people' },
+    { typeId: 'team-sync', label: 'Team Sync', color: '#36B37E', timeboxMinutes: null, category: 'sync' },
+    { typeId: 'all-hands', label: 'All Hands', color: '#FF5630', timeboxMinutes: null, category: 'company' },
+    { typeId: 'interview', label: 'Interview', color: '#8777D9', timeboxMinutes: null, category: 'people' },
+    { typeId: 'ad-hoc', label: 'Ad-hoc', color: '#97A0AF', timeboxMinutes: null, category: 'unplanned' }
+];
+
+function slugify(text) {
+    return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Find a type by id or (case-insensitive) label
+ */
+function findMeetingType(types, idOrLabel) {
+    const value = String(idOrLabel || '').trim().toLowerCase();
+    return types.find(t => t.typeId === value || t.label.toLowerCase() === value);
+}
+
+/**
+ * Validate the type list entered by an admin
+ * @param {Array} types - { typeId, label, color, timeboxMinutes, category }; new types have no typeId
+ * @returns {Array} Normalized types
+ * @throws {Error} On a malformed or duplicate type, or when the fallback type is missing
+ */
+function normalizeMeetingTypes(types = []) {
+    const seen = new Set();
+    const normalized = types.map(type => {
+        const label = String(type.label || '').trim();
+        if (!label) {
+            throw new Error('Every meeting type needs a label');
+        }
+        // Ids are kept once assigned so stored meetings keep their type
+        const typeId = type.typeId || slugify(label);
+        if (!typeId || seen.has(typeId)) {
+            throw new Error(`Duplicate meeting type: ${label}`);
+        }
+        seen.add(typeId);
+
+        const color = String(type.color || '').trim();
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`Invalid color for ${label}: ${type.color || ''}`);
+        }
+
+        let timeboxMinutes = null;
+        if (type.timeboxMinutes !== undefined && type.timeboxMinutes !== null && type.timeboxMinutes !== '') {
+            timeboxMinutes = Number(type.timeboxMinutes);
+            if (!Number.isInteger(timeboxMinutes) || timeboxMinutes <= 0) {
+                throw new Error(`Invalid timebox for ${label}: ${type.timeboxMinutes}`);
+            }
+        }
+
+        if (!MEETING_TYPE_CATEGORIES.includes(type.category)) {
+            throw new Error(`Invalid category for ${label}: ${type.category || ''}`);
+        }
+
+        return { typeId, label, color: color.toUpperCase(), timeboxMinutes, category: type.category };
+    });
+
+    if (!seen.has(DEFAULT_TYPE_ID)) {
+        throw new Error('The Ad-hoc type is used for meetings without a type and cannot be removed');
+    }
+    return normalized;
+}
+
+/**
+ * Total cost, count and hours per meeting type
+ * @returns {Object} typeId -> { cost, count, hours }
+ */
+function summarizeByType(meetings) {
+    const costByType = {};
+    meetings.forEach(m => {
+        const type = m.meetingType || DEFAULT_TYPE_ID;
+        if (!costByType[type]) {
+            costByType[type] = { cost: 0, count: 0, hours: 0 };
+        }
+        costByType[type].cost += m.calculatedCost || 0;
+        costByType[type].count += 1;
+        costByType[type].hours += (m.durationMinutes || 0) / 60;
+    });
+    return costByType;
+}
+
+module.exports = {
+    DEFAULT_TYPE_ID,
+    MEETING_TYPE_CATEGORIES,
+    DEFAULT_MEETING_TYPES,
+    findMeetingType,
+    normalizeMeetingTypes,
+    summarizeByType
+};
@@ -0,0 +1,242 @@
+/**
+ * Reporting Periods
+ * Buckets meeting days into ISO 8601 weeks, months, quarters or Jira sprints.
+ * Meeting dates are calendar days (YYYY-MM-DD) and all arithmetic is done on
+ * them in UTC, so the server's timezone never moves a meeting between
+ * buckets. The org timezone decides which day "today" is, and the day of
+ * full timestamps such as sprint boundaries.
+ */
+
+const { DAY_MS, parseDay, toDay, addDays, isDay } = require('./dates');
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const PERIOD_GROUPINGS = ['day', 'week', 'month', 'quarter', 'sprint'];
+
+/**
+ * Validate an IANA timezone name
+ * @throws {Error} When the runtime does not know the timezone
+ */
+function normalizeTimeZone(timeZone) {
+    const value = String(timeZone || '').trim() || DEFAULT_TIME_ZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch (error) {
+        throw new Error(`Unknown timezone: ${timeZone}`);
+    }
+    return value;
+}
+
+/**
+ * Calendar day of a date or timestamp in a timezone. Plain YYYY-MM-DD days
+ * are already calendar days and are returned unchanged.
+ */
+function dayInTimeZone(value = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    if (isDay(value)) {
+        return value;
+    }
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(value));
+    const part = type => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Calendar day and wall-clock time of an instant in a timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes: minutes since midnight }
+ */
+function wallClockIn(instant, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(new Date(instant));
+    const part = type => parts.find(p => p.type === type).value;
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+}
+
+/**
+ * Instant (ms since the epoch) of a wall-clock time in a timezone. A time
+ * skipped by a daylight-saving change lands an hour later.
+ */
+function instantAt(date, minutes, timeZone = DEFAULT_TIME_ZONE) {
+    const wall = parseDay(date).getTime() + minutes * 60 * 1000;
+    const offsetAt = instant => {
+        const clock = wallClockIn(instant, timeZone);
+        return parseDay(clock.date).getTime() + clock.minutes * 60 * 1000 - instant;
+    };
+    // The offset at the wall time read as UTC is off only near a daylight-saving change; a second pass settles it
+    const guess = wall - offsetAt(wall);
+    const instant = wall - offsetAt(guess);
+    if (instant + offsetAt(instant) === wall) {
+        return instant;
+    }
+    // Skipped by the change: read it with the offset from before, which is the smaller one
+    return wall - Math.min(offsetAt(guess), offsetAt(instant));
+}
+
+/**
+ * Today in the org timezone, as midnight UTC of that day; the form the date
+ * range, budget and digest helpers take as their reference date
+ */
+function todayIn(timeZone = DEFAULT_TIME_ZONE) {
+    return parseDay(dayInTimeZone(new Date(), timeZone));
+}
+
+/**
+ * ISO 8601 week of a day: weeks start on Monday, and week 1 is the week
+ * holding the year's first Thursday
+ * @returns {Object} { year, week } where year is the ISO week-numbering year
+ */
+function isoWeek(day) {
+    const date = parseDay(day);
+    const weekday = date.getUTCDay() || 7;
+    // The Thursday of a week decides which year the week belongs to
+    const thursday = new Date(date.getTime() + (4 - weekday) * DAY_MS);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+    return { year, week };
+}
+
+/**
+ * Monday of the ISO week holding a day
+ */
+function isoWeekStart(day) {
+    const weekday = parseDay(day).getUTCDay() || 7;
+    return toDay(new Date(parseDay(day).getTime() - (weekday - 1) * DAY_MS));
+}
+
+/**
+ * Sprint a day falls in, from its start to its completion (or planned end
+ * while it is still active); the earlier sprint wins on a shared day
+ * @param {string} day - YYYY-MM-DD
+ * @param {Array} sprints - Jira sprints ({ id, name, startDate, endDate, completeDate }), oldest first
+ * @param {string} timeZone - Org timezone the sprint timestamps are read in
+ */
+function findSprint(day, sprints, timeZone = DEFAULT_TIME_ZONE) {
+    return sprints.find(s =>
+        day >= dayInTimeZone(s.startDate, timeZone) && day <= dayInTimeZone(s.completeDate || s.endDate, timeZone)
+    ) || null;
+}
+
+/**
+ * First and last day of the period holding a day
+ * @returns {Object|null} { startDate, endDate }, or null for a day outside every sprint
+ */
+function periodBounds(day, groupBy, { sprints = [], timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const year = parseInt(day.slice(0, 4));
+    const month = parseInt(day.slice(5, 7)) - 1;
+    switch (groupBy) {
+        case 'week': {
+            const startDate = isoWeekStart(day);
+            return { startDate, endDate: addDays(startDate, 6) };
+        }
+        case 'month':
+            return { startDate: toDay(new Date(Date.UTC(year, month, 1))), endDate: toDay(new Date(Date.UTC(year, month + 1, 0))) };
+        case 'quarter': {
+            const first = Math.floor(month / 3) * 3;
+            return { startDate: toDay(new Date(Date.UTC(year, first, 1))), endDate: toDay(new Date(Date.UTC(year, first + 3, 0))) };
+        }
+        case 'sprint': {
+            const sprint = findSprint(day, sprints, timeZone);
+            return sprint
+                ? { startDate: dayInTimeZone(sprint.startDate, timeZone), endDate: dayInTimeZone(sprint.completeDate || sprint.endDate, timeZone) }
+                : null;
+        }
+        default:
+            return { startDate: day, endDate: day };
+    }
+}
+
+/**
+ * Every period overlapping a date range, oldest first, including periods
+ * with no meetings. Periods at the edges are cut to the range, so their
+ * days are exactly the days their meetings were counted from.
+ * @returns {Array} Periods ({ period, startDate, endDate })
+ */
+function listPeriods(startDate, endDate, groupBy, options = {}) {
+    const clip = (period, bounds) => ({
+        period,
+        startDate: bounds.startDate > startDate ? bounds.startDate : startDate,
+        endDate: bounds.endDate < endDate ? bounds.endDate : endDate
+    });
+
+    if (groupBy === 'sprint') {
+        const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+        return (options.sprints || [])
+            .map(s => ({
+                period: String(s.id),
+                startDate: dayInTimeZone(s.startDate, timeZone),
+                endDate: dayInTimeZone(s.completeDate || s.endDate, timeZone)
+            }))
+            .filter(p => p.startDate <= endDate && p.endDate >= startDate)
+            .map(p => clip(p.period, p));
+    }
+
+    const periods = [];
+    for (let day = startDate; day <= endDate;) {
+        const bounds = periodBounds(day, groupBy, options);
+        periods.push(clip(periodKey(day, groupBy, options), bounds));
+        day = addDays(bounds.endDate, 1);
+    }
+    return periods;
+}
+
+/**
+ * Bucket key of a day. Keys sort chronologically as strings, except sprint
+ * ids, which follow the order of the sprints. Sprints are keyed by id since
+ * boards can reuse a name; periodLabel gives the name.
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} groupBy - One of PERIOD_GROUPINGS
+ * @param {Object} options - { sprints, timeZone } for sprint grouping
+ * @returns {string|null} Key, or null for a day outside every sprint
+ */
+function periodKey(day, groupBy, { sprints = [], timeZone = DEFAULT_TIME_ZONE } = {}) {
+    switch (groupBy) {
+        case 'week': {
+            const { year, week } = isoWeek(day);
+            return `${year}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'month':
+            return day.slice(0, 7);
+        case 'quarter':
+            return `${day.slice(0, 4)}-Q${Math.floor((parseInt(day.slice(5, 7)) - 1) / 3) + 1}`;
+        case 'sprint': {
+            const sprint = findSprint(day, sprints, timeZone);
+            return sprint ? String(sprint.id) : null;
+        }
+        default:
+            return day;
+    }
+}
+
+/**
+ * Display name of a period key: the sprint name for a sprint, the key otherwise
+ * @param {string} key - periodKey result
+ * @param {string} groupBy - One of PERIOD_GROUPINGS
+ * @param {Object} options - { sprints } for sprint grouping
+ */
+function periodLabel(key, groupBy, { sprints = [] } = {}) {
+    if (groupBy !== 'sprint') {
+        return key;
+    }
+    const sprint = sprints.find(s => String(s.id) === key);
+    return sprint ? sprint.name : key;
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    PERIOD_GROUPINGS,
+    normalizeTimeZone,
+    dayInTimeZone,
+    wallClockIn,
+    instantAt,
+    todayIn,
+    isoWeek,
+    isoWeekStart,
+    periodKey,
+    periodLabel,
+    periodBounds,
+    listPeriods,
+    findSprint
+};
@@ -0,0 +1,135 @@
+/**
+ * Role Rate Versions
+ * Role rates are kept as versions, each a full set of rates that applies
+ * from its effective date until the next version starts. The first version
+ * (effectiveFrom null) also covers every earlier date. A version also holds
+ * the fully loaded cost factors of its period: benefits and overhead
+ * multipliers per role, and the context-switching minutes every attendee
+ * loses around a meeting.
+ */
+
+const { toDay, isDay } = require('./dates');
+
+const MAX_MULTIPLIER = 5;
+const MAX_CONTEXT_SWITCH_MINUTES = 60;
+// Versions saved before the cost was fully loaded add no context switching
+const NO_CONTEXT_SWITCH = { beforeMinutes: 0, afterMinutes: 0 };
+
+function sortVersions(versions) {
+    return [...versions].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+}
+
+/**
+ * Flatten versions into one list of rates, each carrying the window it applies in
+ * @param {Array} versions - Rate versions ({ effectiveFrom, rates, contextSwitch })
+ * @returns {Array} Rates with `effectiveFrom` and `effectiveTo` (exclusive; null means unbounded)
+ *   and their version's `contextSwitch`
+ */
+function flattenRateVersions(versions) {
+    const sorted = sortVersions(versions);
+    return sorted.flatMap((version, i) => {
+        const next = sorted[i + 1];
+        return version.rates.map(rate => ({
+            ...rate,
+            contextSwitch: version.contextSwitch || NO_CONTEXT_SWITCH,
+            // The first version reaches back to cover meetings logged before any rates were dated
+            effectiveFrom: i === 0 ? null : version.effectiveFrom,
+            effectiveTo: next ? next.effectiveFrom : null
+        }));
+    });
+}
+
+/**
+ * Pick the rates in effect on a date. Rates without an effective window
+ * always apply.
+ * @param {Array} roleRates - Role rates, optionally with `effectiveFrom` / `effectiveTo`
+ * @param {string|Date} date - Meeting date
+ * @returns {Array} Rates valid on that date
+ */
+function ratesInEffect(roleRates, date) {
+    const day = toDay(date);
+    return roleRates.filter(rate =>
+        (!rate.effectiveFrom || rate.effectiveFrom <= day)
+        && (!rate.effectiveTo || day < rate.effectiveTo)
+    );
+}
+
+/**
+ * The version in effect on a day
+ * @param {Array} versions - Rate versions
+ * @param {string|Date} today - The org's today (see todayIn), so the switch happens at its midnight
+ */
+function currentVersion(versions, today) {
+    const day = toDay(today);
+    const sorted = sortVersions(versions);
+    return [...sorted].reverse().find(v => !v.effectiveFrom || v.effectiveFrom <= day) || sorted[0];
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate a role's benefits and overhead multipliers; a missing one is 1,
+ * which adds nothing to the hourly rate
+ * @returns {Object} The rate with both multipliers
+ * @throws {Error} On a multiplier below 1 or above MAX_MULTIPLIER
+ */
+function normalizeLoadFactors(rate) {
+    const multiplier = (value, label) => {
+        const number = isBlank(value) ? 1 : Number(value);
+        if (!(number >= 1 && number <= MAX_MULTIPLIER)) {
+            throw new Error(`${rate.roleName || rate.roleId}: ${label} multiplier must be between 1 and ${MAX_MULTIPLIER}`);
+        }
+        return number;
+    };
+    return {
+        ...rate,
+        benefitsMultiplier: multiplier(rate.benefitsMultiplier, 'Benefits'),
+        overheadMultiplier: multiplier(rate.overheadMultiplier, 'Overhead')
+    };
+}
+
+/**
+ * Validate the minutes each attendee loses switching context before and after a meeting
+ * @param {Object} contextSwitch - { beforeMinutes, afterMinutes }; missing minutes are 0
+ * @returns {Object} { beforeMinutes, afterMinutes }
+ * @throws {Error} On minutes below 0 or above MAX_CONTEXT_SWITCH_MINUTES
+ */
+function normalizeContextSwitch(contextSwitch = {}) {
+    const minutes = (value, label) => {
+        const number = isBlank(value) ? 0 : Number(value);
+        if (!(number >= 0 && number <= MAX_CONTEXT_SWITCH_MINUTES)) {
+            throw new Error(`Context switching ${label} a meeting must be between 0 and ${MAX_CONTEXT_SWITCH_MINUTES} minutes`);
+        }
+        return number;
+    };
+    return {
+        beforeMinutes: minutes(contextSwitch.beforeMinutes, 'before'),
+        afterMinutes: minutes(contextSwitch.afterMinutes, 'after')
+    };
+}
+
+/**
+ * Add a version, replacing any existing version with the same effective date
+ * @param {Array} versions - Existing versions
+ * @param {Object} version - { effectiveFrom, rates, savedAt, savedBy }
+ * @returns {Array} Versions, oldest first
+ */
+function upsertRateVersion(versions, version) {
+    const effectiveFrom = version.effectiveFrom || null;
+    if (effectiveFrom && !isDay(effectiveFrom)) {
+        throw new Error(`Invalid effective date: ${effectiveFrom}`);
+    }
+    const others = versions.filter(v => (v.effectiveFrom || null) !== effectiveFrom);
+    return sortVersions([...others, { ...version, effectiveFrom }]);
+}
+
+module.exports = {
+    flattenRateVersions,
+    ratesInEffect,
+    currentVersion,
+    upsertRateVersion,
+    normalizeLoadFactors,
+    normalizeContextSwitch
+};
@@ -0,0 +1,215 @@
+/**
+ * Recurrence Utilities
+ * Parses and expands iCalendar RRULE recurrences (RFC 5545 subset:
+ * FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY) on calendar dates
+ */
+
+const { DAY_MS, parseDay, toDay } = require('./dates');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on days walked in one expansion, so an open-ended rule cannot spin forever
+const MAX_EXPANSION_DAYS = 366 * 10;
+
+/**
+ * Parse an RRULE string
+ * @param {string} rrule - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'
+ * @returns {Object} { freq, interval, count, until, byDay, byMonthDay }
+ */
+function parseRRule(rrule) {
+    if (!rrule || typeof rrule !== 'string') {
+        throw new Error('Recurrence rule is required');
+    }
+
+    const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+
+    for (const part of parts) {
+        const [name, value] = part.split('=');
+        switch ((name || '').toUpperCase()) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value) || 1;
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value) || null;
+                break;
+            case 'UNTIL':
+                rule.until = parseICalDate(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(parseByDay);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(v => parseInt(v)).filter(Number.isFinite);
+                break;
+            default:
+                // WKST and other parts are not needed for day-level expansion
+                break;
+        }
+    }
+
+    if (!FREQUENCIES.includes(rule.freq)) {
+        throw new Error(`Unsupported recurrence frequency: ${rule.freq || 'missing'}`);
+    }
+
+    return rule;
+}
+
+function parseByDay(value) {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(value.trim());
+    if (!match) {
+        throw new Error(`Invalid BYDAY value: ${value}`);
+    }
+    return {
+        ordinal: match[1] ? parseInt(match[1]) : null,
+        weekday: WEEKDAYS.indexOf(match[2].toUpperCase())
+    };
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into YYYY-MM-DD
+ */
+function parseICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    if (!match) {
+        throw new Error(`Invalid date value: ${value}`);
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+function matchesByDay(date, byDay, { monthly }) {
+    const weekday = date.getUTCDay();
+    return byDay.some(entry => {
+        if (entry.weekday !== weekday) {
+            return false;
+        }
+        if (!entry.ordinal || !monthly) {
+            return true;
+        }
+        const dayOfMonth = date.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        const nth = entry.ordinal > 0
+            ? Math.ceil(dayOfMonth / 7)
+            : -Math.ceil((daysInMonth - dayOfMonth + 1) / 7);
+        return nth === entry.ordinal;
+    });
+}
+
+function isOccurrence(date, start, rule) {
+    const dayDiff = Math.round((date - start) / DAY_MS);
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return dayDiff % rule.interval === 0
+                && (rule.byDay.length === 0 || matchesByDay(date, rule.byDay, { monthly: false }));
+        case 'WEEKLY': {
+            // Weeks start on Monday (RFC 5545 default WKST)
+            const weekStart = d => new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+            const weekDiff = Math.round((weekStart(date) - weekStart(start)) / (7 * DAY_MS));
+            const byDay = rule.byDay.length > 0 ? rule.byDay : [{ ordinal: null, weekday: start.getUTCDay() }];
+            return weekDiff % rule.interval === 0 && matchesByDay(date, byDay, { monthly: false });
+        }
+        case 'MONTHLY': {
+            const monthDiff = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+            if (monthDiff % rule.interval !== 0) {
+                return false;
+            }
+            if (rule.byDay.length > 0) {
+                return matchesByDay(date, rule.byDay, { monthly: true });
+            }
+            const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()];
+            const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            return monthDays.some(d => (d > 0 ? d : daysInMonth + d + 1) === date.getUTCDate());
+        }
+        case 'YEARLY':
+            return (date.getUTCFullYear() - start.getUTCFullYear()) % rule.interval === 0
+                && date.getUTCMonth() === start.getUTCMonth()
+                && date.getUTCDate() === start.getUTCDate();
+        default:
+            return false;
+    }
+}
+
+/**
+ * Expand a recurrence into occurrence dates
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {string} startDate - First occurrence (YYYY-MM-DD), DTSTART
+ * @param {Object} options - { from, to, exdates } window (YYYY-MM-DD, inclusive) and excluded dates
+ * @returns {Array} Occurrence dates (YYYY-MM-DD), ascending
+ */
+function expandRecurrence(rrule, startDate, { from, to, exdates = [] } = {}) {
+    const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+    const start = parseDay(startDate);
+    // Occurrences are matched against DTSTART, so only COUNT needs the walk to begin there
+    const first = !rule.count && from && from > startDate ? parseDay(from) : start;
+    const lastDay = [to, rule.until].filter(Boolean).sort()[0];
+    const end = lastDay
+        ? parseDay(lastDay)
+        : new Date(first.getTime() + MAX_EXPANSION_DAYS * DAY_MS);
+    const excluded = new Set(exdates);
+
+    const occurrences = [];
+    let matched = 0;
+
+    for (let date = first, steps = 0; date <= end; date = new Date(date.getTime() + DAY_MS), steps++) {
+        if (steps > MAX_EXPANSION_DAYS) {
+            // Only a rule with neither an end nor a window stops here quietly
+            if (lastDay) {
+                throw new Error(`Recurrence spans more than ${MAX_EXPANSION_DAYS} days before ${lastDay}; choose a shorter range`);
+            }
+            break;
+        }
+        // DTSTART always counts as the first occurrence
+        if (date.getTime() !== start.getTime() && !isOccurrence(date, start, rule)) {
+            continue;
+        }
+
+        matched++;
+        if (rule.count && matched > rule.count) {
+            break;
+        }
+
+        // Excluded dates still count towards COUNT, as in RFC 5545
+        const day = toDay(date);
+        if ((!from || day >= from) && !excluded.has(day)) {
+            occurrences.push(day);
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Describe a recurrence in plain language, e.g. 'Every 2 weeks on Mon, Wed'
+ */
+function describeRRule(rrule) {
+    const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : `Every ${units[rule.freq]}`;
+    if (rule.byDay.length > 0) {
+        text += ' on ' + rule.byDay.map(d => (d.ordinal ? `${d.ordinal} ` : '') + names[d.weekday]).join(', ');
+    }
+    if (rule.byMonthDay.length > 0) {
+        text += ' on day ' + rule.byMonthDay.join(', ');
+    }
+    if (rule.count) {
+        text += `, ${rule.count} times`;
+    }
+    if (rule.until) {
+        text += `, until ${rule.until}`;
+    }
+    return text;
+}
+
+module.exports = {
+    parseRRule,
+    parseICalDate,
+    expandRecurrence,
+    describeRRule
+};
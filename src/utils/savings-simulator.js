@@ -0,0 +1,246 @@
+/**
+ * Savings Simulator
+ * Projects what concrete meeting changes would save by replaying them on the
+ * meetings of a recent sample window, then scaling the difference to a month
+ * and a year. Scenarios (a named list of changes) are stored per record.
+ */
+
+const { storage } = require('@forge/api');
+const { randomUUID } = require('crypto');
+const { queryByPrefix } = require('./storage-query');
+const { calculateMeetingCost } = require('./cost-calculator');
+const { findMeetingType } = require('./meeting-types');
+const { toDay, addDays } = require('./dates');
+
+const KEY_PREFIX = 'scenario:';
+const SAMPLE_DAYS = 90;
+const DAYS_PER_MONTH = 365 / 12;
+const MIN_CAP_MINUTES = 5;
+const MAX_CHANGES = 20;
+
+// What a change does to each meeting of the sample
+const CHANGE_KINDS = {
+    'cap-duration': 'Cap the duration of a meeting type',
+    'remove-role': 'Drop one attendee of a role from a meeting type',
+    'cancel-series': 'Cancel a recurring series',
+    'go-async': 'Replace a meeting type with async updates'
+};
+
+function scenarioKey(scenarioId) {
+    return `${KEY_PREFIX}${scenarioId}`;
+}
+
+/**
+ * Meetings the simulation replays: the SAMPLE_DAYS days up to today
+ * @returns {Object} { startDate, endDate, days }
+ */
+function sampleWindow(today = new Date()) {
+    const endDate = toDay(today);
+    return { startDate: addDays(endDate, -(SAMPLE_DAYS - 1)), endDate, days: SAMPLE_DAYS };
+}
+
+/**
+ * Validate a change and describe it in words
+ * @param {Object} change - { kind, meetingType, maxMinutes, roleId, seriesId }
+ * @param {Object} context - { meetingTypes, roleRates, series } to check references against
+ * @returns {Object} Normalized change with a description
+ * @throws {Error} On an unknown kind or a reference that does not exist
+ */
+function normalizeChange(change = {}, { meetingTypes = [], roleRates = [], series = [] } = {}) {
+    const { kind } = change;
+    const meetingType = () => {
+        const type = findMeetingType(meetingTypes, change.meetingType);
+        if (!type) {
+            throw new Error(`Unknown meeting type: ${change.meetingType}`);
+        }
+        return type;
+    };
+
+    switch (kind) {
+        case 'cap-duration': {
+            const type = meetingType();
+            const maxMinutes = parseInt(change.maxMinutes);
+            if (!(maxMinutes >= MIN_CAP_MINUTES)) {
+                throw new Error(`A duration cap must be at least ${MIN_CAP_MINUTES} minutes`);
+            }
+            return { kind, meetingType: type.typeId, maxMinutes, description: `Cap ${type.label} at ${maxMinutes} minutes` };
+        }
+        case 'remove-role': {
+            const type = meetingType();
+            const role = roleRates.find(r => r.roleId === change.roleId);
+            if (!role) {
+                throw new Error(`Unknown role: ${change.roleId}`);
+            }
+            return { kind, meetingType: type.typeId, roleId: role.roleId, description: `Drop one ${role.roleName} from ${type.label}` };
+        }
+        case 'cancel-series': {
+            const cancelled = series.find(s => s.id === change.seriesId);
+            if (!cancelled) {
+                throw new Error(`Unknown series: ${change.seriesId}`);
+            }
+            return { kind, seriesId: cancelled.id, description: `Cancel the "${cancelled.title}" series` };
+        }
+        case 'go-async': {
+            const type = meetingType();
+            return { kind, meetingType: type.typeId, description: `Replace ${type.label} with async updates` };
+        }
+        default:
+            throw new Error(`Unknown change: ${kind}`);
+    }
+}
+
+function normalizeChanges(changes, context) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        throw new Error('Pick at least one change to simulate');
+    }
+    if (changes.length > MAX_CHANGES) {
+        throw new Error(`A scenario can have at most ${MAX_CHANGES} changes`);
+    }
+    return changes.map(change => normalizeChange(change, context));
+}
+
+/**
+ * A meeting after a change: the same object when untouched, null when it no longer happens
+ */
+function applyChange(meeting, change) {
+    switch (change.kind) {
+        case 'cap-duration':
+            return meeting.meetingType === change.meetingType && meeting.durationMinutes > change.maxMinutes
+                ? { ...meeting, durationMinutes: change.maxMinutes }
+                : meeting;
+        case 'remove-role': {
+            const roles = meeting.attendeeRoles || [];
+            const index = roles.indexOf(change.roleId);
+            // The last attendee stays; dropping them is cancelling the meeting
+            if (meeting.meetingType !== change.meetingType || index === -1 || roles.length < 2) {
+                return meeting;
+            }
+            return {
+                ...meeting,
+                attendeeRoles: roles.filter((_, i) => i !== index),
+                attendeeCount: Math.max(1, (meeting.attendeeCount || roles.length) - 1)
+            };
+        }
+        case 'cancel-series':
+            return meeting.seriesId === change.seriesId ? null : meeting;
+        case 'go-async':
+            return meeting.meetingType === change.meetingType ? null : meeting;
+        default:
+            return meeting;
+    }
+}
+
+// Hours of everyone's time a meeting takes
+function personHours(meeting) {
+    const roles = meeting.attendeeRoles || [];
+    const attendees = roles.length > 0 ? roles.length : meeting.attendeeCount || 1;
+    return (meeting.durationMinutes / 60) * attendees;
+}
+
+/**
+ * Replay changes, in order, on a sample of meetings. Each change is credited
+ * with what it saves on top of the changes before it, so a meeting capped and
+ * then cancelled is not counted twice.
+ * @param {Array} meetings - Meetings of the sample window
+ * @param {Array} changes - Normalized changes
+ * @param {Object} options - { roleRates, currency, days: length of the sample window }
+ * @returns {Object} { baseline, projected, savings, changes }, monthly and annual
+ */
+function simulateSavings(meetings, changes, { roleRates, currency, days = SAMPLE_DAYS }) {
+    const perMonth = DAYS_PER_MONTH / days;
+    const cost = meeting => meeting ? calculateMeetingCost(meeting, roleRates, currency).totalCost : 0;
+    const hours = meeting => meeting ? personHours(meeting) : 0;
+    const sum = (list, fn) => list.reduce((total, m) => total + fn(m), 0);
+
+    let remaining = meetings;
+    const results = changes.map(change => {
+        let saved = 0;
+        let hoursReturned = 0;
+        let meetingsAffected = 0;
+        remaining = remaining
+            .map(meeting => {
+                const next = applyChange(meeting, change);
+                if (next !== meeting) {
+                    meetingsAffected += 1;
+                    saved += cost(meeting) - cost(next);
+                    hoursReturned += hours(meeting) - hours(next);
+                }
+                return next;
+            })
+            .filter(Boolean);
+        return {
+            ...change,
+            meetingsAffected,
+            monthlySavings: saved * perMonth,
+            monthlyHoursReturned: hoursReturned * perMonth
+        };
+    });
+
+    const baselineCost = sum(meetings, cost) * perMonth;
+    const baselineHours = sum(meetings, hours) * perMonth;
+    const monthly = results.reduce((total, r) => total + r.monthlySavings, 0);
+    const monthlyHours = results.reduce((total, r) => total + r.monthlyHoursReturned, 0);
+
+    return {
+        baseline: { monthlyCost: baselineCost, monthlyHours: baselineHours, meetingCount: meetings.length },
+        projected: { monthlyCost: baselineCost - monthly, monthlyHours: baselineHours - monthlyHours, meetingCount: remaining.length },
+        savings: {
+            monthly,
+            annual: monthly * 12,
+            monthlyHours,
+            annualHours: monthlyHours * 12,
+            percent: baselineCost > 0 ? (monthly / baselineCost) * 100 : 0
+        },
+        changes: results
+    };
+}
+
+/**
+ * List saved scenarios, by name
+ */
+async function listScenarios() {
+    const entries = await queryByPrefix(KEY_PREFIX);
+    return entries
+        .map(entry => entry.value)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a scenario, replacing the one with the same id
+ * @param {Object} scenario - { id, name, changes }; new scenarios have no id
+ * @param {Object} context - References to validate the changes against, see normalizeChange
+ * @param {string} accountId - Who saved it
+ * @returns {Object} The stored scenario
+ */
+async function saveScenario(scenario = {}, context, accountId) {
+    const name = String(scenario.name || '').trim();
+    if (!name) {
+        throw new Error('Scenario name is required');
+    }
+    // Descriptions follow the current labels, so only the change itself is stored
+    const changes = normalizeChanges(scenario.changes, context).map(({ description, ...change }) => change);
+
+    const stored = {
+        id: scenario.id || `scenario-${randomUUID()}`,
+        name,
+        changes,
+        updatedBy: accountId || null,
+        updatedAt: new Date().toISOString()
+    };
+    await storage.set(scenarioKey(stored.id), stored);
+    return stored;
+}
+
+async function deleteScenario(scenarioId) {
+    await storage.delete(scenarioKey(scenarioId));
+}
+
+module.exports = {
+    CHANGE_KINDS,
+    sampleWindow,
+    normalizeChanges,
+    simulateSavings,
+    listScenarios,
+    saveScenario,
+    deleteScenario
+};
@@ -0,0 +1,103 @@
+/**
+ * Team and Project Scoping
+ * Meetings carry `projectKeys` and `teamIds`; a team owns a set of Jira
+ * projects, so a meeting tagged with either the team or one of its
+ * projects belongs to that team's numbers
+ */
+
+// A Jira project key is at least two characters, starting with a letter
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+/**
+ * Normalize project keys from a comma-separated string or an array
+ * @returns {Array} Upper-cased, de-duplicated project keys
+ */
+function normalizeProjectKeys(value) {
+    const keys = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+    return [...new Set(keys.map(k => String(k).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Normalize the Jira issue keys a meeting is linked to, from a
+ * comma-separated string or an array
+ * @returns {Array} Upper-cased, de-duplicated issue keys
+ * @throws {Error} On a value that is not an issue key
+ */
+function normalizeIssueKeys(value) {
+    const keys = normalizeProjectKeys(value);
+    const invalid = keys.find(k => !ISSUE_KEY_PATTERN.test(k));
+    if (invalid) {
+        throw new Error(`Invalid issue key: ${invalid} (expected e.g. PAY-123)`);
+    }
+    return keys;
+}
+
+/**
+ * Find a team by id or (case-insensitive) name
+ */
+function findTeam(teams, idOrName) {
+    const value = String(idOrName || '').trim().toLowerCase();
+    return teams.find(t => t.teamId.toLowerCase() === value || t.name.toLowerCase() === value);
+}
+
+/**
+ * Resolve filter inputs into a scope
+ * @param {Object} filter - { projectKey, teamId } where teamId may also be a team name
+ * @param {Array} teams - Configured teams ({ teamId, name, projectKeys })
+ * @returns {Object|null} { projectKeys, teamIds, label }, or null for no filter
+ * @throws {Error} When the team is unknown
+ */
+function resolveScope({ projectKey, teamId } = {}, teams = []) {
+    if (teamId) {
+        const team = findTeam(teams, teamId);
+        if (!team) {
+            throw new Error(`Unknown team: ${teamId}`);
+        }
+        return {
+            projectKeys: normalizeProjectKeys(team.projectKeys),
+            teamIds: [team.teamId],
+            label: team.name
+        };
+    }
+
+    if (projectKey) {
+        const [key] = normalizeProjectKeys(projectKey);
+        // Teams that own the project count too
+        const owners = teams.filter(t => normalizeProjectKeys(t.projectKeys).includes(key));
+        return {
+            projectKeys: [key],
+            teamIds: owners.map(t => t.teamId),
+            label: key
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a meeting belongs to a scope. Untagged meetings only show
+ * up unscoped.
+ */
+function matchesScope(meeting, scope) {
+    if (!scope) {
+        return true;
+    }
+    const projectKeys = meeting.projectKeys || [];
+    const teamIds = meeting.teamIds || [];
+    return projectKeys.some(k => scope.projectKeys.includes(k))
+        || teamIds.some(t => scope.teamIds.includes(t));
+}
+
+function filterByScope(meetings, scope) {
+    return scope ? meetings.filter(m => matchesScope(m, scope)) : meetings;
+}
+
+module.exports = {
+    ISSUE_KEY_PATTERN,
+    normalizeProjectKeys,
+    normalizeIssueKeys,
+    findTeam,
+    resolveScope,
+    matchesScope,
+    filterByScope
+};
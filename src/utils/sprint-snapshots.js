@@ -0,0 +1,107 @@
+/**
+ * Sprint Snapshot Store
+ * Persists one meeting/velocity snapshot per board and sprint
+ */
+
+const { storage } = require('@forge/api');
+const { queryByPrefix } = require('./storage-query');
+const { buildSprintSnapshots } = require('./velocity-correlator');
+const { getBoardSprintVelocity, getCompletedPoints, requireStoryPointsFieldId } = require('./jira-agile');
+const { loadMeetings } = require('./meeting-store');
+const { filterByScope } = require('./scope');
+const { convertMeetingCosts } = require('./currency');
+
+const KEY_PREFIX = 'snapshot:';
+
+function snapshotKey(boardId, sprintId) {
+    return `${KEY_PREFIX}${boardId}:${sprintId}`;
+}
+
+/**
+ * Store a snapshot, replacing any previous one for the same board and sprint
+ */
+async function saveSnapshot(snapshot) {
+    const record = {
+        ...snapshot,
+        capturedAt: new Date().toISOString()
+    };
+    await storage.set(snapshotKey(snapshot.boardId, snapshot.sprintId), record);
+    return record;
+}
+
+function costed(meetings, currency) {
+    return currency ? convertMeetingCosts(meetings, currency) : meetings;
+}
+
+async function deleteSnapshot(boardId, sprintId) {
+    await storage.delete(snapshotKey(boardId, sprintId));
+}
+
+/**
+ * List stored snapshots, oldest sprint first
+ * @param {Object} filter - { boardId } to restrict to one board
+ * @returns {Array} Sprint snapshots
+ */
+async function listSnapshots({ boardId } = {}) {
+    const prefix = boardId ? `${KEY_PREFIX}${boardId}:` : KEY_PREFIX;
+    const snapshots = (await queryByPrefix(prefix)).map(entry => entry.value);
+
+    return snapshots.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+/**
+ * Capture the snapshot of a single sprint that just closed
+ * @param {number} boardId - Agile board id
+ * @param {Object} sprint - Jira sprint ({ id, name, startDate, endDate, completeDate })
+ * @param {Object} options - { scope } to count only the meetings of a team or project,
+ *   { currency } to total meeting costs in the reporting currency
+ */
+async function captureSprintSnapshot(boardId, sprint, { scope = null, currency = null } = {}) {
+    const storyPointsField = await requireStoryPointsFieldId();
+    const velocity = {
+        boardId,
+        sprintId: sprint.id,
+        sprintName: sprint.name,
+        startDate: sprint.startDate,
+        endDate: sprint.completeDate || sprint.endDate,
+        completedPoints: await getCompletedPoints(boardId, sprint, storyPointsField)
+    };
+
+    const meetings = await loadMeetings({ startDate: velocity.startDate, endDate: velocity.endDate });
+    const [snapshot] = buildSprintSnapshots([velocity], costed(filterByScope(meetings, scope), currency));
+    return saveSnapshot({ ...snapshot, scope: scope ? scope.label : null, currency: currency ? currency.code : null });
+}
+
+/**
+ * Rebuild snapshots for the recent closed sprints of a board
+ * @param {number} boardId - Agile board id
+ * @param {Object} options - { maxSprints, scope, currency }
+ * @returns {Array} Stored snapshots
+ */
+async function rebuildBoardSnapshots(boardId, { scope = null, currency = null, ...options } = {}) {
+    const velocity = await getBoardSprintVelocity(boardId, options);
+    if (velocity.length === 0) {
+        return [];
+    }
+
+    // Only read the meeting partitions the sprints cover
+    const meetings = await loadMeetings({
+        startDate: velocity[0].startDate,
+        endDate: velocity[velocity.length - 1].endDate
+    });
+    const snapshots = buildSprintSnapshots(velocity, costed(filterByScope(meetings, scope), currency));
+
+    const saved = [];
+    for (const snapshot of snapshots) {
+        saved.push(await saveSnapshot({ ...snapshot, scope: scope ? scope.label : null, currency: currency ? currency.code : null }));
+    }
+    return saved;
+}
+
+module.exports = {
+    saveSnapshot,
+    deleteSnapshot,
+    listSnapshots,
+    captureSprintSnapshot,
+    rebuildBoardSnapshots
+};
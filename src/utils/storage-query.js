@@ -0,0 +1,34 @@
+/**
+ * Storage Query Helpers
+ * Paging wrappers around Forge storage key-prefix queries
+ */
+
+const { storage, startsWith } = require('@forge/api');
+
+const PAGE_SIZE = 20;
+
+/**
+ * Read every entry whose key starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Array} Entries ({ key, value })
+ */
+async function queryByPrefix(prefix) {
+    const entries = [];
+    let cursor;
+
+    do {
+        let query = storage.query().where('key', startsWith(prefix)).limit(PAGE_SIZE);
+        if (cursor) {
+            query = query.cursor(cursor);
+        }
+        const page = await query.getMany();
+        entries.push(...page.results);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return entries;
+}
+
+module.exports = {
+    queryByPrefix
+};
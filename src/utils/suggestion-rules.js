@@ -0,0 +1,419 @@
+/**
+ * Suggestion Rules
+ * Optimization suggestions come from a registry of rules. Each rule has a
+ * default priority and tunable parameters that admins can override, and
+ * returns its suggestions with the evidence behind them. New rules are added
+ * with registerRule.
+ */
+
+const { calculateMeetingCost, summarizeMeetings, formatWholeCurrency } = require('./cost-calculator');
+const { DEFAULT_TYPE_ID, DEFAULT_MEETING_TYPES, summarizeByType } = require('./meeting-types');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const DAYS_PER_MONTH = 365 / 12;
+const WORKDAYS_PER_WEEK = 5;
+const DEFAULT_WORK_HOURS_PER_DAY = 8;
+// Meetings quoted as evidence, most expensive first
+const EVIDENCE_EXAMPLES = 3;
+
+const RULES = [];
+
+/**
+ * Add a rule to the registry
+ * @param {Object} rule - { ruleId, label, description, priority, params, evaluate }
+ *   params maps a name to { label, default, min, max } for numbers, or
+ *   { label, default, type: 'roles' } for a list of role ids.
+ *   evaluate(context, params) returns suggestions ({ title, description,
+ *   potentialSavings, evidence, category, subject, target }), potentialSavings
+ *   per month. A rule giving several suggestions tells them apart by subject;
+ *   target ({ meetingTypes } or { seriesIds }, null for every meeting) names the
+ *   meetings whose cost shows whether the suggestion worked.
+ */
+function registerRule(rule) {
+    if (RULES.some(r => r.ruleId === rule.ruleId)) {
+        throw new Error(`Rule already registered: ${rule.ruleId}`);
+    }
+    RULES.push(rule);
+}
+
+/**
+ * Registered rules with their parameters, for the settings screen
+ */
+function listRules() {
+    return RULES.map(({ evaluate, ...rule }) => rule);
+}
+
+function defaultParams(rule) {
+    return Object.fromEntries(Object.entries(rule.params).map(([name, spec]) => [name, spec.default]));
+}
+
+/**
+ * Validate the rule settings entered by an admin. Rules without settings
+ * keep their defaults, and settings of rules no longer registered are dropped.
+ * @param {Object} config - ruleId -> { enabled, priority, params }
+ * @returns {Object} ruleId -> { enabled, priority, params } for every registered rule
+ * @throws {Error} On an unknown priority or a parameter out of range
+ */
+function normalizeRuleConfig(config = {}) {
+    const normalized = {};
+    RULES.forEach(rule => {
+        const entry = config[rule.ruleId] || {};
+        const priority = entry.priority || rule.priority;
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`${rule.label}: unknown priority ${priority}`);
+        }
+
+        const params = defaultParams(rule);
+        Object.entries(rule.params).forEach(([name, spec]) => {
+            const value = (entry.params || {})[name];
+            if (value === undefined || value === null || value === '') {
+                return;
+            }
+            if (spec.type === 'roles') {
+                params[name] = (Array.isArray(value) ? value : String(value).split(','))
+                    .map(roleId => String(roleId).trim())
+                    .filter(Boolean);
+                return;
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < spec.min || number > spec.max) {
+                throw new Error(`${rule.label}: ${spec.label} must be between ${spec.min} and ${spec.max}`);
+            }
+            params[name] = number;
+        });
+
+        normalized[rule.ruleId] = { enabled: entry.enabled !== false, priority, params };
+    });
+    return normalized;
+}
+
+function attendeesOf(meeting) {
+    const roles = meeting.attendeeRoles || [];
+    return roles.length > 0 ? roles.length : meeting.attendeeCount || 1;
+}
+
+function examples(meetings, cost = m => m.calculatedCost || 0) {
+    return [...meetings]
+        .sort((a, b) => cost(b) - cost(a))
+        .slice(0, EVIDENCE_EXAMPLES)
+        .map(m => ({ id: m.id, title: m.title, date: m.date, durationMinutes: m.durationMinutes, attendees: attendeesOf(m), cost: cost(m) }));
+}
+
+function meetingTypesOf(meetings) {
+    return { meetingTypes: [...new Set(meetings.map(m => m.meetingType || DEFAULT_TYPE_ID))] };
+}
+
+registerRule({
+    ruleId: 'cost-trend',
+    label: 'Rising cost',
+    description: 'Spend grew on the previous period',
+    priority: 'high',
+    params: {
+        minIncreasePercent: { label: 'Increase above (%)', default: 10, min: 0, max: 1000 },
+        savingsPercent: { label: 'Savings estimate (% of spend)', default: 10, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        if (!(context.trendPercentage > params.minIncreasePercent)) {
+            return [];
+        }
+        return [{
+            title: 'Meeting costs are increasing',
+            description: `Meeting costs have increased by ${context.trendPercentage.toFixed(1)}% compared to the previous period. Consider auditing recurring meetings.`,
+            potentialSavings: context.monthlyCost * params.savingsPercent / 100,
+            evidence: { trendPercentage: context.trendPercentage, thresholdPercent: params.minIncreasePercent }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'timebox-overrun',
+    label: 'Timebox overrun',
+    description: 'A meeting type runs longer than its timebox on average',
+    priority: 'medium',
+    params: {
+        toleranceMinutes: { label: 'Tolerance (minutes)', default: 0, min: 0, max: 120 }
+    },
+    evaluate(context, params) {
+        return context.meetingTypes
+            .filter(type => type.timeboxMinutes && context.costByType[type.typeId])
+            .map(type => {
+                const typeData = context.costByType[type.typeId];
+                const averageMinutes = (typeData.hours / typeData.count) * 60;
+                if (averageMinutes <= type.timeboxMinutes + params.toleranceMinutes) {
+                    return null;
+                }
+                const overruns = context.meetings.filter(m => m.meetingType === type.typeId && m.durationMinutes > type.timeboxMinutes);
+                return {
+                    category: type.typeId,
+                    subject: type.typeId,
+                    target: { meetingTypes: [type.typeId] },
+                    title: `${type.label} meetings are running long`,
+                    description: `Average ${type.label} duration is ${averageMinutes.toFixed(0)} minutes against a ${type.timeboxMinutes}-minute timebox. Consider async updates or stricter time-boxing.`,
+                    // Holding to the timebox saves the overrun share of the cost
+                    potentialSavings: typeData.cost * (1 - type.timeboxMinutes / averageMinutes) * context.perMonth,
+                    evidence: {
+                        meetingType: type.typeId,
+                        averageMinutes,
+                        timeboxMinutes: type.timeboxMinutes,
+                        meetingCount: typeData.count,
+                        overrunCount: overruns.length,
+                        examples: examples(overruns)
+                    }
+                };
+            })
+            .filter(Boolean);
+    }
+});
+
+registerRule({
+    ruleId: 'unplanned-share',
+    label: 'Unplanned meetings',
+    description: 'Unplanned meeting types take a large share of the cost',
+    priority: 'high',
+    params: {
+        maxSharePercent: { label: 'Share above (%)', default: 30, min: 0, max: 100 },
+        savingsPercent: { label: 'Savings estimate (% of unplanned cost)', default: 40, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        const unplanned = context.meetingTypes.filter(type => type.category === 'unplanned' && context.costByType[type.typeId]);
+        const unplannedCost = unplanned.reduce((sum, type) => sum + context.costByType[type.typeId].cost, 0);
+        const sharePercent = context.totalCost > 0 ? (unplannedCost / context.totalCost) * 100 : 0;
+        if (unplannedCost <= 0 || sharePercent <= params.maxSharePercent) {
+            return [];
+        }
+        return [{
+            category: 'unplanned',
+            target: { meetingTypes: unplanned.map(type => type.typeId) },
+            title: 'High unplanned meeting cost',
+            description: `${unplanned.map(type => type.label).join(' and ')} meetings account for ${sharePercent.toFixed(0)}% of meeting costs. Consider better async communication or scheduled office hours.`,
+            potentialSavings: unplannedCost * params.savingsPercent / 100 * context.perMonth,
+            evidence: {
+                sharePercent,
+                thresholdPercent: params.maxSharePercent,
+                unplannedCost,
+                meetingTypes: unplanned.map(type => type.typeId)
+            }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'meeting-load',
+    label: 'Meeting load',
+    description: 'Meetings take a large part of each working day',
+    priority: 'high',
+    params: {
+        maxDaySharePercent: { label: 'Share of the workday above (%)', default: 37.5, min: 0, max: 100 },
+        savingsPercent: { label: 'Savings estimate (% of spend)', default: 20, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        const workingDays = context.days * WORKDAYS_PER_WEEK / 7;
+        const averageHoursPerDay = context.totalHours / workingDays;
+        const limitHoursPerDay = context.workHoursPerDay * params.maxDaySharePercent / 100;
+        if (averageHoursPerDay <= limitHoursPerDay) {
+            return [];
+        }
+        return [{
+            category: 'time-spent',
+            title: 'High meeting load',
+            description: `Team averages ${averageHoursPerDay.toFixed(1)} hours/day in meetings, ${((averageHoursPerDay / context.workHoursPerDay) * 100).toFixed(0)}% of a ${context.workHoursPerDay}-hour workday. This leaves limited time for deep work. Consider "No Meeting Days" or meeting-free morning blocks.`,
+            potentialSavings: context.monthlyCost * params.savingsPercent / 100,
+            evidence: { averageHoursPerDay, limitHoursPerDay, workHoursPerDay: context.workHoursPerDay, workingDays }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'recurring-review',
+    label: 'Recurring meeting review',
+    description: 'Monthly spend is high enough to audit recurring meetings',
+    priority: 'medium',
+    params: {
+        minMonthlyCost: { label: 'Monthly spend above', default: 10000, min: 0, max: 100000000 },
+        savingsPercent: { label: 'Savings estimate (% of spend)', default: 15, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        if (context.monthlyCost <= params.minMonthlyCost) {
+            return [];
+        }
+        const recurring = context.meetings.filter(m => m.seriesId);
+        return [{
+            category: 'general',
+            target: recurring.length > 0 ? { seriesIds: [...new Set(recurring.map(m => m.seriesId))] } : null,
+            title: 'Review recurring meetings',
+            description: 'Conduct a quarterly audit of recurring meetings. Many recurring meetings continue long after their original purpose is fulfilled.',
+            potentialSavings: context.monthlyCost * params.savingsPercent / 100,
+            evidence: {
+                monthlyCost: context.monthlyCost,
+                threshold: params.minMonthlyCost,
+                recurringCount: recurring.length,
+                recurringCost: recurring.reduce((sum, m) => sum + (m.calculatedCost || 0), 0)
+            }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'optional-attendees',
+    label: 'Optional attendees',
+    description: 'Many meetings a month, so optional attendance adds up',
+    priority: 'low',
+    params: {
+        minMonthlyMeetings: { label: 'Meetings per month above', default: 30, min: 0, max: 100000 },
+        savingsPercent: { label: 'Savings estimate (% of spend)', default: 10, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        const monthlyMeetings = context.meetingCount * context.perMonth;
+        if (monthlyMeetings <= params.minMonthlyMeetings) {
+            return [];
+        }
+        return [{
+            category: 'attendance',
+            title: 'Consider optional attendees',
+            description: 'Mark some meeting attendees as optional and encourage them to skip if not directly needed. Fewer attendees = lower cost per meeting.',
+            potentialSavings: context.monthlyCost * params.savingsPercent / 100,
+            evidence: { monthlyMeetings, threshold: params.minMonthlyMeetings }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'oversized-meetings',
+    label: 'Oversized meetings',
+    description: 'Meetings with more attendees than a working session needs',
+    priority: 'medium',
+    params: {
+        maxAttendees: { label: 'Attendees above', default: 8, min: 2, max: 500 },
+        savingsPercent: { label: 'Savings estimate (% of their cost)', default: 25, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        const oversized = context.meetings.filter(m => attendeesOf(m) > params.maxAttendees);
+        if (oversized.length === 0) {
+            return [];
+        }
+        const cost = oversized.reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
+        return [{
+            category: 'attendance',
+            target: meetingTypesOf(oversized),
+            title: 'Large meetings are expensive',
+            description: `${oversized.length} meetings had more than ${params.maxAttendees} attendees, costing ${context.money(cost)}. Consider a smaller working group and a written summary for everyone else.`,
+            potentialSavings: cost * params.savingsPercent / 100 * context.perMonth,
+            evidence: { meetingCount: oversized.length, maxAttendees: params.maxAttendees, cost, examples: examples(oversized) }
+        }];
+    }
+});
+
+registerRule({
+    ruleId: 'executive-heavy',
+    label: 'Executive-heavy meetings',
+    description: 'Senior roles make up most of a meeting\'s cost',
+    priority: 'medium',
+    params: {
+        roleIds: { label: 'Senior roles', default: ['exec', 'manager'], type: 'roles' },
+        maxSharePercent: { label: 'Senior share of cost above (%)', default: 50, min: 0, max: 100 },
+        savingsPercent: { label: 'Savings estimate (% of senior time)', default: 50, min: 0, max: 100 }
+    },
+    evaluate(context, params) {
+        const seniorCost = meeting => {
+            try {
+                return calculateMeetingCost(meeting, context.roleRates, context.currency).breakdown
+                    .filter(item => params.roleIds.includes(item.roleId))
+                    .reduce((sum, item) => sum + item.cost, 0);
+            } catch (error) {
+                // Rates without an exchange rate are left out of the evidence
+                return 0;
+            }
+        };
+        const flagged = context.meetings
+            .map(meeting => ({ meeting, senior: seniorCost(meeting) }))
+            .filter(({ meeting, senior }) => meeting.calculatedCost > 0 && (senior / meeting.calculatedCost) * 100 > params.maxSharePercent);
+        if (flagged.length === 0) {
+            return [];
+        }
+        const senior = flagged.reduce((sum, f) => sum + f.senior, 0);
+        const roleNames = params.roleIds
+            .map(roleId => (context.roleRates.find(r => r.roleId === roleId) || { roleName: roleId }).roleName)
+            .join(', ');
+        return [{
+            category: 'attendance',
+            target: meetingTypesOf(flagged.map(f => f.meeting)),
+            title: 'Senior time dominates some meetings',
+            description: `In ${flagged.length} meetings, ${roleNames} made up more than ${params.maxSharePercent}% of the cost (${context.money(senior)} of senior time). Consider delegating attendance or sharing notes instead.`,
+            potentialSavings: senior * params.savingsPercent / 100 * context.perMonth,
+            evidence: {
+                meetingCount: flagged.length,
+                roleIds: params.roleIds,
+                seniorCost: senior,
+                thresholdPercent: params.maxSharePercent,
+                examples: examples(flagged.map(f => f.meeting))
+            }
+        }];
+    }
+});
+
+/**
+ * Run the enabled rules over a window of meetings
+ * @param {Array} meetings - Meetings of the window, costed in the reporting currency
+ * @param {Object} options - { currency, meetingTypes, roleRates, workHoursPerDay, days: window
+ *   length, trendPercentage: change on the window before, ruleConfig: see normalizeRuleConfig }
+ * @returns {Object} { suggestions, totalPotentialSavings, summary }, savings per month
+ */
+function generateSuggestions(meetings, {
+    currency = {},
+    meetingTypes = DEFAULT_MEETING_TYPES,
+    roleRates = [],
+    workHoursPerDay = DEFAULT_WORK_HOURS_PER_DAY,
+    days = 30,
+    trendPercentage = 0,
+    ruleConfig = {}
+} = {}) {
+    const { totalCost, totalHours, meetingCount } = summarizeMeetings(meetings);
+    const perMonth = DAYS_PER_MONTH / days;
+
+    const context = {
+        meetings,
+        totalCost,
+        totalHours,
+        meetingCount,
+        costByType: summarizeByType(meetings),
+        trendPercentage: trendPercentage || 0,
+        meetingTypes,
+        roleRates,
+        currency,
+        workHoursPerDay: workHoursPerDay || DEFAULT_WORK_HOURS_PER_DAY,
+        days,
+        perMonth,
+        monthlyCost: totalCost * perMonth,
+        money: amount => formatWholeCurrency(amount, currency.code, currency.locale)
+    };
+
+    const config = normalizeRuleConfig(ruleConfig);
+    const suggestions = [];
+    RULES.filter(rule => config[rule.ruleId].enabled).forEach(rule => {
+        const { priority, params } = config[rule.ruleId];
+        rule.evaluate(context, params).forEach(suggestion => {
+            suggestions.push({ ruleId: rule.ruleId, priority, category: rule.ruleId, subject: null, target: null, ...suggestion });
+        });
+    });
+
+    // Highest priority first, then biggest savings
+    suggestions.sort((a, b) =>
+        PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || b.potentialSavings - a.potentialSavings
+    );
+
+    const totalPotentialSavings = suggestions.reduce((sum, s) => sum + (s.potentialSavings || 0), 0);
+
+    return {
+        suggestions,
+        totalPotentialSavings,
+        summary: `Found ${suggestions.length} optimization opportunities with potential savings of ${context.money(totalPotentialSavings)}/month.`
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    registerRule,
+    listRules,
+    normalizeRuleConfig,
+    generateSuggestions
+};
@@ -0,0 +1,295 @@
+/**
+ * Suggestion Tracker
+ * Remembers what a team decided about each suggestion. A suggestion is
+ * identified by its scope, rule and subject, so the same finding keeps its
+ * status every time the rules run again. Its id, and so its storage key,
+ * starts with the scope, so a scope's suggestions are read by key prefix.
+ * Accepted suggestions are measured: the cost of the meetings they target in
+ * the month before acceptance against the cost since. Once the measuring
+ * window has closed the result is stored on the record and never measured
+ * again. Amounts are stored in the reporting currency of their day and
+ * converted when read.
+ */
+
+const { storage } = require('@forge/api');
+const { queryByPrefix } = require('./storage-query');
+const { addDays, daysBetween } = require('./dates');
+const { convertAmount } = require('./currency');
+
+const KEY_PREFIX = 'suggestion:';
+const SUGGESTION_STATUSES = ['new', 'accepted', 'dismissed', 'done'];
+// Days of cost before acceptance the savings are measured against
+const BASELINE_DAYS = 30;
+// Days after acceptance before the savings are worth reporting, and the most days measured
+const MIN_MEASURE_DAYS = 7;
+const MAX_MEASURE_DAYS = 90;
+const DAYS_PER_MONTH = 365 / 12;
+
+/**
+ * Key of the scope suggestions were made for
+ * @param {Object} scope - { teamId } or { projectKey }, empty for all teams
+ */
+function scopeKey({ teamId, projectKey } = {}) {
+    if (teamId) {
+        return `team:${teamId}`;
+    }
+    return projectKey ? `project:${projectKey}` : 'all';
+}
+
+/**
+ * Stable id of a suggestion: the same rule finding the same thing in the
+ * same scope always gets the same id
+ */
+function suggestionId(suggestion, key) {
+    return [key, suggestion.ruleId, suggestion.subject].filter(Boolean).join(':');
+}
+
+function suggestionKey(id) {
+    return `${KEY_PREFIX}${id}`;
+}
+
+/**
+ * Tracked suggestions, optionally of one scope
+ * @param {string} key - scopeKey result
+ */
+async function listTrackedSuggestions(key) {
+    const entries = await queryByPrefix(key ? suggestionKey(`${key}:`) : KEY_PREFIX);
+    return entries.map(entry => entry.value);
+}
+
+/**
+ * Give freshly generated suggestions their id and tracked status; suggestions
+ * nobody has acted on are new
+ * @param {Array} suggestions - generateSuggestions results
+ * @param {Array} tracked - Tracked suggestions of the same scope
+ * @param {string} key - scopeKey result
+ */
+function withStatuses(suggestions, tracked, key) {
+    return suggestions.map(suggestion => {
+        const id = suggestionId(suggestion, key);
+        const record = tracked.find(r => r.id === id);
+        return {
+            id,
+            ...suggestion,
+            status: record ? record.status : 'new',
+            acceptedOn: record ? record.acceptedOn : null
+        };
+    });
+}
+
+/**
+ * Record a decision on a suggestion. Moving it back to new forgets it.
+ * @param {Object} suggestion - The suggestion as generated, or its tracked record
+ * @param {string} status - One of SUGGESTION_STATUSES
+ * @param {Object} options - { scope: { teamId, projectKey }, currency, today: YYYY-MM-DD, accountId }
+ * @returns {Object|null} Tracked record, or null once forgotten
+ * @throws {Error} On an unknown status, or a suggestion of another scope
+ */
+async function setSuggestionStatus(suggestion, status, { scope = {}, currency = {}, today, accountId }) {
+    if (!SUGGESTION_STATUSES.includes(status)) {
+        throw new Error(`Unknown suggestion status: ${status}`);
+    }
+    const key = scopeKey(scope);
+    const id = suggestion.id || suggestionId(suggestion, key);
+    if (!id.startsWith(`${key}:`)) {
+        throw new Error(`Suggestion ${id} does not belong to ${key}`);
+    }
+    if (status === 'new') {
+        await storage.delete(suggestionKey(id));
+        return null;
+    }
+
+    const existing = await storage.get(suggestionKey(id)) || {};
+    // Savings are measured from acceptance; a suggestion marked done straight away was accepted that day
+    const started = status === 'accepted' || status === 'done';
+    const record = {
+        id,
+        scopeKey: key,
+        scope: { teamId: scope.teamId || null, projectKey: scope.projectKey || null },
+        ruleId: suggestion.ruleId,
+        subject: suggestion.subject || null,
+        title: suggestion.title,
+        // What was promised when the team took it on
+        potentialSavings: existing.acceptedOn ? existing.potentialSavings : suggestion.potentialSavings,
+        currency: existing.acceptedOn ? existing.currency : currency.code || null,
+        target: suggestion.target || null,
+        status,
+        acceptedOn: started ? existing.acceptedOn || today : null,
+        doneOn: status === 'done' ? existing.doneOn || today : null,
+        // A final measurement belongs to the acceptance it measured
+        realized: started && existing.acceptedOn ? existing.realized || null : null,
+        updatedBy: accountId || null,
+        updatedAt: new Date().toISOString()
+    };
+    await storage.set(suggestionKey(id), record);
+    return record;
+}
+
+/**
+ * Whether a meeting is one a suggestion's savings are measured on
+ */
+function matchesTarget(meeting, target) {
+    if (!target) {
+        return true;
+    }
+    if (target.seriesIds) {
+        return target.seriesIds.includes(meeting.seriesId);
+    }
+    return (target.meetingTypes || []).includes(meeting.meetingType || 'ad-hoc');
+}
+
+function lastMeasuredDay(record) {
+    return addDays(record.acceptedOn, MAX_MEASURE_DAYS - 1);
+}
+
+/**
+ * Days measured for an accepted suggestion
+ * @returns {Object} { before, after } date ranges; after is null until it has started
+ */
+function measureWindow(record, today) {
+    const before = { startDate: addDays(record.acceptedOn, -BASELINE_DAYS), endDate: addDays(record.acceptedOn, -1) };
+    if (today < record.acceptedOn) {
+        return { before, after: null };
+    }
+    const lastDay = lastMeasuredDay(record);
+    return { before, after: { startDate: record.acceptedOn, endDate: today < lastDay ? today : lastDay } };
+}
+
+/**
+ * Realized savings of an accepted or done suggestion: the monthly cost of
+ * its target meetings before acceptance minus their monthly cost since
+ * @param {Object} record - Tracked suggestion
+ * @param {Array} meetings - The scope's meetings covering measureWindow, in the reporting currency
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} { beforeMonthlyCost, afterMonthlyCost, realizedSavings, measuredDays, measured, final }
+ *   where final is set once the measuring window has closed
+ */
+function measureRealizedSavings(record, meetings, today) {
+    const { before, after } = measureWindow(record, today);
+    const final = today > lastMeasuredDay(record);
+    const costIn = range => meetings
+        .filter(m => m.date >= range.startDate && m.date <= range.endDate && matchesTarget(m, record.target))
+        .reduce((sum, m) => sum + (m.calculatedCost || 0), 0);
+
+    const beforeMonthlyCost = costIn(before) / BASELINE_DAYS * DAYS_PER_MONTH;
+    const measuredDays = after ? daysBetween(after.startDate, after.endDate) : 0;
+    if (measuredDays < MIN_MEASURE_DAYS) {
+        return { beforeMonthlyCost, afterMonthlyCost: null, realizedSavings: null, measuredDays, measured: false, final };
+    }
+    const afterMonthlyCost = costIn(after) / measuredDays * DAYS_PER_MONTH;
+    return {
+        beforeMonthlyCost,
+        afterMonthlyCost,
+        realizedSavings: beforeMonthlyCost - afterMonthlyCost,
+        measuredDays,
+        measured: true,
+        final
+    };
+}
+
+/**
+ * Accepted suggestions still being measured; the others carry their final result
+ */
+function openMeasurements(records) {
+    return records.filter(r => r.acceptedOn && !(r.realized && r.realized.final));
+}
+
+/**
+ * First day of meetings needed to measure a set of tracked suggestions
+ * @param {Array} records - openMeasurements result
+ */
+function measureStart(records, today) {
+    return records.reduce((earliest, r) => {
+        const start = measureWindow(r, today).before.startDate;
+        return start < earliest ? start : earliest;
+    }, today);
+}
+
+// A stored final result in another reporting currency, converted as of its last measured day
+function convertFinal(record, currency) {
+    const { realized } = record;
+    if (!realized.currency || realized.currency === currency.code) {
+        return record;
+    }
+    const convert = amount => amount === null
+        ? null
+        : convertAmount(amount, realized.currency, currency.code, lastMeasuredDay(record), currency.exchangeRates);
+    return {
+        ...record,
+        realized: {
+            ...realized,
+            beforeMonthlyCost: convert(realized.beforeMonthlyCost),
+            afterMonthlyCost: convert(realized.afterMonthlyCost),
+            realizedSavings: convert(realized.realizedSavings),
+            currency: currency.code
+        }
+    };
+}
+
+// The promised savings in the reporting currency, as of the day they were promised
+function convertPromised(record, currency) {
+    if (!record.currency || record.currency === currency.code || record.potentialSavings === null || record.potentialSavings === undefined) {
+        return record;
+    }
+    return {
+        ...record,
+        potentialSavings: convertAmount(record.potentialSavings, record.currency, currency.code, record.acceptedOn, currency.exchangeRates),
+        currency: currency.code
+    };
+}
+
+/**
+ * Realized savings of every accepted suggestion. Suggestions whose window
+ * closed since the last run get their final result stored on the record.
+ * @param {Array} records - Tracked suggestions
+ * @param {Array} meetings - The scope's meetings from measureStart of the open ones, in the reporting currency
+ * @param {Object} options - { today: YYYY-MM-DD, currency: reporting currency ({ code, exchangeRates }) }
+ * @returns {Array} Accepted suggestions with their measureRealizedSavings result as `realized`, and
+ *   their promised and realized savings in the reporting currency
+ */
+async function measureSuggestions(records, meetings, { today, currency }) {
+    const open = openMeasurements(records);
+    const results = [];
+    for (const record of records.filter(r => r.acceptedOn)) {
+        if (!open.includes(record)) {
+            results.push(convertPromised(convertFinal(record, currency), currency));
+            continue;
+        }
+        const measured = { ...record, realized: measureRealizedSavings(record, meetings, today) };
+        if (measured.realized.final) {
+            measured.realized.currency = currency.code;
+            await storage.set(suggestionKey(record.id), measured);
+        }
+        results.push(convertPromised(measured, currency));
+    }
+    return results;
+}
+
+/**
+ * Promised against realized savings over measured suggestions
+ * @param {Array} results - measureSuggestions results, all in the reporting currency
+ * @returns {Object} { tracking, measured, promised, realized } per month
+ */
+function summarizeRealized(results) {
+    const measured = results.filter(r => r.realized && r.realized.measured);
+    return {
+        tracking: results.length,
+        measured: measured.length,
+        promised: measured.reduce((sum, r) => sum + (r.potentialSavings || 0), 0),
+        realized: measured.reduce((sum, r) => sum + r.realized.realizedSavings, 0)
+    };
+}
+
+module.exports = {
+    SUGGESTION_STATUSES,
+    scopeKey,
+    suggestionId,
+    listTrackedSuggestions,
+    withStatuses,
+    setSuggestionStatus,
+    openMeasurements,
+    measureStart,
+    measureRealizedSavings,
+    measureSuggestions,
+    summarizeRealized
+};
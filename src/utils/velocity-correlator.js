@@ -3,6 +3,8 @@
  * Analyzes relationship between meeting hours and sprint velocity
  */
 
+const { toDay } = require('./dates');
+
 /**
  * Calculate Pearson correlation between meeting hours and velocity
  * @param {Array} sprintSnapshots - Sprint data with meeting hours and velocity
@@ -34,104 +36,71 @@ function calculateCorrelation(sprintSnapshots) {
 }
 
 /**
- * Generate optimization suggestions based on meeting stats
- * @param {Object} stats - Meeting statistics
- * @returns {Array} List of optimization suggestions
+ * Line up sprint velocity with the meetings logged during each sprint window
+ * @param {Array} sprints - Sprint velocity ({ sprintId, sprintName, startDate, endDate, completedPoints })
+ * @param {Array} meetings - Logged meetings
+ * @returns {Array} Sprint snapshots with totalMeetingHours, totalMeetingCost and completedPoints
  */
-function generateOptimizations(stats) {
-    const suggestions = [];
-
-    const { totalCost, totalHours, meetingCount, costByType = {}, trendPercentage } = stats;
-
-    // Check trend
-    if (trendPercentage > 10) {
-        suggestions.push({
-            priority: 'high',
-            category: 'cost-trend',
-            title: 'Meeting costs are increasing',
-            description: `Meeting costs have increased by ${trendPercentage.toFixed(1)}% compared to the previous period. Consider auditing recurring meetings.`,
-            potentialSavings: totalCost * 0.1
-        });
-    }
+function buildSprintSnapshots(sprints, meetings) {
+    return sprints.map(sprint => {
+        // Meetings store a plain YYYY-MM-DD date, so compare on calendar days
+        const start = toDay(sprint.startDate);
+        const end = toDay(sprint.endDate);
+        const sprintMeetings = meetings.filter(m => m.date >= start && m.date <= end);
 
-    // Check standup efficiency
-    if (costByType.standup) {
-        const standupData = costByType.standup;
-        const avgStandupDuration = (standupData.hours / standupData.count) * 60;
-        if (avgStandupDuration > 15) {
-            suggestions.push({
-                priority: 'medium',
-                category: 'standup',
-                title: 'Standups are running long',
-                description: `Average standup duration is ${avgStandupDuration.toFixed(0)} minutes. Consider async standups or stricter time-boxing to 15 minutes.`,
-                potentialSavings: standupData.cost * 0.3
-            });
-        }
-    }
-
-    // Check for too many ad-hoc meetings
-    if (costByType['ad-hoc']) {
-        const adHocData = costByType['ad-hoc'];
-        const adHocPercentage = (adHocData.cost / totalCost) * 100;
-        if (adHocPercentage > 30) {
-            suggestions.push({
-                priority: 'high',
-                category: 'ad-hoc',
-                title: 'High ad-hoc meeting cost',
-                description: `Ad-hoc meetings account for ${adHocPercentage.toFixed(0)}% of meeting costs. Consider better async communication or scheduled office hours.`,
-                potentialSavings: adHocData.cost * 0.4
-            });
-        }
-    }
+        return {
+            ...sprint,
+            meetingCount: sprintMeetings.length,
+            totalMeetingHours: sprintMeetings.reduce((sum, m) => sum + (m.durationMinutes || 0), 0) / 60,
+            totalMeetingCost: sprintMeetings.reduce((sum, m) => sum + (m.calculatedCost || 0), 0),
+            completedPoints: sprint.completedPoints || 0
+        };
+    });
+}
 
-    // Check average meeting hours per day
-    const avgHoursPerDay = totalHours / 20; // Assuming ~20 working days
-    if (avgHoursPerDay > 3) {
-        suggestions.push({
-            priority: 'high',
-            category: 'time-spent',
-            title: 'High meeting load',
-            description: `Team averages ${avgHoursPerDay.toFixed(1)} hours/day in meetings. This leaves limited time for deep work. Consider "No Meeting Days" or meeting-free morning blocks.`,
-            potentialSavings: totalCost * 0.2
-        });
+/**
+ * Describe a correlation coefficient in plain language
+ * @param {number} correlation - Coefficient (-1 to 1)
+ * @returns {Object} { strength, interpretation, recommendation }
+ */
+function interpretCorrelation(correlation) {
+    const magnitude = Math.abs(correlation);
+    let strength = 'no';
+    if (magnitude >= 0.7) {
+        strength = 'strong';
+    } else if (magnitude >= 0.4) {
+        strength = 'moderate';
+    } else if (magnitude >= 0.2) {
+        strength = 'weak';
     }
 
-    // General suggestions based on total cost
-    if (totalCost > 10000) {
-        suggestions.push({
-            priority: 'medium',
-            category: 'general',
-            title: 'Review recurring meetings',
-            description: 'Conduct a quarterly audit of recurring meetings. Many recurring meetings continue long after their original purpose is fulfilled.',
-            potentialSavings: totalCost * 0.15
-        });
+    if (strength === 'no') {
+        return {
+            strength,
+            interpretation: 'No meaningful correlation - meeting hours do not appear to affect sprint velocity.',
+            recommendation: 'Meeting load is not a visible velocity driver; focus optimization on cost rather than delivery.'
+        };
     }
 
-    // Suggest attendance reduction
-    if (meetingCount > 30) {
-        suggestions.push({
-            priority: 'low',
-            category: 'attendance',
-            title: 'Consider optional attendees',
-            description: 'Mark some meeting attendees as optional and encourage them to skip if not directly needed. Fewer attendees = lower cost per meeting.',
-            potentialSavings: totalCost * 0.1
-        });
+    if (correlation < 0) {
+        return {
+            strength,
+            interpretation: `${capitalize(strength)} negative correlation - higher meeting hours tend to correlate with lower sprint velocity.`,
+            recommendation: 'Consider reducing meeting-heavy sprints to improve delivery.'
+        };
     }
 
-    // Sort by priority
-    const priorityOrder = { high: 0, medium: 1, low: 2 };
-    suggestions.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-
-    // Calculate total potential savings
-    const totalPotentialSavings = suggestions.reduce((sum, s) => sum + (s.potentialSavings || 0), 0);
-
     return {
-        suggestions,
-        totalPotentialSavings,
-        summary: `Found ${suggestions.length} optimization opportunities with potential savings of $${totalPotentialSavings.toFixed(0)}/month.`
+        strength,
+        interpretation: `${capitalize(strength)} positive correlation - sprints with more meeting hours tend to deliver more points.`,
+        recommendation: 'Current meetings appear to support delivery; trim cost without cutting the syncs that help.'
     };
 }
 
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 /**
  * Calculate sprint efficiency metrics
  */
@@ -190,7 +159,8 @@ function findSprintOutliers(sprintSnapshots) {
 
 module.exports = {
     calculateCorrelation,
-    generateOptimizations,
+    buildSprintSnapshots,
+    interpretCorrelation,
     calculateSprintEfficiency,
     findSprintOutliers
 };
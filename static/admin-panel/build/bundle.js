@@ -1 +1 @@
-(()=>{var e={79(e,t,r){var o=r(3702),n=r(80),a=r(4739),s=r(8655),i=r(1175);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}l.prototype.clear=o,l.prototype.delete=n,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},80(e,t,r){var o=r(6025),n=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=o(t,e);return!(r<0||(r==t.length-1?t.pop():n.call(t,r,1),--this.size,0))}},104(e,t,r){var o=r(3661);function n(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var o=arguments,n=t?t.apply(this,o):o[0],a=r.cache;if(a.has(n))return a.get(n);var s=e.apply(this,o);return r.cache=a.set(n,s)||a,s};return r.cache=new(n.Cache||o),r}n.Cache=o,e.exports=n},289(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,r){var o=r(1873),n=Object.prototype,a=n.hasOwnProperty,s=n.toString,i=o?o.toStringTag:void 0;e.exports=function(e){var t=a.call(e,i),r=e[i];try{e[i]=void 0;var o=!0}catch(e){}var n=s.call(e);return o&&(t?e[i]=r:delete e[i]),n}},1042(e,t,r){var o=r(6110)(Object,"create");e.exports=o},1100(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const o=r(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:r}of this.localeLookupOrderedTranslations){const n=(0,o.getTranslationValueFromContent)(r,e);if(null!==n){t=n;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,r){var o=r(6025);e.exports=function(e,t){var r=this.__data__,n=o(r,e);return n<0?(++this.size,r.push([e,t])):r[n][1]=t,this}},1192(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const o=r(5264),n=r(4280),a=(0,o.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,n.ensureLocale)(r))&&void 0!==e?e:r),t}},1251(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new n.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const o=r(1251),n=r(3031),a=r(8348),s=r(5111),i=r(1192),l=r(2513),c=r(6530);t.view={submit:o.submit,close:n.close,refresh:a.refresh,createHistory:s.createHistory,getContext:i.getContext,theme:c.theme,changeWindowTitle:l.changeWindowTitle}},1549(e,t,r){var o=r(2032),n=r(3862),a=r(6721),s=r(2749),i=r(5749);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}l.prototype.clear=o,l.prototype.delete=n,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},1622(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const o=r(4280),n=r(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${o.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},s=new o.TranslationsGetter(a);t.resetTranslationsCache=()=>{s.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await n.view.getContext()).locale),await s.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await n.view.getContext()).locale);const r=new o.Translator(t,s);return await r.init(),(e,t)=>{var o,n;return null!==(n=null!==(o=r.translate(e))&&void 0!==o?o:t)&&void 0!==n?n:e}}},1635(e,t,r){"use strict";r.r(t),r.d(t,{__addDisposableResource:()=>k,__assign:()=>a,__asyncDelegator:()=>x,__asyncGenerator:()=>P,__asyncValues:()=>E,__await:()=>j,__awaiter:()=>y,__classPrivateFieldGet:()=>A,__classPrivateFieldIn:()=>R,__classPrivateFieldSet:()=>F,__createBinding:()=>_,__decorate:()=>i,__disposeResources:()=>L,__esDecorate:()=>c,__exportStar:()=>h,__extends:()=>n,__generator:()=>v,__importDefault:()=>C,__importStar:()=>M,__makeTemplateObject:()=>S,__metadata:()=>p,__param:()=>l,__propKey:()=>d,__read:()=>b,__rest:()=>s,__rewriteRelativeImportExtension:()=>D,__runInitializers:()=>u,__setFunctionName:()=>f,__spread:()=>w,__spreadArray:()=>O,__spreadArrays:()=>m,__values:()=>g,default:()=>N});var o=function(e,t){return o=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(e[r]=t[r])},o(e,t)};function n(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function r(){this.constructor=e}o(e,t),e.prototype=null===t?Object.create(t):(r.prototype=t.prototype,new r)}var a=function(){return a=Object.assign||function(e){for(var t,r=1,o=arguments.length;r<o;r++)for(var n in t=arguments[r])Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n]);return e},a.apply(this,arguments)};function s(e,t){var r={};for(var o in e)Object.prototype.hasOwnProperty.call(e,o)&&t.indexOf(o)<0&&(r[o]=e[o]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var n=0;for(o=Object.getOwnPropertySymbols(e);n<o.length;n++)t.indexOf(o[n])<0&&Object.prototype.propertyIsEnumerable.call(e,o[n])&&(r[o[n]]=e[o[n]])}return r}function i(e,t,r,o){var n,a=arguments.length,s=a<3?t:null===o?o=Object.getOwnPropertyDescriptor(t,r):o;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)s=Reflect.decorate(e,t,r,o);else for(var i=e.length-1;i>=0;i--)(n=e[i])&&(s=(a<3?n(s):a>3?n(t,r,s):n(t,r))||s);return a>3&&s&&Object.defineProperty(t,r,s),s}function l(e,t){return function(r,o){t(r,o,e)}}function c(e,t,r,o,n,a){function s(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var i,l=o.kind,c="getter"===l?"get":"setter"===l?"set":"value",u=!t&&e?o.static?e:e.prototype:null,d=t||(u?Object.getOwnPropertyDescriptor(u,o.name):{}),f=!1,p=r.length-1;p>=0;p--){var y={};for(var v in o)y[v]="access"===v?{}:o[v];for(var v in o.access)y.access[v]=o.access[v];y.addInitializer=function(e){if(f)throw new TypeError("Cannot add initializers after decoration has completed");a.push(s(e||null))};var _=(0,r[p])("accessor"===l?{get:d.get,set:d.set}:d[c],y);if("accessor"===l){if(void 0===_)continue;if(null===_||"object"!=typeof _)throw new TypeError("Object expected");(i=s(_.get))&&(d.get=i),(i=s(_.set))&&(d.set=i),(i=s(_.init))&&n.unshift(i)}else(i=s(_))&&("field"===l?n.unshift(i):d[c]=i)}u&&Object.defineProperty(u,o.name,d),f=!0}function u(e,t,r){for(var o=arguments.length>2,n=0;n<t.length;n++)r=o?t[n].call(e,r):t[n].call(e);return o?r:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function f(e,t,r){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:r?"".concat(r," ",t):t})}function p(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function y(e,t,r,o){return new(r||(r=Promise))(function(n,a){function s(e){try{l(o.next(e))}catch(e){a(e)}}function i(e){try{l(o.throw(e))}catch(e){a(e)}}function l(e){var t;e.done?n(e.value):(t=e.value,t instanceof r?t:new r(function(e){e(t)})).then(s,i)}l((o=o.apply(e,t||[])).next())})}function v(e,t){var r,o,n,a={label:0,sent:function(){if(1&n[0])throw n[1];return n[1]},trys:[],ops:[]},s=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return s.next=i(0),s.throw=i(1),s.return=i(2),"function"==typeof Symbol&&(s[Symbol.iterator]=function(){return this}),s;function i(i){return function(l){return function(i){if(r)throw new TypeError("Generator is already executing.");for(;s&&(s=0,i[0]&&(a=0)),a;)try{if(r=1,o&&(n=2&i[0]?o.return:i[0]?o.throw||((n=o.return)&&n.call(o),0):o.next)&&!(n=n.call(o,i[1])).done)return n;switch(o=0,n&&(i=[2&i[0],n.value]),i[0]){case 0:case 1:n=i;break;case 4:return a.label++,{value:i[1],done:!1};case 5:a.label++,o=i[1],i=[0];continue;case 7:i=a.ops.pop(),a.trys.pop();continue;default:if(!((n=(n=a.trys).length>0&&n[n.length-1])||6!==i[0]&&2!==i[0])){a=0;continue}if(3===i[0]&&(!n||i[1]>n[0]&&i[1]<n[3])){a.label=i[1];break}if(6===i[0]&&a.label<n[1]){a.label=n[1],n=i;break}if(n&&a.label<n[2]){a.label=n[2],a.ops.push(i);break}n[2]&&a.ops.pop(),a.trys.pop();continue}i=t.call(e,a)}catch(e){i=[6,e],o=0}finally{r=n=0}if(5&i[0])throw i[1];return{value:i[0]?i[1]:void 0,done:!0}}([i,l])}}}var _=Object.create?function(e,t,r,o){void 0===o&&(o=r);var n=Object.getOwnPropertyDescriptor(t,r);n&&!("get"in n?!t.__esModule:n.writable||n.configurable)||(n={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,o,n)}:function(e,t,r,o){void 0===o&&(o=r),e[o]=t[r]};function h(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||_(t,e,r)}function g(e){var t="function"==typeof Symbol&&Symbol.iterator,r=t&&e[t],o=0;if(r)return r.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&o>=e.length&&(e=void 0),{value:e&&e[o++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var r="function"==typeof Symbol&&e[Symbol.iterator];if(!r)return e;var o,n,a=r.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(o=a.next()).done;)s.push(o.value)}catch(e){n={error:e}}finally{try{o&&!o.done&&(r=a.return)&&r.call(a)}finally{if(n)throw n.error}}return s}function w(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function m(){for(var e=0,t=0,r=arguments.length;t<r;t++)e+=arguments[t].length;var o=Array(e),n=0;for(t=0;t<r;t++)for(var a=arguments[t],s=0,i=a.length;s<i;s++,n++)o[n]=a[s];return o}function O(e,t,r){if(r||2===arguments.length)for(var o,n=0,a=t.length;n<a;n++)!o&&n in t||(o||(o=Array.prototype.slice.call(t,0,n)),o[n]=t[n]);return e.concat(o||Array.prototype.slice.call(t))}function j(e){return this instanceof j?(this.v=e,this):new j(e)}function P(e,t,r){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var o,n=r.apply(e,t||[]),a=[];return o=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),s("next"),s("throw"),s("return",function(e){return function(t){return Promise.resolve(t).then(e,c)}}),o[Symbol.asyncIterator]=function(){return this},o;function s(e,t){n[e]&&(o[e]=function(t){return new Promise(function(r,o){a.push([e,t,r,o])>1||i(e,t)})},t&&(o[e]=t(o[e])))}function i(e,t){try{(r=n[e](t)).value instanceof j?Promise.resolve(r.value.v).then(l,c):u(a[0][2],r)}catch(e){u(a[0][3],e)}var r}function l(e){i("next",e)}function c(e){i("throw",e)}function u(e,t){e(t),a.shift(),a.length&&i(a[0][0],a[0][1])}}function x(e){var t,r;return t={},o("next"),o("throw",function(e){throw e}),o("return"),t[Symbol.iterator]=function(){return this},t;function o(o,n){t[o]=e[o]?function(t){return(r=!r)?{value:j(e[o](t)),done:!1}:n?n(t):t}:n}}function E(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,r=e[Symbol.asyncIterator];return r?r.call(e):(e=g(e),t={},o("next"),o("throw"),o("return"),t[Symbol.asyncIterator]=function(){return this},t);function o(r){t[r]=e[r]&&function(t){return new Promise(function(o,n){!function(e,t,r,o){Promise.resolve(o).then(function(t){e({value:t,done:r})},t)}(o,n,(t=e[r](t)).done,t.value)})}}}function S(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var T=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},I=function(e){return I=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},I(e)};function M(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=I(e),o=0;o<r.length;o++)"default"!==r[o]&&_(t,e,r[o]);return T(t,e),t}function C(e){return e&&e.__esModule?e:{default:e}}function A(e,t,r,o){if("a"===r&&!o)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===r?o:"a"===r?o.call(e):o?o.value:t.get(e)}function F(e,t,r,o,n){if("m"===o)throw new TypeError("Private method is not writable");if("a"===o&&!n)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!n:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===o?n.call(e,r):n?n.value=r:t.set(e,r),r}function R(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function k(e,t,r){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var o,n;if(r){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");o=t[Symbol.asyncDispose]}if(void 0===o){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");o=t[Symbol.dispose],r&&(n=o)}if("function"!=typeof o)throw new TypeError("Object not disposable.");n&&(o=function(){try{n.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:o,async:r})}else r&&e.stack.push({async:!0});return t}var B="function"==typeof SuppressedError?SuppressedError:function(e,t,r){var o=new Error(r);return o.name="SuppressedError",o.error=e,o.suppressed=t,o};function L(e){function t(t){e.error=e.hasError?new B(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var r,o=0;return function n(){for(;r=e.stack.pop();)try{if(!r.async&&1===o)return o=0,e.stack.push(r),Promise.resolve().then(n);if(r.dispose){var a=r.dispose.call(r.value);if(r.async)return o|=2,Promise.resolve(a).then(n,function(e){return t(e),n()})}else o|=1}catch(e){t(e)}if(1===o)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function D(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,r,o,n,a){return r?t?".jsx":".js":!o||n&&a?o+n+"."+a.toLowerCase()+"js":e}):e}const N={__extends:n,__assign:a,__rest:s,__decorate:i,__param:l,__esDecorate:c,__runInitializers:u,__propKey:d,__setFunctionName:f,__metadata:p,__awaiter:y,__generator:v,__createBinding:_,__exportStar:h,__values:g,__read:b,__spread:w,__spreadArrays:m,__spreadArray:O,__await:j,__asyncGenerator:P,__asyncDelegator:x,__asyncValues:E,__makeTemplateObject:S,__importStar:M,__importDefault:C,__classPrivateFieldGet:A,__classPrivateFieldSet:F,__classPrivateFieldIn:R,__addDisposableResource:k,__disposeResources:L,__rewriteRelativeImportExtension:D}},1769(e,t,r){var o=r(6449),n=r(8586),a=r(1802),s=r(3222);e.exports=function(e,t){return o(e)?e:n(e,t)?[e]:a(s(e))}},1802(e,t,r){var o=r(2224),n=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,s=o(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(n,function(e,r,o,n){t.push(o?n.replace(a,"$1"):r||e)}),t});e.exports=s},1813(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const o=r(1635).__importDefault(r(8156));t.getTranslationValue=(e,r,o)=>{const n=e[o];return n?(0,t.getTranslationValueFromContent)(n,r):null},t.getTranslationValueFromContent=(e,t)=>{let r=e[t];if(!r){const n=t.split(".");n.length>1&&(r=(0,o.default)(e,n,null))}return"string"==typeof r?r:null}},1855(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(1382),t)},1873(e,t,r){var o=r(9325).Symbol;e.exports=o},1882(e,t,r){var o=r(2552),n=r(3805);e.exports=function(e){if(!n(e))return!1;var t=o(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,r){var o=r(1042);e.exports=function(){this.__data__=o?o(null):{},this.size=0}},2115(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8482),t)},2224(e,t,r){var o=r(104);e.exports=function(e){var t=o(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},2294(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const o=r(6683);t.productFetchApi=e=>{const t=async(t,r,n)=>{const{body:a,headers:s,isMultipartFormData:i}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,r=t?await(async e=>{const t={};for(const[r,n]of e.entries())if("file"===r){const e=n.name,r=n.type;t.file=await(0,o.blobToBase64)(n),t.__fileName=e,t.__fileType=r}else t[r]=n;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,n=new Request("",{body:r,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(n.headers.entries());return{body:"GET"!==n.method?await n.text():null,headers:new Headers(a),isMultipartFormData:t}})(n);s.has("X-Atlassian-Token")||s.set("X-Atlassian-Token","no-check");const l={product:t,restPath:r,fetchRequestInit:{...n,body:a,headers:[...s.entries()]},isMultipartFormData:i},{body:c,headers:u,statusText:d,status:f,isAttachment:p}=await e("fetchProduct",l),y=p?(0,o.base64ToBlob)(c,u["content-type"]):c;return new Response(y||null,{headers:u,status:f,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}},2321(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const o=r(1635);var n=r(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return n.NavigationTarget}}),o.__exportStar(r(8350),t),o.__exportStar(r(6239),t),o.__exportStar(r(1855),t),o.__exportStar(r(351),t),o.__exportStar(r(4095),t),o.__exportStar(r(4490),t),o.__exportStar(r(8548),t),o.__exportStar(r(2115),t),t.i18n=o.__importStar(r(1622))},2513(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new n.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,r){var o=r(1873),n=r(659),a=r(9350),s=o?o.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":s&&s in Object(e)?n(e):a(e)}},2651(e,t,r){var o=r(4218);e.exports=function(e,t){var r=e.__data__;return o(t)?r["string"==typeof t?"string":"hash"]:r.map}},2749(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return o?void 0!==t[e]:n.call(t,e)}},2949(e,t,r){var o=r(2651);e.exports=function(e,t){var r=o(this,e),n=r.size;return r.set(e,t),this.size+=r.size==n?0:1,this}},3031(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new n.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new n.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,r){var o=r(1549),n=r(79),a=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new o,map:new(a||n),string:new o}}},3222(e,t,r){var o=r(7556);e.exports=function(e){return null==e?"":o(e)}},3661(e,t,r){var o=r(3040),n=r(7670),a=r(289),s=r(4509),i=r(2949);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}l.prototype.clear=o,l.prototype.delete=n,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const o=r(1635);o.__exportStar(r(6893),t),o.__exportStar(r(6829),t),o.__exportStar(r(1100),t),o.__exportStar(r(7898),t);var n=r(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return n.getTranslationValue}});var a=r(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),o.__exportStar(r(5181),t)},4394(e,t,r){var o=r(2552),n=r(346);e.exports=function(e){return"symbol"==typeof e||n(e)&&"[object Symbol]"==o(e)}},4490(e,t,r){"use strict";var o;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const n=r(5264);o=(0,r(2294).productFetchApi)((0,n.getCallBridge)()),t.requestConfluence=o.requestConfluence,t.requestJira=o.requestJira,t.requestBitbucket=o.requestBitbucket},4509(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).has(e)}},4526(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)(),s=()=>{};t.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||s,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new n.BridgeAPIError("Unable to open modal.")}catch(e){throw new n.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,r){var o=r(6025);e.exports=function(e){var t=this.__data__,r=o(t,e);return r<0?void 0:t[r][1]}},4840(e,t,r){var o="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=o},4932(e){e.exports=function(e,t){for(var r=-1,o=null==e?0:e.length,n=Array(o);++r<o;)n[r]=t(e[r],r,e);return n}},5083(e,t,r){var o=r(1882),n=r(7296),a=r(3805),s=r(7473),i=/^\[object .+?Constructor\]$/,l=Function.prototype,c=Object.prototype,u=l.toString,d=c.hasOwnProperty,f=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||n(e))&&(o(e)?f:i).test(s(e))}},5111(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const o=(0,r(5264).getCallBridge)();t.createHistory=async()=>{const e=await o("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const o=r(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new o.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,r){var o=r(9325)["__core-js_shared__"];e.exports=o},5749(e,t,r){var o=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=o&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,r){var o=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(o(e[r][0],t))return r;return-1}},6110(e,t,r){var o=r(5083),n=r(392);e.exports=function(e,t){var r=n(e,t);return o(r)?r:void 0}},6239(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8466),t)},6250(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const o=(0,r(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"new-tab"})},reload:async()=>o("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const o=(0,r(5264).getCallBridge)();t.theme={enable:()=>o("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,o=atob(r),n=new Array(o.length);for(let e=0;e<o.length;e++)n[e]=o.charCodeAt(e);const a=new Uint8Array(n);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const o=new FileReader;o.onloadend=()=>{t(o.result)},o.onerror=r,o.readAsDataURL(e)})},6721(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(o){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return n.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:o}=t;if(!o){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:o}=t,n=[e],a=o[e];var s,i;return a&&Array.isArray(a)&&a.length>0&&n.push(...a),s=n,i=t.fallback.default,s.includes(i)||s.push(i),n.filter(e=>r.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,r){var o,n=r(5481),a=(o=/[^.]+$/.exec(n&&n.keys&&n.keys.IE_PROTO||""))?"Symbol(src)_1."+o:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,r){var o=r(1769),n=r(7797);e.exports=function(e,t){for(var r=0,a=(t=o(t,e)).length;null!=e&&r<a;)e=e[n(t[r++])];return r&&r==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,r){var o=r(1873),n=r(4932),a=r(6449),s=r(4394),i=o?o.prototype:void 0,l=i?i.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return n(t,e)+"";if(s(t))return l?l.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},7670(e,t,r){var o=r(2651);e.exports=function(e){var t=o(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r},7797(e,t,r){var o=r(4394);e.exports=function(e){if("string"==typeof e||o(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const o=r(6893),n=new Set(o.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},s=o.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return n.has(t)?t:s[t]??a[t]??null}},8156(e,t,r){var o=r(7422);e.exports=function(e,t,r){var n=null==e?void 0:o(e,t);return void 0===n?r:n}},8223(e,t,r){var o=r(6110)(r(9325),"Map");e.exports=o},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new n.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(9332),t)},8392(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new n.BridgeAPIError('"id" must be defined in flag options');const r=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,a("closeFlag",{id:e.id}))}}},8466(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const o=r(5264),n=r(7766),a=r(9939),s=(0,o.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:o,error:a}=null!==(t=await s("invoke",e))&&void 0!==t?t:{},i={...r?o:a};if(i&&i.headers)for(const e in i.headers)Array.isArray(i.headers[e])&&(i.headers[e]=i.headers[e].join(","));return i},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const o=(0,r(5264).getCallBridge)();t.events={emit:(e,t)=>o("emit",{event:e,payload:t}),on:(e,t)=>o("on",{event:e,callback:t})}},8548(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var o=r(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return o.showFlag}})},8586(e,t,r){var o=r(6449),n=r(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,s=/^\w*$/;e.exports=function(e,t){if(o(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!n(e))||s.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,r){var o=r(6025);e.exports=function(e){return o(this.__data__,e)>-1}},9325(e,t,r){var o=r(4840),n="object"==typeof self&&self&&self.Object===Object&&self,a=o||n||Function("return this")();e.exports=a},9332(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const o=r(5264),n=r(7766),a=r(9939),s=(0,o.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new n.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),s("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const o=r(7766);t.withRateLimiter=(e,t,r,n)=>{let a=Date.now(),s=0;return async(...i)=>{const l=Date.now();if(l-a>r&&(a=l,s=0),s>=t)throw new o.BridgeAPIError(n||"Too many invocations.");return s+=1,e(...i)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,o)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const n=[...o,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:n,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,n)):r(t,n)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const o=new Set;for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const{key:t}of e)o.add(t)}return o.size>0?Array.from(o):[]},t.extractI18nPropertiesFromModules=e=>{const o=[];for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const t of e)o.push({moduleName:n[1],...t})}return o}}},t={};function r(o){var n=t[o];if(void 0!==n)return n.exports;var a=t[o]={exports:{}};return e[o](a,a.exports,r),a.exports}r.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return r.d(t,{a:t}),t},r.d=(e,t)=>{for(var o in t)r.o(t,o)&&!r.o(e,o)&&Object.defineProperty(e,o,{enumerable:!0,get:t[o]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),r.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=r(2321);let t=[];async function o(){console.log("Admin panel initializing...");try{await async function(){try{const r=await(0,e.invoke)("getRoleRates");console.log("getRoleRates:",r),r&&r.success?(t=r.rates||[],n()):document.getElementById("role-list").innerHTML='<p class="loading">No roles configured yet.</p>'}catch(e){console.error("loadRoles error:",e),document.getElementById("role-list").innerHTML='<p class="loading">Error loading roles.</p>'}}(),await async function(){try{const t=await(0,e.invoke)("getConfig");console.log("getConfig:",t),t&&t.success&&t.settings&&(document.getElementById("currency").value=t.settings.currency||"USD",document.getElementById("work-hours").value=t.settings.workHoursPerDay||8)}catch(e){console.error("loadSettings error:",e)}}(),document.getElementById("add-role-btn").addEventListener("click",()=>{t.push({roleId:`role-${Date.now()}`,roleName:"",hourlyRate:75,currency:"USD"}),n()}),document.getElementById("save-roles-btn").addEventListener("click",async()=>{const r=document.querySelectorAll(".role-row"),o=[];r.forEach((e,r)=>{const n=e.querySelector(".role-name").value.trim(),a=parseFloat(e.querySelector(".role-rate").value)||0;n&&o.push({roleId:t[r]?.roleId||`role-${Date.now()}-${r}`,roleName:n,hourlyRate:a,currency:document.getElementById("currency").value})}),console.log("Saving roles:",o);const n=await(0,e.invoke)("saveRoleRates",{rates:o});console.log("saveRoleRates result:",n),n&&n.success?(t=o,a("Roles saved successfully!")):a("Failed to save roles",!0)}),document.getElementById("save-settings-btn").addEventListener("click",async()=>{const t={currency:document.getElementById("currency").value,workHoursPerDay:parseInt(document.getElementById("work-hours").value)||8};console.log("Saving settings:",t);const r=await(0,e.invoke)("saveConfig",{settings:t});console.log("saveConfig result:",r),r&&r.success?a("Settings saved successfully!"):a("Failed to save settings",!0)}),console.log("Admin panel ready")}catch(e){console.error("Error initializing admin panel:",e)}}function n(){const e=document.getElementById("role-list");0!==t.length?(e.innerHTML=t.map((e,t)=>`\n    <div class="role-row" data-index="${t}">\n      <div class="form-group">\n        ${0===t?"<label>Role Title</label>":""}\n        <input type="text" class="role-name" value="${e.roleName}" placeholder="e.g., Engineer">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Hourly Rate</label>":""}\n        <div class="rate-input-wrapper">\n          <input type="number" class="role-rate" value="${e.hourlyRate}" min="0" step="5">\n        </div>\n      </div>\n      <button class="btn-delete" data-index="${t}" title="Delete role">🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{const r=parseInt(e.dataset.index);t.splice(r,1),n()})})):e.innerHTML='<p class="loading">No roles configured yet.</p>'}function a(e,t=!1){const r=document.getElementById("toast");r.textContent=e,r.style.background=t?"#DE350B":"#00875A",r.classList.add("show"),setTimeout(()=>r.classList.remove("show"),3e3)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",o):o()})()})();
\ No newline at end of file
+(()=>{var e={79(e,t,n){var r=n(3702),o=n(80),a=n(4739),s=n(8655),i=n(1175);function l(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}l.prototype.clear=r,l.prototype.delete=o,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},80(e,t,n){var r=n(6025),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,n=r(t,e);return!(n<0||(n==t.length-1?t.pop():o.call(t,n,1),--this.size,0))}},104(e,t,n){var r=n(3661);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var n=function(){var r=arguments,o=t?t.apply(this,r):r[0],a=n.cache;if(a.has(o))return a.get(o);var s=e.apply(this,r);return n.cache=a.set(o,s)||a,s};return n.cache=new(o.Cache||r),n}o.Cache=r,e.exports=o},289(e,t,n){var r=n(2651);e.exports=function(e){return r(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,n){var r=n(1873),o=Object.prototype,a=o.hasOwnProperty,s=o.toString,i=r?r.toStringTag:void 0;e.exports=function(e){var t=a.call(e,i),n=e[i];try{e[i]=void 0;var r=!0}catch(e){}var o=s.call(e);return r&&(t?e[i]=n:delete e[i]),o}},1042(e,t,n){var r=n(6110)(Object,"create");e.exports=r},1100(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const r=n(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:n}of this.localeLookupOrderedTranslations){const o=(0,r.getTranslationValueFromContent)(n,e);if(null!==o){t=o;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,n){var r=n(6025);e.exports=function(e,t){var n=this.__data__,o=r(n,e);return o<0?(++this.size,n.push([e,t])):n[o][1]=t,this}},1192(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const r=n(5264),o=n(4280),a=(0,r.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),n=null==t?void 0:t.locale;return n&&(t.locale=null!==(e=(0,o.ensureLocale)(n))&&void 0!==e?e:n),t}},1251(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new o.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=n(1251),o=n(3031),a=n(8348),s=n(5111),i=n(1192),l=n(2513),c=n(6530);t.view={submit:r.submit,close:o.close,refresh:a.refresh,createHistory:s.createHistory,getContext:i.getContext,theme:c.theme,changeWindowTitle:l.changeWindowTitle}},1549(e,t,n){var r=n(2032),o=n(3862),a=n(6721),s=n(2749),i=n(5749);function l(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}l.prototype.clear=r,l.prototype.delete=o,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},1622(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const r=n(4280),o=n(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${r.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},s=new r.TranslationsGetter(a);t.resetTranslationsCache=()=>{s.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let n=e;return n||(n=(await o.view.getContext()).locale),await s.getTranslations(n,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await o.view.getContext()).locale);const n=new r.Translator(t,s);return await n.init(),(e,t)=>{var r,o;return null!==(o=null!==(r=n.translate(e))&&void 0!==r?r:t)&&void 0!==o?o:e}}},1635(e,t,n){"use strict";n.r(t),n.d(t,{__addDisposableResource:()=>C,__assign:()=>a,__asyncDelegator:()=>O,__asyncGenerator:()=>x,__asyncValues:()=>S,__await:()=>I,__awaiter:()=>f,__classPrivateFieldGet:()=>M,__classPrivateFieldIn:()=>L,__classPrivateFieldSet:()=>k,__createBinding:()=>v,__decorate:()=>i,__disposeResources:()=>R,__esDecorate:()=>c,__exportStar:()=>m,__extends:()=>o,__generator:()=>y,__importDefault:()=>$,__importStar:()=>P,__makeTemplateObject:()=>j,__metadata:()=>g,__param:()=>l,__propKey:()=>d,__read:()=>b,__rest:()=>s,__rewriteRelativeImportExtension:()=>F,__runInitializers:()=>u,__setFunctionName:()=>p,__spread:()=>_,__spreadArray:()=>E,__spreadArrays:()=>w,__values:()=>h,default:()=>D});var r=function(e,t){return r=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])},r(e,t)};function o(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}r(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}var a=function(){return a=Object.assign||function(e){for(var t,n=1,r=arguments.length;n<r;n++)for(var o in t=arguments[n])Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o]);return e},a.apply(this,arguments)};function s(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var o=0;for(r=Object.getOwnPropertySymbols(e);o<r.length;o++)t.indexOf(r[o])<0&&Object.prototype.propertyIsEnumerable.call(e,r[o])&&(n[r[o]]=e[r[o]])}return n}function i(e,t,n,r){var o,a=arguments.length,s=a<3?t:null===r?r=Object.getOwnPropertyDescriptor(t,n):r;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)s=Reflect.decorate(e,t,n,r);else for(var i=e.length-1;i>=0;i--)(o=e[i])&&(s=(a<3?o(s):a>3?o(t,n,s):o(t,n))||s);return a>3&&s&&Object.defineProperty(t,n,s),s}function l(e,t){return function(n,r){t(n,r,e)}}function c(e,t,n,r,o,a){function s(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var i,l=r.kind,c="getter"===l?"get":"setter"===l?"set":"value",u=!t&&e?r.static?e:e.prototype:null,d=t||(u?Object.getOwnPropertyDescriptor(u,r.name):{}),p=!1,g=n.length-1;g>=0;g--){var f={};for(var y in r)f[y]="access"===y?{}:r[y];for(var y in r.access)f.access[y]=r.access[y];f.addInitializer=function(e){if(p)throw new TypeError("Cannot add initializers after decoration has completed");a.push(s(e||null))};var v=(0,n[g])("accessor"===l?{get:d.get,set:d.set}:d[c],f);if("accessor"===l){if(void 0===v)continue;if(null===v||"object"!=typeof v)throw new TypeError("Object expected");(i=s(v.get))&&(d.get=i),(i=s(v.set))&&(d.set=i),(i=s(v.init))&&o.unshift(i)}else(i=s(v))&&("field"===l?o.unshift(i):d[c]=i)}u&&Object.defineProperty(u,r.name,d),p=!0}function u(e,t,n){for(var r=arguments.length>2,o=0;o<t.length;o++)n=r?t[o].call(e,n):t[o].call(e);return r?n:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function p(e,t,n){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:n?"".concat(n," ",t):t})}function g(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function f(e,t,n,r){return new(n||(n=Promise))(function(o,a){function s(e){try{l(r.next(e))}catch(e){a(e)}}function i(e){try{l(r.throw(e))}catch(e){a(e)}}function l(e){var t;e.done?o(e.value):(t=e.value,t instanceof n?t:new n(function(e){e(t)})).then(s,i)}l((r=r.apply(e,t||[])).next())})}function y(e,t){var n,r,o,a={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]},s=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return s.next=i(0),s.throw=i(1),s.return=i(2),"function"==typeof Symbol&&(s[Symbol.iterator]=function(){return this}),s;function i(i){return function(l){return function(i){if(n)throw new TypeError("Generator is already executing.");for(;s&&(s=0,i[0]&&(a=0)),a;)try{if(n=1,r&&(o=2&i[0]?r.return:i[0]?r.throw||((o=r.return)&&o.call(r),0):r.next)&&!(o=o.call(r,i[1])).done)return o;switch(r=0,o&&(i=[2&i[0],o.value]),i[0]){case 0:case 1:o=i;break;case 4:return a.label++,{value:i[1],done:!1};case 5:a.label++,r=i[1],i=[0];continue;case 7:i=a.ops.pop(),a.trys.pop();continue;default:if(!((o=(o=a.trys).length>0&&o[o.length-1])||6!==i[0]&&2!==i[0])){a=0;continue}if(3===i[0]&&(!o||i[1]>o[0]&&i[1]<o[3])){a.label=i[1];break}if(6===i[0]&&a.label<o[1]){a.label=o[1],o=i;break}if(o&&a.label<o[2]){a.label=o[2],a.ops.push(i);break}o[2]&&a.ops.pop(),a.trys.pop();continue}i=t.call(e,a)}catch(e){i=[6,e],r=0}finally{n=o=0}if(5&i[0])throw i[1];return{value:i[0]?i[1]:void 0,done:!0}}([i,l])}}}var v=Object.create?function(e,t,n,r){void 0===r&&(r=n);var o=Object.getOwnPropertyDescriptor(t,n);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[n]}}),Object.defineProperty(e,r,o)}:function(e,t,n,r){void 0===r&&(r=n),e[r]=t[n]};function m(e,t){for(var n in e)"default"===n||Object.prototype.hasOwnProperty.call(t,n)||v(t,e,n)}function h(e){var t="function"==typeof Symbol&&Symbol.iterator,n=t&&e[t],r=0;if(n)return n.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&r>=e.length&&(e=void 0),{value:e&&e[r++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var n="function"==typeof Symbol&&e[Symbol.iterator];if(!n)return e;var r,o,a=n.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(r=a.next()).done;)s.push(r.value)}catch(e){o={error:e}}finally{try{r&&!r.done&&(n=a.return)&&n.call(a)}finally{if(o)throw o.error}}return s}function _(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function w(){for(var e=0,t=0,n=arguments.length;t<n;t++)e+=arguments[t].length;var r=Array(e),o=0;for(t=0;t<n;t++)for(var a=arguments[t],s=0,i=a.length;s<i;s++,o++)r[o]=a[s];return r}function E(e,t,n){if(n||2===arguments.length)for(var r,o=0,a=t.length;o<a;o++)!r&&o in t||(r||(r=Array.prototype.slice.call(t,0,o)),r[o]=t[o]);return e.concat(r||Array.prototype.slice.call(t))}function I(e){return this instanceof I?(this.v=e,this):new I(e)}function x(e,t,n){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var r,o=n.apply(e,t||[]),a=[];return r=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),s("next"),s("throw"),s("return",function(e){return function(t){return Promise.resolve(t).then(e,c)}}),r[Symbol.asyncIterator]=function(){return this},r;function s(e,t){o[e]&&(r[e]=function(t){return new Promise(function(n,r){a.push([e,t,n,r])>1||i(e,t)})},t&&(r[e]=t(r[e])))}function i(e,t){try{(n=o[e](t)).value instanceof I?Promise.resolve(n.value.v).then(l,c):u(a[0][2],n)}catch(e){u(a[0][3],e)}var n}function l(e){i("next",e)}function c(e){i("throw",e)}function u(e,t){e(t),a.shift(),a.length&&i(a[0][0],a[0][1])}}function O(e){var t,n;return t={},r("next"),r("throw",function(e){throw e}),r("return"),t[Symbol.iterator]=function(){return this},t;function r(r,o){t[r]=e[r]?function(t){return(n=!n)?{value:I(e[r](t)),done:!1}:o?o(t):t}:o}}function S(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,n=e[Symbol.asyncIterator];return n?n.call(e):(e=h(e),t={},r("next"),r("throw"),r("return"),t[Symbol.asyncIterator]=function(){return this},t);function r(n){t[n]=e[n]&&function(t){return new Promise(function(r,o){!function(e,t,n,r){Promise.resolve(r).then(function(t){e({value:t,done:n})},t)}(r,o,(t=e[n](t)).done,t.value)})}}}function j(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var T=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},B=function(e){return B=Object.getOwnPropertyNames||function(e){var t=[];for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&(t[t.length]=n);return t},B(e)};function P(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var n=B(e),r=0;r<n.length;r++)"default"!==n[r]&&v(t,e,n[r]);return T(t,e),t}function $(e){return e&&e.__esModule?e:{default:e}}function M(e,t,n,r){if("a"===n&&!r)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!r:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===n?r:"a"===n?r.call(e):r?r.value:t.get(e)}function k(e,t,n,r,o){if("m"===r)throw new TypeError("Private method is not writable");if("a"===r&&!o)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===r?o.call(e,n):o?o.value=n:t.set(e,n),n}function L(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function C(e,t,n){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var r,o;if(n){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");r=t[Symbol.asyncDispose]}if(void 0===r){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");r=t[Symbol.dispose],n&&(o=r)}if("function"!=typeof r)throw new TypeError("Object not disposable.");o&&(r=function(){try{o.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:r,async:n})}else n&&e.stack.push({async:!0});return t}var A="function"==typeof SuppressedError?SuppressedError:function(e,t,n){var r=new Error(n);return r.name="SuppressedError",r.error=e,r.suppressed=t,r};function R(e){function t(t){e.error=e.hasError?new A(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var n,r=0;return function o(){for(;n=e.stack.pop();)try{if(!n.async&&1===r)return r=0,e.stack.push(n),Promise.resolve().then(o);if(n.dispose){var a=n.dispose.call(n.value);if(n.async)return r|=2,Promise.resolve(a).then(o,function(e){return t(e),o()})}else r|=1}catch(e){t(e)}if(1===r)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function F(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,n,r,o,a){return n?t?".jsx":".js":!r||o&&a?r+o+"."+a.toLowerCase()+"js":e}):e}const D={__extends:o,__assign:a,__rest:s,__decorate:i,__param:l,__esDecorate:c,__runInitializers:u,__propKey:d,__setFunctionName:p,__metadata:g,__awaiter:f,__generator:y,__createBinding:v,__exportStar:m,__values:h,__read:b,__spread:_,__spreadArrays:w,__spreadArray:E,__await:I,__asyncGenerator:x,__asyncDelegator:O,__asyncValues:S,__makeTemplateObject:j,__importStar:P,__importDefault:$,__classPrivateFieldGet:M,__classPrivateFieldSet:k,__classPrivateFieldIn:L,__addDisposableResource:C,__disposeResources:R,__rewriteRelativeImportExtension:F}},1769(e,t,n){var r=n(6449),o=n(8586),a=n(1802),s=n(3222);e.exports=function(e,t){return r(e)?e:o(e,t)?[e]:a(s(e))}},1802(e,t,n){var r=n(2224),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,s=r(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,n,r,o){t.push(r?o.replace(a,"$1"):n||e)}),t});e.exports=s},1813(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const r=n(1635).__importDefault(n(8156));t.getTranslationValue=(e,n,r)=>{const o=e[r];return o?(0,t.getTranslationValueFromContent)(o,n):null},t.getTranslationValueFromContent=(e,t)=>{let n=e[t];if(!n){const o=t.split(".");o.length>1&&(n=(0,r.default)(e,o,null))}return"string"==typeof n?n:null}},1855(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(1382),t)},1873(e,t,n){var r=n(9325).Symbol;e.exports=r},1882(e,t,n){var r=n(2552),o=n(3805);e.exports=function(e){if(!o(e))return!1;var t=r(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,n){var r=n(1042);e.exports=function(){this.__data__=r?r(null):{},this.size=0}},2115(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(8482),t)},2224(e,t,n){var r=n(104);e.exports=function(e){var t=r(e,function(e){return 500===n.size&&n.clear(),e}),n=t.cache;return t}},2294(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const r=n(6683);t.productFetchApi=e=>{const t=async(t,n,o)=>{const{body:a,headers:s,isMultipartFormData:i}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,n=t?await(async e=>{const t={};for(const[n,o]of e.entries())if("file"===n){const e=o.name,n=o.type;t.file=await(0,r.blobToBase64)(o),t.__fileName=e,t.__fileType=n}else t[n]=o;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,o=new Request("",{body:n,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(o.headers.entries());return{body:"GET"!==o.method?await o.text():null,headers:new Headers(a),isMultipartFormData:t}})(o);s.has("X-Atlassian-Token")||s.set("X-Atlassian-Token","no-check");const l={product:t,restPath:n,fetchRequestInit:{...o,body:a,headers:[...s.entries()]},isMultipartFormData:i},{body:c,headers:u,statusText:d,status:p,isAttachment:g}=await e("fetchProduct",l),f=g?(0,r.base64ToBlob)(c,u["content-type"]):c;return new Response(f||null,{headers:u,status:p,statusText:d})};return{requestConfluence:(e,n)=>t("confluence",e,n),requestJira:(e,n)=>t("jira",e,n),requestBitbucket:(e,n)=>t("bitbucket",e,n)}}},2321(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const r=n(1635);var o=n(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return o.NavigationTarget}}),r.__exportStar(n(8350),t),r.__exportStar(n(6239),t),r.__exportStar(n(1855),t),r.__exportStar(n(351),t),r.__exportStar(n(4095),t),r.__exportStar(n(4490),t),r.__exportStar(n(8548),t),r.__exportStar(n(2115),t),t.i18n=r.__importStar(n(1622))},2513(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new o.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,n){var r=n(1873),o=n(659),a=n(9350),s=r?r.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":s&&s in Object(e)?o(e):a(e)}},2651(e,t,n){var r=n(4218);e.exports=function(e,t){var n=e.__data__;return r(t)?n["string"==typeof t?"string":"hash"]:n.map}},2749(e,t,n){var r=n(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return r?void 0!==t[e]:o.call(t,e)}},2949(e,t,n){var r=n(2651);e.exports=function(e,t){var n=r(this,e),o=n.size;return n.set(e,t),this.size+=n.size==o?0:1,this}},3031(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new o.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new o.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,n){var r=n(1549),o=n(79),a=n(8223);e.exports=function(){this.size=0,this.__data__={hash:new r,map:new(a||o),string:new r}}},3222(e,t,n){var r=n(7556);e.exports=function(e){return null==e?"":r(e)}},3661(e,t,n){var r=n(3040),o=n(7670),a=n(289),s=n(4509),i=n(2949);function l(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}l.prototype.clear=r,l.prototype.delete=o,l.prototype.get=a,l.prototype.has=s,l.prototype.set=i,e.exports=l},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const r=n(1635);r.__exportStar(n(6893),t),r.__exportStar(n(6829),t),r.__exportStar(n(1100),t),r.__exportStar(n(7898),t);var o=n(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return o.getTranslationValue}});var a=n(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),r.__exportStar(n(5181),t)},4394(e,t,n){var r=n(2552),o=n(346);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==r(e)}},4490(e,t,n){"use strict";var r;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const o=n(5264);r=(0,n(2294).productFetchApi)((0,o.getCallBridge)()),t.requestConfluence=r.requestConfluence,t.requestJira=r.requestJira,t.requestBitbucket=r.requestBitbucket},4509(e,t,n){var r=n(2651);e.exports=function(e){return r(this,e).has(e)}},4526(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)(),s=()=>{};t.Modal=class{constructor(e){var t,n;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||s,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(n=null==e?void 0:e.closeOnOverlayClick)||void 0===n||n}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new o.BridgeAPIError("Unable to open modal.")}catch(e){throw new o.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,n){var r=n(6025);e.exports=function(e){var t=this.__data__,n=r(t,e);return n<0?void 0:t[n][1]}},4840(e,t,n){var r="object"==typeof n.g&&n.g&&n.g.Object===Object&&n.g;e.exports=r},4932(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=Array(r);++n<r;)o[n]=t(e[n],n,e);return o}},5083(e,t,n){var r=n(1882),o=n(7296),a=n(3805),s=n(7473),i=/^\[object .+?Constructor\]$/,l=Function.prototype,c=Object.prototype,u=l.toString,d=c.hasOwnProperty,p=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||o(e))&&(r(e)?p:i).test(s(e))}},5111(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const r=(0,n(5264).getCallBridge)();t.createHistory=async()=>{const e=await r("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const r=n(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new r.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,n){var r=n(9325)["__core-js_shared__"];e.exports=r},5749(e,t,n){var r=n(1042);e.exports=function(e,t){var n=this.__data__;return this.size+=this.has(e)?0:1,n[e]=r&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,n){var r=n(5288);e.exports=function(e,t){for(var n=e.length;n--;)if(r(e[n][0],t))return n;return-1}},6110(e,t,n){var r=n(5083),o=n(392);e.exports=function(e,t){var n=o(e,t);return r(n)?n:void 0}},6239(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(8466),t)},6250(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const r=(0,n(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return r("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return r("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return r("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return r("navigate",{...e,type:"new-tab"})},reload:async()=>r("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const r=(0,n(5264).getCallBridge)();t.theme={enable:()=>r("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const n=e.includes(";base64")?e.split(",")[1]:e,r=atob(n),o=new Array(r.length);for(let e=0;e<r.length;e++)o[e]=r.charCodeAt(e);const a=new Uint8Array(o);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,n)=>{const r=new FileReader;r.onloadend=()=>{t(r.result)},r.onerror=n,r.readAsDataURL(e)})},6721(e,t,n){var r=n(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(r){var n=t[e];return"__lodash_hash_undefined__"===n?void 0:n}return o.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class n extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=n,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const n=await this.getI18nInfoConfig(),{fallback:r}=t;if(!r){let t;return n.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,n)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),n=this.getLocaleLookupOrder(e,t);return await Promise.all(n.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof n)throw t;throw new n(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof n)throw e;throw new n("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:n,fallback:r}=t,o=[e],a=r[e];var s,i;return a&&Array.isArray(a)&&a.length>0&&o.push(...a),s=o,i=t.fallback.default,s.includes(i)||s.push(i),o.filter(e=>n.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,n){var r,o=n(5481),a=(r=/[^.]+$/.exec(o&&o.keys&&o.keys.IE_PROTO||""))?"Symbol(src)_1."+r:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,n){var r=n(1769),o=n(7797);e.exports=function(e,t){for(var n=0,a=(t=r(t,e)).length;null!=e&&n<a;)e=e[o(t[n++])];return n&&n==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,n){var r=n(1873),o=n(4932),a=n(6449),s=n(4394),i=r?r.prototype:void 0,l=i?i.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return o(t,e)+"";if(s(t))return l?l.call(t):"";var n=t+"";return"0"==n&&1/t==-1/0?"-0":n}},7670(e,t,n){var r=n(2651);e.exports=function(e){var t=r(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class n extends Error{}t.BridgeAPIError=n},7797(e,t,n){var r=n(4394);e.exports=function(e){if("string"==typeof e||r(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const r=n(6893),o=new Set(r.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},s=r.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[n]=t.split("-");return e[n]||(e[n]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return o.has(t)?t:s[t]??a[t]??null}},8156(e,t,n){var r=n(7422);e.exports=function(e,t,n){var o=null==e?void 0:r(e,t);return void 0===o?n:o}},8223(e,t,n){var r=n(6110)(n(9325),"Map");e.exports=r},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new o.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(9332),t)},8392(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new o.BridgeAPIError('"id" must be defined in flag options');const n=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await n,a("closeFlag",{id:e.id}))}}},8466(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const r=n(5264),o=n(7766),a=n(9939),s=(0,r.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:n,payload:r,error:a}=null!==(t=await s("invoke",e))&&void 0!==t?t:{},i={...n?r:a};if(i&&i.headers)for(const e in i.headers)Array.isArray(i.headers[e])&&(i.headers[e]=i.headers[e].join(","));return i},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const r=(0,n(5264).getCallBridge)();t.events={emit:(e,t)=>r("emit",{event:e,payload:t}),on:(e,t)=>r("on",{event:e,callback:t})}},8548(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=n(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})},8586(e,t,n){var r=n(6449),o=n(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,s=/^\w*$/;e.exports=function(e,t){if(r(e))return!1;var n=typeof e;return!("number"!=n&&"symbol"!=n&&"boolean"!=n&&null!=e&&!o(e))||s.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,n){var r=n(6025);e.exports=function(e){return r(this.__data__,e)>-1}},9325(e,t,n){var r=n(4840),o="object"==typeof self&&self&&self.Object===Object&&self,a=r||o||Function("return this")();e.exports=a},9332(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const r=n(5264),o=n(7766),a=n(9939),s=(0,r.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new o.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),s("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const r=n(7766);t.withRateLimiter=(e,t,n,o)=>{let a=Date.now(),s=0;return async(...i)=>{const l=Date.now();if(l-a>n&&(a=l,s=0),s>=t)throw new r.BridgeAPIError(o||"Too many invocations.");return s+=1,e(...i)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const n=e=>{const t=new Set,n=(e,r)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const o=[...r,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:o,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>n(e,o)):n(t,o)}));return n(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const r=new Set;for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=n(o[0]);for(const{key:t}of e)r.add(t)}return r.size>0?Array.from(r):[]},t.extractI18nPropertiesFromModules=e=>{const r=[];for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=n(o[0]);for(const t of e)r.push({moduleName:o[1],...t})}return r}}},t={};function n(r){var o=t[r];if(void 0!==o)return o.exports;var a=t[r]={exports:{}};return e[r](a,a.exports,n),a.exports}n.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return n.d(t,{a:t}),t},n.d=(e,t)=>{for(var r in t)n.o(t,r)&&!n.o(e,r)&&Object.defineProperty(e,r,{enumerable:!0,get:t[r]})},n.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=n(2321);let t=[],r=[],o=[],a=[],s=[],i=[],l=[],c="USD",u=[],d=[],p={};async function g(){console.log("Admin panel initializing...");try{await f(),await async function(){Intl.supportedValuesOf&&(document.getElementById("time-zones").innerHTML=Intl.supportedValuesOf("timeZone").map(e=>`<option value="${e}"></option>`).join(""));try{const t=await(0,e.invoke)("getConfig");console.log("getConfig:",t),t&&t.success&&t.settings&&(document.getElementById("currency").value=t.settings.currency||"USD",document.getElementById("locale").value=t.settings.locale||"en-US",document.getElementById("time-zone").value=t.settings.timeZone||"UTC",document.getElementById("work-hours").value=t.settings.workHoursPerDay||8,document.getElementById("workday-start").value=t.settings.workdayStart||"09:00")}catch(e){console.error("loadSettings error:",e)}}(),await async function(){try{const t=await(0,e.invoke)("getExchangeRates");console.log("getExchangeRates:",t),u=t&&t.success&&t.exchangeRates||[],y()}catch(e){console.error("loadExchangeRates error:",e),document.getElementById("exchange-rate-list").innerHTML='<p class="loading">Error loading exchange rates.</p>'}}(),await async function(){try{const t=await(0,e.invoke)("getAttendeeRoleMap");console.log("getAttendeeRoleMap:",t),o=t&&t.success&&t.roleMap||[],m()}catch(e){console.error("loadMappings error:",e),document.getElementById("mapping-list").innerHTML='<p class="loading">Error loading mappings.</p>'}}(),await async function(){try{const t=await(0,e.invoke)("getTeams");console.log("getTeams:",t),a=t&&t.success&&t.teams||[],b()}catch(e){console.error("loadTeams error:",e),document.getElementById("team-list").innerHTML='<p class="loading">Error loading teams.</p>'}}(),await async function(){try{const t=await(0,e.invoke)("getMeetingTypes");console.log("getMeetingTypes:",t),s=t&&t.meetingTypes||[],B()}catch(e){console.error("loadMeetingTypes error:",e),document.getElementById("type-list").innerHTML='<p class="loading">Error loading meeting types.</p>'}}(),await w(),await async function(){try{const t=await(0,e.invoke)("getDigestConfig");console.log("getDigestConfig:",t),t&&t.success&&(x=t.config,O(t.lastSent))}catch(e){console.error("loadDigestConfig error:",e)}}(),await async function(){try{const t=await(0,e.invoke)("getSuggestionRules");console.log("getSuggestionRules:",t),t&&t.success?(d=t.rules,p=t.config,$()):document.getElementById("rule-list").innerHTML='<p class="loading">Error loading suggestion rules.</p>'}catch(e){console.error("loadSuggestionRules error:",e),document.getElementById("rule-list").innerHTML='<p class="loading">Error loading suggestion rules.</p>'}}(),function(){document.getElementById("add-role-btn").addEventListener("click",()=>{t.push({roleId:`role-${Date.now()}`,roleName:"",hourlyRate:75,currency:document.getElementById("currency").value}),k()}),document.getElementById("rate-version").addEventListener("change",async e=>{"new"!==e.target.value?await f(e.target.value||null):document.getElementById("rates-effective-from").value=(new Date).toISOString().split("T")[0]}),document.getElementById("delete-rate-version-btn").addEventListener("click",async()=>{const t=document.getElementById("rate-version");if("new"===t.value||!confirm(`Delete the rate version "${M(t.value)}"? Stored meeting costs are not changed until you recompute them.`))return;const n=await(0,e.invoke)("deleteRateVersion",{effectiveFrom:t.value||null});console.log("deleteRateVersion result:",n),n&&n.success?(await f(),L("Rate version deleted")):L("Failed to delete version: "+(n?n.error:"Unknown error"),!0)});const n=async t=>{const n={startDate:document.getElementById("recompute-from").value||void 0,endDate:document.getElementById("recompute-to").value||void 0,dryRun:t},r=await(0,e.invoke)("recomputeMeetingCosts",n);console.log("recomputeMeetingCosts result:",r),r&&r.success?(function(e){const t=document.getElementById("recompute-report"),n=t=>new Intl.NumberFormat(void 0,{style:"currency",currency:e.currency}).format(t),r=e=>(e>0?"+":"")+n(e);let o=`<strong>${e.dryRun?"Would change":"Changed"} ${e.changedCount} of ${e.meetingCount} meetings.</strong>\n        Total ${n(e.previousTotal)} → ${n(e.newTotal)} (${r(e.delta)})`;e.changes.length>0&&(o+="<ul>"+e.changes.slice(0,20).map(e=>`<li>${e.date} · ${e.title}: ${n(e.previousCost)} → ${n(e.newCost)} (${r(e.delta)})</li>`).join("")+(e.changes.length>20?`<li>…and ${e.changes.length-20} more</li>`:"")+"</ul>"),t.innerHTML=o,t.classList.remove("hidden")}(r),document.getElementById("apply-recompute-btn").disabled=!t||0===r.changedCount,t||L(`Recomputed ${r.changedCount} meetings`)):L("Recompute failed: "+(r?r.error:"Unknown error"),!0)};["recompute-from","recompute-to"].forEach(e=>{document.getElementById(e).addEventListener("change",()=>{document.getElementById("apply-recompute-btn").disabled=!0})}),document.getElementById("preview-recompute-btn").addEventListener("click",()=>n(!0)),document.getElementById("apply-recompute-btn").addEventListener("click",()=>n(!1)),document.getElementById("rebuild-snapshots-btn").addEventListener("click",async()=>{const t=document.getElementById("snapshot-project").value.trim().toUpperCase();if(!t)return void L("Enter the Jira project to rebuild",!0);const n=await(0,e.invoke)("recomputeSprintSnapshots",{projectKey:t});console.log("recomputeSprintSnapshots result:",n),n&&n.success?(function(e,t){const n=document.getElementById("snapshot-report");let r=`<strong>${t.length} closed sprints of ${e}.</strong>`;t.length>0&&(r+="<ul>"+t.map(e=>`<li>${e.sprintName}: ${e.completedPoints} points, ${e.meetingCount} meetings (${e.totalMeetingHours.toFixed(1)}h)</li>`).join("")+"</ul>"),n.innerHTML=r,n.classList.remove("hidden")}(t,n.snapshots),L(`Rebuilt ${n.snapshots.length} sprint snapshots`)):L("Rebuild failed: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("save-roles-btn").addEventListener("click",async()=>{const n=document.querySelectorAll(".role-row"),r=[];n.forEach((e,n)=>{const o=e.querySelector(".role-name").value.trim(),a=parseFloat(e.querySelector(".role-rate").value)||0,s=e.querySelector(".role-currency").value.trim().toUpperCase();o&&r.push({roleId:t[n]?.roleId||`role-${Date.now()}-${n}`,roleName:o,hourlyRate:a,currency:s||document.getElementById("currency").value,benefitsMultiplier:e.querySelector(".role-benefits").value,overheadMultiplier:e.querySelector(".role-overhead").value})});const o=document.getElementById("rates-effective-from").value||null;console.log("Saving roles:",o,r);const a={beforeMinutes:document.getElementById("switch-before").value,afterMinutes:document.getElementById("switch-after").value},s=await(0,e.invoke)("saveRoleRates",{rates:r,effectiveFrom:o,contextSwitch:a});console.log("saveRoleRates result:",s),s&&s.success?(await f(s.effectiveFrom),L(`Rates saved (${M(s.effectiveFrom).toLowerCase()})`)):L("Failed to save roles: "+(s?s.error:"Unknown error"),!0)}),document.getElementById("add-exchange-rate-btn").addEventListener("click",()=>{u=v(),u.push({from:"",to:document.getElementById("currency").value,rate:1,effectiveDate:(new Date).toISOString().split("T")[0]}),y()}),document.getElementById("save-exchange-rates-btn").addEventListener("click",async()=>{const t=v().filter(e=>e.from&&e.to);console.log("Saving exchange rates:",t);const n=await(0,e.invoke)("saveExchangeRates",{exchangeRates:t});console.log("saveExchangeRates result:",n),n&&n.success?(u=n.exchangeRates,y(),L("Exchange rates saved successfully!")):L("Failed to save exchange rates: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("add-mapping-btn").addEventListener("click",()=>{o=h(),o.push({pattern:"",roleId:t[0]?t[0].roleId:""}),m()}),document.getElementById("save-mapping-btn").addEventListener("click",async()=>{const t=h().filter(e=>e.pattern&&e.roleId);console.log("Saving attendee role map:",t);const n=await(0,e.invoke)("saveAttendeeRoleMap",{roleMap:t});console.log("saveAttendeeRoleMap result:",n),n&&n.success?(o=t,m(),L("Mappings saved successfully!")):L("Failed to save mappings",!0)}),document.getElementById("add-team-btn").addEventListener("click",()=>{a=_(),a.push({name:"",projectKeys:[]}),b()}),document.getElementById("save-teams-btn").addEventListener("click",async()=>{const t=_().filter(e=>e.name);console.log("Saving teams:",t);const n=await(0,e.invoke)("saveTeams",{teams:t});console.log("saveTeams result:",n),n&&n.success?(a=n.teams,b(),i=I().filter(e=>a.some(t=>t.teamId===e.teamId)),E(),S(),L("Teams saved successfully!")):L("Failed to save teams",!0)}),document.getElementById("add-budget-btn").addEventListener("click",()=>{if(0===a.length)return void L("Add a team first",!0);i=I();const e=a.find(e=>!i.some(t=>t.teamId===e.teamId))||a[0];i.push({teamId:e.teamId,period:"month",amount:0,thresholds:[80,100]}),E()}),document.getElementById("save-budgets-btn").addEventListener("click",async()=>{const t=I();console.log("Saving budgets:",t);const n=await(0,e.invoke)("saveBudgets",{budgets:t});console.log("saveBudgets result:",n),n&&n.success?(await w(),L("Budgets saved successfully!")):L("Failed to save budgets: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("digest-target").addEventListener("change",j),document.getElementById("save-digest-btn").addEventListener("click",async()=>{const t={enabled:document.getElementById("digest-enabled").checked,target:document.getElementById("digest-target").value,pageId:document.getElementById("digest-page").value.trim(),issueKey:document.getElementById("digest-issue").value.trim(),teamId:document.getElementById("digest-team").value||null};console.log("Saving digest config:",t);const n=await(0,e.invoke)("saveDigestConfig",{config:t});console.log("saveDigestConfig result:",n),n&&n.success?(x=n.config,L("Digest settings saved successfully!")):L("Failed to save digest settings: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("preview-digest-btn").addEventListener("click",async()=>{const t=await(0,e.invoke)("previewDigest",{teamId:document.getElementById("digest-team").value||null});if(console.log("previewDigest result:",t),t&&t.success){const e=document.getElementById("digest-preview");e.innerHTML=t.storage,e.classList.remove("hidden")}else L("Preview failed: "+(t?t.error:"Unknown error"),!0)}),document.getElementById("send-digest-btn").addEventListener("click",async()=>{if(!confirm("Publish last week's digest now with the saved settings?"))return;const t=await(0,e.invoke)("sendDigest");console.log("sendDigest result:",t),t&&t.success?(O(t),L("Digest published")):L("Failed to publish digest: "+(t?t.error:"Unknown error"),!0)}),document.getElementById("add-type-btn").addEventListener("click",()=>{s=P(),s.push({label:"",color:"#6B778C",timeboxMinutes:null,category:"sync"}),B()}),document.getElementById("save-types-btn").addEventListener("click",async()=>{const t=P().filter(e=>e.label);console.log("Saving meeting types:",t);const n=await(0,e.invoke)("saveMeetingTypes",{meetingTypes:t});console.log("saveMeetingTypes result:",n),n&&n.success?(s=n.meetingTypes,B(),L("Meeting types saved successfully!")):L("Failed to save meeting types: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("save-rules-btn").addEventListener("click",async()=>{const t=function(){const e={};return document.querySelectorAll(".rule-row").forEach(t=>{const n={};t.querySelectorAll(".rule-param").forEach(e=>{n[e.dataset.param]="roles"===e.dataset.type?e.value.split(",").map(e=>e.trim()).filter(Boolean):e.value}),e[t.dataset.rule]={enabled:t.querySelector(".rule-enabled").checked,priority:t.querySelector(".rule-priority").value,params:n}}),e}();console.log("Saving suggestion rules:",t);const n=await(0,e.invoke)("saveSuggestionRules",{config:t});console.log("saveSuggestionRules result:",n),n&&n.success?(p=n.config,$(),L("Suggestion rules saved successfully!")):L("Failed to save suggestion rules: "+(n?n.error:"Unknown error"),!0)}),document.getElementById("save-settings-btn").addEventListener("click",async()=>{const t={currency:document.getElementById("currency").value,locale:document.getElementById("locale").value,timeZone:document.getElementById("time-zone").value.trim()||"UTC",workHoursPerDay:parseInt(document.getElementById("work-hours").value)||8,workdayStart:document.getElementById("workday-start").value||"09:00"};console.log("Saving settings:",t);const n=await(0,e.invoke)("saveConfig",{settings:t});console.log("saveConfig result:",n),n&&n.success?L("Settings saved successfully!"):L("Failed to save settings: "+(n?n.error:"Unknown error"),!0)})}(),console.log("Admin panel ready")}catch(e){console.error("Error initializing admin panel:",e)}}async function f(n){try{const a=await(0,e.invoke)("getRoleRates",void 0===n?{}:{effectiveFrom:n});console.log("getRoleRates:",a),a&&a.success?(t=a.rates||[],r=a.versions||[],o=a.effectiveFrom,document.getElementById("rate-version").innerHTML=r.map(e=>`<option value="${e.effectiveFrom||""}" ${e.effectiveFrom===o?"selected":""}>${M(e.effectiveFrom)}</option>`).join("")+'<option value="new">+ New version…</option>',document.getElementById("rates-effective-from").value=o||"",document.getElementById("delete-rate-version-btn").disabled=r.length<2,document.getElementById("switch-before").value=a.contextSwitch?a.contextSwitch.beforeMinutes:0,document.getElementById("switch-after").value=a.contextSwitch?a.contextSwitch.afterMinutes:0,k()):document.getElementById("role-list").innerHTML='<p class="loading">No roles configured yet.</p>'}catch(e){console.error("loadRoles error:",e),document.getElementById("role-list").innerHTML='<p class="loading">Error loading roles.</p>'}var o}function y(){const e=document.getElementById("exchange-rate-list");0!==u.length?(e.innerHTML=u.map((e,t)=>`\n    <div class="exchange-rate-row" data-index="${t}">\n      <div class="form-group">\n        ${0===t?"<label>From</label>":""}\n        <input type="text" class="rate-from currency-code" value="${e.from}" maxlength="3" placeholder="EUR">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>To</label>":""}\n        <input type="text" class="rate-to currency-code" value="${e.to}" maxlength="3" placeholder="USD">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Rate</label>":""}\n        <input type="number" class="rate-value" value="${e.rate}" min="0" step="any">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Effective From</label>":""}\n        <input type="date" class="rate-effective" value="${e.effectiveDate}">\n      </div>\n      <button class="btn-delete" data-index="${t}" title="Delete exchange rate">🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{u=v(),u.splice(parseInt(e.dataset.index),1),y()})})):e.innerHTML='<p class="loading">No exchange rates yet. Only needed when a role is paid in another currency.</p>'}function v(){return Array.from(document.querySelectorAll(".exchange-rate-row")).map(e=>({from:e.querySelector(".rate-from").value.trim().toUpperCase(),to:e.querySelector(".rate-to").value.trim().toUpperCase(),rate:e.querySelector(".rate-value").value,effectiveDate:e.querySelector(".rate-effective").value}))}function m(){const e=document.getElementById("mapping-list");0!==o.length?(e.innerHTML=o.map((e,n)=>`\n    <div class="mapping-row" data-index="${n}">\n      <div class="form-group">\n        ${0===n?"<label>Email or Pattern</label>":""}\n        <input type="text" class="mapping-pattern" value="${e.pattern}" placeholder="e.g., *@design.example.com">\n      </div>\n      <div class="form-group">\n        ${0===n?"<label>Role</label>":""}\n        <select class="mapping-role">\n          ${t.map(t=>`<option value="${t.roleId}" ${t.roleId===e.roleId?"selected":""}>${t.roleName}</option>`).join("")}\n        </select>\n      </div>\n      <button class="btn-delete" data-index="${n}" title="Delete mapping">🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{o=h(),o.splice(parseInt(e.dataset.index),1),m()})})):e.innerHTML='<p class="loading">No mappings yet. Unmapped attendees are costed at the average rate.</p>'}function h(){return Array.from(document.querySelectorAll(".mapping-row")).map(e=>({pattern:e.querySelector(".mapping-pattern").value.trim(),roleId:e.querySelector(".mapping-role").value}))}function b(){const e=document.getElementById("team-list");0!==a.length?(e.innerHTML=a.map((e,t)=>`\n    <div class="team-row" data-index="${t}">\n      <div class="form-group">\n        ${0===t?"<label>Team Name</label>":""}\n        <input type="text" class="team-name" value="${e.name}" placeholder="e.g., Payments Squad">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Jira Projects</label>":""}\n        <input type="text" class="team-projects" value="${e.projectKeys.join(", ")}" placeholder="e.g., PAY, CHK">\n      </div>\n      <button class="btn-delete" data-index="${t}" title="Delete team">🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{a=_(),a.splice(parseInt(e.dataset.index),1),b()})})):e.innerHTML='<p class="loading">No teams yet. Meetings are reported for the whole site.</p>'}function _(){return Array.from(document.querySelectorAll(".team-row")).map((e,t)=>({teamId:a[t]&&a[t].teamId,name:e.querySelector(".team-name").value.trim(),projectKeys:e.querySelector(".team-projects").value.split(",").map(e=>e.trim()).filter(Boolean)}))}async function w(){try{const t=await(0,e.invoke)("getBudgets");console.log("getBudgets:",t),i=t&&t.success&&t.budgets||[],l=t&&t.statuses||[],c=t&&t.currency||c,E()}catch(e){console.error("loadBudgets error:",e),document.getElementById("budget-list").innerHTML='<p class="loading">Error loading budgets.</p>'}}function E(){const e=document.getElementById("budget-list");if(0===a.length)return void(e.innerHTML='<p class="loading">Add a team first; budgets are set per team.</p>');if(0===i.length)return void(e.innerHTML='<p class="loading">No budgets yet.</p>');const t=e=>new Intl.NumberFormat(void 0,{style:"currency",currency:c,maximumFractionDigits:0}).format(e);e.innerHTML=i.map((e,n)=>{const r=l.find(t=>t.teamId===e.teamId&&t.period===e.period);return`\n    <div class="budget-row" data-index="${n}">\n      <div class="form-group">\n        ${0===n?"<label>Team</label>":""}\n        <select class="budget-team">\n          ${a.map(t=>`<option value="${t.teamId}" ${t.teamId===e.teamId?"selected":""}>${t.name}</option>`).join("")}\n        </select>\n      </div>\n      <div class="form-group">\n        ${0===n?"<label>Period</label>":""}\n        <select class="budget-period">\n          <option value="month" ${"month"===e.period?"selected":""}>Monthly</option>\n          <option value="quarter" ${"quarter"===e.period?"selected":""}>Quarterly</option>\n        </select>\n      </div>\n      <div class="form-group">\n        ${0===n?"<label>Amount</label>":""}\n        <input type="number" class="budget-amount" value="${e.amount||""}" min="1" step="any">\n      </div>\n      <div class="form-group">\n        ${0===n?"<label>Alert at (%)</label>":""}\n        <input type="text" class="budget-thresholds" value="${(e.thresholds||[80,100]).join(", ")}" placeholder="80, 100">\n      </div>\n      <button class="btn-delete" data-index="${n}" title="Delete budget">🗑️</button>\n      ${r?`<p class="budget-status">${r.periodKey}: ${t(r.spent)} of ${t(r.amount)} spent (${r.percentUsed.toFixed(0)}%)</p>`:""}\n    </div>\n  `}).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{i=I(),i.splice(parseInt(e.dataset.index),1),E()})})}function I(){return Array.from(document.querySelectorAll(".budget-row")).map(e=>({teamId:e.querySelector(".budget-team").value,period:e.querySelector(".budget-period").value,amount:parseFloat(e.querySelector(".budget-amount").value)||0,thresholds:e.querySelector(".budget-thresholds").value.split(",").map(e=>parseInt(e.trim())).filter(e=>!isNaN(e))}))}let x={};function O(e){document.getElementById("digest-target").value=x.target||"confluence",document.getElementById("digest-page").value=x.pageId||"",document.getElementById("digest-issue").value=x.issueKey||"",document.getElementById("digest-enabled").checked=Boolean(x.enabled),S(),j(),e&&(document.getElementById("digest-last-sent").textContent=`Last published the week of ${e.weekStart} to ${"jira"===e.target?e.issueKey:`"${e.title||`page ${e.pageId}`}"`} on ${new Date(e.sentAt).toLocaleString()}.`)}function S(){document.getElementById("digest-team").innerHTML='<option value="">All teams</option>'+a.map(e=>`<option value="${e.teamId}" ${e.teamId===x.teamId?"selected":""}>${e.name}</option>`).join("")}function j(){const e="jira"===document.getElementById("digest-target").value;document.getElementById("digest-page-group").classList.toggle("hidden",e),document.getElementById("digest-issue-group").classList.toggle("hidden",!e)}const T={ceremony:"Agile ceremony",sync:"Team sync",people:"People",company:"Company-wide",external:"External",unplanned:"Unplanned"};function B(){const e=document.getElementById("type-list");e.innerHTML=s.map((e,t)=>`\n    <div class="type-row" data-index="${t}">\n      <div class="form-group">\n        ${0===t?"<label>Label</label>":""}\n        <input type="text" class="type-label" value="${e.label}" placeholder="e.g., Customer Call">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Color</label>":""}\n        <input type="color" class="type-color" value="${e.color}">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Timebox (min)</label>":""}\n        <input type="number" class="type-timebox" value="${e.timeboxMinutes||""}" min="1" placeholder="None">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Category</label>":""}\n        <select class="type-category">\n          ${Object.entries(T).map(([t,n])=>`<option value="${t}" ${e.category===t?"selected":""}>${n}</option>`).join("")}\n        </select>\n      </div>\n      <button class="btn-delete" data-index="${t}" title="${"ad-hoc"===e.typeId?"Used for meetings without a type":"Delete type"}" ${"ad-hoc"===e.typeId?"disabled":""}>🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{s=P(),s.splice(parseInt(e.dataset.index),1),B()})})}function P(){return Array.from(document.querySelectorAll(".type-row")).map((e,t)=>({typeId:s[t]&&s[t].typeId,label:e.querySelector(".type-label").value.trim(),color:e.querySelector(".type-color").value,timeboxMinutes:parseInt(e.querySelector(".type-timebox").value)||null,category:e.querySelector(".type-category").value}))}function $(){document.getElementById("rule-list").innerHTML=d.map(e=>{const t=p[e.ruleId]||{enabled:!0,priority:e.priority,params:{}},n=Object.entries(e.params).map(([e,n])=>{const r=void 0!==t.params[e]?t.params[e]:n.default,o="roles"===n.type?`<input type="text" class="rule-param" data-param="${e}" data-type="roles" value="${r.join(", ")}" placeholder="Role ids, e.g., exec, manager">`:`<input type="number" class="rule-param" data-param="${e}" value="${r}" min="${n.min}" max="${n.max}" step="any">`;return`<div class="form-group"><label>${n.label}</label>${o}</div>`}).join("");return`\n    <div class="rule-row" data-rule="${e.ruleId}">\n      <div class="rule-header">\n        <label class="checkbox-row"><input type="checkbox" class="rule-enabled" ${t.enabled?"checked":""}> ${e.label}</label>\n        <select class="rule-priority">\n          ${["high","medium","low"].map(e=>`<option value="${e}" ${t.priority===e?"selected":""}>${e.charAt(0).toUpperCase()+e.slice(1)}</option>`).join("")}\n        </select>\n      </div>\n      <p class="version-hint">${e.description}</p>\n      <div class="rule-params">${n}</div>\n    </div>\n  `}).join("")}function M(e){return e?`From ${e}`:"First version"}function k(){const e=document.getElementById("role-list");0!==t.length?(e.innerHTML=t.map((e,t)=>`\n    <div class="role-row" data-index="${t}">\n      <div class="form-group">\n        ${0===t?"<label>Role Title</label>":""}\n        <input type="text" class="role-name" value="${e.roleName}" placeholder="e.g., Engineer">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Hourly Rate</label>":""}\n        <div class="rate-input-wrapper">\n          <input type="number" class="role-rate" value="${e.hourlyRate}" min="0" step="5">\n        </div>\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Currency</label>":""}\n        <input type="text" class="role-currency currency-code" value="${e.currency||document.getElementById("currency").value}" maxlength="3">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Benefits ×</label>":""}\n        <input type="number" class="role-benefits" value="${e.benefitsMultiplier||1}" min="1" max="5" step="0.05">\n      </div>\n      <div class="form-group">\n        ${0===t?"<label>Overhead ×</label>":""}\n        <input type="number" class="role-overhead" value="${e.overheadMultiplier||1}" min="1" max="5" step="0.05">\n      </div>\n      <button class="btn-delete" data-index="${t}" title="Delete role">🗑️</button>\n    </div>\n  `).join(""),e.querySelectorAll(".btn-delete").forEach(e=>{e.addEventListener("click",()=>{const n=parseInt(e.dataset.index);t.splice(n,1),k()})})):e.innerHTML='<p class="loading">No roles configured yet.</p>'}function L(e,t=!1){const n=document.getElementById("toast");n.textContent=e,n.style.background=t?"#DE350B":"#00875A",n.classList.add("show"),setTimeout(()=>n.classList.remove("show"),3e3)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",g):g()})()})();
\ No newline at end of file
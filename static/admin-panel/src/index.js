@@ -1,12 +1,29 @@
 import { invoke } from '@forge/bridge';
 
 let roles = [];
+let rateVersions = [];
+let mappings = [];
+let teams = [];
+let meetingTypes = [];
+let budgets = [];
+let budgetStatuses = [];
+let budgetCurrency = 'USD';
+let exchangeRates = [];
+let suggestionRules = [];
+let ruleConfig = {};
 
 async function init() {
     console.log('Admin panel initializing...');
     try {
         await loadRoles();
         await loadSettings();
+        await loadExchangeRates();
+        await loadMappings();
+        await loadTeams();
+        await loadMeetingTypes();
+        await loadBudgets();
+        await loadDigestConfig();
+        await loadSuggestionRules();
         setupEventListeners();
         console.log('Admin panel ready');
     } catch (error) {
@@ -14,12 +31,17 @@ async function init() {
     }
 }
 
-async function loadRoles() {
+// Load the rates of one version; without an argument, the version in effect today
+async function loadRoles(effectiveFrom) {
     try {
-        const result = await invoke('getRoleRates');
+        const result = await invoke('getRoleRates', effectiveFrom === undefined ? {} : { effectiveFrom });
         console.log('getRoleRates:', result);
         if (result && result.success) {
             roles = result.rates || [];
+            rateVersions = result.versions || [];
+            renderVersions(result.effectiveFrom);
+            document.getElementById('switch-before').value = result.contextSwitch ? result.contextSwitch.beforeMinutes : 0;
+            document.getElementById('switch-after').value = result.contextSwitch ? result.contextSwitch.afterMinutes : 0;
             renderRoles();
         } else {
             document.getElementById('role-list').innerHTML = '<p class="loading">No roles configured yet.</p>';
@@ -31,18 +53,486 @@ async function loadRoles() {
 }
 
 async function loadSettings() {
+    // Suggest the timezones the browser knows; any IANA name can still be typed
+    if (Intl.supportedValuesOf) {
+        document.getElementById('time-zones').innerHTML = Intl.supportedValuesOf('timeZone')
+            .map(tz => `<option value="${tz}"></option>`)
+            .join('');
+    }
+
     try {
         const result = await invoke('getConfig');
         console.log('getConfig:', result);
         if (result && result.success && result.settings) {
             document.getElementById('currency').value = result.settings.currency || 'USD';
+            document.getElementById('locale').value = result.settings.locale || 'en-US';
+            document.getElementById('time-zone').value = result.settings.timeZone || 'UTC';
             document.getElementById('work-hours').value = result.settings.workHoursPerDay || 8;
+            document.getElementById('workday-start').value = result.settings.workdayStart || '09:00';
         }
     } catch (e) {
         console.error('loadSettings error:', e);
     }
 }
 
+async function loadExchangeRates() {
+    try {
+        const result = await invoke('getExchangeRates');
+        console.log('getExchangeRates:', result);
+        exchangeRates = (result && result.success && result.exchangeRates) || [];
+        renderExchangeRates();
+    } catch (e) {
+        console.error('loadExchangeRates error:', e);
+        document.getElementById('exchange-rate-list').innerHTML = '<p class="loading">Error loading exchange rates.</p>';
+    }
+}
+
+function renderExchangeRates() {
+    const container = document.getElementById('exchange-rate-list');
+
+    if (exchangeRates.length === 0) {
+        container.innerHTML = '<p class="loading">No exchange rates yet. Only needed when a role is paid in another currency.</p>';
+        return;
+    }
+
+    container.innerHTML = exchangeRates.map((entry, index) => `
+    <div class="exchange-rate-row" data-index="${index}">
+      <div class="form-group">
+        ${index === 0 ? '<label>From</label>' : ''}
+        <input type="text" class="rate-from currency-code" value="${entry.from}" maxlength="3" placeholder="EUR">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>To</label>' : ''}
+        <input type="text" class="rate-to currency-code" value="${entry.to}" maxlength="3" placeholder="USD">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Rate</label>' : ''}
+        <input type="number" class="rate-value" value="${entry.rate}" min="0" step="any">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Effective From</label>' : ''}
+        <input type="date" class="rate-effective" value="${entry.effectiveDate}">
+      </div>
+      <button class="btn-delete" data-index="${index}" title="Delete exchange rate">🗑️</button>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exchangeRates = readExchangeRates();
+            exchangeRates.splice(parseInt(btn.dataset.index), 1);
+            renderExchangeRates();
+        });
+    });
+}
+
+function readExchangeRates() {
+    return Array.from(document.querySelectorAll('.exchange-rate-row')).map(row => ({
+        from: row.querySelector('.rate-from').value.trim().toUpperCase(),
+        to: row.querySelector('.rate-to').value.trim().toUpperCase(),
+        rate: row.querySelector('.rate-value').value,
+        effectiveDate: row.querySelector('.rate-effective').value
+    }));
+}
+
+async function loadMappings() {
+    try {
+        const result = await invoke('getAttendeeRoleMap');
+        console.log('getAttendeeRoleMap:', result);
+        mappings = (result && result.success && result.roleMap) || [];
+        renderMappings();
+    } catch (e) {
+        console.error('loadMappings error:', e);
+        document.getElementById('mapping-list').innerHTML = '<p class="loading">Error loading mappings.</p>';
+    }
+}
+
+function renderMappings() {
+    const container = document.getElementById('mapping-list');
+
+    if (mappings.length === 0) {
+        container.innerHTML = '<p class="loading">No mappings yet. Unmapped attendees are costed at the average rate.</p>';
+        return;
+    }
+
+    container.innerHTML = mappings.map((mapping, index) => `
+    <div class="mapping-row" data-index="${index}">
+      <div class="form-group">
+        ${index === 0 ? '<label>Email or Pattern</label>' : ''}
+        <input type="text" class="mapping-pattern" value="${mapping.pattern}" placeholder="e.g., *@design.example.com">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Role</label>' : ''}
+        <select class="mapping-role">
+          ${roles.map(r => `<option value="${r.roleId}" ${r.roleId === mapping.roleId ? 'selected' : ''}>${r.roleName}</option>`).join('')}
+        </select>
+      </div>
+      <button class="btn-delete" data-index="${index}" title="Delete mapping">🗑️</button>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            mappings = readMappings();
+            mappings.splice(parseInt(btn.dataset.index), 1);
+            renderMappings();
+        });
+    });
+}
+
+function readMappings() {
+    return Array.from(document.querySelectorAll('.mapping-row')).map(row => ({
+        pattern: row.querySelector('.mapping-pattern').value.trim(),
+        roleId: row.querySelector('.mapping-role').value
+    }));
+}
+
+async function loadTeams() {
+    try {
+        const result = await invoke('getTeams');
+        console.log('getTeams:', result);
+        teams = (result && result.success && result.teams) || [];
+        renderTeams();
+    } catch (e) {
+        console.error('loadTeams error:', e);
+        document.getElementById('team-list').innerHTML = '<p class="loading">Error loading teams.</p>';
+    }
+}
+
+function renderTeams() {
+    const container = document.getElementById('team-list');
+
+    if (teams.length === 0) {
+        container.innerHTML = '<p class="loading">No teams yet. Meetings are reported for the whole site.</p>';
+        return;
+    }
+
+    container.innerHTML = teams.map((team, index) => `
+    <div class="team-row" data-index="${index}">
+      <div class="form-group">
+        ${index === 0 ? '<label>Team Name</label>' : ''}
+        <input type="text" class="team-name" value="${team.name}" placeholder="e.g., Payments Squad">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Jira Projects</label>' : ''}
+        <input type="text" class="team-projects" value="${team.projectKeys.join(', ')}" placeholder="e.g., PAY, CHK">
+      </div>
+      <button class="btn-delete" data-index="${index}" title="Delete team">🗑️</button>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            teams = readTeams();
+            teams.splice(parseInt(btn.dataset.index), 1);
+            renderTeams();
+        });
+    });
+}
+
+function readTeams() {
+    return Array.from(document.querySelectorAll('.team-row')).map((row, i) => ({
+        teamId: teams[i] && teams[i].teamId,
+        name: row.querySelector('.team-name').value.trim(),
+        projectKeys: row.querySelector('.team-projects').value.split(',').map(k => k.trim()).filter(Boolean)
+    }));
+}
+
+async function loadBudgets() {
+    try {
+        const result = await invoke('getBudgets');
+        console.log('getBudgets:', result);
+        budgets = (result && result.success && result.budgets) || [];
+        budgetStatuses = (result && result.statuses) || [];
+        budgetCurrency = (result && result.currency) || budgetCurrency;
+        renderBudgets();
+    } catch (e) {
+        console.error('loadBudgets error:', e);
+        document.getElementById('budget-list').innerHTML = '<p class="loading">Error loading budgets.</p>';
+    }
+}
+
+function renderBudgets() {
+    const container = document.getElementById('budget-list');
+
+    if (teams.length === 0) {
+        container.innerHTML = '<p class="loading">Add a team first; budgets are set per team.</p>';
+        return;
+    }
+    if (budgets.length === 0) {
+        container.innerHTML = '<p class="loading">No budgets yet.</p>';
+        return;
+    }
+
+    const money = n => new Intl.NumberFormat(undefined, { style: 'currency', currency: budgetCurrency, maximumFractionDigits: 0 }).format(n);
+    container.innerHTML = budgets.map((budget, index) => {
+        const status = budgetStatuses.find(s => s.teamId === budget.teamId && s.period === budget.period);
+        return `
+    <div class="budget-row" data-index="${index}">
+      <div class="form-group">
+        ${index === 0 ? '<label>Team</label>' : ''}
+        <select class="budget-team">
+          ${teams.map(t => `<option value="${t.teamId}" ${t.teamId === budget.teamId ? 'selected' : ''}>${t.name}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Period</label>' : ''}
+        <select class="budget-period">
+          <option value="month" ${budget.period === 'month' ? 'selected' : ''}>Monthly</option>
+          <option value="quarter" ${budget.period === 'quarter' ? 'selected' : ''}>Quarterly</option>
+        </select>
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Amount</label>' : ''}
+        <input type="number" class="budget-amount" value="${budget.amount || ''}" min="1" step="any">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Alert at (%)</label>' : ''}
+        <input type="text" class="budget-thresholds" value="${(budget.thresholds || [80, 100]).join(', ')}" placeholder="80, 100">
+      </div>
+      <button class="btn-delete" data-index="${index}" title="Delete budget">🗑️</button>
+      ${status ? `<p class="budget-status">${status.periodKey}: ${money(status.spent)} of ${money(status.amount)} spent (${status.percentUsed.toFixed(0)}%)</p>` : ''}
+    </div>
+  `;
+    }).join('');
+
+    container.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            budgets = readBudgets();
+            budgets.splice(parseInt(btn.dataset.index), 1);
+            renderBudgets();
+        });
+    });
+}
+
+function readBudgets() {
+    return Array.from(document.querySelectorAll('.budget-row')).map(row => ({
+        teamId: row.querySelector('.budget-team').value,
+        period: row.querySelector('.budget-period').value,
+        amount: parseFloat(row.querySelector('.budget-amount').value) || 0,
+        thresholds: row.querySelector('.budget-thresholds').value.split(',').map(t => parseInt(t.trim())).filter(t => !isNaN(t))
+    }));
+}
+
+let digestConfig = {};
+
+async function loadDigestConfig() {
+    try {
+        const result = await invoke('getDigestConfig');
+        console.log('getDigestConfig:', result);
+        if (result && result.success) {
+            digestConfig = result.config;
+            renderDigestConfig(result.lastSent);
+        }
+    } catch (e) {
+        console.error('loadDigestConfig error:', e);
+    }
+}
+
+function renderDigestConfig(lastSent) {
+    document.getElementById('digest-target').value = digestConfig.target || 'confluence';
+    document.getElementById('digest-page').value = digestConfig.pageId || '';
+    document.getElementById('digest-issue').value = digestConfig.issueKey || '';
+    document.getElementById('digest-enabled').checked = Boolean(digestConfig.enabled);
+    renderDigestTeams();
+    toggleDigestTarget();
+    if (lastSent) {
+        document.getElementById('digest-last-sent').textContent =
+            `Last published the week of ${lastSent.weekStart} to ${lastSent.target === 'jira' ? lastSent.issueKey : `"${lastSent.title || `page ${lastSent.pageId}`}"`} on ${new Date(lastSent.sentAt).toLocaleString()}.`;
+    }
+}
+
+function renderDigestTeams() {
+    document.getElementById('digest-team').innerHTML = '<option value="">All teams</option>' + teams.map(t =>
+        `<option value="${t.teamId}" ${t.teamId === digestConfig.teamId ? 'selected' : ''}>${t.name}</option>`
+    ).join('');
+}
+
+function toggleDigestTarget() {
+    const jira = document.getElementById('digest-target').value === 'jira';
+    document.getElementById('digest-page-group').classList.toggle('hidden', jira);
+    document.getElementById('digest-issue-group').classList.toggle('hidden', !jira);
+}
+
+function readDigestConfig() {
+    return {
+        enabled: document.getElementById('digest-enabled').checked,
+        target: document.getElementById('digest-target').value,
+        pageId: document.getElementById('digest-page').value.trim(),
+        issueKey: document.getElementById('digest-issue').value.trim(),
+        teamId: document.getElementById('digest-team').value || null
+    };
+}
+
+const TYPE_CATEGORIES = {
+    ceremony: 'Agile ceremony',
+    sync: 'Team sync',
+    people: 'People',
+    company: 'Company-wide',
+    external: 'External',
+    unplanned: 'Unplanned'
+};
+
+async function loadMeetingTypes() {
+    try {
+        const result = await invoke('getMeetingTypes');
+        console.log('getMeetingTypes:', result);
+        meetingTypes = (result && result.meetingTypes) || [];
+        renderMeetingTypes();
+    } catch (e) {
+        console.error('loadMeetingTypes error:', e);
+        document.getElementById('type-list').innerHTML = '<p class="loading">Error loading meeting types.</p>';
+    }
+}
+
+function renderMeetingTypes() {
+    const container = document.getElementById('type-list');
+
+    container.innerHTML = meetingTypes.map((type, index) => `
+    <div class="type-row" data-index="${index}">
+      <div class="form-group">
+        ${index === 0 ? '<label>Label</label>' : ''}
+        <input type="text" class="type-label" value="${type.label}" placeholder="e.g., Customer Call">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Color</label>' : ''}
+        <input type="color" class="type-color" value="${type.color}">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Timebox (min)</label>' : ''}
+        <input type="number" class="type-timebox" value="${type.timeboxMinutes || ''}" min="1" placeholder="None">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Category</label>' : ''}
+        <select class="type-category">
+          ${Object.entries(TYPE_CATEGORIES).map(([id, label]) => `<option value="${id}" ${type.category === id ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      <button class="btn-delete" data-index="${index}" title="${type.typeId === 'ad-hoc' ? 'Used for meetings without a type' : 'Delete type'}" ${type.typeId === 'ad-hoc' ? 'disabled' : ''}>🗑️</button>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            meetingTypes = readMeetingTypes();
+            meetingTypes.splice(parseInt(btn.dataset.index), 1);
+            renderMeetingTypes();
+        });
+    });
+}
+
+function readMeetingTypes() {
+    return Array.from(document.querySelectorAll('.type-row')).map((row, i) => ({
+        typeId: meetingTypes[i] && meetingTypes[i].typeId,
+        label: row.querySelector('.type-label').value.trim(),
+        color: row.querySelector('.type-color').value,
+        timeboxMinutes: parseInt(row.querySelector('.type-timebox').value) || null,
+        category: row.querySelector('.type-category').value
+    }));
+}
+
+async function loadSuggestionRules() {
+    try {
+        const result = await invoke('getSuggestionRules');
+        console.log('getSuggestionRules:', result);
+        if (result && result.success) {
+            suggestionRules = result.rules;
+            ruleConfig = result.config;
+            renderSuggestionRules();
+        } else {
+            document.getElementById('rule-list').innerHTML = '<p class="loading">Error loading suggestion rules.</p>';
+        }
+    } catch (e) {
+        console.error('loadSuggestionRules error:', e);
+        document.getElementById('rule-list').innerHTML = '<p class="loading">Error loading suggestion rules.</p>';
+    }
+}
+
+function renderSuggestionRules() {
+    document.getElementById('rule-list').innerHTML = suggestionRules.map(rule => {
+        const config = ruleConfig[rule.ruleId] || { enabled: true, priority: rule.priority, params: {} };
+        const params = Object.entries(rule.params).map(([name, spec]) => {
+            const value = config.params[name] !== undefined ? config.params[name] : spec.default;
+            const input = spec.type === 'roles'
+                ? `<input type="text" class="rule-param" data-param="${name}" data-type="roles" value="${value.join(', ')}" placeholder="Role ids, e.g., exec, manager">`
+                : `<input type="number" class="rule-param" data-param="${name}" value="${value}" min="${spec.min}" max="${spec.max}" step="any">`;
+            return `<div class="form-group"><label>${spec.label}</label>${input}</div>`;
+        }).join('');
+
+        return `
+    <div class="rule-row" data-rule="${rule.ruleId}">
+      <div class="rule-header">
+        <label class="checkbox-row"><input type="checkbox" class="rule-enabled" ${config.enabled ? 'checked' : ''}> ${rule.label}</label>
+        <select class="rule-priority">
+          ${['high', 'medium', 'low'].map(p => `<option value="${p}" ${config.priority === p ? 'selected' : ''}>${p.charAt(0).toUpperCase() + p.slice(1)}</option>`).join('')}
+        </select>
+      </div>
+      <p class="version-hint">${rule.description}</p>
+      <div class="rule-params">${params}</div>
+    </div>
+  `;
+    }).join('');
+}
+
+function readSuggestionRules() {
+    const config = {};
+    document.querySelectorAll('.rule-row').forEach(row => {
+        const params = {};
+        row.querySelectorAll('.rule-param').forEach(input => {
+            params[input.dataset.param] = input.dataset.type === 'roles'
+                ? input.value.split(',').map(roleId => roleId.trim()).filter(Boolean)
+                : input.value;
+        });
+        config[row.dataset.rule] = {
+            enabled: row.querySelector('.rule-enabled').checked,
+            priority: row.querySelector('.rule-priority').value,
+            params
+        };
+    });
+    return config;
+}
+
+function formatVersion(effectiveFrom) {
+    return effectiveFrom ? `From ${effectiveFrom}` : 'First version';
+}
+
+function renderVersions(selected) {
+    const select = document.getElementById('rate-version');
+    select.innerHTML = rateVersions.map(v =>
+        `<option value="${v.effectiveFrom || ''}" ${v.effectiveFrom === selected ? 'selected' : ''}>${formatVersion(v.effectiveFrom)}</option>`
+    ).join('') + '<option value="new">+ New version…</option>';
+    document.getElementById('rates-effective-from').value = selected || '';
+    document.getElementById('delete-rate-version-btn').disabled = rateVersions.length < 2;
+}
+
+function renderRecomputeReport(result) {
+    const report = document.getElementById('recompute-report');
+    const money = n => new Intl.NumberFormat(undefined, { style: 'currency', currency: result.currency }).format(n);
+    const sign = n => (n > 0 ? '+' : '') + money(n);
+
+    let html = `<strong>${result.dryRun ? 'Would change' : 'Changed'} ${result.changedCount} of ${result.meetingCount} meetings.</strong>
+        Total ${money(result.previousTotal)} → ${money(result.newTotal)} (${sign(result.delta)})`;
+    if (result.changes.length > 0) {
+        html += '<ul>' + result.changes.slice(0, 20).map(c =>
+            `<li>${c.date} · ${c.title}: ${money(c.previousCost)} → ${money(c.newCost)} (${sign(c.delta)})</li>`
+        ).join('') + (result.changes.length > 20 ? `<li>…and ${result.changes.length - 20} more</li>` : '') + '</ul>';
+    }
+    report.innerHTML = html;
+    report.classList.remove('hidden');
+}
+
+function renderSnapshotReport(projectKey, snapshots) {
+    const report = document.getElementById('snapshot-report');
+    let html = `<strong>${snapshots.length} closed sprints of ${projectKey}.</strong>`;
+    if (snapshots.length > 0) {
+        html += '<ul>' + snapshots.map(s =>
+            `<li>${s.sprintName}: ${s.completedPoints} points, ${s.meetingCount} meetings (${s.totalMeetingHours.toFixed(1)}h)</li>`
+        ).join('') + '</ul>';
+    }
+    report.innerHTML = html;
+    report.classList.remove('hidden');
+}
+
 function renderRoles() {
     const container = document.getElementById('role-list');
 
@@ -63,6 +553,18 @@ function renderRoles() {
           <input type="number" class="role-rate" value="${role.hourlyRate}" min="0" step="5">
         </div>
       </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Currency</label>' : ''}
+        <input type="text" class="role-currency currency-code" value="${role.currency || document.getElementById('currency').value}" maxlength="3">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Benefits ×</label>' : ''}
+        <input type="number" class="role-benefits" value="${role.benefitsMultiplier || 1}" min="1" max="5" step="0.05">
+      </div>
+      <div class="form-group">
+        ${index === 0 ? '<label>Overhead ×</label>' : ''}
+        <input type="number" class="role-overhead" value="${role.overheadMultiplier || 1}" min="1" max="5" step="0.05">
+      </div>
       <button class="btn-delete" data-index="${index}" title="Delete role">🗑️</button>
     </div>
   `).join('');
@@ -83,11 +585,76 @@ function setupEventListeners() {
             roleId: `role-${Date.now()}`,
             roleName: '',
             hourlyRate: 75,
-            currency: 'USD'
+            currency: document.getElementById('currency').value
         });
         renderRoles();
     });
 
+    document.getElementById('rate-version').addEventListener('change', async (e) => {
+        if (e.target.value === 'new') {
+            // Start the new version from the rates on screen, effective today
+            document.getElementById('rates-effective-from').value = new Date().toISOString().split('T')[0];
+            return;
+        }
+        await loadRoles(e.target.value || null);
+    });
+
+    document.getElementById('delete-rate-version-btn').addEventListener('click', async () => {
+        const select = document.getElementById('rate-version');
+        if (select.value === 'new' || !confirm(`Delete the rate version "${formatVersion(select.value)}"? Stored meeting costs are not changed until you recompute them.`)) {
+            return;
+        }
+        const result = await invoke('deleteRateVersion', { effectiveFrom: select.value || null });
+        console.log('deleteRateVersion result:', result);
+        if (result && result.success) {
+            await loadRoles();
+            showToast('Rate version deleted');
+        } else {
+            showToast('Failed to delete version: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    const recompute = async (dryRun) => {
+        const request = {
+            startDate: document.getElementById('recompute-from').value || undefined,
+            endDate: document.getElementById('recompute-to').value || undefined,
+            dryRun
+        };
+        const result = await invoke('recomputeMeetingCosts', request);
+        console.log('recomputeMeetingCosts result:', result);
+        if (result && result.success) {
+            renderRecomputeReport(result);
+            document.getElementById('apply-recompute-btn').disabled = dryRun ? result.changedCount === 0 : true;
+            if (!dryRun) showToast(`Recomputed ${result.changedCount} meetings`);
+        } else {
+            showToast('Recompute failed: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    };
+
+    ['recompute-from', 'recompute-to'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            document.getElementById('apply-recompute-btn').disabled = true;
+        });
+    });
+    document.getElementById('preview-recompute-btn').addEventListener('click', () => recompute(true));
+    document.getElementById('apply-recompute-btn').addEventListener('click', () => recompute(false));
+
+    document.getElementById('rebuild-snapshots-btn').addEventListener('click', async () => {
+        const projectKey = document.getElementById('snapshot-project').value.trim().toUpperCase();
+        if (!projectKey) {
+            showToast('Enter the Jira project to rebuild', true);
+            return;
+        }
+        const result = await invoke('recomputeSprintSnapshots', { projectKey });
+        console.log('recomputeSprintSnapshots result:', result);
+        if (result && result.success) {
+            renderSnapshotReport(projectKey, result.snapshots);
+            showToast(`Rebuilt ${result.snapshots.length} sprint snapshots`);
+        } else {
+            showToast('Rebuild failed: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
     document.getElementById('save-roles-btn').addEventListener('click', async () => {
         const roleRows = document.querySelectorAll('.role-row');
         const updatedRoles = [];
@@ -95,33 +662,227 @@ function setupEventListeners() {
         roleRows.forEach((row, i) => {
             const name = row.querySelector('.role-name').value.trim();
             const rate = parseFloat(row.querySelector('.role-rate').value) || 0;
+            const currency = row.querySelector('.role-currency').value.trim().toUpperCase();
 
             if (name) {
                 updatedRoles.push({
                     roleId: roles[i]?.roleId || `role-${Date.now()}-${i}`,
                     roleName: name,
                     hourlyRate: rate,
-                    currency: document.getElementById('currency').value
+                    currency: currency || document.getElementById('currency').value,
+                    benefitsMultiplier: row.querySelector('.role-benefits').value,
+                    overheadMultiplier: row.querySelector('.role-overhead').value
                 });
             }
         });
 
-        console.log('Saving roles:', updatedRoles);
-        const result = await invoke('saveRoleRates', { rates: updatedRoles });
+        const effectiveFrom = document.getElementById('rates-effective-from').value || null;
+        console.log('Saving roles:', effectiveFrom, updatedRoles);
+        const contextSwitch = {
+            beforeMinutes: document.getElementById('switch-before').value,
+            afterMinutes: document.getElementById('switch-after').value
+        };
+        const result = await invoke('saveRoleRates', { rates: updatedRoles, effectiveFrom, contextSwitch });
         console.log('saveRoleRates result:', result);
 
         if (result && result.success) {
-            roles = updatedRoles;
-            showToast('Roles saved successfully!');
+            await loadRoles(result.effectiveFrom);
+            showToast(`Rates saved (${formatVersion(result.effectiveFrom).toLowerCase()})`);
+        } else {
+            showToast('Failed to save roles: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('add-exchange-rate-btn').addEventListener('click', () => {
+        exchangeRates = readExchangeRates();
+        exchangeRates.push({
+            from: '',
+            to: document.getElementById('currency').value,
+            rate: 1,
+            effectiveDate: new Date().toISOString().split('T')[0]
+        });
+        renderExchangeRates();
+    });
+
+    document.getElementById('save-exchange-rates-btn').addEventListener('click', async () => {
+        const updatedRates = readExchangeRates().filter(r => r.from && r.to);
+
+        console.log('Saving exchange rates:', updatedRates);
+        const result = await invoke('saveExchangeRates', { exchangeRates: updatedRates });
+        console.log('saveExchangeRates result:', result);
+
+        if (result && result.success) {
+            exchangeRates = result.exchangeRates;
+            renderExchangeRates();
+            showToast('Exchange rates saved successfully!');
+        } else {
+            showToast('Failed to save exchange rates: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('add-mapping-btn').addEventListener('click', () => {
+        mappings = readMappings();
+        mappings.push({ pattern: '', roleId: roles[0] ? roles[0].roleId : '' });
+        renderMappings();
+    });
+
+    document.getElementById('save-mapping-btn').addEventListener('click', async () => {
+        const roleMap = readMappings().filter(m => m.pattern && m.roleId);
+
+        console.log('Saving attendee role map:', roleMap);
+        const result = await invoke('saveAttendeeRoleMap', { roleMap });
+        console.log('saveAttendeeRoleMap result:', result);
+
+        if (result && result.success) {
+            mappings = roleMap;
+            renderMappings();
+            showToast('Mappings saved successfully!');
+        } else {
+            showToast('Failed to save mappings', true);
+        }
+    });
+
+    document.getElementById('add-team-btn').addEventListener('click', () => {
+        teams = readTeams();
+        teams.push({ name: '', projectKeys: [] });
+        renderTeams();
+    });
+
+    document.getElementById('save-teams-btn').addEventListener('click', async () => {
+        const updatedTeams = readTeams().filter(t => t.name);
+
+        console.log('Saving teams:', updatedTeams);
+        const result = await invoke('saveTeams', { teams: updatedTeams });
+        console.log('saveTeams result:', result);
+
+        if (result && result.success) {
+            teams = result.teams;
+            renderTeams();
+            // Budget rows pick from the saved teams
+            budgets = readBudgets().filter(b => teams.some(t => t.teamId === b.teamId));
+            renderBudgets();
+            renderDigestTeams();
+            showToast('Teams saved successfully!');
+        } else {
+            showToast('Failed to save teams', true);
+        }
+    });
+
+    document.getElementById('add-budget-btn').addEventListener('click', () => {
+        if (teams.length === 0) {
+            showToast('Add a team first', true);
+            return;
+        }
+        budgets = readBudgets();
+        const unbudgeted = teams.find(t => !budgets.some(b => b.teamId === t.teamId)) || teams[0];
+        budgets.push({ teamId: unbudgeted.teamId, period: 'month', amount: 0, thresholds: [80, 100] });
+        renderBudgets();
+    });
+
+    document.getElementById('save-budgets-btn').addEventListener('click', async () => {
+        const updatedBudgets = readBudgets();
+
+        console.log('Saving budgets:', updatedBudgets);
+        const result = await invoke('saveBudgets', { budgets: updatedBudgets });
+        console.log('saveBudgets result:', result);
+
+        if (result && result.success) {
+            await loadBudgets();
+            showToast('Budgets saved successfully!');
+        } else {
+            showToast('Failed to save budgets: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('digest-target').addEventListener('change', toggleDigestTarget);
+
+    document.getElementById('save-digest-btn').addEventListener('click', async () => {
+        const config = readDigestConfig();
+
+        console.log('Saving digest config:', config);
+        const result = await invoke('saveDigestConfig', { config });
+        console.log('saveDigestConfig result:', result);
+
+        if (result && result.success) {
+            digestConfig = result.config;
+            showToast('Digest settings saved successfully!');
+        } else {
+            showToast('Failed to save digest settings: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('preview-digest-btn').addEventListener('click', async () => {
+        const result = await invoke('previewDigest', { teamId: document.getElementById('digest-team').value || null });
+        console.log('previewDigest result:', result);
+        if (result && result.success) {
+            const preview = document.getElementById('digest-preview');
+            // Storage format is XHTML, close enough to preview as-is
+            preview.innerHTML = result.storage;
+            preview.classList.remove('hidden');
+        } else {
+            showToast('Preview failed: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('send-digest-btn').addEventListener('click', async () => {
+        if (!confirm('Publish last week\'s digest now with the saved settings?')) {
+            return;
+        }
+        const result = await invoke('sendDigest');
+        console.log('sendDigest result:', result);
+        if (result && result.success) {
+            renderDigestConfig(result);
+            showToast('Digest published');
+        } else {
+            showToast('Failed to publish digest: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('add-type-btn').addEventListener('click', () => {
+        meetingTypes = readMeetingTypes();
+        meetingTypes.push({ label: '', color: '#6B778C', timeboxMinutes: null, category: 'sync' });
+        renderMeetingTypes();
+    });
+
+    document.getElementById('save-types-btn').addEventListener('click', async () => {
+        const updatedTypes = readMeetingTypes().filter(t => t.label);
+
+        console.log('Saving meeting types:', updatedTypes);
+        const result = await invoke('saveMeetingTypes', { meetingTypes: updatedTypes });
+        console.log('saveMeetingTypes result:', result);
+
+        if (result && result.success) {
+            meetingTypes = result.meetingTypes;
+            renderMeetingTypes();
+            showToast('Meeting types saved successfully!');
+        } else {
+            showToast('Failed to save meeting types: ' + (result ? result.error : 'Unknown error'), true);
+        }
+    });
+
+    document.getElementById('save-rules-btn').addEventListener('click', async () => {
+        const config = readSuggestionRules();
+
+        console.log('Saving suggestion rules:', config);
+        const result = await invoke('saveSuggestionRules', { config });
+        console.log('saveSuggestionRules result:', result);
+
+        if (result && result.success) {
+            ruleConfig = result.config;
+            renderSuggestionRules();
+            showToast('Suggestion rules saved successfully!');
         } else {
-            showToast('Failed to save roles', true);
+            showToast('Failed to save suggestion rules: ' + (result ? result.error : 'Unknown error'), true);
         }
     });
 
     document.getElementById('save-settings-btn').addEventListener('click', async () => {
         const settings = {
             currency: document.getElementById('currency').value,
-            workHoursPerDay: parseInt(document.getElementById('work-hours').value) || 8
+            locale: document.getElementById('locale').value,
+            timeZone: document.getElementById('time-zone').value.trim() || 'UTC',
+            workHoursPerDay: parseInt(document.getElementById('work-hours').value) || 8,
+            workdayStart: document.getElementById('workday-start').value || '09:00'
         };
 
         console.log('Saving settings:', settings);
@@ -131,7 +892,7 @@ function setupEventListeners() {
         if (result && result.success) {
             showToast('Settings saved successfully!');
         } else {
-            showToast('Failed to save settings', true);
+            showToast('Failed to save settings: ' + (result ? result.error : 'Unknown error'), true);
         }
     });
 }
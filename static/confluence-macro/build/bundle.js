@@ -1 +1 @@
-(()=>{var e={79(e,t,r){var o=r(3702),n=r(80),a=r(4739),i=r(8655),s=r(1175);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},80(e,t,r){var o=r(6025),n=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=o(t,e);return!(r<0||(r==t.length-1?t.pop():n.call(t,r,1),--this.size,0))}},104(e,t,r){var o=r(3661);function n(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var o=arguments,n=t?t.apply(this,o):o[0],a=r.cache;if(a.has(n))return a.get(n);var i=e.apply(this,o);return r.cache=a.set(n,i)||a,i};return r.cache=new(n.Cache||o),r}n.Cache=o,e.exports=n},289(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,r){var o=r(1873),n=Object.prototype,a=n.hasOwnProperty,i=n.toString,s=o?o.toStringTag:void 0;e.exports=function(e){var t=a.call(e,s),r=e[s];try{e[s]=void 0;var o=!0}catch(e){}var n=i.call(e);return o&&(t?e[s]=r:delete e[s]),n}},1042(e,t,r){var o=r(6110)(Object,"create");e.exports=o},1100(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const o=r(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:r}of this.localeLookupOrderedTranslations){const n=(0,o.getTranslationValueFromContent)(r,e);if(null!==n){t=n;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,r){var o=r(6025);e.exports=function(e,t){var r=this.__data__,n=o(r,e);return n<0?(++this.size,r.push([e,t])):r[n][1]=t,this}},1192(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const o=r(5264),n=r(4280),a=(0,o.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,n.ensureLocale)(r))&&void 0!==e?e:r),t}},1251(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new n.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const o=r(1251),n=r(3031),a=r(8348),i=r(5111),s=r(1192),c=r(2513),l=r(6530);t.view={submit:o.submit,close:n.close,refresh:a.refresh,createHistory:i.createHistory,getContext:s.getContext,theme:l.theme,changeWindowTitle:c.changeWindowTitle}},1549(e,t,r){var o=r(2032),n=r(3862),a=r(6721),i=r(2749),s=r(5749);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},1622(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const o=r(4280),n=r(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${o.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},i=new o.TranslationsGetter(a);t.resetTranslationsCache=()=>{i.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await n.view.getContext()).locale),await i.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await n.view.getContext()).locale);const r=new o.Translator(t,i);return await r.init(),(e,t)=>{var o,n;return null!==(n=null!==(o=r.translate(e))&&void 0!==o?o:t)&&void 0!==n?n:e}}},1635(e,t,r){"use strict";r.r(t),r.d(t,{__addDisposableResource:()=>R,__assign:()=>a,__asyncDelegator:()=>P,__asyncGenerator:()=>j,__asyncValues:()=>E,__await:()=>x,__awaiter:()=>y,__classPrivateFieldGet:()=>A,__classPrivateFieldIn:()=>B,__classPrivateFieldSet:()=>F,__createBinding:()=>h,__decorate:()=>s,__disposeResources:()=>L,__esDecorate:()=>l,__exportStar:()=>v,__extends:()=>n,__generator:()=>_,__importDefault:()=>M,__importStar:()=>C,__makeTemplateObject:()=>T,__metadata:()=>p,__param:()=>c,__propKey:()=>d,__read:()=>b,__rest:()=>i,__rewriteRelativeImportExtension:()=>D,__runInitializers:()=>u,__setFunctionName:()=>f,__spread:()=>w,__spreadArray:()=>O,__spreadArrays:()=>m,__values:()=>g,default:()=>N});var o=function(e,t){return o=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(e[r]=t[r])},o(e,t)};function n(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function r(){this.constructor=e}o(e,t),e.prototype=null===t?Object.create(t):(r.prototype=t.prototype,new r)}var a=function(){return a=Object.assign||function(e){for(var t,r=1,o=arguments.length;r<o;r++)for(var n in t=arguments[r])Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n]);return e},a.apply(this,arguments)};function i(e,t){var r={};for(var o in e)Object.prototype.hasOwnProperty.call(e,o)&&t.indexOf(o)<0&&(r[o]=e[o]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var n=0;for(o=Object.getOwnPropertySymbols(e);n<o.length;n++)t.indexOf(o[n])<0&&Object.prototype.propertyIsEnumerable.call(e,o[n])&&(r[o[n]]=e[o[n]])}return r}function s(e,t,r,o){var n,a=arguments.length,i=a<3?t:null===o?o=Object.getOwnPropertyDescriptor(t,r):o;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)i=Reflect.decorate(e,t,r,o);else for(var s=e.length-1;s>=0;s--)(n=e[s])&&(i=(a<3?n(i):a>3?n(t,r,i):n(t,r))||i);return a>3&&i&&Object.defineProperty(t,r,i),i}function c(e,t){return function(r,o){t(r,o,e)}}function l(e,t,r,o,n,a){function i(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var s,c=o.kind,l="getter"===c?"get":"setter"===c?"set":"value",u=!t&&e?o.static?e:e.prototype:null,d=t||(u?Object.getOwnPropertyDescriptor(u,o.name):{}),f=!1,p=r.length-1;p>=0;p--){var y={};for(var _ in o)y[_]="access"===_?{}:o[_];for(var _ in o.access)y.access[_]=o.access[_];y.addInitializer=function(e){if(f)throw new TypeError("Cannot add initializers after decoration has completed");a.push(i(e||null))};var h=(0,r[p])("accessor"===c?{get:d.get,set:d.set}:d[l],y);if("accessor"===c){if(void 0===h)continue;if(null===h||"object"!=typeof h)throw new TypeError("Object expected");(s=i(h.get))&&(d.get=s),(s=i(h.set))&&(d.set=s),(s=i(h.init))&&n.unshift(s)}else(s=i(h))&&("field"===c?n.unshift(s):d[l]=s)}u&&Object.defineProperty(u,o.name,d),f=!0}function u(e,t,r){for(var o=arguments.length>2,n=0;n<t.length;n++)r=o?t[n].call(e,r):t[n].call(e);return o?r:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function f(e,t,r){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:r?"".concat(r," ",t):t})}function p(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function y(e,t,r,o){return new(r||(r=Promise))(function(n,a){function i(e){try{c(o.next(e))}catch(e){a(e)}}function s(e){try{c(o.throw(e))}catch(e){a(e)}}function c(e){var t;e.done?n(e.value):(t=e.value,t instanceof r?t:new r(function(e){e(t)})).then(i,s)}c((o=o.apply(e,t||[])).next())})}function _(e,t){var r,o,n,a={label:0,sent:function(){if(1&n[0])throw n[1];return n[1]},trys:[],ops:[]},i=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return i.next=s(0),i.throw=s(1),i.return=s(2),"function"==typeof Symbol&&(i[Symbol.iterator]=function(){return this}),i;function s(s){return function(c){return function(s){if(r)throw new TypeError("Generator is already executing.");for(;i&&(i=0,s[0]&&(a=0)),a;)try{if(r=1,o&&(n=2&s[0]?o.return:s[0]?o.throw||((n=o.return)&&n.call(o),0):o.next)&&!(n=n.call(o,s[1])).done)return n;switch(o=0,n&&(s=[2&s[0],n.value]),s[0]){case 0:case 1:n=s;break;case 4:return a.label++,{value:s[1],done:!1};case 5:a.label++,o=s[1],s=[0];continue;case 7:s=a.ops.pop(),a.trys.pop();continue;default:if(!((n=(n=a.trys).length>0&&n[n.length-1])||6!==s[0]&&2!==s[0])){a=0;continue}if(3===s[0]&&(!n||s[1]>n[0]&&s[1]<n[3])){a.label=s[1];break}if(6===s[0]&&a.label<n[1]){a.label=n[1],n=s;break}if(n&&a.label<n[2]){a.label=n[2],a.ops.push(s);break}n[2]&&a.ops.pop(),a.trys.pop();continue}s=t.call(e,a)}catch(e){s=[6,e],o=0}finally{r=n=0}if(5&s[0])throw s[1];return{value:s[0]?s[1]:void 0,done:!0}}([s,c])}}}var h=Object.create?function(e,t,r,o){void 0===o&&(o=r);var n=Object.getOwnPropertyDescriptor(t,r);n&&!("get"in n?!t.__esModule:n.writable||n.configurable)||(n={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,o,n)}:function(e,t,r,o){void 0===o&&(o=r),e[o]=t[r]};function v(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||h(t,e,r)}function g(e){var t="function"==typeof Symbol&&Symbol.iterator,r=t&&e[t],o=0;if(r)return r.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&o>=e.length&&(e=void 0),{value:e&&e[o++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var r="function"==typeof Symbol&&e[Symbol.iterator];if(!r)return e;var o,n,a=r.call(e),i=[];try{for(;(void 0===t||t-- >0)&&!(o=a.next()).done;)i.push(o.value)}catch(e){n={error:e}}finally{try{o&&!o.done&&(r=a.return)&&r.call(a)}finally{if(n)throw n.error}}return i}function w(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function m(){for(var e=0,t=0,r=arguments.length;t<r;t++)e+=arguments[t].length;var o=Array(e),n=0;for(t=0;t<r;t++)for(var a=arguments[t],i=0,s=a.length;i<s;i++,n++)o[n]=a[i];return o}function O(e,t,r){if(r||2===arguments.length)for(var o,n=0,a=t.length;n<a;n++)!o&&n in t||(o||(o=Array.prototype.slice.call(t,0,n)),o[n]=t[n]);return e.concat(o||Array.prototype.slice.call(t))}function x(e){return this instanceof x?(this.v=e,this):new x(e)}function j(e,t,r){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var o,n=r.apply(e,t||[]),a=[];return o=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),i("next"),i("throw"),i("return",function(e){return function(t){return Promise.resolve(t).then(e,l)}}),o[Symbol.asyncIterator]=function(){return this},o;function i(e,t){n[e]&&(o[e]=function(t){return new Promise(function(r,o){a.push([e,t,r,o])>1||s(e,t)})},t&&(o[e]=t(o[e])))}function s(e,t){try{(r=n[e](t)).value instanceof x?Promise.resolve(r.value.v).then(c,l):u(a[0][2],r)}catch(e){u(a[0][3],e)}var r}function c(e){s("next",e)}function l(e){s("throw",e)}function u(e,t){e(t),a.shift(),a.length&&s(a[0][0],a[0][1])}}function P(e){var t,r;return t={},o("next"),o("throw",function(e){throw e}),o("return"),t[Symbol.iterator]=function(){return this},t;function o(o,n){t[o]=e[o]?function(t){return(r=!r)?{value:x(e[o](t)),done:!1}:n?n(t):t}:n}}function E(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,r=e[Symbol.asyncIterator];return r?r.call(e):(e=g(e),t={},o("next"),o("throw"),o("return"),t[Symbol.asyncIterator]=function(){return this},t);function o(r){t[r]=e[r]&&function(t){return new Promise(function(o,n){!function(e,t,r,o){Promise.resolve(o).then(function(t){e({value:t,done:r})},t)}(o,n,(t=e[r](t)).done,t.value)})}}}function T(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var S=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},I=function(e){return I=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},I(e)};function C(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=I(e),o=0;o<r.length;o++)"default"!==r[o]&&h(t,e,r[o]);return S(t,e),t}function M(e){return e&&e.__esModule?e:{default:e}}function A(e,t,r,o){if("a"===r&&!o)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===r?o:"a"===r?o.call(e):o?o.value:t.get(e)}function F(e,t,r,o,n){if("m"===o)throw new TypeError("Private method is not writable");if("a"===o&&!n)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!n:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===o?n.call(e,r):n?n.value=r:t.set(e,r),r}function B(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function R(e,t,r){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var o,n;if(r){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");o=t[Symbol.asyncDispose]}if(void 0===o){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");o=t[Symbol.dispose],r&&(n=o)}if("function"!=typeof o)throw new TypeError("Object not disposable.");n&&(o=function(){try{n.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:o,async:r})}else r&&e.stack.push({async:!0});return t}var k="function"==typeof SuppressedError?SuppressedError:function(e,t,r){var o=new Error(r);return o.name="SuppressedError",o.error=e,o.suppressed=t,o};function L(e){function t(t){e.error=e.hasError?new k(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var r,o=0;return function n(){for(;r=e.stack.pop();)try{if(!r.async&&1===o)return o=0,e.stack.push(r),Promise.resolve().then(n);if(r.dispose){var a=r.dispose.call(r.value);if(r.async)return o|=2,Promise.resolve(a).then(n,function(e){return t(e),n()})}else o|=1}catch(e){t(e)}if(1===o)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function D(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,r,o,n,a){return r?t?".jsx":".js":!o||n&&a?o+n+"."+a.toLowerCase()+"js":e}):e}const N={__extends:n,__assign:a,__rest:i,__decorate:s,__param:c,__esDecorate:l,__runInitializers:u,__propKey:d,__setFunctionName:f,__metadata:p,__awaiter:y,__generator:_,__createBinding:h,__exportStar:v,__values:g,__read:b,__spread:w,__spreadArrays:m,__spreadArray:O,__await:x,__asyncGenerator:j,__asyncDelegator:P,__asyncValues:E,__makeTemplateObject:T,__importStar:C,__importDefault:M,__classPrivateFieldGet:A,__classPrivateFieldSet:F,__classPrivateFieldIn:B,__addDisposableResource:R,__disposeResources:L,__rewriteRelativeImportExtension:D}},1769(e,t,r){var o=r(6449),n=r(8586),a=r(1802),i=r(3222);e.exports=function(e,t){return o(e)?e:n(e,t)?[e]:a(i(e))}},1802(e,t,r){var o=r(2224),n=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,i=o(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(n,function(e,r,o,n){t.push(o?n.replace(a,"$1"):r||e)}),t});e.exports=i},1813(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const o=r(1635).__importDefault(r(8156));t.getTranslationValue=(e,r,o)=>{const n=e[o];return n?(0,t.getTranslationValueFromContent)(n,r):null},t.getTranslationValueFromContent=(e,t)=>{let r=e[t];if(!r){const n=t.split(".");n.length>1&&(r=(0,o.default)(e,n,null))}return"string"==typeof r?r:null}},1855(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(1382),t)},1873(e,t,r){var o=r(9325).Symbol;e.exports=o},1882(e,t,r){var o=r(2552),n=r(3805);e.exports=function(e){if(!n(e))return!1;var t=o(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,r){var o=r(1042);e.exports=function(){this.__data__=o?o(null):{},this.size=0}},2115(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8482),t)},2224(e,t,r){var o=r(104);e.exports=function(e){var t=o(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},2294(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const o=r(6683);t.productFetchApi=e=>{const t=async(t,r,n)=>{const{body:a,headers:i,isMultipartFormData:s}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,r=t?await(async e=>{const t={};for(const[r,n]of e.entries())if("file"===r){const e=n.name,r=n.type;t.file=await(0,o.blobToBase64)(n),t.__fileName=e,t.__fileType=r}else t[r]=n;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,n=new Request("",{body:r,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(n.headers.entries());return{body:"GET"!==n.method?await n.text():null,headers:new Headers(a),isMultipartFormData:t}})(n);i.has("X-Atlassian-Token")||i.set("X-Atlassian-Token","no-check");const c={product:t,restPath:r,fetchRequestInit:{...n,body:a,headers:[...i.entries()]},isMultipartFormData:s},{body:l,headers:u,statusText:d,status:f,isAttachment:p}=await e("fetchProduct",c),y=p?(0,o.base64ToBlob)(l,u["content-type"]):l;return new Response(y||null,{headers:u,status:f,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}},2321(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const o=r(1635);var n=r(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return n.NavigationTarget}}),o.__exportStar(r(8350),t),o.__exportStar(r(6239),t),o.__exportStar(r(1855),t),o.__exportStar(r(351),t),o.__exportStar(r(4095),t),o.__exportStar(r(4490),t),o.__exportStar(r(8548),t),o.__exportStar(r(2115),t),t.i18n=o.__importStar(r(1622))},2513(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new n.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,r){var o=r(1873),n=r(659),a=r(9350),i=o?o.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":i&&i in Object(e)?n(e):a(e)}},2651(e,t,r){var o=r(4218);e.exports=function(e,t){var r=e.__data__;return o(t)?r["string"==typeof t?"string":"hash"]:r.map}},2749(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return o?void 0!==t[e]:n.call(t,e)}},2949(e,t,r){var o=r(2651);e.exports=function(e,t){var r=o(this,e),n=r.size;return r.set(e,t),this.size+=r.size==n?0:1,this}},3031(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new n.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new n.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,r){var o=r(1549),n=r(79),a=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new o,map:new(a||n),string:new o}}},3222(e,t,r){var o=r(7556);e.exports=function(e){return null==e?"":o(e)}},3661(e,t,r){var o=r(3040),n=r(7670),a=r(289),i=r(4509),s=r(2949);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const o=r(1635);o.__exportStar(r(6893),t),o.__exportStar(r(6829),t),o.__exportStar(r(1100),t),o.__exportStar(r(7898),t);var n=r(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return n.getTranslationValue}});var a=r(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),o.__exportStar(r(5181),t)},4394(e,t,r){var o=r(2552),n=r(346);e.exports=function(e){return"symbol"==typeof e||n(e)&&"[object Symbol]"==o(e)}},4490(e,t,r){"use strict";var o;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const n=r(5264);o=(0,r(2294).productFetchApi)((0,n.getCallBridge)()),t.requestConfluence=o.requestConfluence,t.requestJira=o.requestJira,t.requestBitbucket=o.requestBitbucket},4509(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).has(e)}},4526(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)(),i=()=>{};t.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||i,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new n.BridgeAPIError("Unable to open modal.")}catch(e){throw new n.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,r){var o=r(6025);e.exports=function(e){var t=this.__data__,r=o(t,e);return r<0?void 0:t[r][1]}},4840(e,t,r){var o="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=o},4932(e){e.exports=function(e,t){for(var r=-1,o=null==e?0:e.length,n=Array(o);++r<o;)n[r]=t(e[r],r,e);return n}},5083(e,t,r){var o=r(1882),n=r(7296),a=r(3805),i=r(7473),s=/^\[object .+?Constructor\]$/,c=Function.prototype,l=Object.prototype,u=c.toString,d=l.hasOwnProperty,f=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||n(e))&&(o(e)?f:s).test(i(e))}},5111(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const o=(0,r(5264).getCallBridge)();t.createHistory=async()=>{const e=await o("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const o=r(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new o.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,r){var o=r(9325)["__core-js_shared__"];e.exports=o},5749(e,t,r){var o=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=o&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,r){var o=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(o(e[r][0],t))return r;return-1}},6110(e,t,r){var o=r(5083),n=r(392);e.exports=function(e,t){var r=n(e,t);return o(r)?r:void 0}},6239(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8466),t)},6250(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const o=(0,r(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"new-tab"})},reload:async()=>o("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const o=(0,r(5264).getCallBridge)();t.theme={enable:()=>o("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,o=atob(r),n=new Array(o.length);for(let e=0;e<o.length;e++)n[e]=o.charCodeAt(e);const a=new Uint8Array(n);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const o=new FileReader;o.onloadend=()=>{t(o.result)},o.onerror=r,o.readAsDataURL(e)})},6721(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(o){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return n.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:o}=t;if(!o){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:o}=t,n=[e],a=o[e];var i,s;return a&&Array.isArray(a)&&a.length>0&&n.push(...a),i=n,s=t.fallback.default,i.includes(s)||i.push(s),n.filter(e=>r.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,r){var o,n=r(5481),a=(o=/[^.]+$/.exec(n&&n.keys&&n.keys.IE_PROTO||""))?"Symbol(src)_1."+o:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,r){var o=r(1769),n=r(7797);e.exports=function(e,t){for(var r=0,a=(t=o(t,e)).length;null!=e&&r<a;)e=e[n(t[r++])];return r&&r==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,r){var o=r(1873),n=r(4932),a=r(6449),i=r(4394),s=o?o.prototype:void 0,c=s?s.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return n(t,e)+"";if(i(t))return c?c.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},7670(e,t,r){var o=r(2651);e.exports=function(e){var t=o(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r},7797(e,t,r){var o=r(4394);e.exports=function(e){if("string"==typeof e||o(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const o=r(6893),n=new Set(o.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},i=o.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return n.has(t)?t:i[t]??a[t]??null}},8156(e,t,r){var o=r(7422);e.exports=function(e,t,r){var n=null==e?void 0:o(e,t);return void 0===n?r:n}},8223(e,t,r){var o=r(6110)(r(9325),"Map");e.exports=o},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new n.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(9332),t)},8392(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new n.BridgeAPIError('"id" must be defined in flag options');const r=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,a("closeFlag",{id:e.id}))}}},8466(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const o=r(5264),n=r(7766),a=r(9939),i=(0,o.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:o,error:a}=null!==(t=await i("invoke",e))&&void 0!==t?t:{},s={...r?o:a};if(s&&s.headers)for(const e in s.headers)Array.isArray(s.headers[e])&&(s.headers[e]=s.headers[e].join(","));return s},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const o=(0,r(5264).getCallBridge)();t.events={emit:(e,t)=>o("emit",{event:e,payload:t}),on:(e,t)=>o("on",{event:e,callback:t})}},8548(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var o=r(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return o.showFlag}})},8586(e,t,r){var o=r(6449),n=r(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,i=/^\w*$/;e.exports=function(e,t){if(o(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!n(e))||i.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,r){var o=r(6025);e.exports=function(e){return o(this.__data__,e)>-1}},9325(e,t,r){var o=r(4840),n="object"==typeof self&&self&&self.Object===Object&&self,a=o||n||Function("return this")();e.exports=a},9332(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const o=r(5264),n=r(7766),a=r(9939),i=(0,o.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new n.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),i("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const o=r(7766);t.withRateLimiter=(e,t,r,n)=>{let a=Date.now(),i=0;return async(...s)=>{const c=Date.now();if(c-a>r&&(a=c,i=0),i>=t)throw new o.BridgeAPIError(n||"Too many invocations.");return i+=1,e(...s)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,o)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const n=[...o,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:n,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,n)):r(t,n)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const o=new Set;for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const{key:t}of e)o.add(t)}return o.size>0?Array.from(o):[]},t.extractI18nPropertiesFromModules=e=>{const o=[];for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const t of e)o.push({moduleName:n[1],...t})}return o}}},t={};function r(o){var n=t[o];if(void 0!==n)return n.exports;var a=t[o]={exports:{}};return e[o](a,a.exports,r),a.exports}r.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return r.d(t,{a:t}),t},r.d=(e,t)=>{for(var o in t)r.o(t,o)&&!r.o(e,o)&&Object.defineProperty(e,o,{enumerable:!0,get:t[o]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),r.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=r(2321);async function t(){console.log("Confluence macro initializing...");try{const t=await(0,e.invoke)("getDashboardStats",{dateRange:"last-month"});if(console.log("getDashboardStats:",t),t&&t.success&&t.stats){const e=t.stats;document.getElementById("total-cost").textContent=n(e.totalCost||0),document.getElementById("total-hours").textContent=(e.totalHours||0).toFixed(1)+"h",document.getElementById("meeting-count").textContent=e.meetingCount||0,document.getElementById("avg-cost").textContent=n(e.totalHours>0?e.totalCost/e.totalHours:0),document.getElementById("loading").classList.add("hidden"),document.getElementById("content").classList.remove("hidden")}else o()}catch(e){console.error("Error loading stats:",e),o()}}function o(){document.getElementById("loading").classList.add("hidden"),document.getElementById("content").classList.remove("hidden"),document.getElementById("total-cost").textContent="$0",document.getElementById("total-hours").textContent="0h",document.getElementById("meeting-count").textContent="0",document.getElementById("avg-cost").textContent="$0"}function n(e){return"$"+Math.round(e||0).toLocaleString()}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",t):t()})()})();
\ No newline at end of file
+(()=>{var e={79(e,t,r){var o=r(3702),n=r(80),a=r(4739),s=r(8655),i=r(1175);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},80(e,t,r){var o=r(6025),n=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=o(t,e);return!(r<0||(r==t.length-1?t.pop():n.call(t,r,1),--this.size,0))}},104(e,t,r){var o=r(3661);function n(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var o=arguments,n=t?t.apply(this,o):o[0],a=r.cache;if(a.has(n))return a.get(n);var s=e.apply(this,o);return r.cache=a.set(n,s)||a,s};return r.cache=new(n.Cache||o),r}n.Cache=o,e.exports=n},289(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,r){var o=r(1873),n=Object.prototype,a=n.hasOwnProperty,s=n.toString,i=o?o.toStringTag:void 0;e.exports=function(e){var t=a.call(e,i),r=e[i];try{e[i]=void 0;var o=!0}catch(e){}var n=s.call(e);return o&&(t?e[i]=r:delete e[i]),n}},1042(e,t,r){var o=r(6110)(Object,"create");e.exports=o},1100(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const o=r(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:r}of this.localeLookupOrderedTranslations){const n=(0,o.getTranslationValueFromContent)(r,e);if(null!==n){t=n;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,r){var o=r(6025);e.exports=function(e,t){var r=this.__data__,n=o(r,e);return n<0?(++this.size,r.push([e,t])):r[n][1]=t,this}},1192(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const o=r(5264),n=r(4280),a=(0,o.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,n.ensureLocale)(r))&&void 0!==e?e:r),t}},1251(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new n.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const o=r(1251),n=r(3031),a=r(8348),s=r(5111),i=r(1192),c=r(2513),l=r(6530);t.view={submit:o.submit,close:n.close,refresh:a.refresh,createHistory:s.createHistory,getContext:i.getContext,theme:l.theme,changeWindowTitle:c.changeWindowTitle}},1549(e,t,r){var o=r(2032),n=r(3862),a=r(6721),s=r(2749),i=r(5749);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},1622(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const o=r(4280),n=r(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${o.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${o.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},s=new o.TranslationsGetter(a);t.resetTranslationsCache=()=>{s.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await n.view.getContext()).locale),await s.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await n.view.getContext()).locale);const r=new o.Translator(t,s);return await r.init(),(e,t)=>{var o,n;return null!==(n=null!==(o=r.translate(e))&&void 0!==o?o:t)&&void 0!==n?n:e}}},1635(e,t,r){"use strict";r.r(t),r.d(t,{__addDisposableResource:()=>k,__assign:()=>a,__asyncDelegator:()=>P,__asyncGenerator:()=>x,__asyncValues:()=>E,__await:()=>j,__awaiter:()=>y,__classPrivateFieldGet:()=>A,__classPrivateFieldIn:()=>B,__classPrivateFieldSet:()=>F,__createBinding:()=>_,__decorate:()=>i,__disposeResources:()=>R,__esDecorate:()=>l,__exportStar:()=>v,__extends:()=>n,__generator:()=>h,__importDefault:()=>M,__importStar:()=>S,__makeTemplateObject:()=>T,__metadata:()=>p,__param:()=>c,__propKey:()=>d,__read:()=>b,__rest:()=>s,__rewriteRelativeImportExtension:()=>D,__runInitializers:()=>u,__setFunctionName:()=>f,__spread:()=>w,__spreadArray:()=>O,__spreadArrays:()=>m,__values:()=>g,default:()=>N});var o=function(e,t){return o=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(e[r]=t[r])},o(e,t)};function n(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function r(){this.constructor=e}o(e,t),e.prototype=null===t?Object.create(t):(r.prototype=t.prototype,new r)}var a=function(){return a=Object.assign||function(e){for(var t,r=1,o=arguments.length;r<o;r++)for(var n in t=arguments[r])Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n]);return e},a.apply(this,arguments)};function s(e,t){var r={};for(var o in e)Object.prototype.hasOwnProperty.call(e,o)&&t.indexOf(o)<0&&(r[o]=e[o]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var n=0;for(o=Object.getOwnPropertySymbols(e);n<o.length;n++)t.indexOf(o[n])<0&&Object.prototype.propertyIsEnumerable.call(e,o[n])&&(r[o[n]]=e[o[n]])}return r}function i(e,t,r,o){var n,a=arguments.length,s=a<3?t:null===o?o=Object.getOwnPropertyDescriptor(t,r):o;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)s=Reflect.decorate(e,t,r,o);else for(var i=e.length-1;i>=0;i--)(n=e[i])&&(s=(a<3?n(s):a>3?n(t,r,s):n(t,r))||s);return a>3&&s&&Object.defineProperty(t,r,s),s}function c(e,t){return function(r,o){t(r,o,e)}}function l(e,t,r,o,n,a){function s(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var i,c=o.kind,l="getter"===c?"get":"setter"===c?"set":"value",u=!t&&e?o.static?e:e.prototype:null,d=t||(u?Object.getOwnPropertyDescriptor(u,o.name):{}),f=!1,p=r.length-1;p>=0;p--){var y={};for(var h in o)y[h]="access"===h?{}:o[h];for(var h in o.access)y.access[h]=o.access[h];y.addInitializer=function(e){if(f)throw new TypeError("Cannot add initializers after decoration has completed");a.push(s(e||null))};var _=(0,r[p])("accessor"===c?{get:d.get,set:d.set}:d[l],y);if("accessor"===c){if(void 0===_)continue;if(null===_||"object"!=typeof _)throw new TypeError("Object expected");(i=s(_.get))&&(d.get=i),(i=s(_.set))&&(d.set=i),(i=s(_.init))&&n.unshift(i)}else(i=s(_))&&("field"===c?n.unshift(i):d[l]=i)}u&&Object.defineProperty(u,o.name,d),f=!0}function u(e,t,r){for(var o=arguments.length>2,n=0;n<t.length;n++)r=o?t[n].call(e,r):t[n].call(e);return o?r:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function f(e,t,r){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:r?"".concat(r," ",t):t})}function p(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function y(e,t,r,o){return new(r||(r=Promise))(function(n,a){function s(e){try{c(o.next(e))}catch(e){a(e)}}function i(e){try{c(o.throw(e))}catch(e){a(e)}}function c(e){var t;e.done?n(e.value):(t=e.value,t instanceof r?t:new r(function(e){e(t)})).then(s,i)}c((o=o.apply(e,t||[])).next())})}function h(e,t){var r,o,n,a={label:0,sent:function(){if(1&n[0])throw n[1];return n[1]},trys:[],ops:[]},s=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return s.next=i(0),s.throw=i(1),s.return=i(2),"function"==typeof Symbol&&(s[Symbol.iterator]=function(){return this}),s;function i(i){return function(c){return function(i){if(r)throw new TypeError("Generator is already executing.");for(;s&&(s=0,i[0]&&(a=0)),a;)try{if(r=1,o&&(n=2&i[0]?o.return:i[0]?o.throw||((n=o.return)&&n.call(o),0):o.next)&&!(n=n.call(o,i[1])).done)return n;switch(o=0,n&&(i=[2&i[0],n.value]),i[0]){case 0:case 1:n=i;break;case 4:return a.label++,{value:i[1],done:!1};case 5:a.label++,o=i[1],i=[0];continue;case 7:i=a.ops.pop(),a.trys.pop();continue;default:if(!((n=(n=a.trys).length>0&&n[n.length-1])||6!==i[0]&&2!==i[0])){a=0;continue}if(3===i[0]&&(!n||i[1]>n[0]&&i[1]<n[3])){a.label=i[1];break}if(6===i[0]&&a.label<n[1]){a.label=n[1],n=i;break}if(n&&a.label<n[2]){a.label=n[2],a.ops.push(i);break}n[2]&&a.ops.pop(),a.trys.pop();continue}i=t.call(e,a)}catch(e){i=[6,e],o=0}finally{r=n=0}if(5&i[0])throw i[1];return{value:i[0]?i[1]:void 0,done:!0}}([i,c])}}}var _=Object.create?function(e,t,r,o){void 0===o&&(o=r);var n=Object.getOwnPropertyDescriptor(t,r);n&&!("get"in n?!t.__esModule:n.writable||n.configurable)||(n={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,o,n)}:function(e,t,r,o){void 0===o&&(o=r),e[o]=t[r]};function v(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||_(t,e,r)}function g(e){var t="function"==typeof Symbol&&Symbol.iterator,r=t&&e[t],o=0;if(r)return r.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&o>=e.length&&(e=void 0),{value:e&&e[o++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var r="function"==typeof Symbol&&e[Symbol.iterator];if(!r)return e;var o,n,a=r.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(o=a.next()).done;)s.push(o.value)}catch(e){n={error:e}}finally{try{o&&!o.done&&(r=a.return)&&r.call(a)}finally{if(n)throw n.error}}return s}function w(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function m(){for(var e=0,t=0,r=arguments.length;t<r;t++)e+=arguments[t].length;var o=Array(e),n=0;for(t=0;t<r;t++)for(var a=arguments[t],s=0,i=a.length;s<i;s++,n++)o[n]=a[s];return o}function O(e,t,r){if(r||2===arguments.length)for(var o,n=0,a=t.length;n<a;n++)!o&&n in t||(o||(o=Array.prototype.slice.call(t,0,n)),o[n]=t[n]);return e.concat(o||Array.prototype.slice.call(t))}function j(e){return this instanceof j?(this.v=e,this):new j(e)}function x(e,t,r){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var o,n=r.apply(e,t||[]),a=[];return o=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),s("next"),s("throw"),s("return",function(e){return function(t){return Promise.resolve(t).then(e,l)}}),o[Symbol.asyncIterator]=function(){return this},o;function s(e,t){n[e]&&(o[e]=function(t){return new Promise(function(r,o){a.push([e,t,r,o])>1||i(e,t)})},t&&(o[e]=t(o[e])))}function i(e,t){try{(r=n[e](t)).value instanceof j?Promise.resolve(r.value.v).then(c,l):u(a[0][2],r)}catch(e){u(a[0][3],e)}var r}function c(e){i("next",e)}function l(e){i("throw",e)}function u(e,t){e(t),a.shift(),a.length&&i(a[0][0],a[0][1])}}function P(e){var t,r;return t={},o("next"),o("throw",function(e){throw e}),o("return"),t[Symbol.iterator]=function(){return this},t;function o(o,n){t[o]=e[o]?function(t){return(r=!r)?{value:j(e[o](t)),done:!1}:n?n(t):t}:n}}function E(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,r=e[Symbol.asyncIterator];return r?r.call(e):(e=g(e),t={},o("next"),o("throw"),o("return"),t[Symbol.asyncIterator]=function(){return this},t);function o(r){t[r]=e[r]&&function(t){return new Promise(function(o,n){!function(e,t,r,o){Promise.resolve(o).then(function(t){e({value:t,done:r})},t)}(o,n,(t=e[r](t)).done,t.value)})}}}function T(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var I=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},C=function(e){return C=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},C(e)};function S(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=C(e),o=0;o<r.length;o++)"default"!==r[o]&&_(t,e,r[o]);return I(t,e),t}function M(e){return e&&e.__esModule?e:{default:e}}function A(e,t,r,o){if("a"===r&&!o)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===r?o:"a"===r?o.call(e):o?o.value:t.get(e)}function F(e,t,r,o,n){if("m"===o)throw new TypeError("Private method is not writable");if("a"===o&&!n)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!n:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===o?n.call(e,r):n?n.value=r:t.set(e,r),r}function B(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function k(e,t,r){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var o,n;if(r){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");o=t[Symbol.asyncDispose]}if(void 0===o){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");o=t[Symbol.dispose],r&&(n=o)}if("function"!=typeof o)throw new TypeError("Object not disposable.");n&&(o=function(){try{n.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:o,async:r})}else r&&e.stack.push({async:!0});return t}var L="function"==typeof SuppressedError?SuppressedError:function(e,t,r){var o=new Error(r);return o.name="SuppressedError",o.error=e,o.suppressed=t,o};function R(e){function t(t){e.error=e.hasError?new L(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var r,o=0;return function n(){for(;r=e.stack.pop();)try{if(!r.async&&1===o)return o=0,e.stack.push(r),Promise.resolve().then(n);if(r.dispose){var a=r.dispose.call(r.value);if(r.async)return o|=2,Promise.resolve(a).then(n,function(e){return t(e),n()})}else o|=1}catch(e){t(e)}if(1===o)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function D(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,r,o,n,a){return r?t?".jsx":".js":!o||n&&a?o+n+"."+a.toLowerCase()+"js":e}):e}const N={__extends:n,__assign:a,__rest:s,__decorate:i,__param:c,__esDecorate:l,__runInitializers:u,__propKey:d,__setFunctionName:f,__metadata:p,__awaiter:y,__generator:h,__createBinding:_,__exportStar:v,__values:g,__read:b,__spread:w,__spreadArrays:m,__spreadArray:O,__await:j,__asyncGenerator:x,__asyncDelegator:P,__asyncValues:E,__makeTemplateObject:T,__importStar:S,__importDefault:M,__classPrivateFieldGet:A,__classPrivateFieldSet:F,__classPrivateFieldIn:B,__addDisposableResource:k,__disposeResources:R,__rewriteRelativeImportExtension:D}},1769(e,t,r){var o=r(6449),n=r(8586),a=r(1802),s=r(3222);e.exports=function(e,t){return o(e)?e:n(e,t)?[e]:a(s(e))}},1802(e,t,r){var o=r(2224),n=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,s=o(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(n,function(e,r,o,n){t.push(o?n.replace(a,"$1"):r||e)}),t});e.exports=s},1813(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const o=r(1635).__importDefault(r(8156));t.getTranslationValue=(e,r,o)=>{const n=e[o];return n?(0,t.getTranslationValueFromContent)(n,r):null},t.getTranslationValueFromContent=(e,t)=>{let r=e[t];if(!r){const n=t.split(".");n.length>1&&(r=(0,o.default)(e,n,null))}return"string"==typeof r?r:null}},1855(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(1382),t)},1873(e,t,r){var o=r(9325).Symbol;e.exports=o},1882(e,t,r){var o=r(2552),n=r(3805);e.exports=function(e){if(!n(e))return!1;var t=o(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,r){var o=r(1042);e.exports=function(){this.__data__=o?o(null):{},this.size=0}},2115(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8482),t)},2224(e,t,r){var o=r(104);e.exports=function(e){var t=o(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},2294(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const o=r(6683);t.productFetchApi=e=>{const t=async(t,r,n)=>{const{body:a,headers:s,isMultipartFormData:i}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,r=t?await(async e=>{const t={};for(const[r,n]of e.entries())if("file"===r){const e=n.name,r=n.type;t.file=await(0,o.blobToBase64)(n),t.__fileName=e,t.__fileType=r}else t[r]=n;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,n=new Request("",{body:r,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(n.headers.entries());return{body:"GET"!==n.method?await n.text():null,headers:new Headers(a),isMultipartFormData:t}})(n);s.has("X-Atlassian-Token")||s.set("X-Atlassian-Token","no-check");const c={product:t,restPath:r,fetchRequestInit:{...n,body:a,headers:[...s.entries()]},isMultipartFormData:i},{body:l,headers:u,statusText:d,status:f,isAttachment:p}=await e("fetchProduct",c),y=p?(0,o.base64ToBlob)(l,u["content-type"]):l;return new Response(y||null,{headers:u,status:f,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}},2321(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const o=r(1635);var n=r(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return n.NavigationTarget}}),o.__exportStar(r(8350),t),o.__exportStar(r(6239),t),o.__exportStar(r(1855),t),o.__exportStar(r(351),t),o.__exportStar(r(4095),t),o.__exportStar(r(4490),t),o.__exportStar(r(8548),t),o.__exportStar(r(2115),t),t.i18n=o.__importStar(r(1622))},2513(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new n.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,r){var o=r(1873),n=r(659),a=r(9350),s=o?o.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":s&&s in Object(e)?n(e):a(e)}},2651(e,t,r){var o=r(4218);e.exports=function(e,t){var r=e.__data__;return o(t)?r["string"==typeof t?"string":"hash"]:r.map}},2749(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return o?void 0!==t[e]:n.call(t,e)}},2949(e,t,r){var o=r(2651);e.exports=function(e,t){var r=o(this,e),n=r.size;return r.set(e,t),this.size+=r.size==n?0:1,this}},3031(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new n.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new n.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,r){var o=r(1549),n=r(79),a=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new o,map:new(a||n),string:new o}}},3222(e,t,r){var o=r(7556);e.exports=function(e){return null==e?"":o(e)}},3661(e,t,r){var o=r(3040),n=r(7670),a=r(289),s=r(4509),i=r(2949);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const o=r(1635);o.__exportStar(r(6893),t),o.__exportStar(r(6829),t),o.__exportStar(r(1100),t),o.__exportStar(r(7898),t);var n=r(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return n.getTranslationValue}});var a=r(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),o.__exportStar(r(5181),t)},4394(e,t,r){var o=r(2552),n=r(346);e.exports=function(e){return"symbol"==typeof e||n(e)&&"[object Symbol]"==o(e)}},4490(e,t,r){"use strict";var o;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const n=r(5264);o=(0,r(2294).productFetchApi)((0,n.getCallBridge)()),t.requestConfluence=o.requestConfluence,t.requestJira=o.requestJira,t.requestBitbucket=o.requestBitbucket},4509(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).has(e)}},4526(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)(),s=()=>{};t.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||s,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new n.BridgeAPIError("Unable to open modal.")}catch(e){throw new n.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,r){var o=r(6025);e.exports=function(e){var t=this.__data__,r=o(t,e);return r<0?void 0:t[r][1]}},4840(e,t,r){var o="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=o},4932(e){e.exports=function(e,t){for(var r=-1,o=null==e?0:e.length,n=Array(o);++r<o;)n[r]=t(e[r],r,e);return n}},5083(e,t,r){var o=r(1882),n=r(7296),a=r(3805),s=r(7473),i=/^\[object .+?Constructor\]$/,c=Function.prototype,l=Object.prototype,u=c.toString,d=l.hasOwnProperty,f=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||n(e))&&(o(e)?f:i).test(s(e))}},5111(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const o=(0,r(5264).getCallBridge)();t.createHistory=async()=>{const e=await o("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const o=r(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new o.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,r){var o=r(9325)["__core-js_shared__"];e.exports=o},5749(e,t,r){var o=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=o&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,r){var o=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(o(e[r][0],t))return r;return-1}},6110(e,t,r){var o=r(5083),n=r(392);e.exports=function(e,t){var r=n(e,t);return o(r)?r:void 0}},6239(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8466),t)},6250(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const o=(0,r(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"new-tab"})},reload:async()=>o("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const o=(0,r(5264).getCallBridge)();t.theme={enable:()=>o("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,o=atob(r),n=new Array(o.length);for(let e=0;e<o.length;e++)n[e]=o.charCodeAt(e);const a=new Uint8Array(n);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const o=new FileReader;o.onloadend=()=>{t(o.result)},o.onerror=r,o.readAsDataURL(e)})},6721(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(o){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return n.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:o}=t;if(!o){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:o}=t,n=[e],a=o[e];var s,i;return a&&Array.isArray(a)&&a.length>0&&n.push(...a),s=n,i=t.fallback.default,s.includes(i)||s.push(i),n.filter(e=>r.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,r){var o,n=r(5481),a=(o=/[^.]+$/.exec(n&&n.keys&&n.keys.IE_PROTO||""))?"Symbol(src)_1."+o:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,r){var o=r(1769),n=r(7797);e.exports=function(e,t){for(var r=0,a=(t=o(t,e)).length;null!=e&&r<a;)e=e[n(t[r++])];return r&&r==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,r){var o=r(1873),n=r(4932),a=r(6449),s=r(4394),i=o?o.prototype:void 0,c=i?i.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return n(t,e)+"";if(s(t))return c?c.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},7670(e,t,r){var o=r(2651);e.exports=function(e){var t=o(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r},7797(e,t,r){var o=r(4394);e.exports=function(e){if("string"==typeof e||o(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const o=r(6893),n=new Set(o.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},s=o.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return n.has(t)?t:s[t]??a[t]??null}},8156(e,t,r){var o=r(7422);e.exports=function(e,t,r){var n=null==e?void 0:o(e,t);return void 0===n?r:n}},8223(e,t,r){var o=r(6110)(r(9325),"Map");e.exports=o},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new n.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(9332),t)},8392(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const o=r(5264),n=r(7766),a=(0,o.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new n.BridgeAPIError('"id" must be defined in flag options');const r=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,a("closeFlag",{id:e.id}))}}},8466(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const o=r(5264),n=r(7766),a=r(9939),s=(0,o.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:o,error:a}=null!==(t=await s("invoke",e))&&void 0!==t?t:{},i={...r?o:a};if(i&&i.headers)for(const e in i.headers)Array.isArray(i.headers[e])&&(i.headers[e]=i.headers[e].join(","));return i},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const o=(0,r(5264).getCallBridge)();t.events={emit:(e,t)=>o("emit",{event:e,payload:t}),on:(e,t)=>o("on",{event:e,callback:t})}},8548(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var o=r(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return o.showFlag}})},8586(e,t,r){var o=r(6449),n=r(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,s=/^\w*$/;e.exports=function(e,t){if(o(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!n(e))||s.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,r){var o=r(6025);e.exports=function(e){return o(this.__data__,e)>-1}},9325(e,t,r){var o=r(4840),n="object"==typeof self&&self&&self.Object===Object&&self,a=o||n||Function("return this")();e.exports=a},9332(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const o=r(5264),n=r(7766),a=r(9939),s=(0,o.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new n.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new n.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),s("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const o=r(7766);t.withRateLimiter=(e,t,r,n)=>{let a=Date.now(),s=0;return async(...i)=>{const c=Date.now();if(c-a>r&&(a=c,s=0),s>=t)throw new o.BridgeAPIError(n||"Too many invocations.");return s+=1,e(...i)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,o)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const n=[...o,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:n,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,n)):r(t,n)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const o=new Set;for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const{key:t}of e)o.add(t)}return o.size>0?Array.from(o):[]},t.extractI18nPropertiesFromModules=e=>{const o=[];for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const t of e)o.push({moduleName:n[1],...t})}return o}}},t={};function r(o){var n=t[o];if(void 0!==n)return n.exports;var a=t[o]={exports:{}};return e[o](a,a.exports,r),a.exports}r.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return r.d(t,{a:t}),t},r.d=(e,t)=>{for(var o in t)r.o(t,o)&&!r.o(e,o)&&Object.defineProperty(e,o,{enumerable:!0,get:t[o]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),r.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=r(2321);let t={code:"USD",locale:"en-US"};const o={totalCost:{label:"Total Cost",value:e=>c(e.totalCost||0),detail:e=>`${c(e.directCost)} direct · ${c(e.hiddenCost)} hidden`},totalHours:{label:"Meeting Hours",value:e=>(e.totalHours||0).toFixed(1)+"h"},meetingCount:{label:"Meetings",value:e=>e.meetingCount||0},costPerHour:{label:"Avg Cost/Hour",value:e=>c(e.totalHours>0?e.totalCost/e.totalHours:0)}},n={dateRange:"last-30-days",scope:"",metrics:Object.keys(o),showTypes:!1,showTrend:!1};async function a(){console.log("Confluence macro initializing...");try{const r=await e.view.getContext(),o={...n,...r.extension&&r.extension.config},[a,l]=(o.scope||"").split(":"),u="team"===a?{teamId:l}:"project"===a?{projectKey:l}:{},d=await(0,e.invoke)("getDashboardStats",{dateRange:o.dateRange,...u});if(console.log("getDashboardStats:",d),d&&d.success&&d.stats){const r=d.stats;t=r.currency||t,document.getElementById("subtitle").textContent=`${r.scope||"All teams"} · ${r.period?r.period.label:o.dateRange}`,s(r,o.metrics),o.showTypes&&await async function(t){let r=[];try{const t=await(0,e.invoke)("getMeetingTypes");r=t&&t.meetingTypes||[]}catch(e){console.error("getMeetingTypes error:",e)}const o=Object.entries(t).sort((e,t)=>t[1].cost-e[1].cost),n=Math.max(0,...o.map(([,e])=>e.cost));document.getElementById("type-bars").innerHTML=0===o.length?'<p class="chart-meta">No meetings in this period</p>':o.map(([e,t])=>{const o=r.find(t=>t.typeId===e)||{label:e,color:"#6B778C"},a=n>0?t.cost/n*100:0;return`<div class="type-bar"><div class="type-bar-label"><span>${o.label}</span><span>${c(t.cost)}</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:${a}%;background:${o.color}"></div></div></div>`}).join(""),document.getElementById("type-section").classList.remove("hidden")}(r.costByType||{}),o.showTrend&&function(e,t){const r=document.getElementById("sparkline");if(e.length<2)r.classList.add("hidden"),document.getElementById("trend-label").textContent="Not enough weeks in this period for a trend";else{const o=Math.max(...e.map(e=>e.totalCost))||1,n=e.map((t,r)=>`${r/(e.length-1)*200},${38-t.totalCost/o*36}`).join(" ");r.innerHTML=`<polyline fill="none" stroke="#0052CC" stroke-width="2" points="${n}" />`,document.getElementById("trend-label").textContent=`${t>0?"📈":"📉"} ${Math.abs(t).toFixed(1)}% ${t>0?"increase":"decrease"} on the previous period`}document.getElementById("trend-section").classList.remove("hidden")}(r.trends||[],r.trendPercentage||0),document.getElementById("loading").classList.add("hidden"),document.getElementById("content").classList.remove("hidden")}else i(o.metrics)}catch(e){console.error("Error loading stats:",e),i(n.metrics)}}function s(e,t){document.getElementById("stats").innerHTML=t.filter(e=>o[e]).map(t=>{const r=o[t].detail?`<div class="stat-detail">${o[t].detail(e)}</div>`:"";return`<div class="stat-item"><div class="stat-value">${o[t].value(e)}</div><div class="stat-label">${o[t].label}</div>${r}</div>`}).join("")}function i(e){document.getElementById("loading").classList.add("hidden"),document.getElementById("content").classList.remove("hidden"),s({totalCost:0,directCost:0,hiddenCost:0,totalHours:0,meetingCount:0},e)}function c(e){return new Intl.NumberFormat(t.locale,{style:"currency",currency:t.code,maximumFractionDigits:0}).format(e||0)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",a):a()})()})();
\ No newline at end of file
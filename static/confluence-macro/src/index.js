@@ -1,45 +1,120 @@
-import { invoke } from '@forge/bridge';
+import { invoke, view } from '@forge/bridge';
+
+// Reporting currency and display locale, as returned with the stats
+let currency = { code: 'USD', locale: 'en-US' };
+
+const METRICS = {
+    totalCost: {
+        label: 'Total Cost',
+        value: s => formatCurrency(s.totalCost || 0),
+        detail: s => `${formatCurrency(s.directCost)} direct · ${formatCurrency(s.hiddenCost)} hidden`
+    },
+    totalHours: { label: 'Meeting Hours', value: s => (s.totalHours || 0).toFixed(1) + 'h' },
+    meetingCount: { label: 'Meetings', value: s => s.meetingCount || 0 },
+    costPerHour: { label: 'Avg Cost/Hour', value: s => formatCurrency(s.totalHours > 0 ? s.totalCost / s.totalHours : 0) }
+};
+
+// Macro settings from the config panel; macros placed before it existed get these
+const DEFAULT_CONFIG = {
+    dateRange: 'last-30-days',
+    scope: '',
+    metrics: Object.keys(METRICS),
+    showTypes: false,
+    showTrend: false
+};
 
 async function init() {
     console.log('Confluence macro initializing...');
 
     try {
-        const result = await invoke('getDashboardStats', { dateRange: 'last-month' });
+        const context = await view.getContext();
+        const config = { ...DEFAULT_CONFIG, ...(context.extension && context.extension.config) };
+        const [kind, value] = (config.scope || '').split(':');
+        const filter = kind === 'team' ? { teamId: value } : kind === 'project' ? { projectKey: value } : {};
+
+        const result = await invoke('getDashboardStats', { dateRange: config.dateRange, ...filter });
         console.log('getDashboardStats:', result);
 
         if (result && result.success && result.stats) {
             const stats = result.stats;
+            currency = stats.currency || currency;
 
-            document.getElementById('total-cost').textContent = formatCurrency(stats.totalCost || 0);
-            document.getElementById('total-hours').textContent = (stats.totalHours || 0).toFixed(1) + 'h';
-            document.getElementById('meeting-count').textContent = stats.meetingCount || 0;
-            document.getElementById('avg-cost').textContent = formatCurrency(
-                stats.totalHours > 0 ? stats.totalCost / stats.totalHours : 0
-            );
+            document.getElementById('subtitle').textContent =
+                `${stats.scope || 'All teams'} · ${stats.period ? stats.period.label : config.dateRange}`;
+            renderStats(stats, config.metrics);
+            if (config.showTypes) {
+                await renderTypes(stats.costByType || {});
+            }
+            if (config.showTrend) {
+                renderTrend(stats.trends || [], stats.trendPercentage || 0);
+            }
 
             // Hide loading, show content
             document.getElementById('loading').classList.add('hidden');
             document.getElementById('content').classList.remove('hidden');
         } else {
-            showEmpty();
+            showEmpty(config.metrics);
         }
     } catch (error) {
         console.error('Error loading stats:', error);
-        showEmpty();
+        showEmpty(DEFAULT_CONFIG.metrics);
+    }
+}
+
+function renderStats(stats, metrics) {
+    document.getElementById('stats').innerHTML = metrics
+        .filter(id => METRICS[id])
+        .map(id => {
+            const detail = METRICS[id].detail ? `<div class="stat-detail">${METRICS[id].detail(stats)}</div>` : '';
+            return `<div class="stat-item"><div class="stat-value">${METRICS[id].value(stats)}</div><div class="stat-label">${METRICS[id].label}</div>${detail}</div>`;
+        })
+        .join('');
+}
+
+async function renderTypes(costByType) {
+    let meetingTypes = [];
+    try {
+        const result = await invoke('getMeetingTypes');
+        meetingTypes = (result && result.meetingTypes) || [];
+    } catch (e) {
+        console.error('getMeetingTypes error:', e);
+    }
+
+    const entries = Object.entries(costByType).sort((a, b) => b[1].cost - a[1].cost);
+    const maxCost = Math.max(0, ...entries.map(([, data]) => data.cost));
+    document.getElementById('type-bars').innerHTML = entries.length === 0
+        ? '<p class="chart-meta">No meetings in this period</p>'
+        : entries.map(([typeId, data]) => {
+            const type = meetingTypes.find(t => t.typeId === typeId) || { label: typeId, color: '#6B778C' };
+            const pct = maxCost > 0 ? (data.cost / maxCost) * 100 : 0;
+            return `<div class="type-bar"><div class="type-bar-label"><span>${type.label}</span><span>${formatCurrency(data.cost)}</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:${pct}%;background:${type.color}"></div></div></div>`;
+        }).join('');
+    document.getElementById('type-section').classList.remove('hidden');
+}
+
+function renderTrend(trends, trendPercentage) {
+    const svg = document.getElementById('sparkline');
+    if (trends.length < 2) {
+        svg.classList.add('hidden');
+        document.getElementById('trend-label').textContent = 'Not enough weeks in this period for a trend';
+    } else {
+        const maxCost = Math.max(...trends.map(t => t.totalCost)) || 1;
+        const points = trends.map((t, i) => `${(i / (trends.length - 1)) * 200},${38 - (t.totalCost / maxCost) * 36}`).join(' ');
+        svg.innerHTML = `<polyline fill="none" stroke="#0052CC" stroke-width="2" points="${points}" />`;
+        document.getElementById('trend-label').textContent =
+            `${trendPercentage > 0 ? '📈' : '📉'} ${Math.abs(trendPercentage).toFixed(1)}% ${trendPercentage > 0 ? 'increase' : 'decrease'} on the previous period`;
     }
+    document.getElementById('trend-section').classList.remove('hidden');
 }
 
-function showEmpty() {
+function showEmpty(metrics) {
     document.getElementById('loading').classList.add('hidden');
     document.getElementById('content').classList.remove('hidden');
-    document.getElementById('total-cost').textContent = '$0';
-    document.getElementById('total-hours').textContent = '0h';
-    document.getElementById('meeting-count').textContent = '0';
-    document.getElementById('avg-cost').textContent = '$0';
+    renderStats({ totalCost: 0, directCost: 0, hiddenCost: 0, totalHours: 0, meetingCount: 0 }, metrics);
 }
 
 function formatCurrency(n) {
-    return '$' + Math.round(n || 0).toLocaleString();
+    return new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currency.code, maximumFractionDigits: 0 }).format(n || 0);
 }
 
 // Initialize
@@ -1,2 +1,2 @@
 /*! For license information please see bundle.js.LICENSE.txt */
-(()=>{var e={79(e,t,r){var n=r(3702),o=r(80),a=r(4739),i=r(8655),s=r(1175);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}c.prototype.clear=n,c.prototype.delete=o,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},80(e,t,r){var n=r(6025),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=n(t,e);return!(r<0||(r==t.length-1?t.pop():o.call(t,r,1),--this.size,0))}},104(e,t,r){var n=r(3661);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var n=arguments,o=t?t.apply(this,n):n[0],a=r.cache;if(a.has(o))return a.get(o);var i=e.apply(this,n);return r.cache=a.set(o,i)||a,i};return r.cache=new(o.Cache||n),r}o.Cache=n,e.exports=o},289(e,t,r){var n=r(2651);e.exports=function(e){return n(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,r){var n=r(1873),o=Object.prototype,a=o.hasOwnProperty,i=o.toString,s=n?n.toStringTag:void 0;e.exports=function(e){var t=a.call(e,s),r=e[s];try{e[s]=void 0;var n=!0}catch(e){}var o=i.call(e);return n&&(t?e[s]=r:delete e[s]),o}},1042(e,t,r){var n=r(6110)(Object,"create");e.exports=n},1100(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const n=r(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:r}of this.localeLookupOrderedTranslations){const o=(0,n.getTranslationValueFromContent)(r,e);if(null!==o){t=o;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,r){var n=r(6025);e.exports=function(e,t){var r=this.__data__,o=n(r,e);return o<0?(++this.size,r.push([e,t])):r[o][1]=t,this}},1192(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const n=r(5264),o=r(4280),a=(0,n.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,o.ensureLocale)(r))&&void 0!==e?e:r),t}},1251(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new o.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const n=r(1251),o=r(3031),a=r(8348),i=r(5111),s=r(1192),c=r(2513),l=r(6530);t.view={submit:n.submit,close:o.close,refresh:a.refresh,createHistory:i.createHistory,getContext:s.getContext,theme:l.theme,changeWindowTitle:c.changeWindowTitle}},1549(e,t,r){var n=r(2032),o=r(3862),a=r(6721),i=r(2749),s=r(5749);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}c.prototype.clear=n,c.prototype.delete=o,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},1622(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const n=r(4280),o=r(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${n.I18N_BUNDLE_FOLDER_NAME}/${n.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${n.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},i=new n.TranslationsGetter(a);t.resetTranslationsCache=()=>{i.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await o.view.getContext()).locale),await i.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await o.view.getContext()).locale);const r=new n.Translator(t,i);return await r.init(),(e,t)=>{var n,o;return null!==(o=null!==(n=r.translate(e))&&void 0!==n?n:t)&&void 0!==o?o:e}}},1635(e,t,r){"use strict";r.r(t),r.d(t,{__addDisposableResource:()=>B,__assign:()=>a,__asyncDelegator:()=>x,__asyncGenerator:()=>E,__asyncValues:()=>P,__await:()=>j,__awaiter:()=>y,__classPrivateFieldGet:()=>A,__classPrivateFieldIn:()=>F,__classPrivateFieldSet:()=>k,__createBinding:()=>h,__decorate:()=>s,__disposeResources:()=>R,__esDecorate:()=>l,__exportStar:()=>g,__extends:()=>o,__generator:()=>v,__importDefault:()=>C,__importStar:()=>M,__makeTemplateObject:()=>S,__metadata:()=>p,__param:()=>c,__propKey:()=>d,__read:()=>b,__rest:()=>i,__rewriteRelativeImportExtension:()=>D,__runInitializers:()=>u,__setFunctionName:()=>f,__spread:()=>m,__spreadArray:()=>O,__spreadArrays:()=>w,__values:()=>_,default:()=>N});var n=function(e,t){return n=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(e[r]=t[r])},n(e,t)};function o(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function r(){this.constructor=e}n(e,t),e.prototype=null===t?Object.create(t):(r.prototype=t.prototype,new r)}var a=function(){return a=Object.assign||function(e){for(var t,r=1,n=arguments.length;r<n;r++)for(var o in t=arguments[r])Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o]);return e},a.apply(this,arguments)};function i(e,t){var r={};for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&t.indexOf(n)<0&&(r[n]=e[n]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var o=0;for(n=Object.getOwnPropertySymbols(e);o<n.length;o++)t.indexOf(n[o])<0&&Object.prototype.propertyIsEnumerable.call(e,n[o])&&(r[n[o]]=e[n[o]])}return r}function s(e,t,r,n){var o,a=arguments.length,i=a<3?t:null===n?n=Object.getOwnPropertyDescriptor(t,r):n;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)i=Reflect.decorate(e,t,r,n);else for(var s=e.length-1;s>=0;s--)(o=e[s])&&(i=(a<3?o(i):a>3?o(t,r,i):o(t,r))||i);return a>3&&i&&Object.defineProperty(t,r,i),i}function c(e,t){return function(r,n){t(r,n,e)}}function l(e,t,r,n,o,a){function i(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var s,c=n.kind,l="getter"===c?"get":"setter"===c?"set":"value",u=!t&&e?n.static?e:e.prototype:null,d=t||(u?Object.getOwnPropertyDescriptor(u,n.name):{}),f=!1,p=r.length-1;p>=0;p--){var y={};for(var v in n)y[v]="access"===v?{}:n[v];for(var v in n.access)y.access[v]=n.access[v];y.addInitializer=function(e){if(f)throw new TypeError("Cannot add initializers after decoration has completed");a.push(i(e||null))};var h=(0,r[p])("accessor"===c?{get:d.get,set:d.set}:d[l],y);if("accessor"===c){if(void 0===h)continue;if(null===h||"object"!=typeof h)throw new TypeError("Object expected");(s=i(h.get))&&(d.get=s),(s=i(h.set))&&(d.set=s),(s=i(h.init))&&o.unshift(s)}else(s=i(h))&&("field"===c?o.unshift(s):d[l]=s)}u&&Object.defineProperty(u,n.name,d),f=!0}function u(e,t,r){for(var n=arguments.length>2,o=0;o<t.length;o++)r=n?t[o].call(e,r):t[o].call(e);return n?r:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function f(e,t,r){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:r?"".concat(r," ",t):t})}function p(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function y(e,t,r,n){return new(r||(r=Promise))(function(o,a){function i(e){try{c(n.next(e))}catch(e){a(e)}}function s(e){try{c(n.throw(e))}catch(e){a(e)}}function c(e){var t;e.done?o(e.value):(t=e.value,t instanceof r?t:new r(function(e){e(t)})).then(i,s)}c((n=n.apply(e,t||[])).next())})}function v(e,t){var r,n,o,a={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]},i=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return i.next=s(0),i.throw=s(1),i.return=s(2),"function"==typeof Symbol&&(i[Symbol.iterator]=function(){return this}),i;function s(s){return function(c){return function(s){if(r)throw new TypeError("Generator is already executing.");for(;i&&(i=0,s[0]&&(a=0)),a;)try{if(r=1,n&&(o=2&s[0]?n.return:s[0]?n.throw||((o=n.return)&&o.call(n),0):n.next)&&!(o=o.call(n,s[1])).done)return o;switch(n=0,o&&(s=[2&s[0],o.value]),s[0]){case 0:case 1:o=s;break;case 4:return a.label++,{value:s[1],done:!1};case 5:a.label++,n=s[1],s=[0];continue;case 7:s=a.ops.pop(),a.trys.pop();continue;default:if(!((o=(o=a.trys).length>0&&o[o.length-1])||6!==s[0]&&2!==s[0])){a=0;continue}if(3===s[0]&&(!o||s[1]>o[0]&&s[1]<o[3])){a.label=s[1];break}if(6===s[0]&&a.label<o[1]){a.label=o[1],o=s;break}if(o&&a.label<o[2]){a.label=o[2],a.ops.push(s);break}o[2]&&a.ops.pop(),a.trys.pop();continue}s=t.call(e,a)}catch(e){s=[6,e],n=0}finally{r=o=0}if(5&s[0])throw s[1];return{value:s[0]?s[1]:void 0,done:!0}}([s,c])}}}var h=Object.create?function(e,t,r,n){void 0===n&&(n=r);var o=Object.getOwnPropertyDescriptor(t,r);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,n,o)}:function(e,t,r,n){void 0===n&&(n=r),e[n]=t[r]};function g(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||h(t,e,r)}function _(e){var t="function"==typeof Symbol&&Symbol.iterator,r=t&&e[t],n=0;if(r)return r.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&n>=e.length&&(e=void 0),{value:e&&e[n++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var r="function"==typeof Symbol&&e[Symbol.iterator];if(!r)return e;var n,o,a=r.call(e),i=[];try{for(;(void 0===t||t-- >0)&&!(n=a.next()).done;)i.push(n.value)}catch(e){o={error:e}}finally{try{n&&!n.done&&(r=a.return)&&r.call(a)}finally{if(o)throw o.error}}return i}function m(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function w(){for(var e=0,t=0,r=arguments.length;t<r;t++)e+=arguments[t].length;var n=Array(e),o=0;for(t=0;t<r;t++)for(var a=arguments[t],i=0,s=a.length;i<s;i++,o++)n[o]=a[i];return n}function O(e,t,r){if(r||2===arguments.length)for(var n,o=0,a=t.length;o<a;o++)!n&&o in t||(n||(n=Array.prototype.slice.call(t,0,o)),n[o]=t[o]);return e.concat(n||Array.prototype.slice.call(t))}function j(e){return this instanceof j?(this.v=e,this):new j(e)}function E(e,t,r){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var n,o=r.apply(e,t||[]),a=[];return n=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),i("next"),i("throw"),i("return",function(e){return function(t){return Promise.resolve(t).then(e,l)}}),n[Symbol.asyncIterator]=function(){return this},n;function i(e,t){o[e]&&(n[e]=function(t){return new Promise(function(r,n){a.push([e,t,r,n])>1||s(e,t)})},t&&(n[e]=t(n[e])))}function s(e,t){try{(r=o[e](t)).value instanceof j?Promise.resolve(r.value.v).then(c,l):u(a[0][2],r)}catch(e){u(a[0][3],e)}var r}function c(e){s("next",e)}function l(e){s("throw",e)}function u(e,t){e(t),a.shift(),a.length&&s(a[0][0],a[0][1])}}function x(e){var t,r;return t={},n("next"),n("throw",function(e){throw e}),n("return"),t[Symbol.iterator]=function(){return this},t;function n(n,o){t[n]=e[n]?function(t){return(r=!r)?{value:j(e[n](t)),done:!1}:o?o(t):t}:o}}function P(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,r=e[Symbol.asyncIterator];return r?r.call(e):(e=_(e),t={},n("next"),n("throw"),n("return"),t[Symbol.asyncIterator]=function(){return this},t);function n(r){t[r]=e[r]&&function(t){return new Promise(function(n,o){!function(e,t,r,n){Promise.resolve(n).then(function(t){e({value:t,done:r})},t)}(n,o,(t=e[r](t)).done,t.value)})}}}function S(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var T=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},I=function(e){return I=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},I(e)};function M(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=I(e),n=0;n<r.length;n++)"default"!==r[n]&&h(t,e,r[n]);return T(t,e),t}function C(e){return e&&e.__esModule?e:{default:e}}function A(e,t,r,n){if("a"===r&&!n)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!n:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===r?n:"a"===r?n.call(e):n?n.value:t.get(e)}function k(e,t,r,n,o){if("m"===n)throw new TypeError("Private method is not writable");if("a"===n&&!o)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===n?o.call(e,r):o?o.value=r:t.set(e,r),r}function F(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function B(e,t,r){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var n,o;if(r){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");n=t[Symbol.asyncDispose]}if(void 0===n){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");n=t[Symbol.dispose],r&&(o=n)}if("function"!=typeof n)throw new TypeError("Object not disposable.");o&&(n=function(){try{o.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:n,async:r})}else r&&e.stack.push({async:!0});return t}var L="function"==typeof SuppressedError?SuppressedError:function(e,t,r){var n=new Error(r);return n.name="SuppressedError",n.error=e,n.suppressed=t,n};function R(e){function t(t){e.error=e.hasError?new L(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var r,n=0;return function o(){for(;r=e.stack.pop();)try{if(!r.async&&1===n)return n=0,e.stack.push(r),Promise.resolve().then(o);if(r.dispose){var a=r.dispose.call(r.value);if(r.async)return n|=2,Promise.resolve(a).then(o,function(e){return t(e),o()})}else n|=1}catch(e){t(e)}if(1===n)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function D(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,r,n,o,a){return r?t?".jsx":".js":!n||o&&a?n+o+"."+a.toLowerCase()+"js":e}):e}const N={__extends:o,__assign:a,__rest:i,__decorate:s,__param:c,__esDecorate:l,__runInitializers:u,__propKey:d,__setFunctionName:f,__metadata:p,__awaiter:y,__generator:v,__createBinding:h,__exportStar:g,__values:_,__read:b,__spread:m,__spreadArrays:w,__spreadArray:O,__await:j,__asyncGenerator:E,__asyncDelegator:x,__asyncValues:P,__makeTemplateObject:S,__importStar:M,__importDefault:C,__classPrivateFieldGet:A,__classPrivateFieldSet:k,__classPrivateFieldIn:F,__addDisposableResource:B,__disposeResources:R,__rewriteRelativeImportExtension:D}},1769(e,t,r){var n=r(6449),o=r(8586),a=r(1802),i=r(3222);e.exports=function(e,t){return n(e)?e:o(e,t)?[e]:a(i(e))}},1802(e,t,r){var n=r(2224),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,i=n(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,r,n,o){t.push(n?o.replace(a,"$1"):r||e)}),t});e.exports=i},1813(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const n=r(1635).__importDefault(r(8156));t.getTranslationValue=(e,r,n)=>{const o=e[n];return o?(0,t.getTranslationValueFromContent)(o,r):null},t.getTranslationValueFromContent=(e,t)=>{let r=e[t];if(!r){const o=t.split(".");o.length>1&&(r=(0,n.default)(e,o,null))}return"string"==typeof r?r:null}},1855(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(1382),t)},1873(e,t,r){var n=r(9325).Symbol;e.exports=n},1882(e,t,r){var n=r(2552),o=r(3805);e.exports=function(e){if(!o(e))return!1;var t=n(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,r){var n=r(1042);e.exports=function(){this.__data__=n?n(null):{},this.size=0}},2115(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8482),t)},2224(e,t,r){var n=r(104);e.exports=function(e){var t=n(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},2294(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const n=r(6683);t.productFetchApi=e=>{const t=async(t,r,o)=>{const{body:a,headers:i,isMultipartFormData:s}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,r=t?await(async e=>{const t={};for(const[r,o]of e.entries())if("file"===r){const e=o.name,r=o.type;t.file=await(0,n.blobToBase64)(o),t.__fileName=e,t.__fileType=r}else t[r]=o;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,o=new Request("",{body:r,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(o.headers.entries());return{body:"GET"!==o.method?await o.text():null,headers:new Headers(a),isMultipartFormData:t}})(o);i.has("X-Atlassian-Token")||i.set("X-Atlassian-Token","no-check");const c={product:t,restPath:r,fetchRequestInit:{...o,body:a,headers:[...i.entries()]},isMultipartFormData:s},{body:l,headers:u,statusText:d,status:f,isAttachment:p}=await e("fetchProduct",c),y=p?(0,n.base64ToBlob)(l,u["content-type"]):l;return new Response(y||null,{headers:u,status:f,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}},2321(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const n=r(1635);var o=r(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return o.NavigationTarget}}),n.__exportStar(r(8350),t),n.__exportStar(r(6239),t),n.__exportStar(r(1855),t),n.__exportStar(r(351),t),n.__exportStar(r(4095),t),n.__exportStar(r(4490),t),n.__exportStar(r(8548),t),n.__exportStar(r(2115),t),t.i18n=n.__importStar(r(1622))},2513(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new o.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,r){var n=r(1873),o=r(659),a=r(9350),i=n?n.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":i&&i in Object(e)?o(e):a(e)}},2651(e,t,r){var n=r(4218);e.exports=function(e,t){var r=e.__data__;return n(t)?r["string"==typeof t?"string":"hash"]:r.map}},2749(e,t,r){var n=r(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return n?void 0!==t[e]:o.call(t,e)}},2949(e,t,r){var n=r(2651);e.exports=function(e,t){var r=n(this,e),o=r.size;return r.set(e,t),this.size+=r.size==o?0:1,this}},3031(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new o.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new o.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,r){var n=r(1549),o=r(79),a=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new n,map:new(a||o),string:new n}}},3222(e,t,r){var n=r(7556);e.exports=function(e){return null==e?"":n(e)}},3661(e,t,r){var n=r(3040),o=r(7670),a=r(289),i=r(4509),s=r(2949);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}c.prototype.clear=n,c.prototype.delete=o,c.prototype.get=a,c.prototype.has=i,c.prototype.set=s,e.exports=c},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const n=r(1635);n.__exportStar(r(6893),t),n.__exportStar(r(6829),t),n.__exportStar(r(1100),t),n.__exportStar(r(7898),t);var o=r(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return o.getTranslationValue}});var a=r(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),n.__exportStar(r(5181),t)},4394(e,t,r){var n=r(2552),o=r(346);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==n(e)}},4490(e,t,r){"use strict";var n;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const o=r(5264);n=(0,r(2294).productFetchApi)((0,o.getCallBridge)()),t.requestConfluence=n.requestConfluence,t.requestJira=n.requestJira,t.requestBitbucket=n.requestBitbucket},4509(e,t,r){var n=r(2651);e.exports=function(e){return n(this,e).has(e)}},4526(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)(),i=()=>{};t.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||i,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new o.BridgeAPIError("Unable to open modal.")}catch(e){throw new o.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,r){var n=r(6025);e.exports=function(e){var t=this.__data__,r=n(t,e);return r<0?void 0:t[r][1]}},4840(e,t,r){var n="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=n},4932(e){e.exports=function(e,t){for(var r=-1,n=null==e?0:e.length,o=Array(n);++r<n;)o[r]=t(e[r],r,e);return o}},5083(e,t,r){var n=r(1882),o=r(7296),a=r(3805),i=r(7473),s=/^\[object .+?Constructor\]$/,c=Function.prototype,l=Object.prototype,u=c.toString,d=l.hasOwnProperty,f=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||o(e))&&(n(e)?f:s).test(i(e))}},5111(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const n=(0,r(5264).getCallBridge)();t.createHistory=async()=>{const e=await n("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const n=r(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new n.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,r){var n=r(9325)["__core-js_shared__"];e.exports=n},5749(e,t,r){var n=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=n&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,r){var n=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(n(e[r][0],t))return r;return-1}},6110(e,t,r){var n=r(5083),o=r(392);e.exports=function(e,t){var r=o(e,t);return n(r)?r:void 0}},6239(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(8466),t)},6250(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const n=(0,r(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return n("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return n("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return n("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return n("navigate",{...e,type:"new-tab"})},reload:async()=>n("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const n=(0,r(5264).getCallBridge)();t.theme={enable:()=>n("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,n=atob(r),o=new Array(n.length);for(let e=0;e<n.length;e++)o[e]=n.charCodeAt(e);const a=new Uint8Array(o);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const n=new FileReader;n.onloadend=()=>{t(n.result)},n.onerror=r,n.readAsDataURL(e)})},6721(e,t,r){var n=r(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(n){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return o.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:n}=t;if(!n){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:n}=t,o=[e],a=n[e];var i,s;return a&&Array.isArray(a)&&a.length>0&&o.push(...a),i=o,s=t.fallback.default,i.includes(s)||i.push(s),o.filter(e=>r.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,r){var n,o=r(5481),a=(n=/[^.]+$/.exec(o&&o.keys&&o.keys.IE_PROTO||""))?"Symbol(src)_1."+n:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,r){var n=r(1769),o=r(7797);e.exports=function(e,t){for(var r=0,a=(t=n(t,e)).length;null!=e&&r<a;)e=e[o(t[r++])];return r&&r==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,r){var n=r(1873),o=r(4932),a=r(6449),i=r(4394),s=n?n.prototype:void 0,c=s?s.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return o(t,e)+"";if(i(t))return c?c.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},7670(e,t,r){var n=r(2651);e.exports=function(e){var t=n(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r},7797(e,t,r){var n=r(4394);e.exports=function(e){if("string"==typeof e||n(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const n=r(6893),o=new Set(n.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},i=n.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return o.has(t)?t:i[t]??a[t]??null}},8156(e,t,r){var n=r(7422);e.exports=function(e,t,r){var o=null==e?void 0:n(e,t);return void 0===o?r:o}},8223(e,t,r){var n=r(6110)(r(9325),"Map");e.exports=n},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new o.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),r(1635).__exportStar(r(9332),t)},8392(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const n=r(5264),o=r(7766),a=(0,n.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new o.BridgeAPIError('"id" must be defined in flag options');const r=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,a("closeFlag",{id:e.id}))}}},8466(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const n=r(5264),o=r(7766),a=r(9939),i=(0,n.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:n,error:a}=null!==(t=await i("invoke",e))&&void 0!==t?t:{},s={...r?n:a};if(s&&s.headers)for(const e in s.headers)Array.isArray(s.headers[e])&&(s.headers[e]=s.headers[e].join(","));return s},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const n=(0,r(5264).getCallBridge)();t.events={emit:(e,t)=>n("emit",{event:e,payload:t}),on:(e,t)=>n("on",{event:e,callback:t})}},8548(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var n=r(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return n.showFlag}})},8586(e,t,r){var n=r(6449),o=r(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,i=/^\w*$/;e.exports=function(e,t){if(n(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!o(e))||i.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,r){var n=r(6025);e.exports=function(e){return n(this.__data__,e)>-1}},9325(e,t,r){var n=r(4840),o="object"==typeof self&&self&&self.Object===Object&&self,a=n||o||Function("return this")();e.exports=a},9332(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const n=r(5264),o=r(7766),a=r(9939),i=(0,n.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new o.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),i("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const n=r(7766);t.withRateLimiter=(e,t,r,o)=>{let a=Date.now(),i=0;return async(...s)=>{const c=Date.now();if(c-a>r&&(a=c,i=0),i>=t)throw new n.BridgeAPIError(o||"Too many invocations.");return i+=1,e(...s)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,n)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const o=[...n,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:o,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,o)):r(t,o)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const n=new Set;for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(o[0]);for(const{key:t}of e)n.add(t)}return n.size>0?Array.from(n):[]},t.extractI18nPropertiesFromModules=e=>{const n=[];for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(o[0]);for(const t of e)n.push({moduleName:o[1],...t})}return n}}},t={};function r(n){var o=t[n];if(void 0!==o)return o.exports;var a=t[n]={exports:{}};return e[n](a,a.exports,r),a.exports}r.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return r.d(t,{a:t}),t},r.d=(e,t)=>{for(var n in t)r.o(t,n)&&!r.o(e,n)&&Object.defineProperty(e,n,{enumerable:!0,get:t[n]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),r.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=r(2321);function t(){var e,r,o="function"==typeof Symbol?Symbol:{},a=o.iterator||"@@iterator",i=o.toStringTag||"@@toStringTag";function s(t,o,a,i){var s=o&&o.prototype instanceof l?o:l,u=Object.create(s.prototype);return n(u,"_invoke",function(t,n,o){var a,i,s,l=0,u=o||[],d=!1,f={p:0,n:0,v:e,a:p,f:p.bind(e,4),d:function(t,r){return a=t,i=0,s=e,f.n=r,c}};function p(t,n){for(i=t,s=n,r=0;!d&&l&&!o&&r<u.length;r++){var o,a=u[r],p=f.p,y=a[2];t>3?(o=y===n)&&(s=a[(i=a[4])?5:(i=3,3)],a[4]=a[5]=e):a[0]<=p&&((o=t<2&&p<a[1])?(i=0,f.v=n,f.n=a[1]):p<y&&(o=t<3||a[0]>n||n>y)&&(a[4]=t,a[5]=n,f.n=y,i=0))}if(o||t>1)return c;throw d=!0,n}return function(o,u,y){if(l>1)throw TypeError("Generator is already running");for(d&&1===u&&p(u,y),i=u,s=y;(r=i<2?e:s)||!d;){a||(i?i<3?(i>1&&(f.n=-1),p(i,s)):f.n=s:f.v=s);try{if(l=2,a){if(i||(o="next"),r=a[o]){if(!(r=r.call(a,s)))throw TypeError("iterator result is not an object");if(!r.done)return r;s=r.value,i<2&&(i=0)}else 1===i&&(r=a.return)&&r.call(a),i<2&&(s=TypeError("The iterator does not provide a '"+o+"' method"),i=1);a=e}else if((r=(d=f.n<0)?s:t.call(n,f))!==c)break}catch(t){a=e,i=1,s=t}finally{l=1}}return{value:r,done:d}}}(t,a,i),!0),u}var c={};function l(){}function u(){}function d(){}r=Object.getPrototypeOf;var f=[][a]?r(r([][a]())):(n(r={},a,function(){return this}),r),p=d.prototype=l.prototype=Object.create(f);function y(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,n(e,i,"GeneratorFunction")),e.prototype=Object.create(p),e}return u.prototype=d,n(p,"constructor",d),n(d,"constructor",u),u.displayName="GeneratorFunction",n(d,i,"GeneratorFunction"),n(p),n(p,i,"Generator"),n(p,a,function(){return this}),n(p,"toString",function(){return"[object Generator]"}),(t=function(){return{w:s,m:y}})()}function n(e,t,r,o){var a=Object.defineProperty;try{a({},"",{})}catch(e){a=0}n=function(e,t,r,o){function i(t,r){n(e,t,function(e){return this._invoke(t,r,e)})}t?a?a(e,t,{value:r,enumerable:!o,configurable:!o,writable:!o}):e[t]=r:(i("next",0),i("throw",1),i("return",2))},n(e,t,r,o)}function o(e,t){if(e){if("string"==typeof e)return a(e,t);var r={}.toString.call(e).slice(8,-1);return"Object"===r&&e.constructor&&(r=e.constructor.name),"Map"===r||"Set"===r?Array.from(e):"Arguments"===r||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r)?a(e,t):void 0}}function a(e,t){(null==t||t>e.length)&&(t=e.length);for(var r=0,n=Array(t);r<t;r++)n[r]=e[r];return n}function i(e,t,r,n,o,a,i){try{var s=e[a](i),c=s.value}catch(e){return void r(e)}s.done?t(c):Promise.resolve(c).then(n,o)}function s(e){return function(){var t=this,r=arguments;return new Promise(function(n,o){var a=e.apply(t,r);function s(e){i(a,n,o,s,c,"next",e)}function c(e){i(a,n,o,s,c,"throw",e)}s(void 0)})}}var c=[];function l(){return u.apply(this,arguments)}function u(){return(u=s(t().m(function e(){var r;return t().w(function(e){for(;;)switch(e.p=e.n){case 0:return console.log("Dashboard initializing..."),e.p=1,e.n=2,d();case 2:return e.n=3,p();case 3:return e.n=4,h();case 4:_(),E(),console.log("Dashboard ready"),e.n=6;break;case 5:e.p=5,r=e.v,console.error("Error initializing dashboard:",r),E();case 6:return e.a(2)}},e,null,[[1,5]])}))).apply(this,arguments)}function d(){return f.apply(this,arguments)}function f(){return(f=s(t().m(function r(){var n,o;return t().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getRoleRates");case 1:n=t.v,console.log("getRoleRates:",n),n&&n.success&&(c=n.rates||[],b()),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadRoleRates error:",o),c=[{roleId:"engineer",roleName:"Engineer",hourlyRate:75},{roleId:"senior",roleName:"Senior Engineer",hourlyRate:100},{roleId:"pm",roleName:"Product Manager",hourlyRate:90}],b();case 3:return t.a(2)}},r,null,[[0,2]])}))).apply(this,arguments)}function p(){return y.apply(this,arguments)}function y(){return(y=s(t().m(function r(){var n,o,a;return t().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getDashboardStats",{dateRange:"last-month"});case 1:n=t.v,console.log("getDashboardStats:",n),n&&n.success&&n.stats&&(o=n.stats,document.getElementById("monthly-cost").textContent=w(o.totalCost||0),document.getElementById("meeting-hours").textContent=(o.totalHours||0).toFixed(1)+"h",document.getElementById("meeting-count").textContent=o.meetingCount||0,document.getElementById("cost-per-hour").textContent=w(o.totalHours>0?o.totalCost/o.totalHours:0),v(o.costByType||{})),t.n=3;break;case 2:t.p=2,a=t.v,console.error("loadDashboardStats error:",a);case 3:return t.a(2)}},r,null,[[0,2]])}))).apply(this,arguments)}function v(e){var t,r=document.getElementById("type-bars");if(e&&0!==Object.keys(e).length){var n=Math.max.apply(Math,function(e){if(Array.isArray(e))return a(e)}(t=Object.values(e).map(function(e){return e.cost||0}))||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(t)||o(t)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()),i={standup:"#00875A",planning:"#0052CC",retro:"#6554C0",review:"#FF991F","one-on-one":"#00B8D9","team-sync":"#36B37E","ad-hoc":"#97A0AF","all-hands":"#FF5630",interview:"#8777D9"};r.innerHTML=Object.entries(e).sort(function(e,t){return t[1].cost-e[1].cost}).map(function(e){var t=function(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var r=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=r){var n,o,a,i,s=[],c=!0,l=!1;try{if(a=(r=r.call(e)).next,0===t){if(Object(r)!==r)return;c=!1}else for(;!(c=(n=a.call(r)).done)&&(s.push(n.value),s.length!==t);c=!0);}catch(e){l=!0,o=e}finally{try{if(!c&&null!=r.return&&(i=r.return(),Object(i)!==i))return}finally{if(l)throw o}}return s}}(e,t)||o(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}(e,2),r=t[0],a=t[1],s=n>0?a.cost/n*100:0;return'<div class="type-bar-item"><div class="type-bar-label"><span class="type-name">'.concat(O(r),'</span><span class="type-cost">').concat(w(a.cost),'</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:').concat(s,"%;background:").concat(i[r]||"#6B778C",'"></div></div><div class="type-bar-meta">').concat(a.count," meetings · ").concat(a.hours.toFixed(1),"h</div></div>")}).join("")}else r.innerHTML='<p class="empty-state">No data yet</p>'}function h(){return g.apply(this,arguments)}function g(){return(g=s(t().m(function r(){var n,o,a;return t().w(function(r){for(;;)switch(r.p=r.n){case 0:return r.p=0,r.n=1,(0,e.invoke)("getMeetings",{limit:10});case 1:n=r.v,console.log("getMeetings:",n),o=document.getElementById("meetings-list"),n&&n.success&&n.meetings&&n.meetings.length>0?(o.innerHTML=n.meetings.map(function(e){return'<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">'.concat(O(e.meetingType),'</span><div><div class="meeting-title">').concat(e.title||"Untitled",'</div><div class="meeting-meta">').concat(j(e.date)," · ").concat(e.durationMinutes,' min</div></div></div><div class="meeting-actions"><span class="meeting-cost">').concat(w(e.calculatedCost),'</span><button class="btn-danger" data-id="').concat(e.id,'">🗑️</button></div></div>')}).join(""),o.querySelectorAll(".btn-danger").forEach(function(r){r.addEventListener("click",s(t().m(function n(){return t().w(function(t){for(;;)switch(t.n){case 0:if(!confirm("Delete this meeting?")){t.n=3;break}return t.n=1,(0,e.invoke)("deleteMeeting",{meetingId:r.dataset.id});case 1:return t.n=2,p();case 2:return t.n=3,h();case 3:return t.a(2)}},n)})))})):o.innerHTML='<p class="empty-state">No meetings logged yet. Click "Log Meeting" to add one.</p>',r.n=3;break;case 2:r.p=2,a=r.v,console.error("loadRecentMeetings error:",a);case 3:return r.a(2)}},r,null,[[0,2]])}))).apply(this,arguments)}function _(){var r=document.getElementById("add-meeting-modal"),n=document.getElementById("meeting-form");document.getElementById("add-meeting-btn").addEventListener("click",function(){r.classList.remove("hidden"),document.getElementById("date").valueAsDate=new Date}),document.getElementById("close-modal").addEventListener("click",function(){return r.classList.add("hidden")}),document.getElementById("cancel-btn").addEventListener("click",function(){return r.classList.add("hidden")}),document.querySelector(".modal-backdrop").addEventListener("click",function(){return r.classList.add("hidden")}),n.addEventListener("change",m),n.addEventListener("input",m),n.addEventListener("submit",function(){var o=s(t().m(function o(a){var i,s,c,l;return t().w(function(t){for(;;)switch(t.n){case 0:return a.preventDefault(),i=new FormData(n),s=Array.from(document.querySelectorAll("#attendee-roles input:checked")).map(function(e){return e.value}),c={title:i.get("title"),date:i.get("date"),durationMinutes:i.get("duration"),meetingType:i.get("meetingType"),attendeeRoles:JSON.stringify(s),attendeeCount:i.get("attendeeCount")||s.length||1},console.log("Adding meeting:",c),t.n=1,(0,e.invoke)("addMeeting",c);case 1:if(l=t.v,console.log("addMeeting result:",l),!l||!l.success){t.n=4;break}return r.classList.add("hidden"),n.reset(),t.n=2,p();case 2:return t.n=3,h();case 3:t.n=5;break;case 4:alert("Failed to save: "+(l?l.error:"Unknown error"));case 5:return t.a(2)}},o)}));return function(e){return o.apply(this,arguments)}}())}function b(){var e=document.getElementById("attendee-roles");e.innerHTML=c.map(function(e){return'<label class="role-checkbox"><input type="checkbox" value="'.concat(e.roleId,'">').concat(e.roleName," ($").concat(e.hourlyRate,"/hr)</label>")}).join(""),e.querySelectorAll("input").forEach(function(e){e.addEventListener("change",function(){e.parentElement.classList.toggle("selected",e.checked),m()})})}function m(){var e=parseInt(document.getElementById("duration").value)||0,t=Array.from(document.querySelectorAll("#attendee-roles input:checked")).map(function(e){return e.value}),r=parseInt(document.getElementById("attendeeCount").value)||0,n=0;if(t.length>0)t.forEach(function(t){var r=c.find(function(e){return e.roleId===t});r&&(n+=e/60*r.hourlyRate)});else if(r>0&&c.length>0){var o=c.reduce(function(e,t){return e+t.hourlyRate},0)/c.length;n=e/60*o*r}document.getElementById("estimated-cost").textContent=w(n)}function w(e){return"$"+Math.round(e||0).toLocaleString()}function O(e){return{standup:"Standup",planning:"Planning",retro:"Retro",review:"Review","one-on-one":"1:1","team-sync":"Team Sync","all-hands":"All Hands",interview:"Interview","ad-hoc":"Ad-hoc"}[e]||e||"Ad-hoc"}function j(e){if(!e)return"-";try{return new Date(e).toLocaleDateString("en-US",{month:"short",day:"numeric"})}catch(t){return e}}function E(){document.getElementById("loading").classList.add("hidden")}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",l):l()})()})();
\ No newline at end of file
+(()=>{var e={79(e,t,n){var r=n(3702),o=n(80),a=n(4739),i=n(8655),c=n(1175);function s(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}s.prototype.clear=r,s.prototype.delete=o,s.prototype.get=a,s.prototype.has=i,s.prototype.set=c,e.exports=s},80(e,t,n){var r=n(6025),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,n=r(t,e);return!(n<0||(n==t.length-1?t.pop():o.call(t,n,1),--this.size,0))}},104(e,t,n){var r=n(3661);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var n=function(){var r=arguments,o=t?t.apply(this,r):r[0],a=n.cache;if(a.has(o))return a.get(o);var i=e.apply(this,r);return n.cache=a.set(o,i)||a,i};return n.cache=new(o.Cache||r),n}o.Cache=r,e.exports=o},289(e,t,n){var r=n(2651);e.exports=function(e){return r(this,e).get(e)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},351(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(6250),t)},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},659(e,t,n){var r=n(1873),o=Object.prototype,a=o.hasOwnProperty,i=o.toString,c=r?r.toStringTag:void 0;e.exports=function(e){var t=a.call(e,c),n=e[c];try{e[c]=void 0;var r=!0}catch(e){}var o=i.call(e);return r&&(t?e[c]=n:delete e[c]),o}},1042(e,t,n){var r=n(6110)(Object,"create");e.exports=r},1100(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const r=n(1813);t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:n}of this.localeLookupOrderedTranslations){const o=(0,r.getTranslationValueFromContent)(n,e);if(null!==o){t=o;break}}t=t??null,this.cache.set(e,t)}return t}}},1175(e,t,n){var r=n(6025);e.exports=function(e,t){var n=this.__data__,o=r(n,e);return o<0?(++this.size,n.push([e,t])):n[o][1]=t,this}},1192(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const r=n(5264),o=n(4280),a=(0,r.getCallBridge)();t.getContext=async()=>{var e;const t=await a("getContext"),n=null==t?void 0:t.locale;return n&&(t.locale=null!==(e=(0,o.ensureLocale)(n))&&void 0!==e?e:n),t}},1251(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.submit=async e=>{if(!1===await a("submit",e))throw new o.BridgeAPIError("this resource's view is not submittable.")}},1382(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=n(1251),o=n(3031),a=n(8348),i=n(5111),c=n(1192),s=n(2513),u=n(6530);t.view={submit:r.submit,close:o.close,refresh:a.refresh,createHistory:i.createHistory,getContext:c.getContext,theme:u.theme,changeWindowTitle:s.changeWindowTitle}},1549(e,t,n){var r=n(2032),o=n(3862),a=n(6721),i=n(2749),c=n(5749);function s(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}s.prototype.clear=r,s.prototype.delete=o,s.prototype.get=a,s.prototype.has=i,s.prototype.set=c,e.exports=s},1622(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const r=n(4280),o=n(1855),a={getI18nInfoConfig:async()=>{const e=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${r.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},i=new r.TranslationsGetter(a);t.resetTranslationsCache=()=>{i.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let n=e;return n||(n=(await o.view.getContext()).locale),await i.getTranslations(n,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await o.view.getContext()).locale);const n=new r.Translator(t,i);return await n.init(),(e,t)=>{var r,o;return null!==(o=null!==(r=n.translate(e))&&void 0!==r?r:t)&&void 0!==o?o:e}}},1635(e,t,n){"use strict";n.r(t),n.d(t,{__addDisposableResource:()=>A,__assign:()=>a,__asyncDelegator:()=>j,__asyncGenerator:()=>k,__asyncValues:()=>x,__await:()=>I,__awaiter:()=>m,__classPrivateFieldGet:()=>L,__classPrivateFieldIn:()=>P,__classPrivateFieldSet:()=>C,__createBinding:()=>g,__decorate:()=>c,__disposeResources:()=>F,__esDecorate:()=>u,__exportStar:()=>y,__extends:()=>o,__generator:()=>v,__importDefault:()=>T,__importStar:()=>B,__makeTemplateObject:()=>O,__metadata:()=>f,__param:()=>s,__propKey:()=>d,__read:()=>b,__rest:()=>i,__rewriteRelativeImportExtension:()=>R,__runInitializers:()=>l,__setFunctionName:()=>p,__spread:()=>w,__spreadArray:()=>E,__spreadArrays:()=>_,__values:()=>h,default:()=>N});var r=function(e,t){return r=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])},r(e,t)};function o(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}r(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}var a=function(){return a=Object.assign||function(e){for(var t,n=1,r=arguments.length;n<r;n++)for(var o in t=arguments[n])Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o]);return e},a.apply(this,arguments)};function i(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(null!=e&&"function"==typeof Object.getOwnPropertySymbols){var o=0;for(r=Object.getOwnPropertySymbols(e);o<r.length;o++)t.indexOf(r[o])<0&&Object.prototype.propertyIsEnumerable.call(e,r[o])&&(n[r[o]]=e[r[o]])}return n}function c(e,t,n,r){var o,a=arguments.length,i=a<3?t:null===r?r=Object.getOwnPropertyDescriptor(t,n):r;if("object"==typeof Reflect&&"function"==typeof Reflect.decorate)i=Reflect.decorate(e,t,n,r);else for(var c=e.length-1;c>=0;c--)(o=e[c])&&(i=(a<3?o(i):a>3?o(t,n,i):o(t,n))||i);return a>3&&i&&Object.defineProperty(t,n,i),i}function s(e,t){return function(n,r){t(n,r,e)}}function u(e,t,n,r,o,a){function i(e){if(void 0!==e&&"function"!=typeof e)throw new TypeError("Function expected");return e}for(var c,s=r.kind,u="getter"===s?"get":"setter"===s?"set":"value",l=!t&&e?r.static?e:e.prototype:null,d=t||(l?Object.getOwnPropertyDescriptor(l,r.name):{}),p=!1,f=n.length-1;f>=0;f--){var m={};for(var v in r)m[v]="access"===v?{}:r[v];for(var v in r.access)m.access[v]=r.access[v];m.addInitializer=function(e){if(p)throw new TypeError("Cannot add initializers after decoration has completed");a.push(i(e||null))};var g=(0,n[f])("accessor"===s?{get:d.get,set:d.set}:d[u],m);if("accessor"===s){if(void 0===g)continue;if(null===g||"object"!=typeof g)throw new TypeError("Object expected");(c=i(g.get))&&(d.get=c),(c=i(g.set))&&(d.set=c),(c=i(g.init))&&o.unshift(c)}else(c=i(g))&&("field"===s?o.unshift(c):d[u]=c)}l&&Object.defineProperty(l,r.name,d),p=!0}function l(e,t,n){for(var r=arguments.length>2,o=0;o<t.length;o++)n=r?t[o].call(e,n):t[o].call(e);return r?n:void 0}function d(e){return"symbol"==typeof e?e:"".concat(e)}function p(e,t,n){return"symbol"==typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:n?"".concat(n," ",t):t})}function f(e,t){if("object"==typeof Reflect&&"function"==typeof Reflect.metadata)return Reflect.metadata(e,t)}function m(e,t,n,r){return new(n||(n=Promise))(function(o,a){function i(e){try{s(r.next(e))}catch(e){a(e)}}function c(e){try{s(r.throw(e))}catch(e){a(e)}}function s(e){var t;e.done?o(e.value):(t=e.value,t instanceof n?t:new n(function(e){e(t)})).then(i,c)}s((r=r.apply(e,t||[])).next())})}function v(e,t){var n,r,o,a={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]},i=Object.create(("function"==typeof Iterator?Iterator:Object).prototype);return i.next=c(0),i.throw=c(1),i.return=c(2),"function"==typeof Symbol&&(i[Symbol.iterator]=function(){return this}),i;function c(c){return function(s){return function(c){if(n)throw new TypeError("Generator is already executing.");for(;i&&(i=0,c[0]&&(a=0)),a;)try{if(n=1,r&&(o=2&c[0]?r.return:c[0]?r.throw||((o=r.return)&&o.call(r),0):r.next)&&!(o=o.call(r,c[1])).done)return o;switch(r=0,o&&(c=[2&c[0],o.value]),c[0]){case 0:case 1:o=c;break;case 4:return a.label++,{value:c[1],done:!1};case 5:a.label++,r=c[1],c=[0];continue;case 7:c=a.ops.pop(),a.trys.pop();continue;default:if(!((o=(o=a.trys).length>0&&o[o.length-1])||6!==c[0]&&2!==c[0])){a=0;continue}if(3===c[0]&&(!o||c[1]>o[0]&&c[1]<o[3])){a.label=c[1];break}if(6===c[0]&&a.label<o[1]){a.label=o[1],o=c;break}if(o&&a.label<o[2]){a.label=o[2],a.ops.push(c);break}o[2]&&a.ops.pop(),a.trys.pop();continue}c=t.call(e,a)}catch(e){c=[6,e],r=0}finally{n=o=0}if(5&c[0])throw c[1];return{value:c[0]?c[1]:void 0,done:!0}}([c,s])}}}var g=Object.create?function(e,t,n,r){void 0===r&&(r=n);var o=Object.getOwnPropertyDescriptor(t,n);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[n]}}),Object.defineProperty(e,r,o)}:function(e,t,n,r){void 0===r&&(r=n),e[r]=t[n]};function y(e,t){for(var n in e)"default"===n||Object.prototype.hasOwnProperty.call(t,n)||g(t,e,n)}function h(e){var t="function"==typeof Symbol&&Symbol.iterator,n=t&&e[t],r=0;if(n)return n.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&r>=e.length&&(e=void 0),{value:e&&e[r++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var n="function"==typeof Symbol&&e[Symbol.iterator];if(!n)return e;var r,o,a=n.call(e),i=[];try{for(;(void 0===t||t-- >0)&&!(r=a.next()).done;)i.push(r.value)}catch(e){o={error:e}}finally{try{r&&!r.done&&(n=a.return)&&n.call(a)}finally{if(o)throw o.error}}return i}function w(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function _(){for(var e=0,t=0,n=arguments.length;t<n;t++)e+=arguments[t].length;var r=Array(e),o=0;for(t=0;t<n;t++)for(var a=arguments[t],i=0,c=a.length;i<c;i++,o++)r[o]=a[i];return r}function E(e,t,n){if(n||2===arguments.length)for(var r,o=0,a=t.length;o<a;o++)!r&&o in t||(r||(r=Array.prototype.slice.call(t,0,o)),r[o]=t[o]);return e.concat(r||Array.prototype.slice.call(t))}function I(e){return this instanceof I?(this.v=e,this):new I(e)}function k(e,t,n){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var r,o=n.apply(e,t||[]),a=[];return r=Object.create(("function"==typeof AsyncIterator?AsyncIterator:Object).prototype),i("next"),i("throw"),i("return",function(e){return function(t){return Promise.resolve(t).then(e,u)}}),r[Symbol.asyncIterator]=function(){return this},r;function i(e,t){o[e]&&(r[e]=function(t){return new Promise(function(n,r){a.push([e,t,n,r])>1||c(e,t)})},t&&(r[e]=t(r[e])))}function c(e,t){try{(n=o[e](t)).value instanceof I?Promise.resolve(n.value.v).then(s,u):l(a[0][2],n)}catch(e){l(a[0][3],e)}var n}function s(e){c("next",e)}function u(e){c("throw",e)}function l(e,t){e(t),a.shift(),a.length&&c(a[0][0],a[0][1])}}function j(e){var t,n;return t={},r("next"),r("throw",function(e){throw e}),r("return"),t[Symbol.iterator]=function(){return this},t;function r(r,o){t[r]=e[r]?function(t){return(n=!n)?{value:I(e[r](t)),done:!1}:o?o(t):t}:o}}function x(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,n=e[Symbol.asyncIterator];return n?n.call(e):(e=h(e),t={},r("next"),r("throw"),r("return"),t[Symbol.asyncIterator]=function(){return this},t);function r(n){t[n]=e[n]&&function(t){return new Promise(function(r,o){!function(e,t,n,r){Promise.resolve(r).then(function(t){e({value:t,done:n})},t)}(r,o,(t=e[n](t)).done,t.value)})}}}function O(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var M=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},S=function(e){return S=Object.getOwnPropertyNames||function(e){var t=[];for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&(t[t.length]=n);return t},S(e)};function B(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var n=S(e),r=0;r<n.length;r++)"default"!==n[r]&&g(t,e,n[r]);return M(t,e),t}function T(e){return e&&e.__esModule?e:{default:e}}function L(e,t,n,r){if("a"===n&&!r)throw new TypeError("Private accessor was defined without a getter");if("function"==typeof t?e!==t||!r:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===n?r:"a"===n?r.call(e):r?r.value:t.get(e)}function C(e,t,n,r,o){if("m"===r)throw new TypeError("Private method is not writable");if("a"===r&&!o)throw new TypeError("Private accessor was defined without a setter");if("function"==typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===r?o.call(e,n):o?o.value=n:t.set(e,n),n}function P(e,t){if(null===t||"object"!=typeof t&&"function"!=typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"==typeof e?t===e:e.has(t)}function A(e,t,n){if(null!=t){if("object"!=typeof t&&"function"!=typeof t)throw new TypeError("Object expected.");var r,o;if(n){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");r=t[Symbol.asyncDispose]}if(void 0===r){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");r=t[Symbol.dispose],n&&(o=r)}if("function"!=typeof r)throw new TypeError("Object not disposable.");o&&(r=function(){try{o.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:r,async:n})}else n&&e.stack.push({async:!0});return t}var D="function"==typeof SuppressedError?SuppressedError:function(e,t,n){var r=new Error(n);return r.name="SuppressedError",r.error=e,r.suppressed=t,r};function F(e){function t(t){e.error=e.hasError?new D(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var n,r=0;return function o(){for(;n=e.stack.pop();)try{if(!n.async&&1===r)return r=0,e.stack.push(n),Promise.resolve().then(o);if(n.dispose){var a=n.dispose.call(n.value);if(n.async)return r|=2,Promise.resolve(a).then(o,function(e){return t(e),o()})}else r|=1}catch(e){t(e)}if(1===r)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function R(e,t){return"string"==typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,n,r,o,a){return n?t?".jsx":".js":!r||o&&a?r+o+"."+a.toLowerCase()+"js":e}):e}const N={__extends:o,__assign:a,__rest:i,__decorate:c,__param:s,__esDecorate:u,__runInitializers:l,__propKey:d,__setFunctionName:p,__metadata:f,__awaiter:m,__generator:v,__createBinding:g,__exportStar:y,__values:h,__read:b,__spread:w,__spreadArrays:_,__spreadArray:E,__await:I,__asyncGenerator:k,__asyncDelegator:j,__asyncValues:x,__makeTemplateObject:O,__importStar:B,__importDefault:T,__classPrivateFieldGet:L,__classPrivateFieldSet:C,__classPrivateFieldIn:P,__addDisposableResource:A,__disposeResources:F,__rewriteRelativeImportExtension:R}},1769(e,t,n){var r=n(6449),o=n(8586),a=n(1802),i=n(3222);e.exports=function(e,t){return r(e)?e:o(e,t)?[e]:a(i(e))}},1802(e,t,n){var r=n(2224),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,i=r(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,n,r,o){t.push(r?o.replace(a,"$1"):n||e)}),t});e.exports=i},1813(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const r=n(1635).__importDefault(n(8156));t.getTranslationValue=(e,n,r)=>{const o=e[r];return o?(0,t.getTranslationValueFromContent)(o,n):null},t.getTranslationValueFromContent=(e,t)=>{let n=e[t];if(!n){const o=t.split(".");o.length>1&&(n=(0,r.default)(e,o,null))}return"string"==typeof n?n:null}},1855(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(1382),t)},1873(e,t,n){var r=n(9325).Symbol;e.exports=r},1882(e,t,n){var r=n(2552),o=n(3805);e.exports=function(e){if(!o(e))return!1;var t=r(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},2032(e,t,n){var r=n(1042);e.exports=function(){this.__data__=r?r(null):{},this.size=0}},2115(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(8482),t)},2224(e,t,n){var r=n(104);e.exports=function(e){var t=r(e,function(e){return 500===n.size&&n.clear(),e}),n=t.cache;return t}},2294(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const r=n(6683);t.productFetchApi=e=>{const t=async(t,n,o)=>{const{body:a,headers:i,isMultipartFormData:c}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,n=t?await(async e=>{const t={};for(const[n,o]of e.entries())if("file"===n){const e=o.name,n=o.type;t.file=await(0,r.blobToBase64)(o),t.__fileName=e,t.__fileType=n}else t[n]=o;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,o=new Request("",{body:n,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(o.headers.entries());return{body:"GET"!==o.method?await o.text():null,headers:new Headers(a),isMultipartFormData:t}})(o);i.has("X-Atlassian-Token")||i.set("X-Atlassian-Token","no-check");const s={product:t,restPath:n,fetchRequestInit:{...o,body:a,headers:[...i.entries()]},isMultipartFormData:c},{body:u,headers:l,statusText:d,status:p,isAttachment:f}=await e("fetchProduct",s),m=f?(0,r.base64ToBlob)(u,l["content-type"]):u;return new Response(m||null,{headers:l,status:p,statusText:d})};return{requestConfluence:(e,n)=>t("confluence",e,n),requestJira:(e,n)=>t("jira",e,n),requestBitbucket:(e,n)=>t("bitbucket",e,n)}}},2321(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const r=n(1635);var o=n(8325);Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return o.NavigationTarget}}),r.__exportStar(n(8350),t),r.__exportStar(n(6239),t),r.__exportStar(n(1855),t),r.__exportStar(n(351),t),r.__exportStar(n(4095),t),r.__exportStar(n(4490),t),r.__exportStar(n(8548),t),r.__exportStar(n(2115),t),t.i18n=r.__importStar(n(1622))},2513(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.changeWindowTitle=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new o.BridgeAPIError("the window title wasn't changed due to error.")}}},2552(e,t,n){var r=n(1873),o=n(659),a=n(9350),i=r?r.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":i&&i in Object(e)?o(e):a(e)}},2651(e,t,n){var r=n(4218);e.exports=function(e,t){var n=e.__data__;return r(t)?n["string"==typeof t?"string":"hash"]:n.map}},2749(e,t,n){var r=n(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return r?void 0!==t[e]:o.call(t,e)}},2949(e,t,n){var r=n(2651);e.exports=function(e,t){var n=r(this,e),o=n.size;return n.set(e,t),this.size+=n.size==o?0:1,this}},3031(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.close=async e=>{try{if(!1===await a("close",e))throw new o.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new o.BridgeAPIError("this resource's view is not closable.")}}},3040(e,t,n){var r=n(1549),o=n(79),a=n(8223);e.exports=function(){this.size=0,this.__data__={hash:new r,map:new(a||o),string:new r}}},3222(e,t,n){var r=n(7556);e.exports=function(e){return null==e?"":r(e)}},3661(e,t,n){var r=n(3040),o=n(7670),a=n(289),i=n(4509),c=n(2949);function s(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}s.prototype.clear=r,s.prototype.delete=o,s.prototype.get=a,s.prototype.has=i,s.prototype.set=c,e.exports=s},3702(e){e.exports=function(){this.__data__=[],this.size=0}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},4095(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(4526),t)},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},4280(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const r=n(1635);r.__exportStar(n(6893),t),r.__exportStar(n(6829),t),r.__exportStar(n(1100),t),r.__exportStar(n(7898),t);var o=n(1813);Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return o.getTranslationValue}});var a=n(9962);Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),r.__exportStar(n(5181),t)},4394(e,t,n){var r=n(2552),o=n(346);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==r(e)}},4490(e,t,n){"use strict";var r;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const o=n(5264);r=(0,n(2294).productFetchApi)((0,o.getCallBridge)()),t.requestConfluence=r.requestConfluence,t.requestJira=r.requestJira,t.requestBitbucket=r.requestBitbucket},4509(e,t,n){var r=n(2651);e.exports=function(e){return r(this,e).has(e)}},4526(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)(),i=()=>{};t.Modal=class{constructor(e){var t,n;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||i,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(n=null==e?void 0:e.closeOnOverlayClick)||void 0===n||n}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new o.BridgeAPIError("Unable to open modal.")}catch(e){throw new o.BridgeAPIError("Unable to open modal.")}}}},4739(e,t,n){var r=n(6025);e.exports=function(e){var t=this.__data__,n=r(t,e);return n<0?void 0:t[n][1]}},4840(e,t,n){var r="object"==typeof n.g&&n.g&&n.g.Object===Object&&n.g;e.exports=r},4932(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=Array(r);++n<r;)o[n]=t(e[n],n,e);return o}},5083(e,t,n){var r=n(1882),o=n(7296),a=n(3805),i=n(7473),c=/^\[object .+?Constructor\]$/,s=Function.prototype,u=Object.prototype,l=s.toString,d=u.hasOwnProperty,p=RegExp("^"+l.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||o(e))&&(r(e)?p:c).test(i(e))}},5111(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const r=(0,n(5264).getCallBridge)();t.createHistory=async()=>{const e=await r("createHistory");return e.listen(t=>{e.location=t}),e}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},5264(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const r=n(7766);t.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new r.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},5481(e,t,n){var r=n(9325)["__core-js_shared__"];e.exports=r},5749(e,t,n){var r=n(1042);e.exports=function(e,t){var n=this.__data__;return this.size+=this.has(e)?0:1,n[e]=r&&void 0===t?"__lodash_hash_undefined__":t,this}},6025(e,t,n){var r=n(5288);e.exports=function(e,t){for(var n=e.length;n--;)if(r(e[n][0],t))return n;return-1}},6110(e,t,n){var r=n(5083),o=n(392);e.exports=function(e,t){var n=o(e,t);return r(n)?n:void 0}},6239(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(8466),t)},6250(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const r=(0,n(5264).getCallBridge)();t.router={navigate:async e=>{if("string"==typeof e)return r("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return r("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return r("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return r("navigate",{...e,type:"new-tab"})},reload:async()=>r("reload")}},6449(e){var t=Array.isArray;e.exports=t},6530(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const r=(0,n(5264).getCallBridge)();t.theme={enable:()=>r("enableTheming")}},6683(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const n=e.includes(";base64")?e.split(",")[1]:e,r=atob(n),o=new Array(r.length);for(let e=0;e<r.length;e++)o[e]=r.charCodeAt(e);const a=new Uint8Array(o);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,n)=>{const r=new FileReader;r.onloadend=()=>{t(r.result)},r.onerror=n,r.readAsDataURL(e)})},6721(e,t,n){var r=n(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(r){var n=t[e];return"__lodash_hash_undefined__"===n?void 0:n}return o.call(t,e)?t[e]:void 0}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class n extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=n,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const n=await this.getI18nInfoConfig(),{fallback:r}=t;if(!r){let t;return n.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,n)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),n=this.getLocaleLookupOrder(e,t);return await Promise.all(n.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof n)throw t;throw new n(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof n)throw e;throw new n("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:n,fallback:r}=t,o=[e],a=r[e];var i,c;return a&&Array.isArray(a)&&a.length>0&&o.push(...a),i=o,c=t.fallback.default,i.includes(c)||i.push(c),o.filter(e=>n.includes(e))}}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7296(e,t,n){var r,o=n(5481),a=(r=/[^.]+$/.exec(o&&o.keys&&o.keys.IE_PROTO||""))?"Symbol(src)_1."+r:"";e.exports=function(e){return!!a&&a in e}},7422(e,t,n){var r=n(1769),o=n(7797);e.exports=function(e,t){for(var n=0,a=(t=r(t,e)).length;null!=e&&n<a;)e=e[o(t[n++])];return n&&n==a?e:void 0}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},7556(e,t,n){var r=n(1873),o=n(4932),a=n(6449),i=n(4394),c=r?r.prototype:void 0,s=c?c.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return o(t,e)+"";if(i(t))return s?s.call(t):"";var n=t+"";return"0"==n&&1/t==-1/0?"-0":n}},7670(e,t,n){var r=n(2651);e.exports=function(e){var t=r(this,e).delete(e);return this.size-=t?1:0,t}},7766(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class n extends Error{}t.BridgeAPIError=n},7797(e,t,n){var r=n(4394);e.exports=function(e){if("string"==typeof e||r(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7898(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const r=n(6893),o=new Set(r.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},i=r.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[n]=t.split("-");return e[n]||(e[n]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return o.has(t)?t:i[t]??a[t]??null}},8156(e,t,n){var r=n(7422);e.exports=function(e,t,n){var o=null==e?void 0:r(e,t);return void 0===o?n:o}},8223(e,t,n){var r=n(6110)(n(9325),"Map");e.exports=r},8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},8348(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.refresh=async e=>{if(!1===await a("refresh",e))throw new o.BridgeAPIError("this resource's view is not refreshable.")}},8350(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),n(1635).__exportStar(n(9332),t)},8392(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const r=n(5264),o=n(7766),a=(0,r.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new o.BridgeAPIError('"id" must be defined in flag options');const n=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await n,a("closeFlag",{id:e.id}))}}},8466(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const r=n(5264),o=n(7766),a=n(9939),i=(0,r.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:n,payload:r,error:a}=null!==(t=await i("invoke",e))&&void 0!==t?t:{},c={...n?r:a};if(c&&c.headers)for(const e in c.headers)Array.isArray(c.headers[e])&&(c.headers[e]=c.headers[e].join(","));return c},500,25e3,"Remote invocation calls are rate limited at 500req/25s")},8482(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const r=(0,n(5264).getCallBridge)();t.events={emit:(e,t)=>r("emit",{event:e,payload:t}),on:(e,t)=>r("on",{event:e,callback:t})}},8548(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=n(8392);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})},8586(e,t,n){var r=n(6449),o=n(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,i=/^\w*$/;e.exports=function(e,t){if(r(e))return!1;var n=typeof e;return!("number"!=n&&"symbol"!=n&&"boolean"!=n&&null!=e&&!o(e))||i.test(e)||!a.test(e)||null!=t&&e in Object(t)}},8655(e,t,n){var r=n(6025);e.exports=function(e){return r(this.__data__,e)>-1}},9325(e,t,n){var r=n(4840),o="object"==typeof self&&self&&self.Object===Object&&self,a=r||o||Function("return this")();e.exports=a},9332(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const r=n(5264),o=n(7766),a=n(9939),i=(0,r.getCallBridge)();t.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new o.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),i("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9939(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const r=n(7766);t.withRateLimiter=(e,t,n,o)=>{let a=Date.now(),i=0;return async(...c)=>{const s=Date.now();if(s-a>n&&(a=s,i=0),i>=t)throw new r.BridgeAPIError(o||"Too many invocations.");return i+=1,e(...c)}}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const n=e=>{const t=new Set,n=(e,r)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const o=[...r,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:o,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>n(e,o)):n(t,o)}));return n(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const r=new Set;for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=n(o[0]);for(const{key:t}of e)r.add(t)}return r.size>0?Array.from(r):[]},t.extractI18nPropertiesFromModules=e=>{const r=[];for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=n(o[0]);for(const t of e)r.push({moduleName:o[1],...t})}return r}}},t={};function n(r){var o=t[r];if(void 0!==o)return o.exports;var a=t[r]={exports:{}};return e[r](a,a.exports,n),a.exports}n.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return n.d(t,{a:t}),t},n.d=(e,t)=>{for(var r in t)n.o(t,r)&&!n.o(e,r)&&Object.defineProperty(e,r,{enumerable:!0,get:t[r]})},n.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n.r=e=>{"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},(()=>{"use strict";var e=n(2321);function t(e){return t="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},t(e)}function r(){var e,t,n="function"==typeof Symbol?Symbol:{},a=n.iterator||"@@iterator",i=n.toStringTag||"@@toStringTag";function c(n,r,a,i){var c=r&&r.prototype instanceof u?r:u,l=Object.create(c.prototype);return o(l,"_invoke",function(n,r,o){var a,i,c,u=0,l=o||[],d=!1,p={p:0,n:0,v:e,a:f,f:f.bind(e,4),d:function(t,n){return a=t,i=0,c=e,p.n=n,s}};function f(n,r){for(i=n,c=r,t=0;!d&&u&&!o&&t<l.length;t++){var o,a=l[t],f=p.p,m=a[2];n>3?(o=m===r)&&(c=a[(i=a[4])?5:(i=3,3)],a[4]=a[5]=e):a[0]<=f&&((o=n<2&&f<a[1])?(i=0,p.v=r,p.n=a[1]):f<m&&(o=n<3||a[0]>r||r>m)&&(a[4]=n,a[5]=r,p.n=m,i=0))}if(o||n>1)return s;throw d=!0,r}return function(o,l,m){if(u>1)throw TypeError("Generator is already running");for(d&&1===l&&f(l,m),i=l,c=m;(t=i<2?e:c)||!d;){a||(i?i<3?(i>1&&(p.n=-1),f(i,c)):p.n=c:p.v=c);try{if(u=2,a){if(i||(o="next"),t=a[o]){if(!(t=t.call(a,c)))throw TypeError("iterator result is not an object");if(!t.done)return t;c=t.value,i<2&&(i=0)}else 1===i&&(t=a.return)&&t.call(a),i<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),i=1);a=e}else if((t=(d=p.n<0)?c:n.call(r,p))!==s)break}catch(t){a=e,i=1,c=t}finally{u=1}}return{value:t,done:d}}}(n,a,i),!0),l}var s={};function u(){}function l(){}function d(){}t=Object.getPrototypeOf;var p=[][a]?t(t([][a]())):(o(t={},a,function(){return this}),t),f=d.prototype=u.prototype=Object.create(p);function m(e){return Object.setPrototypeOf?Object.setPrototypeOf(e,d):(e.__proto__=d,o(e,i,"GeneratorFunction")),e.prototype=Object.create(f),e}return l.prototype=d,o(f,"constructor",d),o(d,"constructor",l),l.displayName="GeneratorFunction",o(d,i,"GeneratorFunction"),o(f),o(f,i,"Generator"),o(f,a,function(){return this}),o(f,"toString",function(){return"[object Generator]"}),(r=function(){return{w:c,m}})()}function o(e,t,n,r){var a=Object.defineProperty;try{a({},"",{})}catch(e){a=0}o=function(e,t,n,r){function i(t,n){o(e,t,function(e){return this._invoke(t,n,e)})}t?a?a(e,t,{value:n,enumerable:!r,configurable:!r,writable:!r}):e[t]=n:(i("next",0),i("throw",1),i("return",2))},o(e,t,n,r)}function a(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function i(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?a(Object(n),!0).forEach(function(t){c(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):a(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function c(e,n,r){return(n=function(e){var n=function(e){if("object"!=t(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,"string");if("object"!=t(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}(e);return"symbol"==t(n)?n:n+""}(n))in e?Object.defineProperty(e,n,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[n]=r,e}function s(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,a,i,c=[],s=!0,u=!1;try{if(a=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;s=!1}else for(;!(s=(r=a.call(n)).done)&&(c.push(r.value),c.length!==t);s=!0);}catch(e){u=!0,o=e}finally{try{if(!s&&null!=n.return&&(i=n.return(),Object(i)!==i))return}finally{if(u)throw o}}return c}}(e,t)||l(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function u(e){return function(e){if(Array.isArray(e))return d(e)}(e)||function(e){if("undefined"!=typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||l(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function l(e,t){if(e){if("string"==typeof e)return d(e,t);var n={}.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?d(e,t):void 0}}function d(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=Array(t);n<t;n++)r[n]=e[n];return r}function p(e,t,n,r,o,a,i){try{var c=e[a](i),s=c.value}catch(e){return void n(e)}c.done?t(s):Promise.resolve(s).then(r,o)}function f(e){return function(){var t=this,n=arguments;return new Promise(function(r,o){var a=e.apply(t,n);function i(e){p(a,r,o,i,c,"next",e)}function c(e){p(a,r,o,i,c,"throw",e)}i(void 0)})}}var m=[],v={beforeMinutes:0,afterMinutes:0},g={code:"USD",locale:"en-US"},y=[],h=[{typeId:"ad-hoc",label:"Ad-hoc",color:"#97A0AF"}],b=[],w=null,_={},E={dateRange:"last-30-days"},I=[],k="week",j=null,x=[],O=[],M=null,S=[],B=[],T=120;function L(){return C.apply(this,arguments)}function C(){return(C=f(r().m(function e(){var t;return r().w(function(e){for(;;)switch(e.p=e.n){case 0:return console.log("Dashboard initializing..."),e.p=1,e.n=2,P();case 2:return e.n=3,D();case 3:return e.n=4,R();case 4:return e.n=5,H();case 5:return e.n=6,Y();case 6:return e.n=7,se();case 7:return e.n=8,ae();case 8:return e.n=9,fe();case 9:return e.n=10,Pe();case 10:return e.n=11,he();case 11:return e.n=12,je();case 12:De(),et(),console.log("Dashboard ready"),e.n=14;break;case 13:e.p=13,t=e.v,console.error("Error initializing dashboard:",t),et();case 14:return e.a(2)}},e,null,[[1,13]])}))).apply(this,arguments)}function P(){return A.apply(this,arguments)}function A(){return(A=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getConfig");case 1:n=t.v,console.log("getConfig:",n),n&&n.success&&n.settings&&(g={code:n.settings.currency||"USD",locale:n.settings.locale||"en-US"}),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadCurrency error:",o);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function D(){return F.apply(this,arguments)}function F(){return(F=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getRoleRates");case 1:n=t.v,console.log("getRoleRates:",n),n&&n.success&&(m=n.rates||[],v=n.contextSwitch||v,Ge()),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadRoleRates error:",o),m=[{roleId:"engineer",roleName:"Engineer",hourlyRate:75},{roleId:"senior",roleName:"Senior Engineer",hourlyRate:100},{roleId:"pm",roleName:"Product Manager",hourlyRate:90}],Ge();case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function R(){return N.apply(this,arguments)}function N(){return(N=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getTeams");case 1:n=t.v,console.log("getTeams:",n),y=n&&n.success&&n.teams||[],t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadTeams error:",o),y=[];case 3:z(),K("meeting-teams"),K("series-teams");case 4:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function H(){return U.apply(this,arguments)}function U(){return(U=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getMeetingTypes");case 1:n=t.v,console.log("getMeetingTypes:",n),n&&n.meetingTypes&&n.meetingTypes.length>0&&(h=n.meetingTypes),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadMeetingTypes error:",o);case 3:q("meetingType","ad-hoc"),q("series-type","team-sync"),q("sim-type","standup");case 4:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function q(e,t){var n=h.some(function(e){return e.typeId===t})?t:"ad-hoc";document.getElementById(e).innerHTML=h.map(function(e){return'<option value="'.concat(e.typeId,'" ').concat(e.typeId===n?"selected":"",">").concat(e.label).concat(e.timeboxMinutes?" (".concat(e.timeboxMinutes," min)"):"","</option>")}).join("")}function z(){var e=document.getElementById("scope-select"),t=u(new Set(y.flatMap(function(e){return e.projectKeys}))).sort(),n='<option value="">All teams</option>';y.length>0&&(n+='<optgroup label="Teams">'.concat(y.map(function(e){return'<option value="team:'.concat(e.teamId,'">').concat(e.name,"</option>")}).join(""),"</optgroup>")),t.length>0&&(n+='<optgroup label="Projects">'.concat(t.map(function(e){return'<option value="project:'.concat(e,'">').concat(e,"</option>")}).join(""),"</optgroup>")),e.innerHTML=n}function K(e){var t=document.getElementById(e);0!==y.length?(t.innerHTML=y.map(function(e){return'<label class="role-checkbox"><input type="checkbox" value="'.concat(e.teamId,'">').concat(e.name,"</label>")}).join(""),t.querySelectorAll("input").forEach(function(e){e.addEventListener("change",function(){return e.parentElement.classList.toggle("selected",e.checked)})})):t.innerHTML='<p class="form-hint">No teams configured. Add them in MeetingROI settings.</p>'}function G(e,t){document.querySelectorAll("#".concat(e," input")).forEach(function(e){e.checked=e.value===_.teamId,e.parentElement.classList.toggle("selected",e.checked)}),document.getElementById(t).value=_.projectKey||""}function $(e,t){return{teamIds:Array.from(document.querySelectorAll("#".concat(e," input:checked"))).map(function(e){return e.value}),projectKeys:document.getElementById(t).value.split(",").map(function(e){return e.trim()}).filter(Boolean)}}function V(){return{teamIds:_.teamId?[_.teamId]:[],projectKeys:_.projectKey?[_.projectKey]:[]}}function W(e){var t=(e.teamIds||[]).map(function(e){return(y.find(function(t){return t.teamId===e})||{}).name}).filter(Boolean),n=[].concat(u(t),u(e.projectKeys||[]),u(e.issueKeys||[]));return n.length>0?" · "+n.join(", "):""}function Y(){return J.apply(this,arguments)}function J(){return(J=f(r().m(function t(){var n,o,a;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getDashboardStats",i(i({},E),{},{groupBy:k},_));case 1:n=t.v,console.log("getDashboardStats:",n),n&&n.success&&n.stats?(o=n.stats,document.getElementById("monthly-cost").textContent=Je(o.totalCost||0),document.getElementById("cost-split").textContent="".concat(Je(o.directCost)," direct · ").concat(Je(o.hiddenCost)," hidden"),document.getElementById("meeting-hours").textContent=(o.totalHours||0).toFixed(1)+"h",document.getElementById("meeting-count").textContent=o.meetingCount||0,document.getElementById("cost-per-hour").textContent=Je(o.totalHours>0?o.totalCost/o.totalHours:0),X(o.period,o.comparison),I=o.trends||[],ee(),ce(o.costByType||{}),oe(o.budget)):n&&n.error&&(document.getElementById("period-label").textContent=n.error),t.n=3;break;case 2:t.p=2,a=t.v,console.error("loadDashboardStats error:",a);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}var Z={totalCost:"total-cost-change",totalHours:"total-hours-change",meetingCount:"meeting-count-change",costPerHour:"cost-per-hour-change"};function X(e,t){document.getElementById("period-label").textContent=e?"".concat(Qe(e.startDate)," – ").concat(Qe(e.endDate),", compared with ").concat(Qe(e.previous.startDate)," – ").concat(Qe(e.previous.endDate)):"";var n=t&&t.changes||{};Object.entries(Z).forEach(function(e){var t=s(e,2),r=t[0],o=t[1],a=document.getElementById(o),i=n[r];a.classList.toggle("up",i>0),a.classList.toggle("down",i<0),a.textContent=null==i?"No previous period data":"".concat(i>0?"▲":i<0?"▼":"■"," ").concat(Math.abs(i).toFixed(1),"% vs previous period")})}var Q={width:600,left:56,right:8,top:10,bottom:196};function ee(){var e=document.getElementById("trend-chart"),t=document.getElementById("trend-legend"),n=document.getElementById("trend-metric").value,r=document.getElementById("trend-stack").checked,o=function(e){return"totalCost"===n?Je(e):e.toFixed(1)+"h"};if(I.every(function(e){return 0===e.meetingCount}))return e.innerHTML='<text x="300" y="110" text-anchor="middle">No meetings in this period</text>',void(t.innerHTML="");var a=Math.max.apply(Math,u(I.map(function(e){return e[n]})))||1,i=(Q.width-Q.left-Q.right)/I.length,c=Math.max(1,.7*i),s=function(e){return Q.bottom-e/a*(Q.bottom-Q.top)},l=Math.ceil(I.length/12),d=I.map(function(e,t){var a=Q.left+t*i+(i-c)/2,u="";if(r){var d=0;u=te(Object.keys(e.costByType||{})).map(function(t){var r,o=(r=e.costByType[t],"totalCost"===n?r.cost:r.hours),i='<rect x="'.concat(a,'" y="').concat(s(d+o),'" width="').concat(c,'" height="').concat(s(d)-s(d+o),'" fill="').concat(Xe(t),'" />');return d+=o,i}).join("")}else u='<rect class="bar" x="'.concat(a,'" y="').concat(s(e[n]),'" width="').concat(c,'" height="').concat(Q.bottom-s(e[n]),'" />');var p=t%l===0?'<text x="'.concat(a+c/2,'" y="').concat(Q.bottom+16,'" text-anchor="middle">').concat(ne(e),"</text>"):"",f=j&&j.startDate===e.startDate?" selected":"";return'<g class="trend-bar'.concat(f,'" data-index="').concat(t,'"><title>').concat(ne(e),": ").concat(o(e[n])).concat("totalCost"===n?Ye(e):""," · ").concat(e.meetingCount,' meetings</title><rect class="hit" x="').concat(Q.left+t*i,'" y="').concat(Q.top,'" width="').concat(i,'" height="').concat(Q.bottom-Q.top,'" />').concat(u).concat(p,"</g>")}).join("");e.innerHTML='<line class="axis" x1="'.concat(Q.left,'" y1="').concat(Q.bottom,'" x2="').concat(Q.width-Q.right,'" y2="').concat(Q.bottom,'" />')+'<text x="'.concat(Q.left-6,'" y="').concat(Q.top+4,'" text-anchor="end">').concat(o(a),"</text>")+'<text x="'.concat(Q.left-6,'" y="').concat(Q.bottom,'" text-anchor="end">').concat(o(0),"</text>")+d,e.classList.toggle("has-selection",Boolean(j)),e.querySelectorAll(".trend-bar").forEach(function(e){e.addEventListener("click",function(){return function(e){return re.apply(this,arguments)}(I[e.dataset.index])})});var p=te(u(new Set(I.flatMap(function(e){return Object.keys(e.costByType||{})}))));t.innerHTML=r?p.map(function(e){return'<span style="--swatch:'.concat(Xe(e),'">').concat(Ze(e),"</span>")}).join(""):""}function te(e){var t=function(e){var t=h.findIndex(function(t){return t.typeId===e});return-1===t?h.length:t};return u(e).sort(function(e,n){return t(e)-t(n)})}function ne(e){switch(k){case"day":return Qe(e.startDate);case"week":return"W".concat(e.period.split("-W")[1]);case"month":return new Date("".concat(e.startDate,"T00:00:00Z")).toLocaleDateString("en-US",{month:"short",year:"2-digit",timeZone:"UTC"});default:return e.label}}function re(){return(re=f(r().m(function e(t){return r().w(function(e){for(;;)switch(e.n){case 0:return j=j&&j.startDate===t.startDate?null:{startDate:t.startDate,endDate:t.endDate,label:ne(t)},ee(),e.n=1,Pe();case 1:return e.a(2)}},e)}))).apply(this,arguments)}function oe(e){var t=document.getElementById("budget-section");if(e){var n=e.percentUsed>=100,r=e.crossedThresholds.length>0;document.getElementById("budget-period").textContent="".concat(e.teamName," · ").concat(e.periodKey),document.getElementById("budget-percent").textContent="".concat(e.percentUsed.toFixed(0),"% used");var o=document.getElementById("budget-fill");o.style.width="".concat(Math.min(100,e.percentUsed),"%"),o.style.background=n?"var(--danger)":r?"var(--warning)":"var(--success)",document.getElementById("budget-summary").textContent="".concat(Je(e.spent)," of ").concat(Je(e.amount)," spent · ").concat(Je(e.remaining)," left · on track for ").concat(Je(e.projectedSpend)," by ").concat(Qe(e.endDate));var a=Math.round((new Date(e.endDate)-new Date(e.startDate))/864e5)+1,i=Math.min.apply(Math,[0].concat(u(e.burnDown.map(function(e){return e.remaining})))),c=function(e){return e/a*300},s=function(t){return 80-(t-i)/(e.amount-i)*76-2},l=["".concat(c(0),",").concat(s(e.amount))].concat(u(e.burnDown.map(function(e,t){return"".concat(c(t+1),",").concat(s(e.remaining))}))).join(" ");document.getElementById("budget-burndown").innerHTML='<line class="zero" x1="0" y1="'.concat(s(0),'" x2="300" y2="').concat(s(0),'" />')+'<line class="ideal" x1="0" y1="'.concat(s(e.amount),'" x2="300" y2="').concat(s(0),'" />')+'<polyline class="actual" fill="none" stroke-width="2" points="'.concat(l,'" />'),t.classList.remove("hidden")}else t.classList.add("hidden")}function ae(){return ie.apply(this,arguments)}function ie(){return(ie=f(r().m(function t(){var n,o,a,i;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return n=document.getElementById("alerts-section"),t.p=1,t.n=2,(0,e.invoke)("getBudgetAlerts",{teamId:_.teamId,days:31});case 2:if(o=t.v,console.log("getBudgetAlerts:",o),0!==(a=o&&o.alerts||[]).length){t.n=3;break}return n.classList.add("hidden"),t.a(2);case 3:document.getElementById("alerts-list").innerHTML=a.slice(0,5).map(function(e){return"<li><strong>".concat(e.teamName,"</strong> crossed ").concat(e.threshold,"% of its ").concat(e.periodKey," budget (").concat(Je(e.spent)," of ").concat(Je(e.amount),") · ").concat(Qe(e.triggeredAt),"</li>")}).join(""),n.classList.remove("hidden"),t.n=5;break;case 4:t.p=4,i=t.v,console.error("loadBudgetAlerts error:",i),n.classList.add("hidden");case 5:return t.a(2)}},t,null,[[1,4]])}))).apply(this,arguments)}function ce(e){var t=document.getElementById("type-bars");if(e&&0!==Object.keys(e).length){var n=Math.max.apply(Math,u(Object.values(e).map(function(e){return e.cost||0})));t.innerHTML=Object.entries(e).sort(function(e,t){return t[1].cost-e[1].cost}).map(function(e){var t=s(e,2),r=t[0],o=t[1],a=n>0?o.cost/n*100:0;return'<div class="type-bar-item"><div class="type-bar-label"><span class="type-name">'.concat(Ze(r),'</span><span class="type-cost">').concat(Je(o.cost),'</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:').concat(a,"%;background:").concat(Xe(r),'"></div></div><div class="type-bar-meta">').concat(o.count," meetings · ").concat(o.hours.toFixed(1),"h</div></div>")}).join("")}else t.innerHTML='<p class="empty-state">No data yet</p>'}function se(){return ue.apply(this,arguments)}function ue(){return(ue=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getFocusTimeStats",i(i(i({},E),_),{},{minFocusMinutes:T}));case 1:n=t.v,console.log("getFocusTimeStats:",n),n&&n.success&&(de(n.focus.summary,n.heatmap),pe(n.heatmap)),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadFocusTime error:",o);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function le(e){return"".concat((e/60).toFixed(1),"h")}function de(e,t){document.getElementById("focus-summary").innerHTML='<div class="sim-totals">'+'<div><span class="metric-value">'.concat(le(e.avgFocusMinutes),'</span><span class="metric-label">Focus / Day</span></div>')+'<div><span class="metric-value">'.concat(le(e.avgFragmentedMinutes),'</span><span class="metric-label">Fragmented / Day</span></div>')+'<div><span class="metric-value">'.concat(e.daysWithoutFocus," of ").concat(e.workingDays,'</span><span class="metric-label">Days Without Focus</span></div>')+'<div><span class="metric-value">'.concat(t.morningShare.toFixed(0),'%</span><span class="metric-label">Cost Before Noon</span></div>')+"</div>"+'<p class="type-bar-meta">Workdays '.concat(e.workday.start,"–").concat(e.workday.end,". Gaps of ").concat(e.minFocusMinutes," minutes or more between meetings count as focus time; shorter gaps are fragmented.</p>"),document.getElementById("focus-note").textContent=e.untimedMeetings>0?"".concat(e.untimedMeetings," meeting").concat(1===e.untimedMeetings?"":"s"," (").concat(Je(t.untimedCost),") have no start time and are left out. Add one when logging or editing a meeting."):""}function pe(e){var t=document.getElementById("cost-heatmap");if(0===e.timedCost)return t.style.gridTemplateColumns="",void(t.innerHTML='<p class="empty-state">No timed meetings in this period.</p>');var n=e.byHour.map(function(e,t){return e>0?t:null}).filter(function(e){return null!==e}),r=Math.min.apply(Math,[8].concat(u(n))),o=Math.max.apply(Math,[17].concat(u(n))),a=Array.from({length:o-r+1},function(e,t){return r+t}),i=Math.max.apply(Math,u(e.cost.map(function(e){return Math.max.apply(Math,u(e))})));t.style.gridTemplateColumns="32px repeat(".concat(a.length,", 1fr)"),t.innerHTML="<span></span>"+a.map(function(e){return'<span class="heatmap-label">'.concat(e,"</span>")}).join("")+e.weekdays.map(function(t,n){return'<span class="heatmap-label">'.concat(t,"</span>")+a.map(function(r){var o=e.cost[n][r];return o>0?'<div class="heatmap-cell" style="opacity:'.concat((.15+.85*o/i).toFixed(2),'" title="').concat(t," ").concat(String(r).padStart(2,"0"),":00 · ").concat(Je(o),'"></div>'):'<div class="heatmap-cell empty"></div>'}).join("")}).join("")}function fe(){return me.apply(this,arguments)}function me(){return(me=f(r().m(function t(){var n,o,a;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getMeetingSeries",_);case 1:n=t.v,console.log("getMeetingSeries:",n),o=document.getElementById("series-list"),x=n&&n.success&&n.series||[],document.getElementById("sim-series").innerHTML=x.length>0?x.map(function(e){return'<option value="'.concat(e.id,'">').concat(e.title,"</option>")}).join(""):'<option value="">No recurring series</option>',n&&n.success&&n.series&&n.series.length>0?(o.innerHTML=n.series.map(function(e){return'<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">'.concat(Ze(e.meetingType),'</span><div><div class="meeting-title">').concat(e.title,'</div><div class="meeting-meta">').concat(e.description).concat(e.startTime?" at ".concat(e.startTime):""," · ").concat(e.durationMinutes," min · ").concat(Je(e.costPerOccurrence)," each").concat(W(e),'</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">').concat(Je(e.annualizedCost),'/yr</span><span class="meeting-meta">').concat(e.occurrencesPerYear," meetings · ").concat(e.annualizedHours.toFixed(0),"h").concat(Ye({directCost:e.annualizedDirectCost,hiddenCost:e.annualizedHiddenCost}),'</span></div><button class="btn-link" data-skip="').concat(e.id,'">Skip date</button><button class="btn-danger" data-series="').concat(e.id,'">🗑️</button></div></div>')}).join(""),o.querySelectorAll("[data-skip]").forEach(function(t){t.addEventListener("click",f(r().m(function n(){var o,a;return r().w(function(n){for(;;)switch(n.n){case 0:if(o=prompt("Skip which occurrence? (YYYY-MM-DD)")){n.n=1;break}return n.a(2);case 1:return n.n=2,(0,e.invoke)("updateSeriesOccurrence",{seriesId:t.dataset.skip,date:o,status:"skipped"});case 2:if(!(a=n.v)||!a.success){n.n=4;break}return n.n=3,ve();case 3:n.n=5;break;case 4:alert("Failed to skip: "+(a?a.error:"Unknown error"));case 5:return n.a(2)}},n)})))}),o.querySelectorAll("[data-series]").forEach(function(t){t.addEventListener("click",f(r().m(function n(){return r().w(function(n){for(;;)switch(n.n){case 0:if(!confirm("Stop this series? Meetings that already happened are kept.")){n.n=2;break}return n.n=1,(0,e.invoke)("deleteMeetingSeries",{seriesId:t.dataset.series});case 1:return n.n=2,fe();case 2:return n.a(2)}},n)})))})):o.innerHTML='<p class="empty-state">No recurring series yet.</p>',t.n=3;break;case 2:t.p=2,a=t.v,console.error("loadSeries error:",a);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function ve(){return ge.apply(this,arguments)}function ge(){return(ge=f(r().m(function e(){return r().w(function(e){for(;;)switch(e.n){case 0:return e.n=1,Y();case 1:return e.n=2,se();case 2:return e.n=3,ae();case 3:return e.n=4,fe();case 4:return e.n=5,Pe();case 5:return e.n=6,he();case 6:return e.n=7,Te();case 7:return e.a(2)}},e)}))).apply(this,arguments)}var ye={new:[["accepted","Accept"],["dismissed","Dismiss"]],accepted:[["done","Mark done"],["new","Undo"]],dismissed:[["new","Restore"]],done:[["new","Reopen"]]};function he(){return be.apply(this,arguments)}function be(){return(be=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getSuggestions",_);case 1:n=t.v,console.log("getSuggestions:",n),n&&n.success?(B=n.suggestions,we(),_e(n.tracked,n.realized)):document.getElementById("suggestions-list").innerHTML='<p class="empty-state">'.concat(n&&n.error||"Failed to load suggestions","</p>"),t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadSuggestions error:",o);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function we(){var e=document.getElementById("suggestions-list"),t=document.getElementById("show-dismissed").checked,n=B.filter(function(e){return t||"dismissed"!==e.status});0!==n.length?(e.innerHTML=n.map(function(e){return'<div class="meeting-item"><div class="meeting-info"><span class="priority-badge '.concat(e.priority,'">').concat(e.priority,'</span><div><div class="meeting-title">').concat(e.title,'</div><div class="meeting-meta">').concat(e.description,"</div>").concat("new"===e.status?"":'<div class="suggestion-status">'.concat("accepted"===e.status?"Accepted ".concat(Qe(e.acceptedOn)):"done"===e.status?"Done":"Dismissed","</div>"),'</div></div><div class="meeting-actions"><span class="meeting-cost">').concat(Je(e.potentialSavings),"/mo</span>").concat(ye[e.status].map(function(t){var n=s(t,2),r=n[0],o=n[1];return'<button class="btn-link" data-suggestion="'.concat(e.id,'" data-status="').concat(r,'">').concat(o,"</button>")}).join(""),"</div></div>")}).join(""),e.querySelectorAll("[data-suggestion]").forEach(function(e){e.addEventListener("click",function(){return Ee(e.dataset.suggestion,e.dataset.status)})})):e.innerHTML='<p class="empty-state">No suggestions for the last 30 days.</p>'}function _e(e,t){var n=document.getElementById("realized-section");if(0!==e.length){document.getElementById("realized-summary").innerHTML='<div class="sim-totals">'+'<div><span class="metric-value">'.concat(Je(t.realized),'</span><span class="metric-label">Saved / Month</span></div>')+'<div><span class="metric-value">'.concat(Je(t.promised),'</span><span class="metric-label">Promised / Month</span></div>')+'<div><span class="metric-value">'.concat(t.measured," of ").concat(t.tracking,'</span><span class="metric-label">Measured</span></div>')+'</div><p class="type-bar-meta">The cost of the meetings each suggestion targets, in the 30 days before it was accepted against the days since. Suggestions are measured after a week.</p>';var r=document.getElementById("tracked-list");r.innerHTML=e.map(function(e){var t=e.realized,n=t.measured?"".concat(Je(t.beforeMonthlyCost),"/mo before · ").concat(Je(t.afterMonthlyCost),"/mo over ").concat(t.measuredDays," days ").concat(t.final?"after (final)":"since"):"Measuring · ".concat(t.measuredDays," of 7 days so far");return'<div class="meeting-item"><div class="meeting-info"><div><div class="meeting-title">'.concat(e.title,'</div><div class="meeting-meta">').concat("done"===e.status?"Done":"Accepted"," ").concat(Qe(e.acceptedOn)," · ").concat(n,'</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">').concat(t.measured?Je(t.realizedSavings):"–",'/mo</span><span class="meeting-meta">of ').concat(Je(e.potentialSavings),"/mo promised</span></div>").concat(ye[e.status].map(function(t){var n=s(t,2),r=n[0],o=n[1];return'<button class="btn-link" data-tracked="'.concat(e.id,'" data-status="').concat(r,'">').concat(o,"</button>")}).join(""),"</div></div>")}).join(""),r.querySelectorAll("[data-tracked]").forEach(function(e){e.addEventListener("click",function(){return Ee(e.dataset.tracked,e.dataset.status)})}),n.classList.remove("hidden")}else n.classList.add("hidden")}function Ee(e,t){return Ie.apply(this,arguments)}function Ie(){return(Ie=f(r().m(function t(n,o){var a;return r().w(function(t){for(;;)switch(t.n){case 0:return t.n=1,(0,e.invoke)("updateSuggestionStatus",i(i({},_),{},{suggestionId:n,status:o}));case 1:if(a=t.v,console.log("updateSuggestionStatus:",a),!a||!a.success){t.n=3;break}return t.n=2,he();case 2:t.n=4;break;case 3:alert("Failed to update suggestion: "+(a?a.error:"Unknown error"));case 4:return t.a(2)}},t)}))).apply(this,arguments)}var ke={"cap-duration":["sim-type-group","sim-minutes-group"],"remove-role":["sim-type-group","sim-role-group"],"cancel-series":["sim-series-group"],"go-async":["sim-type-group"]};function je(){return xe.apply(this,arguments)}function xe(){return(xe=f(r().m(function e(){var t;return r().w(function(e){for(;;)switch(e.n){case 0:return t=u(new Map(m.map(function(e){return[e.roleId,e]})).values()),document.getElementById("sim-role").innerHTML=t.map(function(e){return'<option value="'.concat(e.roleId,'">').concat(e.roleName,"</option>")}).join(""),e.n=1,Oe();case 1:return e.a(2)}},e)}))).apply(this,arguments)}function Oe(){return Me.apply(this,arguments)}function Me(){return(Me=f(r().m(function t(){var n,o;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,t.n=1,(0,e.invoke)("getScenarios");case 1:n=t.v,console.log("getScenarios:",n),S=n&&n.success&&n.scenarios||[],t.n=3;break;case 2:t.p=2,o=t.v,console.error("loadScenarios error:",o),S=[];case 3:document.getElementById("sim-scenario").innerHTML='<option value="">New scenario</option>'+S.map(function(e){return'<option value="'.concat(e.id,'" ').concat(e.id===M?"selected":"",">").concat(e.name,"</option>")}).join("");case 4:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function Se(){var e=ke[document.getElementById("sim-kind").value];Object.values(ke).flat().forEach(function(t){document.getElementById(t).classList.toggle("hidden",!e.includes(t))})}function Be(){var e=document.getElementById("sim-kind").value,t={kind:e};return ke[e].includes("sim-type-group")&&(t.meetingType=document.getElementById("sim-type").value),"cap-duration"===e&&(t.maxMinutes=parseInt(document.getElementById("sim-minutes").value)),"remove-role"===e&&(t.roleId=document.getElementById("sim-role").value),"cancel-series"===e&&(t.seriesId=document.getElementById("sim-series").value),t}function Te(){return Le.apply(this,arguments)}function Le(){return(Le=f(r().m(function t(){var n,o,a,c,s,u,l;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:if(n=document.getElementById("sim-changes"),o=document.getElementById("sim-results"),0!==O.length){t.n=1;break}return n.innerHTML='<p class="empty-state">Add changes to see what they would save.</p>',o.classList.add("hidden"),t.a(2,null);case 1:return t.p=1,t.n=2,(0,e.invoke)("simulateSavings",i({changes:O},_));case 2:a=t.v,console.log("simulateSavings:",a),t.n=4;break;case 3:t.p=3,l=t.v,console.error("runSimulation error:",l);case 4:return c=a&&a.success?null:a&&a.error||"Simulation failed",s=c?O.map(function(e){return{description:e.kind}}):a.changes,n.innerHTML=s.map(function(e,t){return'<div class="meeting-item"><div class="meeting-info"><div><div class="meeting-title">'.concat(e.description,"</div>").concat(c?"":'<div class="meeting-meta">'.concat(e.meetingsAffected," meetings affected · ").concat(e.monthlyHoursReturned.toFixed(1),"h/month returned</div>"),'</div></div><div class="meeting-actions">').concat(c?"":'<span class="meeting-cost">'.concat(Je(e.monthlySavings),"/mo</span>"),'<button class="btn-danger" data-sim-remove="').concat(t,'">✕</button></div></div>')}).join(""),n.querySelectorAll("[data-sim-remove]").forEach(function(e){e.addEventListener("click",f(r().m(function t(){return r().w(function(t){for(;;)switch(t.n){case 0:return O.splice(parseInt(e.dataset.simRemove),1),t.n=1,Te();case 1:return t.a(2)}},t)})))}),c?o.innerHTML='<p class="report-error">'.concat(c,"</p>"):(u=a.savings,o.innerHTML='<div class="sim-totals">'+'<div><span class="metric-value">'.concat(Je(u.monthly),'</span><span class="metric-label">Per Month</span></div>')+'<div><span class="metric-value">'.concat(Je(u.annual),'</span><span class="metric-label">Per Year</span></div>')+'<div><span class="metric-value">'.concat(u.monthlyHours.toFixed(1),'h</span><span class="metric-label">Team Hours Back / Month</span></div>')+'<div><span class="metric-value">'.concat(u.percent.toFixed(0),'%</span><span class="metric-label">Of Meeting Spend</span></div>')+"</div>"+'<p class="type-bar-meta">Projected from '.concat(a.baseline.meetingCount," meetings between ").concat(Qe(a.sample.startDate)," and ").concat(Qe(a.sample.endDate)).concat(a.scope?" for ".concat(a.scope):"",", at the rates in effect on each meeting's date.</p>")),o.classList.remove("hidden"),t.a(2,c)}},t,null,[[1,3]])}))).apply(this,arguments)}function Ce(e){M=e?e.id:null,O=e?e.changes.map(function(e){return i({},e)}):[],document.getElementById("sim-name").value=e?e.name:"",document.getElementById("sim-scenario").value=M||""}function Pe(){return Ae.apply(this,arguments)}function Ae(){return(Ae=f(r().m(function t(){var n,o,a,c,s;return r().w(function(t){for(;;)switch(t.p=t.n){case 0:return t.p=0,n=j?{limit:100,startDate:j.startDate,endDate:j.endDate}:{limit:10},t.n=1,(0,e.invoke)("getMeetings",i(i({},n),_));case 1:o=t.v,console.log("getMeetings:",o),a=document.getElementById("meetings-list"),document.getElementById("drill-filter").classList.toggle("hidden",!j),j&&(c=j.startDate===j.endDate?Qe(j.startDate):"".concat(Qe(j.startDate)," – ").concat(Qe(j.endDate)),document.getElementById("drill-label").textContent="".concat(j.label," · ").concat(c)),o&&o.success&&o.meetings&&o.meetings.length>0?(b=o.meetings,a.innerHTML=o.meetings.map(function(e){return'<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">'.concat(Ze(e.meetingType),'</span><div><div class="meeting-title">').concat(e.title||"Untitled",'</div><div class="meeting-meta">').concat(Qe(e.date)).concat(e.startTime?" ".concat(e.startTime):""," · ").concat(e.durationMinutes," min").concat(W(e)).concat(e.updatedAt?" · edited":"",'</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">').concat(Je(e.calculatedCost),'</span><span class="meeting-meta">').concat(Ye(We(e)),'</span></div><button class="btn-link" data-edit="').concat(e.id,'">✏️</button><button class="btn-danger" data-id="').concat(e.id,'">🗑️</button></div></div>')}).join(""),a.querySelectorAll("[data-edit]").forEach(function(e){e.addEventListener("click",function(){return Fe(b.find(function(t){return t.id===e.dataset.edit}))})}),a.querySelectorAll(".btn-danger").forEach(function(t){t.addEventListener("click",f(r().m(function n(){return r().w(function(n){for(;;)switch(n.n){case 0:if(!confirm("Delete this meeting?")){n.n=3;break}return n.n=1,(0,e.invoke)("deleteMeeting",{meetingId:t.dataset.id});case 1:return n.n=2,Y();case 2:return n.n=3,Pe();case 3:return n.a(2)}},n)})))})):a.innerHTML=j?'<p class="empty-state">No meetings in this period.</p>':_.teamId||_.projectKey?'<p class="empty-state">No meetings tagged for this team or project yet.</p>':'<p class="empty-state">No meetings logged yet. Click "Log Meeting" to add one.</p>',t.n=3;break;case 2:t.p=2,s=t.v,console.error("loadRecentMeetings error:",s);case 3:return t.a(2)}},t,null,[[0,2]])}))).apply(this,arguments)}function De(){var t=document.getElementById("add-meeting-modal"),n=document.getElementById("meeting-form");document.getElementById("scope-select").addEventListener("change",function(){var e=f(r().m(function e(t){var n,o,a,i;return r().w(function(e){for(;;)switch(e.n){case 0:return n=t.target.value.split(":"),o=s(n,2),a=o[0],i=o[1],_="team"===a?{teamId:i}:"project"===a?{projectKey:i}:{},j=null,e.n=1,ve();case 1:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}()),document.getElementById("show-dismissed").addEventListener("change",we),document.getElementById("focus-min").addEventListener("change",function(){var e=f(r().m(function e(t){return r().w(function(e){for(;;)switch(e.n){case 0:return T=parseInt(t.target.value),e.n=1,se();case 1:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}());var o=document.getElementById("custom-range"),a=function(){var e=f(r().m(function e(){var t,n,a;return r().w(function(e){for(;;)switch(e.n){case 0:if(t=document.getElementById("range-select").value,o.classList.toggle("hidden","custom"!==t),"custom"!==t){e.n=2;break}if(n=document.getElementById("range-start").value,a=document.getElementById("range-end").value,n&&a){e.n=1;break}return e.a(2);case 1:E={dateRange:t,startDate:n,endDate:a},e.n=3;break;case 2:E={dateRange:t};case 3:return j=null,e.n=4,Y();case 4:return e.n=5,se();case 5:return e.n=6,Pe();case 6:return e.a(2)}},e)}));return function(){return e.apply(this,arguments)}}();["range-select","range-start","range-end"].forEach(function(e){document.getElementById(e).addEventListener("change",a)}),document.getElementById("trend-group").addEventListener("change",function(){var e=f(r().m(function e(t){return r().w(function(e){for(;;)switch(e.n){case 0:return k=t.target.value,j=null,e.n=1,Y();case 1:return e.n=2,Pe();case 2:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}()),document.getElementById("sim-kind").addEventListener("change",Se),document.getElementById("sim-add-btn").addEventListener("click",f(r().m(function e(){var t;return r().w(function(e){for(;;)switch(e.n){case 0:return O.push(Be()),e.n=1,Te();case 1:if(!(t=e.v)){e.n=3;break}return O.pop(),e.n=2,Te();case 2:alert("Cannot add this change: "+t);case 3:return e.a(2)}},e)}))),document.getElementById("sim-scenario").addEventListener("change",function(){var e=f(r().m(function e(t){return r().w(function(e){for(;;)switch(e.n){case 0:return Ce(S.find(function(e){return e.id===t.target.value})),e.n=1,Te();case 1:return e.a(2)}},e)}));return function(t){return e.apply(this,arguments)}}()),document.getElementById("sim-save-btn").addEventListener("click",f(r().m(function t(){var n;return r().w(function(t){for(;;)switch(t.n){case 0:return t.n=1,(0,e.invoke)("saveScenario",{scenario:{id:M,name:document.getElementById("sim-name").value,changes:O}});case 1:if(!(n=t.v)||!n.success){t.n=3;break}return M=n.scenario.id,t.n=2,Oe();case 2:t.n=4;break;case 3:alert("Failed to save scenario: "+(n?n.error:"Unknown error"));case 4:return t.a(2)}},t)}))),document.getElementById("sim-delete-btn").addEventListener("click",f(r().m(function t(){return r().w(function(t){for(;;)switch(t.n){case 0:if(M&&confirm("Delete this scenario?")){t.n=1;break}return t.a(2);case 1:return t.n=2,(0,e.invoke)("deleteScenario",{scenarioId:M});case 2:return Ce(null),t.n=3,Oe();case 3:return t.n=4,Te();case 4:return t.a(2)}},t)}))),document.getElementById("trend-metric").addEventListener("change",ee),document.getElementById("trend-stack").addEventListener("change",ee),document.getElementById("clear-drill").addEventListener("click",f(r().m(function e(){return r().w(function(e){for(;;)switch(e.n){case 0:return j=null,ee(),e.n=1,Pe();case 1:return e.a(2)}},e)}))),document.getElementById("add-meeting-btn").addEventListener("click",function(){return Fe(null)});var c=function(){t.classList.add("hidden"),n.reset()};document.getElementById("close-modal").addEventListener("click",c),document.getElementById("cancel-btn").addEventListener("click",c),t.querySelector(".modal-backdrop").addEventListener("click",c),n.addEventListener("change",Ve),n.addEventListener("input",Ve),n.addEventListener("submit",function(){var t=f(r().m(function t(o){var a,s,u,l,d;return r().w(function(t){for(;;)switch(t.n){case 0:return o.preventDefault(),a=new FormData(n),s=Array.from(document.querySelectorAll("#attendee-roles input:checked")).map(function(e){return e.value}),u=i({title:a.get("title"),date:a.get("date"),startTime:a.get("startTime"),durationMinutes:a.get("duration"),meetingType:a.get("meetingType"),attendeeRoles:JSON.stringify(s),attendeeCount:a.get("attendeeCount")||s.length||1,issueKeys:a.get("issueKeys").split(",").map(function(e){return e.trim()}).filter(Boolean)},$("meeting-teams","meeting-projects")),l=w?"updateMeeting":"addMeeting",w&&(u.meetingId=w),console.log("".concat(l,":"),u),t.n=1,(0,e.invoke)(l,u);case 1:if(d=t.v,console.log("".concat(l," result:"),d),!d||!d.success){t.n=3;break}return c(),t.n=2,ve();case 2:t.n=4;break;case 3:alert("Failed to save: "+(d?d.error:"Unknown error"));case 4:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}()),function(){var t=document.getElementById("add-series-modal"),n=document.getElementById("series-form"),o=document.getElementById("series-frequency"),a=function(){return t.classList.add("hidden")};document.getElementById("add-series-btn").addEventListener("click",function(){t.classList.remove("hidden"),document.getElementById("series-start").valueAsDate=new Date,G("series-teams","series-projects")}),document.getElementById("close-series-modal").addEventListener("click",a),document.getElementById("cancel-series-btn").addEventListener("click",a),t.querySelector(".modal-backdrop").addEventListener("click",a),o.addEventListener("change",function(){document.getElementById("series-rrule-group").classList.toggle("hidden","custom"!==o.value)}),n.addEventListener("submit",function(){var t=f(r().m(function t(c){var s,u,l,d;return r().w(function(t){for(;;)switch(t.n){case 0:return c.preventDefault(),s=new FormData(n),u=Array.from(document.querySelectorAll("#series-roles input:checked")).map(function(e){return e.value}),l=i({title:s.get("title"),startDate:s.get("startDate"),startTime:s.get("startTime"),durationMinutes:s.get("duration"),meetingType:s.get("meetingType"),rrule:"custom"===o.value?s.get("rrule"):o.value,attendeeRoles:JSON.stringify(u),attendeeCount:s.get("attendeeCount")||u.length||1},$("series-teams","series-projects")),console.log("Creating series:",l),t.n=1,(0,e.invoke)("createMeetingSeries",l);case 1:if(d=t.v,console.log("createMeetingSeries result:",d),!d||!d.success){t.n=3;break}return a(),n.reset(),t.n=2,ve();case 2:t.n=4;break;case 3:alert("Failed to create series: "+(d?d.error:"Unknown error"));case 4:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}())}(),function(){var t=document.getElementById("import-ics-modal"),n=document.getElementById("ics-form"),o=document.getElementById("ics-report"),a=document.getElementById("confirm-ics-btn"),c=function(){t.classList.add("hidden"),n.reset(),o.classList.add("hidden"),a.disabled=!0};document.getElementById("import-ics-btn").addEventListener("click",function(){return t.classList.remove("hidden")}),document.getElementById("close-ics-modal").addEventListener("click",c),document.getElementById("cancel-ics-btn").addEventListener("click",c),t.querySelector(".modal-backdrop").addEventListener("click",c),n.addEventListener("change",function(){a.disabled=!0});var s=function(){var e=f(r().m(function e(){var t,n,o,a;return r().w(function(e){for(;;)switch(e.n){case 0:return t=i,e.n=1,document.getElementById("ics-file").files[0].text();case 1:return n=e.v,o=document.getElementById("ics-from").value||void 0,a=document.getElementById("ics-to").value||void 0,e.a(2,t({ics:n,from:o,to:a},V()))}},e)}));return function(){return e.apply(this,arguments)}}();n.addEventListener("submit",function(){var t=f(r().m(function t(n){var i,c;return r().w(function(t){for(;;)switch(t.n){case 0:return n.preventDefault(),c=e.invoke,t.n=1,s();case 1:return t.n=2,c("previewIcsImport",t.v);case 2:i=t.v,console.log("previewIcsImport result:",i),i&&i.success?(Ke(o,i,!1),a.disabled=0===i.meetings.length):alert("Failed to read calendar: "+(i?i.error:"Unknown error"));case 3:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}()),a.addEventListener("click",f(r().m(function t(){var n,i;return r().w(function(t){for(;;)switch(t.n){case 0:return a.disabled=!0,i=e.invoke,t.n=1,s();case 1:return t.n=2,i("importIcs",t.v);case 2:if(n=t.v,console.log("importIcs result:",n),!n||!n.success){t.n=4;break}return Ke(o,n,!0),t.n=3,ve();case 3:t.n=5;break;case 4:alert("Import failed: "+(n?n.error:"Unknown error"));case 5:return t.a(2)}},t)})))}(),function(){var t=document.getElementById("import-csv-modal"),n=document.getElementById("csv-import-form"),o=document.getElementById("csv-report"),a=document.getElementById("csv-mapping"),c=document.getElementById("confirm-csv-import-btn"),s="",u=function(){t.classList.add("hidden"),n.reset(),a.innerHTML="",o.classList.add("hidden"),c.disabled=!0};document.getElementById("import-csv-btn").addEventListener("click",function(){return t.classList.remove("hidden")}),document.getElementById("close-csv-import-modal").addEventListener("click",u),document.getElementById("cancel-csv-import-btn").addEventListener("click",u),t.querySelector(".modal-backdrop").addEventListener("click",u),n.addEventListener("change",function(){c.disabled=!0}),document.getElementById("csv-file").addEventListener("change",function(){var t=f(r().m(function t(n){var o;return r().w(function(t){for(;;)switch(t.n){case 0:return t.n=1,n.target.files[0].text();case 1:return s=t.v,t.n=2,(0,e.invoke)("describeCsvImport",{csv:s});case 2:if(o=t.v,console.log("describeCsvImport result:",o),o&&o.success){t.n=3;break}return alert("Failed to read CSV: "+(o?o.error:"Unknown error")),t.a(2);case 3:a.innerHTML=o.fields.map(function(e){return'<div class="form-group"><label>'.concat(qe[e.id]).concat(e.required?" *":"",'</label><select data-field="').concat(e.id,'"><option value="">— not mapped —</option>').concat(o.headers.map(function(t){return'<option value="'.concat(t,'" ').concat(o.mapping[e.id]===t?"selected":"",">").concat(t,"</option>")}).join(""),"</select></div>")}).join("");case 4:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}());var l=function(){var e={};return a.querySelectorAll("select").forEach(function(t){t.value&&(e[t.dataset.field]=t.value)}),e};n.addEventListener("submit",function(){var t=f(r().m(function t(n){var a;return r().w(function(t){for(;;)switch(t.n){case 0:return n.preventDefault(),t.n=1,(0,e.invoke)("importMeetingsCsv",i({csv:s,mapping:l(),dryRun:!0},V()));case 1:a=t.v,console.log("importMeetingsCsv (dry run) result:",a),a&&a.success?(Ke(o,a,!1),c.disabled=0===a.meetings.length):alert("Failed to read CSV: "+(a?a.error:"Unknown error"));case 2:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}()),c.addEventListener("click",f(r().m(function t(){var n;return r().w(function(t){for(;;)switch(t.n){case 0:return c.disabled=!0,t.n=1,(0,e.invoke)("importMeetingsCsv",i({csv:s,mapping:l(),dryRun:!1},V()));case 1:if(n=t.v,console.log("importMeetingsCsv result:",n),!n||!n.success){t.n=3;break}return Ke(o,n,!0),t.n=2,ve();case 2:t.n=4;break;case 3:alert("Import failed: "+(n?n.error:"Unknown error"));case 4:return t.a(2)}},t)})));var d=document.getElementById("export-csv-modal"),p=document.getElementById("csv-export-form"),m=function(){return d.classList.add("hidden")};document.getElementById("export-csv-btn").addEventListener("click",function(){return d.classList.remove("hidden")}),document.getElementById("close-csv-export-modal").addEventListener("click",m),document.getElementById("cancel-csv-export-btn").addEventListener("click",m),d.querySelector(".modal-backdrop").addEventListener("click",m),d.querySelectorAll("#export-columns input").forEach(function(e){e.addEventListener("change",function(){return e.parentElement.classList.toggle("selected",e.checked)})}),p.addEventListener("submit",function(){var t=f(r().m(function t(n){var o,a;return r().w(function(t){for(;;)switch(t.n){case 0:return n.preventDefault(),o=i({startDate:document.getElementById("export-from").value||void 0,endDate:document.getElementById("export-to").value||void 0,columns:Array.from(d.querySelectorAll("#export-columns input:checked")).map(function(e){return e.value}),roleBreakdown:document.getElementById("export-role-breakdown").checked},_),t.n=1,(0,e.invoke)("exportMeetingsCsv",o);case 1:a=t.v,console.log("exportMeetingsCsv result:",a&&a.rowCount),a&&a.success?(ze(a.filename,a.csv,"text/csv"),m()):alert("Export failed: "+(a?a.error:"Unknown error"));case 2:return t.a(2)}},t)}));return function(e){return t.apply(this,arguments)}}())}()}function Fe(e){return Re.apply(this,arguments)}function Re(){return(Re=f(r().m(function t(n){var o,a,i;return r().w(function(t){for(;;)switch(t.n){case 0:if(o=document.getElementById("add-meeting-modal"),a=document.getElementById("meeting-history"),w=n?n.id:null,document.getElementById("meeting-modal-title").textContent=n?"✏️ Edit Meeting":"📅 Log Meeting",document.getElementById("save-meeting-btn").textContent=n?"Save Changes":"Save Meeting",a.classList.add("hidden"),o.classList.remove("hidden"),n){t.n=1;break}return document.getElementById("date").valueAsDate=new Date,G("meeting-teams","meeting-projects"),Ve(),t.a(2);case 1:return document.getElementById("title").value=n.title||"",document.getElementById("date").value=n.date,document.getElementById("start-time").value=n.startTime||"",document.getElementById("duration").value=n.durationMinutes,document.getElementById("meetingType").value=h.some(function(e){return e.typeId===n.meetingType})?n.meetingType:"ad-hoc",document.getElementById("attendeeCount").value=(n.attendeeRoles||[]).length>0?"":n.attendeeCount,document.querySelectorAll("#attendee-roles input").forEach(function(e){e.checked=(n.attendeeRoles||[]).includes(e.value),e.parentElement.classList.toggle("selected",e.checked)}),document.querySelectorAll("#meeting-teams input").forEach(function(e){e.checked=(n.teamIds||[]).includes(e.value),e.parentElement.classList.toggle("selected",e.checked)}),document.getElementById("meeting-projects").value=(n.projectKeys||[]).join(", "),document.getElementById("meeting-issues").value=(n.issueKeys||[]).join(", "),Ve(),t.n=2,(0,e.invoke)("getMeetingHistory",{meetingId:n.id});case 2:i=t.v,console.log("getMeetingHistory:",i),i&&i.success&&i.revisions.length>0&&w===n.id&&Ue(a,i.revisions);case 3:return t.a(2)}},t)}))).apply(this,arguments)}var Ne={title:"Title",date:"Date",startTime:"Start",durationMinutes:"Duration (min)",attendeeCount:"Attendees",attendeeRoles:"Roles",meetingType:"Type",issueKeys:"Issues",projectKeys:"Projects",teamIds:"Teams",calculatedCost:"Cost",hiddenCost:"Hidden Cost",currency:"Currency"};function He(e,t){return null==t||Array.isArray(t)&&0===t.length?"—":"calculatedCost"===e||"hiddenCost"===e?Je(t):"meetingType"===e?Ze(t):"attendeeRoles"===e?t.map(function(e){return(m.find(function(t){return t.roleId===e})||{}).roleName||e}).join(", "):"teamIds"===e?t.map(function(e){return(y.find(function(t){return t.teamId===e})||{}).name||e}).join(", "):Array.isArray(t)?t.join(", "):t}function Ue(e,t){e.innerHTML="<h4>History</h4><ul>"+t.map(function(e){var t=new Date(e.changedAt).toLocaleString(g.locale,{dateStyle:"medium",timeStyle:"short"}),n=e.changes.map(function(e){return"".concat(Ne[e.field]||e.field,": ").concat(He(e.field,e.from)," → ").concat(He(e.field,e.to))}).join("; "),r="created"===e.action?"Logged the meeting":"recomputed"===e.action?"Cost recomputed with updated rates — ".concat(n):n;return"<li>".concat(t," · ").concat(e.changedByName," · ").concat(r,"</li>")}).join("")+"</ul>",e.classList.remove("hidden")}var qe={title:"Title",date:"Date (YYYY-MM-DD)",startTime:"Start Time (HH:MM)",durationMinutes:"Duration (min)",meetingType:"Meeting Type",attendeeRoles:"Roles (; separated)",attendeeCount:"Attendee Count",issueKeys:"Issues (; separated)",projectKeys:"Projects (; separated)",teams:"Teams (; separated)"};function ze(e,t,n){var r=URL.createObjectURL(new Blob([t],{type:n})),o=document.createElement("a");o.href=r,o.download=e,document.body.appendChild(o),o.click(),o.remove(),URL.revokeObjectURL(r)}function Ke(e,t,n){var r=function(e){return"<ul>".concat(e.join(""),"</ul>")},o=t.meetings.slice(0,20).map(function(e){return"<li>".concat(e.date," · ").concat(e.title," · ").concat(e.durationMinutes," min · ").concat(Je(e.calculatedCost),"</li>")});t.meetings.length>20&&o.push("<li>…and ".concat(t.meetings.length-20," more</li>"));var a="<h4>".concat(n?"Imported":"Will import"," ").concat(t.meetings.length," meetings (").concat(Je(t.totalCost),")</h4>").concat(r(o));t.duplicates.length>0&&(a+="<h4>".concat(t.duplicates.length," duplicates skipped</h4>")+r(t.duplicates.map(function(e){return"<li>".concat(e.date," · ").concat(e.title,"</li>")}))),t.errors&&t.errors.length>0&&(a+="<h4>".concat(t.errors.length," validation errors</h4>")+r(t.errors.map(function(e){return'<li class="report-error">Row '.concat(e.row," · ").concat(e.column,": ").concat(e.message,"</li>")}))),t.skipped&&t.skipped.length>0&&(a+="<h4>".concat(t.skipped.length," events not imported</h4>")+r(t.skipped.map(function(e){return"<li>Line ".concat(e.line,": ").concat(e.title||"Untitled").concat(e.date?" ("+e.date+")":""," — ").concat(e.reason,"</li>")}))),t.unmappedAttendees&&t.unmappedAttendees.length>0&&(a+="<h4>Attendees without a role mapping</h4>"+r(t.unmappedAttendees.map(function(e){return"<li>".concat(e.email," (").concat(e.count," meetings)</li>")}))),e.innerHTML=a,e.classList.remove("hidden")}function Ge(){$e("attendee-roles",Ve),$e("series-roles")}function $e(e,t){var n=document.getElementById(e);n.innerHTML=m.map(function(e){return'<label class="role-checkbox"><input type="checkbox" value="'.concat(e.roleId,'">').concat(e.roleName," (").concat(Je(e.hourlyRate,e.currency||g.code),"/hr)</label>")}).join(""),n.querySelectorAll("input").forEach(function(e){e.addEventListener("change",function(){e.parentElement.classList.toggle("selected",e.checked),t&&t()})})}function Ve(){var e=parseInt(document.getElementById("duration").value)||0,t=Array.from(document.querySelectorAll("#attendee-roles input:checked")).map(function(e){return e.value}),n=parseInt(document.getElementById("attendeeCount").value)||0,r=function(e){var t;return null!==(t=e.reportingHourlyRate)&&void 0!==t?t:e.hourlyRate},o=function(e){return r(e)*(e.benefitsMultiplier||1)*(e.overheadMultiplier||1)},a=(e+v.beforeMinutes+v.afterMinutes)/60,i=0,c=0;if(t.length>0)t.forEach(function(t){var n=m.find(function(e){return e.roleId===t});n&&(i+=e/60*r(n),c+=a*o(n))});else if(n>0&&m.length>0){var s=function(e){return m.reduce(function(t,n){return t+e(n)},0)/m.length};i=e/60*s(r)*n,c=a*s(o)*n}document.getElementById("estimated-cost").textContent=Je(c)+Ye({directCost:i,hiddenCost:c-i})}function We(e){return"number"==typeof e.hiddenCost?{directCost:e.directCost,hiddenCost:e.hiddenCost}:{directCost:e.calculatedCost||0,hiddenCost:0}}function Ye(e){var t=e.directCost,n=e.hiddenCost;return n>0?" (".concat(Je(t)," direct + ").concat(Je(n)," hidden)"):""}function Je(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:g.code;return new Intl.NumberFormat(g.locale,{style:"currency",currency:t,maximumFractionDigits:0}).format(e||0)}function Ze(e){var t=h.find(function(t){return t.typeId===(e||"ad-hoc")});return t?t.label:e}function Xe(e){var t=h.find(function(t){return t.typeId===e});return t?t.color:"#6B778C"}function Qe(e){if(!e)return"-";try{return new Date(e).toLocaleDateString("en-US",{month:"short",day:"numeric"})}catch(t){return e}}function et(){document.getElementById("loading").classList.add("hidden")}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",L):L()})()})();
\ No newline at end of file
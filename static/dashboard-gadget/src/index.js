@@ -1,13 +1,49 @@
 import { invoke } from '@forge/bridge';
 
 let roleRates = [];
+// Minutes each attendee loses switching context around a meeting, from the rates in effect today
+let contextSwitch = { beforeMinutes: 0, afterMinutes: 0 };
+// Reporting currency and display locale from the admin settings
+let currency = { code: 'USD', locale: 'en-US' };
+let teams = [];
+// Admin-defined meeting types ({ typeId, label, color, timeboxMinutes, category })
+let meetingTypes = [{ typeId: 'ad-hoc', label: 'Ad-hoc', color: '#97A0AF' }];
+let recentMeetings = [];
+// Id of the meeting open in the edit form, null while logging a new one
+let editingMeetingId = null;
+// Current team switcher selection: {}, { teamId } or { projectKey }
+let scope = {};
+// Current period selection: a preset, or 'custom' with startDate and endDate
+let period = { dateRange: 'last-30-days' };
+// Trend chart buckets for the current period, and the bucket the meeting list is drilled into
+let trends = [];
+let trendGroupBy = 'week';
+let drillPeriod = null;
+// Series in the current scope, for the simulator's cancel-a-series change
+let seriesList = [];
+// Changes in the savings simulator, and the saved scenario they belong to (null while unsaved)
+let simChanges = [];
+let simScenarioId = null;
+let scenarios = [];
+// Current suggestions with their tracked status
+let suggestions = [];
+// Shortest gap between meetings, in minutes, that counts as focus time
+let focusMinMinutes = 120;
 
 async function init() {
     console.log('Dashboard initializing...');
     try {
+        await loadCurrency();
         await loadRoleRates();
+        await loadTeams();
+        await loadMeetingTypes();
         await loadDashboardStats();
+        await loadFocusTime();
+        await loadBudgetAlerts();
+        await loadSeries();
         await loadRecentMeetings();
+        await loadSuggestions();
+        await setupSimulator();
         setupEventListeners();
         hideLoading();
         console.log('Dashboard ready');
@@ -17,12 +53,25 @@ async function init() {
     }
 }
 
+async function loadCurrency() {
+    try {
+        const result = await invoke('getConfig');
+        console.log('getConfig:', result);
+        if (result && result.success && result.settings) {
+            currency = { code: result.settings.currency || 'USD', locale: result.settings.locale || 'en-US' };
+        }
+    } catch (e) {
+        console.error('loadCurrency error:', e);
+    }
+}
+
 async function loadRoleRates() {
     try {
         const result = await invoke('getRoleRates');
         console.log('getRoleRates:', result);
         if (result && result.success) {
             roleRates = result.rates || [];
+            contextSwitch = result.contextSwitch || contextSwitch;
             populateRoleCheckboxes();
         }
     } catch (e) {
@@ -36,23 +85,291 @@ async function loadRoleRates() {
     }
 }
 
+async function loadTeams() {
+    try {
+        const result = await invoke('getTeams');
+        console.log('getTeams:', result);
+        teams = (result && result.success && result.teams) || [];
+    } catch (e) {
+        console.error('loadTeams error:', e);
+        teams = [];
+    }
+    renderScopeOptions();
+    renderTeamCheckboxes('meeting-teams');
+    renderTeamCheckboxes('series-teams');
+}
+
+async function loadMeetingTypes() {
+    try {
+        const result = await invoke('getMeetingTypes');
+        console.log('getMeetingTypes:', result);
+        if (result && result.meetingTypes && result.meetingTypes.length > 0) {
+            meetingTypes = result.meetingTypes;
+        }
+    } catch (e) {
+        console.error('loadMeetingTypes error:', e);
+    }
+    renderTypeOptions('meetingType', 'ad-hoc');
+    renderTypeOptions('series-type', 'team-sync');
+    renderTypeOptions('sim-type', 'standup');
+}
+
+function renderTypeOptions(selectId, preferred) {
+    const selected = meetingTypes.some(t => t.typeId === preferred) ? preferred : 'ad-hoc';
+    document.getElementById(selectId).innerHTML = meetingTypes.map(t =>
+        `<option value="${t.typeId}" ${t.typeId === selected ? 'selected' : ''}>${t.label}${t.timeboxMinutes ? ` (${t.timeboxMinutes} min)` : ''}</option>`
+    ).join('');
+}
+
+function renderScopeOptions() {
+    const select = document.getElementById('scope-select');
+    const projectKeys = [...new Set(teams.flatMap(t => t.projectKeys))].sort();
+    let html = '<option value="">All teams</option>';
+    if (teams.length > 0) {
+        html += `<optgroup label="Teams">${teams.map(t => `<option value="team:${t.teamId}">${t.name}</option>`).join('')}</optgroup>`;
+    }
+    if (projectKeys.length > 0) {
+        html += `<optgroup label="Projects">${projectKeys.map(k => `<option value="project:${k}">${k}</option>`).join('')}</optgroup>`;
+    }
+    select.innerHTML = html;
+}
+
+function renderTeamCheckboxes(containerId) {
+    const c = document.getElementById(containerId);
+    if (teams.length === 0) {
+        c.innerHTML = '<p class="form-hint">No teams configured. Add them in MeetingROI settings.</p>';
+        return;
+    }
+    c.innerHTML = teams.map(t =>
+        `<label class="role-checkbox"><input type="checkbox" value="${t.teamId}">${t.name}</label>`
+    ).join('');
+
+    c.querySelectorAll('input').forEach(i => {
+        i.addEventListener('change', () => i.parentElement.classList.toggle('selected', i.checked));
+    });
+}
+
+// Pre-select the team switcher's team or project in a tag picker
+function presetTags(teamsId, projectsId) {
+    document.querySelectorAll(`#${teamsId} input`).forEach(i => {
+        i.checked = i.value === scope.teamId;
+        i.parentElement.classList.toggle('selected', i.checked);
+    });
+    document.getElementById(projectsId).value = scope.projectKey || '';
+}
+
+function readTags(teamsId, projectsId) {
+    return {
+        teamIds: Array.from(document.querySelectorAll(`#${teamsId} input:checked`)).map(el => el.value),
+        projectKeys: document.getElementById(projectsId).value.split(',').map(k => k.trim()).filter(Boolean)
+    };
+}
+
+// Tags for imported meetings follow the team switcher
+function scopeTags() {
+    return {
+        teamIds: scope.teamId ? [scope.teamId] : [],
+        projectKeys: scope.projectKey ? [scope.projectKey] : []
+    };
+}
+
+function formatTags(m) {
+    const names = (m.teamIds || []).map(id => (teams.find(t => t.teamId === id) || {}).name).filter(Boolean);
+    const tags = [...names, ...(m.projectKeys || []), ...(m.issueKeys || [])];
+    return tags.length > 0 ? ' · ' + tags.join(', ') : '';
+}
+
 async function loadDashboardStats() {
     try {
-        const result = await invoke('getDashboardStats', { dateRange: 'last-month' });
+        const result = await invoke('getDashboardStats', { ...period, groupBy: trendGroupBy, ...scope });
         console.log('getDashboardStats:', result);
         if (result && result.success && result.stats) {
             const s = result.stats;
             document.getElementById('monthly-cost').textContent = formatCurrency(s.totalCost || 0);
+            document.getElementById('cost-split').textContent = `${formatCurrency(s.directCost)} direct · ${formatCurrency(s.hiddenCost)} hidden`;
             document.getElementById('meeting-hours').textContent = (s.totalHours || 0).toFixed(1) + 'h';
             document.getElementById('meeting-count').textContent = s.meetingCount || 0;
             document.getElementById('cost-per-hour').textContent = formatCurrency(s.totalHours > 0 ? s.totalCost / s.totalHours : 0);
+            renderPeriod(s.period, s.comparison);
+            trends = s.trends || [];
+            renderTrendChart();
             renderTypeBreakdown(s.costByType || {});
+            renderBudget(s.budget);
+        } else if (result && result.error) {
+            document.getElementById('period-label').textContent = result.error;
         }
     } catch (e) {
         console.error('loadDashboardStats error:', e);
     }
 }
 
+const CHANGE_ELEMENTS = {
+    totalCost: 'total-cost-change',
+    totalHours: 'total-hours-change',
+    meetingCount: 'meeting-count-change',
+    costPerHour: 'cost-per-hour-change'
+};
+
+function renderPeriod(p, comparison) {
+    document.getElementById('period-label').textContent = p
+        ? `${formatDate(p.startDate)} – ${formatDate(p.endDate)}, compared with ${formatDate(p.previous.startDate)} – ${formatDate(p.previous.endDate)}`
+        : '';
+
+    const changes = (comparison && comparison.changes) || {};
+    Object.entries(CHANGE_ELEMENTS).forEach(([metric, id]) => {
+        const el = document.getElementById(id);
+        const change = changes[metric];
+        el.classList.toggle('up', change > 0);
+        el.classList.toggle('down', change < 0);
+        el.textContent = change === null || change === undefined
+            ? 'No previous period data'
+            : `${change > 0 ? '▲' : change < 0 ? '▼' : '■'} ${Math.abs(change).toFixed(1)}% vs previous period`;
+    });
+}
+
+// Chart geometry in viewBox units: the plot sits between the value labels and the period labels
+const CHART = { width: 600, left: 56, right: 8, top: 10, bottom: 196 };
+
+function renderTrendChart() {
+    const svg = document.getElementById('trend-chart');
+    const legend = document.getElementById('trend-legend');
+    const metric = document.getElementById('trend-metric').value;
+    const stacked = document.getElementById('trend-stack').checked;
+    const format = v => metric === 'totalCost' ? formatCurrency(v) : v.toFixed(1) + 'h';
+    const typeValue = data => metric === 'totalCost' ? data.cost : data.hours;
+
+    if (trends.every(t => t.meetingCount === 0)) {
+        svg.innerHTML = '<text x="300" y="110" text-anchor="middle">No meetings in this period</text>';
+        legend.innerHTML = '';
+        return;
+    }
+
+    const max = Math.max(...trends.map(t => t[metric])) || 1;
+    const slot = (CHART.width - CHART.left - CHART.right) / trends.length;
+    const barWidth = Math.max(1, slot * 0.7);
+    const y = v => CHART.bottom - (v / max) * (CHART.bottom - CHART.top);
+    // Label about a dozen periods so the axis stays readable
+    const labelEvery = Math.ceil(trends.length / 12);
+
+    const bars = trends.map((t, i) => {
+        const x = CHART.left + i * slot + (slot - barWidth) / 2;
+        let segments = '';
+        if (stacked) {
+            let base = 0;
+            segments = orderTypes(Object.keys(t.costByType || {})).map(typeId => {
+                const v = typeValue(t.costByType[typeId]);
+                const rect = `<rect x="${x}" y="${y(base + v)}" width="${barWidth}" height="${y(base) - y(base + v)}" fill="${typeColor(typeId)}" />`;
+                base += v;
+                return rect;
+            }).join('');
+        } else {
+            segments = `<rect class="bar" x="${x}" y="${y(t[metric])}" width="${barWidth}" height="${CHART.bottom - y(t[metric])}" />`;
+        }
+        const label = i % labelEvery === 0
+            ? `<text x="${x + barWidth / 2}" y="${CHART.bottom + 16}" text-anchor="middle">${formatPeriod(t)}</text>`
+            : '';
+        const selected = drillPeriod && drillPeriod.startDate === t.startDate ? ' selected' : '';
+        return `<g class="trend-bar${selected}" data-index="${i}"><title>${formatPeriod(t)}: ${format(t[metric])}${metric === 'totalCost' ? formatCostSplit(t) : ''} · ${t.meetingCount} meetings</title><rect class="hit" x="${CHART.left + i * slot}" y="${CHART.top}" width="${slot}" height="${CHART.bottom - CHART.top}" />${segments}${label}</g>`;
+    }).join('');
+
+    svg.innerHTML =
+        `<line class="axis" x1="${CHART.left}" y1="${CHART.bottom}" x2="${CHART.width - CHART.right}" y2="${CHART.bottom}" />` +
+        `<text x="${CHART.left - 6}" y="${CHART.top + 4}" text-anchor="end">${format(max)}</text>` +
+        `<text x="${CHART.left - 6}" y="${CHART.bottom}" text-anchor="end">${format(0)}</text>` +
+        bars;
+    svg.classList.toggle('has-selection', Boolean(drillPeriod));
+    svg.querySelectorAll('.trend-bar').forEach(bar => {
+        bar.addEventListener('click', () => selectTrendPeriod(trends[bar.dataset.index]));
+    });
+
+    const typeIds = orderTypes([...new Set(trends.flatMap(t => Object.keys(t.costByType || {})))]);
+    legend.innerHTML = stacked
+        ? typeIds.map(typeId => `<span style="--swatch:${typeColor(typeId)}">${formatType(typeId)}</span>`).join('')
+        : '';
+}
+
+// Meeting types in the admin's order, unknown (deleted) types last
+function orderTypes(typeIds) {
+    const rank = typeId => {
+        const index = meetingTypes.findIndex(t => t.typeId === typeId);
+        return index === -1 ? meetingTypes.length : index;
+    };
+    return [...typeIds].sort((a, b) => rank(a) - rank(b));
+}
+
+function formatPeriod(t) {
+    switch (trendGroupBy) {
+        case 'day':
+            return formatDate(t.startDate);
+        case 'week':
+            return `W${t.period.split('-W')[1]}`;
+        case 'month':
+            return new Date(`${t.startDate}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+        default:
+            return t.label;
+    }
+}
+
+// Clicking a bar lists its meetings; clicking it again goes back to the most recent ones
+async function selectTrendPeriod(t) {
+    drillPeriod = drillPeriod && drillPeriod.startDate === t.startDate
+        ? null
+        : { startDate: t.startDate, endDate: t.endDate, label: formatPeriod(t) };
+    renderTrendChart();
+    await loadRecentMeetings();
+}
+
+function renderBudget(budget) {
+    const section = document.getElementById('budget-section');
+    if (!budget) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    const over = budget.percentUsed >= 100;
+    const warn = budget.crossedThresholds.length > 0;
+    document.getElementById('budget-period').textContent = `${budget.teamName} · ${budget.periodKey}`;
+    document.getElementById('budget-percent').textContent = `${budget.percentUsed.toFixed(0)}% used`;
+    const fill = document.getElementById('budget-fill');
+    fill.style.width = `${Math.min(100, budget.percentUsed)}%`;
+    fill.style.background = over ? 'var(--danger)' : warn ? 'var(--warning)' : 'var(--success)';
+    document.getElementById('budget-summary').textContent =
+        `${formatCurrency(budget.spent)} of ${formatCurrency(budget.amount)} spent · ${formatCurrency(budget.remaining)} left · on track for ${formatCurrency(budget.projectedSpend)} by ${formatDate(budget.endDate)}`;
+
+    // Remaining budget per day against an even burn to zero at the end of the period
+    const day = 24 * 60 * 60 * 1000;
+    const totalDays = Math.round((new Date(budget.endDate) - new Date(budget.startDate)) / day) + 1;
+    const low = Math.min(0, ...budget.burnDown.map(p => p.remaining));
+    const x = i => (i / totalDays) * 300;
+    const y = v => 80 - ((v - low) / (budget.amount - low)) * 76 - 2;
+    const actual = [`${x(0)},${y(budget.amount)}`, ...budget.burnDown.map((p, i) => `${x(i + 1)},${y(p.remaining)}`)].join(' ');
+    document.getElementById('budget-burndown').innerHTML =
+        `<line class="zero" x1="0" y1="${y(0)}" x2="300" y2="${y(0)}" />` +
+        `<line class="ideal" x1="0" y1="${y(budget.amount)}" x2="300" y2="${y(0)}" />` +
+        `<polyline class="actual" fill="none" stroke-width="2" points="${actual}" />`;
+    section.classList.remove('hidden');
+}
+
+async function loadBudgetAlerts() {
+    const section = document.getElementById('alerts-section');
+    try {
+        const result = await invoke('getBudgetAlerts', { teamId: scope.teamId, days: 31 });
+        console.log('getBudgetAlerts:', result);
+        const alerts = (result && result.alerts) || [];
+        if (alerts.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+        document.getElementById('alerts-list').innerHTML = alerts.slice(0, 5).map(a =>
+            `<li><strong>${a.teamName}</strong> crossed ${a.threshold}% of its ${a.periodKey} budget (${formatCurrency(a.spent)} of ${formatCurrency(a.amount)}) · ${formatDate(a.triggeredAt)}</li>`
+        ).join('');
+        section.classList.remove('hidden');
+    } catch (e) {
+        console.error('loadBudgetAlerts error:', e);
+        section.classList.add('hidden');
+    }
+}
+
 function renderTypeBreakdown(costByType) {
     const container = document.getElementById('type-bars');
     if (!costByType || Object.keys(costByType).length === 0) {
@@ -60,23 +377,326 @@ function renderTypeBreakdown(costByType) {
         return;
     }
     const maxCost = Math.max(...Object.values(costByType).map(t => t.cost || 0));
-    const colors = { standup: '#00875A', planning: '#0052CC', retro: '#6554C0', review: '#FF991F', 'one-on-one': '#00B8D9', 'team-sync': '#36B37E', 'ad-hoc': '#97A0AF', 'all-hands': '#FF5630', interview: '#8777D9' };
     container.innerHTML = Object.entries(costByType).sort((a, b) => b[1].cost - a[1].cost).map(([type, data]) => {
         const pct = maxCost > 0 ? (data.cost / maxCost) * 100 : 0;
-        return `<div class="type-bar-item"><div class="type-bar-label"><span class="type-name">${formatType(type)}</span><span class="type-cost">${formatCurrency(data.cost)}</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:${pct}%;background:${colors[type] || '#6B778C'}"></div></div><div class="type-bar-meta">${data.count} meetings · ${data.hours.toFixed(1)}h</div></div>`;
+        return `<div class="type-bar-item"><div class="type-bar-label"><span class="type-name">${formatType(type)}</span><span class="type-cost">${formatCurrency(data.cost)}</span></div><div class="type-bar-track"><div class="type-bar-fill" style="width:${pct}%;background:${typeColor(type)}"></div></div><div class="type-bar-meta">${data.count} meetings · ${data.hours.toFixed(1)}h</div></div>`;
     }).join('');
 }
 
+async function loadFocusTime() {
+    try {
+        const result = await invoke('getFocusTimeStats', { ...period, ...scope, minFocusMinutes: focusMinMinutes });
+        console.log('getFocusTimeStats:', result);
+        if (result && result.success) {
+            renderFocusSummary(result.focus.summary, result.heatmap);
+            renderHeatmap(result.heatmap);
+        }
+    } catch (e) {
+        console.error('loadFocusTime error:', e);
+    }
+}
+
+function formatHours(minutes) {
+    return `${(minutes / 60).toFixed(1)}h`;
+}
+
+function renderFocusSummary(summary, heatmap) {
+    document.getElementById('focus-summary').innerHTML =
+        `<div class="sim-totals">` +
+        `<div><span class="metric-value">${formatHours(summary.avgFocusMinutes)}</span><span class="metric-label">Focus / Day</span></div>` +
+        `<div><span class="metric-value">${formatHours(summary.avgFragmentedMinutes)}</span><span class="metric-label">Fragmented / Day</span></div>` +
+        `<div><span class="metric-value">${summary.daysWithoutFocus} of ${summary.workingDays}</span><span class="metric-label">Days Without Focus</span></div>` +
+        `<div><span class="metric-value">${heatmap.morningShare.toFixed(0)}%</span><span class="metric-label">Cost Before Noon</span></div>` +
+        `</div>` +
+        `<p class="type-bar-meta">Workdays ${summary.workday.start}–${summary.workday.end}. Gaps of ${summary.minFocusMinutes} minutes or more between meetings count as focus time; shorter gaps are fragmented.</p>`;
+
+    document.getElementById('focus-note').textContent = summary.untimedMeetings > 0
+        ? `${summary.untimedMeetings} meeting${summary.untimedMeetings === 1 ? '' : 's'} (${formatCurrency(heatmap.untimedCost)}) have no start time and are left out. Add one when logging or editing a meeting.`
+        : '';
+}
+
+// Weekday rows by hour columns, shaded by cost; the columns cover the working day and any hour with meetings
+function renderHeatmap(heatmap) {
+    const container = document.getElementById('cost-heatmap');
+    if (heatmap.timedCost === 0) {
+        container.style.gridTemplateColumns = '';
+        container.innerHTML = '<p class="empty-state">No timed meetings in this period.</p>';
+        return;
+    }
+    const busyHours = heatmap.byHour.map((cost, hour) => cost > 0 ? hour : null).filter(h => h !== null);
+    const first = Math.min(8, ...busyHours);
+    const last = Math.max(17, ...busyHours);
+    const hours = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    const max = Math.max(...heatmap.cost.map(row => Math.max(...row)));
+
+    container.style.gridTemplateColumns = `32px repeat(${hours.length}, 1fr)`;
+    container.innerHTML = '<span></span>' +
+        hours.map(h => `<span class="heatmap-label">${h}</span>`).join('') +
+        heatmap.weekdays.map((day, d) =>
+            `<span class="heatmap-label">${day}</span>` +
+            hours.map(h => {
+                const cost = heatmap.cost[d][h];
+                return cost > 0
+                    ? `<div class="heatmap-cell" style="opacity:${(0.15 + 0.85 * cost / max).toFixed(2)}" title="${day} ${String(h).padStart(2, '0')}:00 · ${formatCurrency(cost)}"></div>`
+                    : '<div class="heatmap-cell empty"></div>';
+            }).join('')
+        ).join('');
+}
+
+async function loadSeries() {
+    try {
+        const result = await invoke('getMeetingSeries', scope);
+        console.log('getMeetingSeries:', result);
+        const list = document.getElementById('series-list');
+        seriesList = (result && result.success && result.series) || [];
+        document.getElementById('sim-series').innerHTML = seriesList.length > 0
+            ? seriesList.map(s => `<option value="${s.id}">${s.title}</option>`).join('')
+            : '<option value="">No recurring series</option>';
+        if (result && result.success && result.series && result.series.length > 0) {
+            list.innerHTML = result.series.map(s =>
+                `<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">${formatType(s.meetingType)}</span><div><div class="meeting-title">${s.title}</div><div class="meeting-meta">${s.description}${s.startTime ? ` at ${s.startTime}` : ''} · ${s.durationMinutes} min · ${formatCurrency(s.costPerOccurrence)} each${formatTags(s)}</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">${formatCurrency(s.annualizedCost)}/yr</span><span class="meeting-meta">${s.occurrencesPerYear} meetings · ${s.annualizedHours.toFixed(0)}h${formatCostSplit({ directCost: s.annualizedDirectCost, hiddenCost: s.annualizedHiddenCost })}</span></div><button class="btn-link" data-skip="${s.id}">Skip date</button><button class="btn-danger" data-series="${s.id}">🗑️</button></div></div>`
+            ).join('');
+
+            list.querySelectorAll('[data-skip]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const date = prompt('Skip which occurrence? (YYYY-MM-DD)');
+                    if (!date) return;
+                    const res = await invoke('updateSeriesOccurrence', { seriesId: btn.dataset.skip, date, status: 'skipped' });
+                    if (res && res.success) {
+                        await refreshAll();
+                    } else {
+                        alert('Failed to skip: ' + (res ? res.error : 'Unknown error'));
+                    }
+                });
+            });
+
+            list.querySelectorAll('[data-series]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (confirm('Stop this series? Meetings that already happened are kept.')) {
+                        await invoke('deleteMeetingSeries', { seriesId: btn.dataset.series });
+                        await loadSeries();
+                    }
+                });
+            });
+        } else {
+            list.innerHTML = '<p class="empty-state">No recurring series yet.</p>';
+        }
+    } catch (e) {
+        console.error('loadSeries error:', e);
+    }
+}
+
+async function refreshAll() {
+    await loadDashboardStats();
+    await loadFocusTime();
+    await loadBudgetAlerts();
+    await loadSeries();
+    await loadRecentMeetings();
+    await loadSuggestions();
+    await runSimulation();
+}
+
+// What can be done with a suggestion in each status
+const SUGGESTION_ACTIONS = {
+    new: [['accepted', 'Accept'], ['dismissed', 'Dismiss']],
+    accepted: [['done', 'Mark done'], ['new', 'Undo']],
+    dismissed: [['new', 'Restore']],
+    done: [['new', 'Reopen']]
+};
+
+async function loadSuggestions() {
+    try {
+        const result = await invoke('getSuggestions', scope);
+        console.log('getSuggestions:', result);
+        if (result && result.success) {
+            suggestions = result.suggestions;
+            renderSuggestions();
+            renderRealized(result.tracked, result.realized);
+        } else {
+            document.getElementById('suggestions-list').innerHTML = `<p class="empty-state">${(result && result.error) || 'Failed to load suggestions'}</p>`;
+        }
+    } catch (e) {
+        console.error('loadSuggestions error:', e);
+    }
+}
+
+function renderSuggestions() {
+    const list = document.getElementById('suggestions-list');
+    const showDismissed = document.getElementById('show-dismissed').checked;
+    const shown = suggestions.filter(s => showDismissed || s.status !== 'dismissed');
+    if (shown.length === 0) {
+        list.innerHTML = '<p class="empty-state">No suggestions for the last 30 days.</p>';
+        return;
+    }
+
+    list.innerHTML = shown.map(s =>
+        `<div class="meeting-item"><div class="meeting-info"><span class="priority-badge ${s.priority}">${s.priority}</span><div><div class="meeting-title">${s.title}</div><div class="meeting-meta">${s.description}</div>${s.status === 'new' ? '' : `<div class="suggestion-status">${s.status === 'accepted' ? `Accepted ${formatDate(s.acceptedOn)}` : s.status === 'done' ? 'Done' : 'Dismissed'}</div>`}</div></div><div class="meeting-actions"><span class="meeting-cost">${formatCurrency(s.potentialSavings)}/mo</span>${SUGGESTION_ACTIONS[s.status].map(([status, label]) => `<button class="btn-link" data-suggestion="${s.id}" data-status="${status}">${label}</button>`).join('')}</div></div>`
+    ).join('');
+    list.querySelectorAll('[data-suggestion]').forEach(btn => {
+        btn.addEventListener('click', () => updateSuggestion(btn.dataset.suggestion, btn.dataset.status));
+    });
+}
+
+function renderRealized(tracked, realized) {
+    const section = document.getElementById('realized-section');
+    if (tracked.length === 0) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    document.getElementById('realized-summary').innerHTML =
+        `<div class="sim-totals">` +
+        `<div><span class="metric-value">${formatCurrency(realized.realized)}</span><span class="metric-label">Saved / Month</span></div>` +
+        `<div><span class="metric-value">${formatCurrency(realized.promised)}</span><span class="metric-label">Promised / Month</span></div>` +
+        `<div><span class="metric-value">${realized.measured} of ${realized.tracking}</span><span class="metric-label">Measured</span></div>` +
+        `</div>` +
+        `<p class="type-bar-meta">The cost of the meetings each suggestion targets, in the 30 days before it was accepted against the days since. Suggestions are measured after a week.</p>`;
+
+    const list = document.getElementById('tracked-list');
+    list.innerHTML = tracked.map(t => {
+        const r = t.realized;
+        const measured = r.measured
+            ? `${formatCurrency(r.beforeMonthlyCost)}/mo before · ${formatCurrency(r.afterMonthlyCost)}/mo over ${r.measuredDays} days ${r.final ? 'after (final)' : 'since'}`
+            : `Measuring · ${r.measuredDays} of 7 days so far`;
+        return `<div class="meeting-item"><div class="meeting-info"><div><div class="meeting-title">${t.title}</div><div class="meeting-meta">${t.status === 'done' ? 'Done' : 'Accepted'} ${formatDate(t.acceptedOn)} · ${measured}</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">${r.measured ? formatCurrency(r.realizedSavings) : '–'}/mo</span><span class="meeting-meta">of ${formatCurrency(t.potentialSavings)}/mo promised</span></div>${SUGGESTION_ACTIONS[t.status].map(([status, label]) => `<button class="btn-link" data-tracked="${t.id}" data-status="${status}">${label}</button>`).join('')}</div></div>`;
+    }).join('');
+    list.querySelectorAll('[data-tracked]').forEach(btn => {
+        btn.addEventListener('click', () => updateSuggestion(btn.dataset.tracked, btn.dataset.status));
+    });
+    section.classList.remove('hidden');
+}
+
+async function updateSuggestion(suggestionId, status) {
+    const result = await invoke('updateSuggestionStatus', { ...scope, suggestionId, status });
+    console.log('updateSuggestionStatus:', result);
+    if (result && result.success) {
+        await loadSuggestions();
+    } else {
+        alert('Failed to update suggestion: ' + (result ? result.error : 'Unknown error'));
+    }
+}
+
+// Inputs each kind of simulated change needs
+const SIM_CHANGE_FIELDS = {
+    'cap-duration': ['sim-type-group', 'sim-minutes-group'],
+    'remove-role': ['sim-type-group', 'sim-role-group'],
+    'cancel-series': ['sim-series-group'],
+    'go-async': ['sim-type-group']
+};
+
+async function setupSimulator() {
+    const roles = [...new Map(roleRates.map(r => [r.roleId, r])).values()];
+    document.getElementById('sim-role').innerHTML = roles.map(r => `<option value="${r.roleId}">${r.roleName}</option>`).join('');
+    await loadScenarios();
+}
+
+async function loadScenarios() {
+    try {
+        const result = await invoke('getScenarios');
+        console.log('getScenarios:', result);
+        scenarios = (result && result.success && result.scenarios) || [];
+    } catch (e) {
+        console.error('loadScenarios error:', e);
+        scenarios = [];
+    }
+    document.getElementById('sim-scenario').innerHTML = '<option value="">New scenario</option>' +
+        scenarios.map(s => `<option value="${s.id}" ${s.id === simScenarioId ? 'selected' : ''}>${s.name}</option>`).join('');
+}
+
+function showSimFields() {
+    const fields = SIM_CHANGE_FIELDS[document.getElementById('sim-kind').value];
+    Object.values(SIM_CHANGE_FIELDS).flat().forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', !fields.includes(id));
+    });
+}
+
+function readSimChange() {
+    const kind = document.getElementById('sim-kind').value;
+    const change = { kind };
+    if (SIM_CHANGE_FIELDS[kind].includes('sim-type-group')) change.meetingType = document.getElementById('sim-type').value;
+    if (kind === 'cap-duration') change.maxMinutes = parseInt(document.getElementById('sim-minutes').value);
+    if (kind === 'remove-role') change.roleId = document.getElementById('sim-role').value;
+    if (kind === 'cancel-series') change.seriesId = document.getElementById('sim-series').value;
+    return change;
+}
+
+// Replays the changes on the scope's recent meetings; returns the error when the simulation fails
+async function runSimulation() {
+    const list = document.getElementById('sim-changes');
+    const results = document.getElementById('sim-results');
+    if (simChanges.length === 0) {
+        list.innerHTML = '<p class="empty-state">Add changes to see what they would save.</p>';
+        results.classList.add('hidden');
+        return null;
+    }
+
+    let result;
+    try {
+        result = await invoke('simulateSavings', { changes: simChanges, ...scope });
+        console.log('simulateSavings:', result);
+    } catch (e) {
+        console.error('runSimulation error:', e);
+    }
+    const error = result && result.success ? null : (result && result.error) || 'Simulation failed';
+    const described = error ? simChanges.map(c => ({ description: c.kind })) : result.changes;
+
+    list.innerHTML = described.map((c, i) =>
+        `<div class="meeting-item"><div class="meeting-info"><div><div class="meeting-title">${c.description}</div>${error ? '' : `<div class="meeting-meta">${c.meetingsAffected} meetings affected · ${c.monthlyHoursReturned.toFixed(1)}h/month returned</div>`}</div></div><div class="meeting-actions">${error ? '' : `<span class="meeting-cost">${formatCurrency(c.monthlySavings)}/mo</span>`}<button class="btn-danger" data-sim-remove="${i}">✕</button></div></div>`
+    ).join('');
+    list.querySelectorAll('[data-sim-remove]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            simChanges.splice(parseInt(btn.dataset.simRemove), 1);
+            await runSimulation();
+        });
+    });
+
+    if (error) {
+        results.innerHTML = `<p class="report-error">${error}</p>`;
+    } else {
+        const s = result.savings;
+        results.innerHTML =
+            `<div class="sim-totals">` +
+            `<div><span class="metric-value">${formatCurrency(s.monthly)}</span><span class="metric-label">Per Month</span></div>` +
+            `<div><span class="metric-value">${formatCurrency(s.annual)}</span><span class="metric-label">Per Year</span></div>` +
+            `<div><span class="metric-value">${s.monthlyHours.toFixed(1)}h</span><span class="metric-label">Team Hours Back / Month</span></div>` +
+            `<div><span class="metric-value">${s.percent.toFixed(0)}%</span><span class="metric-label">Of Meeting Spend</span></div>` +
+            `</div>` +
+            `<p class="type-bar-meta">Projected from ${result.baseline.meetingCount} meetings between ${formatDate(result.sample.startDate)} and ${formatDate(result.sample.endDate)}${result.scope ? ` for ${result.scope}` : ''}, at the rates in effect on each meeting's date.</p>`;
+    }
+    results.classList.remove('hidden');
+    return error;
+}
+
+function resetSimulator(scenario) {
+    simScenarioId = scenario ? scenario.id : null;
+    simChanges = scenario ? scenario.changes.map(c => ({ ...c })) : [];
+    document.getElementById('sim-name').value = scenario ? scenario.name : '';
+    document.getElementById('sim-scenario').value = simScenarioId || '';
+}
+
 async function loadRecentMeetings() {
     try {
-        const result = await invoke('getMeetings', { limit: 10 });
+        const listing = drillPeriod ? { limit: 100, startDate: drillPeriod.startDate, endDate: drillPeriod.endDate } : { limit: 10 };
+        const result = await invoke('getMeetings', { ...listing, ...scope });
         console.log('getMeetings:', result);
         const list = document.getElementById('meetings-list');
+        document.getElementById('drill-filter').classList.toggle('hidden', !drillPeriod);
+        if (drillPeriod) {
+            const days = drillPeriod.startDate === drillPeriod.endDate
+                ? formatDate(drillPeriod.startDate)
+                : `${formatDate(drillPeriod.startDate)} – ${formatDate(drillPeriod.endDate)}`;
+            document.getElementById('drill-label').textContent = `${drillPeriod.label} · ${days}`;
+        }
         if (result && result.success && result.meetings && result.meetings.length > 0) {
+            recentMeetings = result.meetings;
             list.innerHTML = result.meetings.map(m =>
-                `<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">${formatType(m.meetingType)}</span><div><div class="meeting-title">${m.title || 'Untitled'}</div><div class="meeting-meta">${formatDate(m.date)} · ${m.durationMinutes} min</div></div></div><div class="meeting-actions"><span class="meeting-cost">${formatCurrency(m.calculatedCost)}</span><button class="btn-danger" data-id="${m.id}">🗑️</button></div></div>`
+                `<div class="meeting-item"><div class="meeting-info"><span class="meeting-type-badge">${formatType(m.meetingType)}</span><div><div class="meeting-title">${m.title || 'Untitled'}</div><div class="meeting-meta">${formatDate(m.date)}${m.startTime ? ` ${m.startTime}` : ''} · ${m.durationMinutes} min${formatTags(m)}${m.updatedAt ? ' · edited' : ''}</div></div></div><div class="meeting-actions"><div class="series-annual"><span class="meeting-cost">${formatCurrency(m.calculatedCost)}</span><span class="meeting-meta">${formatCostSplit(splitCost(m))}</span></div><button class="btn-link" data-edit="${m.id}">✏️</button><button class="btn-danger" data-id="${m.id}">🗑️</button></div></div>`
             ).join('');
 
+            list.querySelectorAll('[data-edit]').forEach(btn => {
+                btn.addEventListener('click', () => openMeetingModal(recentMeetings.find(m => m.id === btn.dataset.edit)));
+            });
+
             list.querySelectorAll('.btn-danger').forEach(btn => {
                 btn.addEventListener('click', async () => {
                     if (confirm('Delete this meeting?')) {
@@ -86,8 +706,12 @@ async function loadRecentMeetings() {
                     }
                 });
             });
+        } else if (drillPeriod) {
+            list.innerHTML = '<p class="empty-state">No meetings in this period.</p>';
         } else {
-            list.innerHTML = '<p class="empty-state">No meetings logged yet. Click "Log Meeting" to add one.</p>';
+            list.innerHTML = scope.teamId || scope.projectKey
+                ? '<p class="empty-state">No meetings tagged for this team or project yet.</p>'
+                : '<p class="empty-state">No meetings logged yet. Click "Log Meeting" to add one.</p>';
         }
     } catch (e) {
         console.error('loadRecentMeetings error:', e);
@@ -98,14 +722,99 @@ function setupEventListeners() {
     const modal = document.getElementById('add-meeting-modal');
     const form = document.getElementById('meeting-form');
 
-    document.getElementById('add-meeting-btn').addEventListener('click', () => {
-        modal.classList.remove('hidden');
-        document.getElementById('date').valueAsDate = new Date();
+    document.getElementById('scope-select').addEventListener('change', async (e) => {
+        const [kind, value] = e.target.value.split(':');
+        scope = kind === 'team' ? { teamId: value } : kind === 'project' ? { projectKey: value } : {};
+        drillPeriod = null;
+        await refreshAll();
+    });
+
+    document.getElementById('show-dismissed').addEventListener('change', renderSuggestions);
+
+    document.getElementById('focus-min').addEventListener('change', async (e) => {
+        focusMinMinutes = parseInt(e.target.value);
+        await loadFocusTime();
+    });
+
+    // Custom ranges reload once both dates are set
+    const customRange = document.getElementById('custom-range');
+    const onRangeChange = async () => {
+        const dateRange = document.getElementById('range-select').value;
+        customRange.classList.toggle('hidden', dateRange !== 'custom');
+        if (dateRange === 'custom') {
+            const startDate = document.getElementById('range-start').value;
+            const endDate = document.getElementById('range-end').value;
+            if (!startDate || !endDate) return;
+            period = { dateRange, startDate, endDate };
+        } else {
+            period = { dateRange };
+        }
+        drillPeriod = null;
+        await loadDashboardStats();
+        await loadFocusTime();
+        await loadRecentMeetings();
+    };
+    ['range-select', 'range-start', 'range-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', onRangeChange);
     });
 
-    document.getElementById('close-modal').addEventListener('click', () => modal.classList.add('hidden'));
-    document.getElementById('cancel-btn').addEventListener('click', () => modal.classList.add('hidden'));
-    document.querySelector('.modal-backdrop').addEventListener('click', () => modal.classList.add('hidden'));
+    document.getElementById('trend-group').addEventListener('change', async (e) => {
+        trendGroupBy = e.target.value;
+        drillPeriod = null;
+        await loadDashboardStats();
+        await loadRecentMeetings();
+    });
+    document.getElementById('sim-kind').addEventListener('change', showSimFields);
+    document.getElementById('sim-add-btn').addEventListener('click', async () => {
+        simChanges.push(readSimChange());
+        const error = await runSimulation();
+        if (error) {
+            // Keep the list to changes that simulate
+            simChanges.pop();
+            await runSimulation();
+            alert('Cannot add this change: ' + error);
+        }
+    });
+    document.getElementById('sim-scenario').addEventListener('change', async (e) => {
+        resetSimulator(scenarios.find(s => s.id === e.target.value));
+        await runSimulation();
+    });
+    document.getElementById('sim-save-btn').addEventListener('click', async () => {
+        const res = await invoke('saveScenario', {
+            scenario: { id: simScenarioId, name: document.getElementById('sim-name').value, changes: simChanges }
+        });
+        if (res && res.success) {
+            simScenarioId = res.scenario.id;
+            await loadScenarios();
+        } else {
+            alert('Failed to save scenario: ' + (res ? res.error : 'Unknown error'));
+        }
+    });
+    document.getElementById('sim-delete-btn').addEventListener('click', async () => {
+        if (!simScenarioId || !confirm('Delete this scenario?')) return;
+        await invoke('deleteScenario', { scenarioId: simScenarioId });
+        resetSimulator(null);
+        await loadScenarios();
+        await runSimulation();
+    });
+
+    document.getElementById('trend-metric').addEventListener('change', renderTrendChart);
+    document.getElementById('trend-stack').addEventListener('change', renderTrendChart);
+    document.getElementById('clear-drill').addEventListener('click', async () => {
+        drillPeriod = null;
+        renderTrendChart();
+        await loadRecentMeetings();
+    });
+
+    document.getElementById('add-meeting-btn').addEventListener('click', () => openMeetingModal(null));
+
+    const close = () => {
+        modal.classList.add('hidden');
+        form.reset();
+    };
+    document.getElementById('close-modal').addEventListener('click', close);
+    document.getElementById('cancel-btn').addEventListener('click', close);
+    modal.querySelector('.modal-backdrop').addEventListener('click', close);
 
     form.addEventListener('change', updateCostPreview);
     form.addEventListener('input', updateCostPreview);
@@ -117,35 +826,392 @@ function setupEventListeners() {
         const meeting = {
             title: fd.get('title'),
             date: fd.get('date'),
+            startTime: fd.get('startTime'),
             durationMinutes: fd.get('duration'),
             meetingType: fd.get('meetingType'),
             attendeeRoles: JSON.stringify(selectedRoles),
-            attendeeCount: fd.get('attendeeCount') || selectedRoles.length || 1
+            attendeeCount: fd.get('attendeeCount') || selectedRoles.length || 1,
+            issueKeys: fd.get('issueKeys').split(',').map(k => k.trim()).filter(Boolean),
+            ...readTags('meeting-teams', 'meeting-projects')
         };
-        console.log('Adding meeting:', meeting);
-        const result = await invoke('addMeeting', meeting);
-        console.log('addMeeting result:', result);
+        const action = editingMeetingId ? 'updateMeeting' : 'addMeeting';
+        if (editingMeetingId) meeting.meetingId = editingMeetingId;
+        console.log(`${action}:`, meeting);
+        const result = await invoke(action, meeting);
+        console.log(`${action} result:`, result);
         if (result && result.success) {
-            modal.classList.add('hidden');
-            form.reset();
-            await loadDashboardStats();
-            await loadRecentMeetings();
+            close();
+            await refreshAll();
         } else {
             alert('Failed to save: ' + (result ? result.error : 'Unknown error'));
         }
     });
+
+    setupSeriesListeners();
+    setupImportListeners();
+    setupCsvListeners();
+}
+
+// Open the meeting form empty for logging, or filled in to edit an existing meeting
+async function openMeetingModal(meeting) {
+    const modal = document.getElementById('add-meeting-modal');
+    const history = document.getElementById('meeting-history');
+    editingMeetingId = meeting ? meeting.id : null;
+
+    document.getElementById('meeting-modal-title').textContent = meeting ? '✏️ Edit Meeting' : '📅 Log Meeting';
+    document.getElementById('save-meeting-btn').textContent = meeting ? 'Save Changes' : 'Save Meeting';
+    history.classList.add('hidden');
+    modal.classList.remove('hidden');
+
+    if (!meeting) {
+        document.getElementById('date').valueAsDate = new Date();
+        presetTags('meeting-teams', 'meeting-projects');
+        updateCostPreview();
+        return;
+    }
+
+    document.getElementById('title').value = meeting.title || '';
+    document.getElementById('date').value = meeting.date;
+    document.getElementById('start-time').value = meeting.startTime || '';
+    document.getElementById('duration').value = meeting.durationMinutes;
+    // A type the admin has removed can't be picked again, so the form offers Ad-hoc instead
+    document.getElementById('meetingType').value = meetingTypes.some(t => t.typeId === meeting.meetingType) ? meeting.meetingType : 'ad-hoc';
+    document.getElementById('attendeeCount').value = (meeting.attendeeRoles || []).length > 0 ? '' : meeting.attendeeCount;
+    document.querySelectorAll('#attendee-roles input').forEach(i => {
+        i.checked = (meeting.attendeeRoles || []).includes(i.value);
+        i.parentElement.classList.toggle('selected', i.checked);
+    });
+    document.querySelectorAll('#meeting-teams input').forEach(i => {
+        i.checked = (meeting.teamIds || []).includes(i.value);
+        i.parentElement.classList.toggle('selected', i.checked);
+    });
+    document.getElementById('meeting-projects').value = (meeting.projectKeys || []).join(', ');
+    document.getElementById('meeting-issues').value = (meeting.issueKeys || []).join(', ');
+    updateCostPreview();
+
+    const result = await invoke('getMeetingHistory', { meetingId: meeting.id });
+    console.log('getMeetingHistory:', result);
+    if (result && result.success && result.revisions.length > 0 && editingMeetingId === meeting.id) {
+        renderMeetingHistory(history, result.revisions);
+    }
+}
+
+const HISTORY_FIELD_LABELS = {
+    title: 'Title',
+    date: 'Date',
+    startTime: 'Start',
+    durationMinutes: 'Duration (min)',
+    attendeeCount: 'Attendees',
+    attendeeRoles: 'Roles',
+    meetingType: 'Type',
+    issueKeys: 'Issues',
+    projectKeys: 'Projects',
+    teamIds: 'Teams',
+    calculatedCost: 'Cost',
+    hiddenCost: 'Hidden Cost',
+    currency: 'Currency'
+};
+
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '—';
+    if (field === 'calculatedCost' || field === 'hiddenCost') return formatCurrency(value);
+    if (field === 'meetingType') return formatType(value);
+    if (field === 'attendeeRoles') return value.map(id => (roleRates.find(r => r.roleId === id) || {}).roleName || id).join(', ');
+    if (field === 'teamIds') return value.map(id => (teams.find(t => t.teamId === id) || {}).name || id).join(', ');
+    return Array.isArray(value) ? value.join(', ') : value;
+}
+
+function renderMeetingHistory(container, revisions) {
+    container.innerHTML = '<h4>History</h4><ul>' + revisions.map(r => {
+        const when = new Date(r.changedAt).toLocaleString(currency.locale, { dateStyle: 'medium', timeStyle: 'short' });
+        const changes = r.changes.map(c => `${HISTORY_FIELD_LABELS[c.field] || c.field}: ${formatHistoryValue(c.field, c.from)} → ${formatHistoryValue(c.field, c.to)}`).join('; ');
+        const what = r.action === 'created'
+            ? 'Logged the meeting'
+            : r.action === 'recomputed' ? `Cost recomputed with updated rates — ${changes}` : changes;
+        return `<li>${when} · ${r.changedByName} · ${what}</li>`;
+    }).join('') + '</ul>';
+    container.classList.remove('hidden');
+}
+
+function setupImportListeners() {
+    const modal = document.getElementById('import-ics-modal');
+    const form = document.getElementById('ics-form');
+    const report = document.getElementById('ics-report');
+    const confirmBtn = document.getElementById('confirm-ics-btn');
+    const close = () => {
+        modal.classList.add('hidden');
+        form.reset();
+        report.classList.add('hidden');
+        confirmBtn.disabled = true;
+    };
+
+    document.getElementById('import-ics-btn').addEventListener('click', () => modal.classList.remove('hidden'));
+    document.getElementById('close-ics-modal').addEventListener('click', close);
+    document.getElementById('cancel-ics-btn').addEventListener('click', close);
+    modal.querySelector('.modal-backdrop').addEventListener('click', close);
+
+    // Any change invalidates the preview
+    form.addEventListener('change', () => {
+        confirmBtn.disabled = true;
+    });
+
+    const readRequest = async () => ({
+        ics: await document.getElementById('ics-file').files[0].text(),
+        from: document.getElementById('ics-from').value || undefined,
+        to: document.getElementById('ics-to').value || undefined,
+        ...scopeTags()
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const result = await invoke('previewIcsImport', await readRequest());
+        console.log('previewIcsImport result:', result);
+        if (result && result.success) {
+            renderImportReport(report, result, false);
+            confirmBtn.disabled = result.meetings.length === 0;
+        } else {
+            alert('Failed to read calendar: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        const result = await invoke('importIcs', await readRequest());
+        console.log('importIcs result:', result);
+        if (result && result.success) {
+            renderImportReport(report, result, true);
+            await refreshAll();
+        } else {
+            alert('Import failed: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
+}
+
+const CSV_FIELD_LABELS = {
+    title: 'Title',
+    date: 'Date (YYYY-MM-DD)',
+    startTime: 'Start Time (HH:MM)',
+    durationMinutes: 'Duration (min)',
+    meetingType: 'Meeting Type',
+    attendeeRoles: 'Roles (; separated)',
+    attendeeCount: 'Attendee Count',
+    issueKeys: 'Issues (; separated)',
+    projectKeys: 'Projects (; separated)',
+    teams: 'Teams (; separated)'
+};
+
+function setupCsvListeners() {
+    const importModal = document.getElementById('import-csv-modal');
+    const importForm = document.getElementById('csv-import-form');
+    const report = document.getElementById('csv-report');
+    const mappingContainer = document.getElementById('csv-mapping');
+    const confirmBtn = document.getElementById('confirm-csv-import-btn');
+    let csv = '';
+
+    const closeImport = () => {
+        importModal.classList.add('hidden');
+        importForm.reset();
+        mappingContainer.innerHTML = '';
+        report.classList.add('hidden');
+        confirmBtn.disabled = true;
+    };
+
+    document.getElementById('import-csv-btn').addEventListener('click', () => importModal.classList.remove('hidden'));
+    document.getElementById('close-csv-import-modal').addEventListener('click', closeImport);
+    document.getElementById('cancel-csv-import-btn').addEventListener('click', closeImport);
+    importModal.querySelector('.modal-backdrop').addEventListener('click', closeImport);
+
+    importForm.addEventListener('change', () => {
+        confirmBtn.disabled = true;
+    });
+
+    document.getElementById('csv-file').addEventListener('change', async (e) => {
+        csv = await e.target.files[0].text();
+        const result = await invoke('describeCsvImport', { csv });
+        console.log('describeCsvImport result:', result);
+        if (!result || !result.success) {
+            alert('Failed to read CSV: ' + (result ? result.error : 'Unknown error'));
+            return;
+        }
+        mappingContainer.innerHTML = result.fields.map(f =>
+            `<div class="form-group"><label>${CSV_FIELD_LABELS[f.id]}${f.required ? ' *' : ''}</label><select data-field="${f.id}"><option value="">— not mapped —</option>${result.headers.map(h =>
+                `<option value="${h}" ${result.mapping[f.id] === h ? 'selected' : ''}>${h}</option>`
+            ).join('')}</select></div>`
+        ).join('');
+    });
+
+    const readMapping = () => {
+        const mapping = {};
+        mappingContainer.querySelectorAll('select').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    };
+
+    importForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const result = await invoke('importMeetingsCsv', { csv, mapping: readMapping(), dryRun: true, ...scopeTags() });
+        console.log('importMeetingsCsv (dry run) result:', result);
+        if (result && result.success) {
+            renderImportReport(report, result, false);
+            confirmBtn.disabled = result.meetings.length === 0;
+        } else {
+            alert('Failed to read CSV: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        const result = await invoke('importMeetingsCsv', { csv, mapping: readMapping(), dryRun: false, ...scopeTags() });
+        console.log('importMeetingsCsv result:', result);
+        if (result && result.success) {
+            renderImportReport(report, result, true);
+            await refreshAll();
+        } else {
+            alert('Import failed: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
+
+    const exportModal = document.getElementById('export-csv-modal');
+    const exportForm = document.getElementById('csv-export-form');
+    const closeExport = () => exportModal.classList.add('hidden');
+
+    document.getElementById('export-csv-btn').addEventListener('click', () => exportModal.classList.remove('hidden'));
+    document.getElementById('close-csv-export-modal').addEventListener('click', closeExport);
+    document.getElementById('cancel-csv-export-btn').addEventListener('click', closeExport);
+    exportModal.querySelector('.modal-backdrop').addEventListener('click', closeExport);
+
+    exportModal.querySelectorAll('#export-columns input').forEach(i => {
+        i.addEventListener('change', () => i.parentElement.classList.toggle('selected', i.checked));
+    });
+
+    exportForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const request = {
+            startDate: document.getElementById('export-from').value || undefined,
+            endDate: document.getElementById('export-to').value || undefined,
+            columns: Array.from(exportModal.querySelectorAll('#export-columns input:checked')).map(el => el.value),
+            roleBreakdown: document.getElementById('export-role-breakdown').checked,
+            ...scope
+        };
+        const result = await invoke('exportMeetingsCsv', request);
+        console.log('exportMeetingsCsv result:', result && result.rowCount);
+        if (result && result.success) {
+            downloadFile(result.filename, result.csv, 'text/csv');
+            closeExport();
+        } else {
+            alert('Export failed: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function renderImportReport(container, result, imported) {
+    const list = items => `<ul>${items.join('')}</ul>`;
+    const meetings = result.meetings.slice(0, 20).map(m =>
+        `<li>${m.date} · ${m.title} · ${m.durationMinutes} min · ${formatCurrency(m.calculatedCost)}</li>`
+    );
+    if (result.meetings.length > 20) {
+        meetings.push(`<li>…and ${result.meetings.length - 20} more</li>`);
+    }
+
+    let html = `<h4>${imported ? 'Imported' : 'Will import'} ${result.meetings.length} meetings (${formatCurrency(result.totalCost)})</h4>${list(meetings)}`;
+    if (result.duplicates.length > 0) {
+        html += `<h4>${result.duplicates.length} duplicates skipped</h4>` + list(result.duplicates.map(d => `<li>${d.date} · ${d.title}</li>`));
+    }
+    if (result.errors && result.errors.length > 0) {
+        html += `<h4>${result.errors.length} validation errors</h4>` + list(result.errors.map(err =>
+            `<li class="report-error">Row ${err.row} · ${err.column}: ${err.message}</li>`
+        ));
+    }
+    if (result.skipped && result.skipped.length > 0) {
+        html += `<h4>${result.skipped.length} events not imported</h4>` + list(result.skipped.map(r =>
+            `<li>Line ${r.line}: ${r.title || 'Untitled'}${r.date ? ' (' + r.date + ')' : ''} — ${r.reason}</li>`
+        ));
+    }
+    if (result.unmappedAttendees && result.unmappedAttendees.length > 0) {
+        html += '<h4>Attendees without a role mapping</h4>' + list(result.unmappedAttendees.map(a =>
+            `<li>${a.email} (${a.count} meetings)</li>`
+        ));
+    }
+
+    container.innerHTML = html;
+    container.classList.remove('hidden');
+}
+
+function setupSeriesListeners() {
+    const modal = document.getElementById('add-series-modal');
+    const form = document.getElementById('series-form');
+    const frequency = document.getElementById('series-frequency');
+    const close = () => modal.classList.add('hidden');
+
+    document.getElementById('add-series-btn').addEventListener('click', () => {
+        modal.classList.remove('hidden');
+        document.getElementById('series-start').valueAsDate = new Date();
+        presetTags('series-teams', 'series-projects');
+    });
+
+    document.getElementById('close-series-modal').addEventListener('click', close);
+    document.getElementById('cancel-series-btn').addEventListener('click', close);
+    modal.querySelector('.modal-backdrop').addEventListener('click', close);
+
+    frequency.addEventListener('change', () => {
+        document.getElementById('series-rrule-group').classList.toggle('hidden', frequency.value !== 'custom');
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const fd = new FormData(form);
+        const selectedRoles = Array.from(document.querySelectorAll('#series-roles input:checked')).map(el => el.value);
+        const series = {
+            title: fd.get('title'),
+            startDate: fd.get('startDate'),
+            startTime: fd.get('startTime'),
+            durationMinutes: fd.get('duration'),
+            meetingType: fd.get('meetingType'),
+            rrule: frequency.value === 'custom' ? fd.get('rrule') : frequency.value,
+            attendeeRoles: JSON.stringify(selectedRoles),
+            attendeeCount: fd.get('attendeeCount') || selectedRoles.length || 1,
+            ...readTags('series-teams', 'series-projects')
+        };
+        console.log('Creating series:', series);
+        const result = await invoke('createMeetingSeries', series);
+        console.log('createMeetingSeries result:', result);
+        if (result && result.success) {
+            close();
+            form.reset();
+            await refreshAll();
+        } else {
+            alert('Failed to create series: ' + (result ? result.error : 'Unknown error'));
+        }
+    });
 }
 
 function populateRoleCheckboxes() {
-    const c = document.getElementById('attendee-roles');
+    renderRoleCheckboxes('attendee-roles', updateCostPreview);
+    renderRoleCheckboxes('series-roles');
+}
+
+function renderRoleCheckboxes(containerId, onChange) {
+    const c = document.getElementById(containerId);
     c.innerHTML = roleRates.map(r =>
-        `<label class="role-checkbox"><input type="checkbox" value="${r.roleId}">${r.roleName} ($${r.hourlyRate}/hr)</label>`
+        `<label class="role-checkbox"><input type="checkbox" value="${r.roleId}">${r.roleName} (${formatCurrency(r.hourlyRate, r.currency || currency.code)}/hr)</label>`
     ).join('');
 
     c.querySelectorAll('input').forEach(i => {
         i.addEventListener('change', () => {
             i.parentElement.classList.toggle('selected', i.checked);
-            updateCostPreview();
+            if (onChange) onChange();
         });
     });
 }
@@ -154,26 +1220,53 @@ function updateCostPreview() {
     const dur = parseInt(document.getElementById('duration').value) || 0;
     const roles = Array.from(document.querySelectorAll('#attendee-roles input:checked')).map(el => el.value);
     const cnt = parseInt(document.getElementById('attendeeCount').value) || 0;
-    let cost = 0;
+    // Rates in the reporting currency, as converted by the backend for today
+    const rate = r => r.reportingHourlyRate ?? r.hourlyRate;
+    const loaded = r => rate(r) * (r.benefitsMultiplier || 1) * (r.overheadMultiplier || 1);
+    // Fully loaded time also counts the context switching around the meeting
+    const loadedHours = (dur + contextSwitch.beforeMinutes + contextSwitch.afterMinutes) / 60;
+    let direct = 0;
+    let total = 0;
     if (roles.length > 0) {
         roles.forEach(id => {
             const r = roleRates.find(x => x.roleId === id);
-            if (r) cost += (dur / 60) * r.hourlyRate;
+            if (r) {
+                direct += (dur / 60) * rate(r);
+                total += loadedHours * loaded(r);
+            }
         });
     } else if (cnt > 0 && roleRates.length > 0) {
-        const avg = roleRates.reduce((s, r) => s + r.hourlyRate, 0) / roleRates.length;
-        cost = (dur / 60) * avg * cnt;
+        const avg = fn => roleRates.reduce((s, r) => s + fn(r), 0) / roleRates.length;
+        direct = (dur / 60) * avg(rate) * cnt;
+        total = loadedHours * avg(loaded) * cnt;
     }
-    document.getElementById('estimated-cost').textContent = formatCurrency(cost);
+    document.getElementById('estimated-cost').textContent = formatCurrency(total) + formatCostSplit({ directCost: direct, hiddenCost: total - direct });
+}
+
+// Meetings costed before the cost was fully loaded have no hidden cost
+function splitCost(m) {
+    return typeof m.hiddenCost === 'number'
+        ? { directCost: m.directCost, hiddenCost: m.hiddenCost }
+        : { directCost: m.calculatedCost || 0, hiddenCost: 0 };
 }
 
-function formatCurrency(n) {
-    return '$' + Math.round(n || 0).toLocaleString();
+function formatCostSplit({ directCost, hiddenCost }) {
+    return hiddenCost > 0 ? ` (${formatCurrency(directCost)} direct + ${formatCurrency(hiddenCost)} hidden)` : '';
 }
 
+function formatCurrency(n, code = currency.code) {
+    return new Intl.NumberFormat(currency.locale, { style: 'currency', currency: code, maximumFractionDigits: 0 }).format(n || 0);
+}
+
+// Meetings keep the id of a type the admin has since removed; show the id then
 function formatType(t) {
-    const m = { standup: 'Standup', planning: 'Planning', retro: 'Retro', review: 'Review', 'one-on-one': '1:1', 'team-sync': 'Team Sync', 'all-hands': 'All Hands', interview: 'Interview', 'ad-hoc': 'Ad-hoc' };
-    return m[t] || t || 'Ad-hoc';
+    const type = meetingTypes.find(m => m.typeId === (t || 'ad-hoc'));
+    return type ? type.label : t;
+}
+
+function typeColor(t) {
+    const type = meetingTypes.find(m => m.typeId === t);
+    return type ? type.color : '#6B778C';
 }
 
 function formatDate(d) {
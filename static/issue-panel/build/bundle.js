@@ -0,0 +1 @@
+(()=>{var e={8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const n=r(6893),o=new Set(n.FORGE_SUPPORTED_LOCALE_CODES),i={"en-UK":"en-GB","nb-NO":"no-NO"},a=n.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return o.has(t)?t:a[t]??i[t]??null}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,n)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const o=[...n,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:o,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,o)):r(t,o)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const n=new Set;for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(o[0]);for(const{key:t}of e)n.add(t)}return n.size>0?Array.from(n):[]},t.extractI18nPropertiesFromModules=e=>{const n=[];for(const o of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(o[0]);for(const t of e)n.push({moduleName:o[1],...t})}return n}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:n}=t;if(!n){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:n}=t,o=[e],i=n[e];var a,s;return i&&Array.isArray(i)&&i.length>0&&o.push(...i),a=o,s=t.fallback.default,a.includes(s)||a.push(s),o.filter(e=>r.includes(e))}}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},1549(e,t,r){var n=r(2032),o=r(3862),i=r(6721),a=r(2749),s=r(5749);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}l.prototype.clear=n,l.prototype.delete=o,l.prototype.get=i,l.prototype.has=a,l.prototype.set=s,e.exports=l},79(e,t,r){var n=r(3702),o=r(80),i=r(4739),a=r(8655),s=r(1175);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}l.prototype.clear=n,l.prototype.delete=o,l.prototype.get=i,l.prototype.has=a,l.prototype.set=s,e.exports=l},8223(e,t,r){var n=r(6110)(r(9325),"Map");e.exports=n},3661(e,t,r){var n=r(3040),o=r(7670),i=r(289),a=r(4509),s=r(2949);function l(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var n=e[t];this.set(n[0],n[1])}}l.prototype.clear=n,l.prototype.delete=o,l.prototype.get=i,l.prototype.has=a,l.prototype.set=s,e.exports=l},1873(e,t,r){var n=r(9325).Symbol;e.exports=n},4932(e){e.exports=function(e,t){for(var r=-1,n=null==e?0:e.length,o=Array(n);++r<n;)o[r]=t(e[r],r,e);return o}},6025(e,t,r){var n=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(n(e[r][0],t))return r;return-1}},7422(e,t,r){var n=r(1769),o=r(7797);e.exports=function(e,t){for(var r=0,i=(t=n(t,e)).length;null!=e&&r<i;)e=e[o(t[r++])];return r&&r==i?e:void 0}},2552(e,t,r){var n=r(1873),o=r(659),i=r(9350),a=n?n.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":a&&a in Object(e)?o(e):i(e)}},5083(e,t,r){var n=r(1882),o=r(7296),i=r(3805),a=r(7473),s=/^\[object .+?Constructor\]$/,l=Function.prototype,c=Object.prototype,u=l.toString,d=c.hasOwnProperty,p=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!i(e)||o(e))&&(n(e)?p:s).test(a(e))}},7556(e,t,r){var n=r(1873),o=r(4932),i=r(6449),a=r(4394),s=n?n.prototype:void 0,l=s?s.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(i(t))return o(t,e)+"";if(a(t))return l?l.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},1769(e,t,r){var n=r(6449),o=r(8586),i=r(1802),a=r(3222);e.exports=function(e,t){return n(e)?e:o(e,t)?[e]:i(a(e))}},5481(e,t,r){var n=r(9325)["__core-js_shared__"];e.exports=n},4840(e,t,r){var n="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=n},2651(e,t,r){var n=r(4218);e.exports=function(e,t){var r=e.__data__;return n(t)?r["string"==typeof t?"string":"hash"]:r.map}},6110(e,t,r){var n=r(5083),o=r(392);e.exports=function(e,t){var r=o(e,t);return n(r)?r:void 0}},659(e,t,r){var n=r(1873),o=Object.prototype,i=o.hasOwnProperty,a=o.toString,s=n?n.toStringTag:void 0;e.exports=function(e){var t=i.call(e,s),r=e[s];try{e[s]=void 0;var n=!0}catch(e){}var o=a.call(e);return n&&(t?e[s]=r:delete e[s]),o}},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},2032(e,t,r){var n=r(1042);e.exports=function(){this.__data__=n?n(null):{},this.size=0}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},6721(e,t,r){var n=r(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(n){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return o.call(t,e)?t[e]:void 0}},2749(e,t,r){var n=r(1042),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return n?void 0!==t[e]:o.call(t,e)}},5749(e,t,r){var n=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=n&&void 0===t?"__lodash_hash_undefined__":t,this}},8586(e,t,r){var n=r(6449),o=r(4394),i=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,a=/^\w*$/;e.exports=function(e,t){if(n(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!o(e))||a.test(e)||!i.test(e)||null!=t&&e in Object(t)}},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},7296(e,t,r){var n,o=r(5481),i=(n=/[^.]+$/.exec(o&&o.keys&&o.keys.IE_PROTO||""))?"Symbol(src)_1."+n:"";e.exports=function(e){return!!i&&i in e}},3702(e){e.exports=function(){this.__data__=[],this.size=0}},80(e,t,r){var n=r(6025),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=n(t,e);return!(r<0||(r==t.length-1?t.pop():o.call(t,r,1),--this.size,0))}},4739(e,t,r){var n=r(6025);e.exports=function(e){var t=this.__data__,r=n(t,e);return r<0?void 0:t[r][1]}},8655(e,t,r){var n=r(6025);e.exports=function(e){return n(this.__data__,e)>-1}},1175(e,t,r){var n=r(6025);e.exports=function(e,t){var r=this.__data__,o=n(r,e);return o<0?(++this.size,r.push([e,t])):r[o][1]=t,this}},3040(e,t,r){var n=r(1549),o=r(79),i=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new n,map:new(i||o),string:new n}}},7670(e,t,r){var n=r(2651);e.exports=function(e){var t=n(this,e).delete(e);return this.size-=t?1:0,t}},289(e,t,r){var n=r(2651);e.exports=function(e){return n(this,e).get(e)}},4509(e,t,r){var n=r(2651);e.exports=function(e){return n(this,e).has(e)}},2949(e,t,r){var n=r(2651);e.exports=function(e,t){var r=n(this,e),o=r.size;return r.set(e,t),this.size+=r.size==o?0:1,this}},2224(e,t,r){var n=r(104);e.exports=function(e){var t=n(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},1042(e,t,r){var n=r(6110)(Object,"create");e.exports=n},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9325(e,t,r){var n=r(4840),o="object"==typeof self&&self&&self.Object===Object&&self,i=n||o||Function("return this")();e.exports=i},1802(e,t,r){var n=r(2224),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,i=/\\(\\)?/g,a=n(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,r,n,o){t.push(n?o.replace(i,"$1"):r||e)}),t});e.exports=a},7797(e,t,r){var n=r(4394);e.exports=function(e){if("string"==typeof e||n(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},8156(e,t,r){var n=r(7422);e.exports=function(e,t,r){var o=null==e?void 0:n(e,t);return void 0===o?r:o}},6449(e){var t=Array.isArray;e.exports=t},1882(e,t,r){var n=r(2552),o=r(3805);e.exports=function(e){if(!o(e))return!1;var t=n(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},4394(e,t,r){var n=r(2552),o=r(346);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==n(e)}},104(e,t,r){var n=r(3661);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var n=arguments,o=t?t.apply(this,n):n[0],i=r.cache;if(i.has(o))return i.get(o);var a=e.apply(this,n);return r.cache=i.set(o,a)||i,a};return r.cache=new(o.Cache||n),r}o.Cache=n,e.exports=o},3222(e,t,r){var n=r(7556);e.exports=function(e){return null==e?"":n(e)}}};const t={};function r(n){const o=t[n];if(void 0!==o)return o.exports;const i=t[n]={exports:{}};return e[n](i,i.exports,r),i.exports}r.cw=e=>{var t;return()=>{if(e){var r=e;e=0,t={exports:{}},r.call(t.exports,t,t.exports)}return t.exports}},r.d=(e,t)=>{for(var n in t)r.o(t,n)&&!r.o(e,n)&&Object.defineProperty(e,n,{enumerable:!0,get:t[n]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),(()=>{"use strict";var e=r.cw(function(e,r){r.getCallBridge=void 0;const n=t();r.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new n.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}}),t=r.cw(function(e,t){t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r}),n=r.cw(function(t,r){Object.defineProperty(r,"__esModule",{value:!0}),r.events=void 0;const n=(0,e().getCallBridge)();r.events={emit:(e,t)=>n("emit",{event:e,payload:t}),on:(e,t)=>n("on",{event:e,callback:t})}}),o=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(n(),t)}),i=r.cw(function(e,t){t.productFetchApi=void 0;const r=b();t.productFetchApi=e=>{const t=async(t,n,o)=>{const{body:i,headers:a,isMultipartFormData:s}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,n=t?await(async e=>{const t={};for(const[n,o]of e.entries())if("file"===n){const e=o.name,n=o.type;t.file=await(0,r.blobToBase64)(o),t.__fileName=e,t.__fileType=n}else t[n]=o;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,o=new Request("",{body:n,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),i=Object.fromEntries(o.headers.entries());return{body:"GET"!==o.method?await o.text():null,headers:new Headers(i),isMultipartFormData:t}})(o);a.has("X-Atlassian-Token")||a.set("X-Atlassian-Token","no-check");const l={product:t,restPath:n,fetchRequestInit:{...o,body:i,headers:[...a.entries()]},isMultipartFormData:s},{body:c,headers:u,statusText:d,status:p,isAttachment:f}=await e("fetchProduct",l),h=f?(0,r.base64ToBlob)(c,u["content-type"]):c;return new Response(h||null,{headers:u,status:p,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}}),a=r.cw(function(t,r){var n;Object.defineProperty(r,"__esModule",{value:!0}),r.requestBitbucket=r.requestJira=r.requestConfluence=void 0;const o=e();n=(0,i().productFetchApi)((0,o.getCallBridge)()),r.requestConfluence=n.requestConfluence,r.requestJira=n.requestJira,r.requestBitbucket=n.requestBitbucket}),s=r.cw(function(r,n){Object.defineProperty(n,"__esModule",{value:!0}),n.showFlag=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)();n.showFlag=e=>{var t;if(!e.id)throw new i.BridgeAPIError('"id" must be defined in flag options');const r=a("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,a("closeFlag",{id:e.id}))}}}),l=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=s();Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})}),c=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const r=B(),n=I(),o={getI18nInfoConfig:async()=>{const e=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${r.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},i=new r.TranslationsGetter(o);t.resetTranslationsCache=()=>{i.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await n.view.getContext()).locale),await i.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await n.view.getContext()).locale);const o=new r.Translator(t,i);return await o.init(),(e,t)=>{var r,n;return null!==(n=null!==(r=o.translate(e))&&void 0!==r?r:t)&&void 0!==n?n:e}}}),u=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const r=N();var n=w();Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return n.NavigationTarget}}),r.__exportStar(f(),t),r.__exportStar(d(),t),r.__exportStar(I(),t),r.__exportStar(y(),t),r.__exportStar(v(),t),r.__exportStar(a(),t),r.__exportStar(l(),t),r.__exportStar(o(),t),t.i18n=r.__importStar(c())}),d=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(p(),t)}),p=r.cw(function(r,n){Object.defineProperty(n,"__esModule",{value:!0}),n.invokeRemote=void 0;const o=e(),i=t(),a=m(),s=(0,o.getCallBridge)();n.invokeRemote=(0,a.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new i.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:n,error:o}=null!==(t=await s("invoke",e))&&void 0!==t?t:{},a={...r?n:o};if(a&&a.headers)for(const e in a.headers)Array.isArray(a.headers[e])&&(a.headers[e]=a.headers[e].join(","));return a},500,25e3,"Remote invocation calls are rate limited at 500req/25s")}),f=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(h(),t)}),h=r.cw(function(r,n){Object.defineProperty(n,"__esModule",{value:!0}),n.invoke=void 0;const o=e(),i=t(),a=m(),s=(0,o.getCallBridge)();n.invoke=(0,a.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new i.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new i.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),s("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")}),v=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(g(),t)}),g=r.cw(function(r,n){Object.defineProperty(n,"__esModule",{value:!0}),n.Modal=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)(),s=()=>{};n.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||s,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new i.BridgeAPIError("Unable to open modal.")}catch(e){throw new i.BridgeAPIError("Unable to open modal.")}}}}),y=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(_(),t)}),_=r.cw(function(t,r){Object.defineProperty(r,"__esModule",{value:!0}),r.router=void 0;const n=(0,e().getCallBridge)();r.router={navigate:async e=>{if("string"==typeof e)return n("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return n("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return n("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return n("navigate",{...e,type:"new-tab"})},reload:async()=>n("reload")}}),w=()=>r(8325),b=r.cw(function(e,t){t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,n=atob(r),o=new Array(n.length);for(let e=0;e<n.length;e++)o[e]=n.charCodeAt(e);const i=new Uint8Array(o);return new Blob([i],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const n=new FileReader;n.onloadend=()=>{t(n.result)},n.onerror=r,n.readAsDataURL(e)})}),m=r.cw(function(e,r){r.withRateLimiter=void 0;const n=t();r.withRateLimiter=(e,t,r,o)=>{let i=Date.now(),a=0;return async(...s)=>{const l=Date.now();if(l-i>r&&(i=l,a=0),a>=t)throw new n.BridgeAPIError(o||"Too many invocations.");return a+=1,e(...s)}}}),O=r.cw(function(r,n){n.changeWindowTitle=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)();n.changeWindowTitle=async e=>{try{await a("changeWindowTitle",e)}catch(e){throw new i.BridgeAPIError("the window title wasn't changed due to error.")}}}),x=r.cw(function(r,n){n.close=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)();n.close=async e=>{try{if(!1===await a("close",e))throw new i.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new i.BridgeAPIError("this resource's view is not closable.")}}}),E=r.cw(function(t,r){r.createHistory=void 0;const n=(0,e().getCallBridge)();r.createHistory=async()=>{const e=await n("createHistory");return e.listen(t=>{e.location=t}),e}}),C=r.cw(function(t,r){r.getContext=void 0;const n=e(),o=B(),i=(0,n.getCallBridge)();r.getContext=async()=>{var e;const t=await i("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,o.ensureLocale)(r))&&void 0!==e?e:r),t}}),I=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(M(),t)}),P=r.cw(function(r,n){n.refresh=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)();n.refresh=async e=>{if(!1===await a("refresh",e))throw new i.BridgeAPIError("this resource's view is not refreshable.")}}),j=r.cw(function(r,n){n.submit=void 0;const o=e(),i=t(),a=(0,o.getCallBridge)();n.submit=async e=>{if(!1===await a("submit",e))throw new i.BridgeAPIError("this resource's view is not submittable.")}}),T=r.cw(function(t,r){r.theme=void 0;const n=(0,e().getCallBridge)();r.theme={enable:()=>n("enableTheming")}}),M=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=j(),n=x(),o=P(),i=E(),a=C(),s=O(),l=T();t.view={submit:r.submit,close:n.close,refresh:o.refresh,createHistory:i.createHistory,getContext:a.getContext,theme:l.theme,changeWindowTitle:s.changeWindowTitle}}),B=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const n=N();n.__exportStar(r(6893),t),n.__exportStar(F(),t),n.__exportStar(A(),t),n.__exportStar(r(7898),t);var o=S();Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return o.getTranslationValue}});var i=L();Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return i.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return i.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return i.getI18nSupportedModuleEntries}}),n.__exportStar(k(),t)}),L=()=>r(9962),S=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const r=N().__importDefault(R());t.getTranslationValue=(e,r,n)=>{const o=e[n];return o?(0,t.getTranslationValueFromContent)(o,r):null},t.getTranslationValueFromContent=(e,t)=>{let n=e[t];if(!n){const o=t.split(".");o.length>1&&(n=(0,r.default)(e,o,null))}return"string"==typeof n?n:null}}),F=()=>r(6829),A=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const r=S();t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:n}of this.localeLookupOrderedTranslations){const o=(0,r.getTranslationValueFromContent)(n,e);if(null!==o){t=o;break}}t=t??null,this.cache.set(e,t)}return t}}}),k=()=>r(5181),R=()=>r(8156),N=r.cw(function(e,t){r.d(t,{__exportStar:()=>o,__importDefault:()=>l,__importStar:()=>s});var n=Object.create?function(e,t,r,n){void 0===n&&(n=r);var o=Object.getOwnPropertyDescriptor(t,r);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,n,o)}:function(e,t,r,n){void 0===n&&(n=r),e[n]=t[r]};function o(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||n(t,e,r)}var i=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},a=function(e){return a=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},a(e)};function s(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=a(e),o=0;o<r.length;o++)"default"!==r[o]&&n(t,e,r[o]);return i(t,e),t}function l(e){return e&&e.__esModule?e:{default:e}}});u();let $={code:"USD",locale:"en-US"};async function D(){console.log("Issue panel initializing..."),document.getElementById("include-children").addEventListener("change",U),await U()}async function U(){const e=document.getElementById("include-children").checked;document.getElementById("loading").classList.remove("hidden"),document.getElementById("content").classList.add("hidden");try{const t=await(0,u().invoke)("getIssueMeetingCost",{includeChildren:e});console.log("getIssueMeetingCost:",t),t&&t.success?($=t.currency||$,function(e){document.getElementById("stats").innerHTML=[{label:"Meeting Cost",value:q(e.totalCost),detail:`${q(e.directCost)} direct · ${q(e.hiddenCost)} hidden`},{label:"Meeting Hours",value:(e.totalHours||0).toFixed(1)+"h"},{label:"Meetings",value:e.meetingCount||0}].map(e=>`<div class="stat-item"><div class="stat-value">${e.value}</div><div class="stat-label">${e.label}</div>${e.detail?`<div class="stat-detail">${e.detail}</div>`:""}</div>`).join(""),document.getElementById("scope-note").textContent=e.childCount>0?`Includes ${e.childCount} child issue${1===e.childCount?"":"s"}; a meeting linked to several is counted once`:""}(t),function(e,t){const r=document.getElementById("issues-section");!t||e.length<2?r.classList.add("hidden"):(document.getElementById("issue-list").innerHTML=e.map(e=>`\n        <div class="row">\n            <span class="row-title"><strong>${G(e.key)}</strong> ${G(e.summary||"")}</span>\n            <span class="row-value">${q(e.totalCost)} · ${e.meetingCount}</span>\n        </div>\n    `).join(""),r.classList.remove("hidden"))}(t.issues||[],e),function(e){const t=document.getElementById("meeting-list");if(0===e.length)return void(t.innerHTML='<p class="empty">No meetings are linked to this issue yet. Link them from the Meeting ROI dashboard.</p>');const r=e.length-10;t.innerHTML=e.slice(0,10).map(e=>`\n        <div class="row">\n            <span class="row-title">${G(e.title||"Untitled meeting")}<span class="row-meta">${e.date} · ${e.durationMinutes} min · ${e.attendeeCount} attendees${e.hiddenCost>0?` · ${q(e.hiddenCost)} hidden`:""}</span></span>\n            <span class="row-value">${q(e.calculatedCost)}</span>\n        </div>\n    `).join("")+(r>0?`<p class="empty">and ${r} earlier meeting${1===r?"":"s"}</p>`:"")}(t.meetings||[])):z(t&&t.error||"Could not load meeting costs")}catch(e){console.error("Error loading issue meeting cost:",e),z("Could not load meeting costs")}document.getElementById("loading").classList.add("hidden"),document.getElementById("content").classList.remove("hidden")}function z(e){document.getElementById("stats").innerHTML="",document.getElementById("scope-note").textContent="",document.getElementById("issues-section").classList.add("hidden"),document.getElementById("meeting-list").innerHTML=`<p class="empty">${G(e)}</p>`}function q(e){return new Intl.NumberFormat($.locale,{style:"currency",currency:$.code,maximumFractionDigits:0}).format(e||0)}function G(e){const t=document.createElement("div");return t.textContent=e,t.innerHTML}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",D):D()})()})();
\ No newline at end of file
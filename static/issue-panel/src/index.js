@@ -0,0 +1,110 @@
+import { invoke } from '@forge/bridge';
+
+// Reporting currency and display locale, as returned with the costs
+let currency = { code: 'USD', locale: 'en-US' };
+// Meetings listed under the rollup; the rest are counted but not shown
+const MAX_LISTED_MEETINGS = 10;
+
+async function init() {
+    console.log('Issue panel initializing...');
+    document.getElementById('include-children').addEventListener('change', load);
+    await load();
+}
+
+async function load() {
+    const includeChildren = document.getElementById('include-children').checked;
+    document.getElementById('loading').classList.remove('hidden');
+    document.getElementById('content').classList.add('hidden');
+
+    try {
+        // The resolver reads the issue from the panel's context
+        const result = await invoke('getIssueMeetingCost', { includeChildren });
+        console.log('getIssueMeetingCost:', result);
+
+        if (result && result.success) {
+            currency = result.currency || currency;
+            renderTotals(result);
+            renderIssues(result.issues || [], includeChildren);
+            renderMeetings(result.meetings || []);
+        } else {
+            showError((result && result.error) || 'Could not load meeting costs');
+        }
+    } catch (error) {
+        console.error('Error loading issue meeting cost:', error);
+        showError('Could not load meeting costs');
+    }
+
+    document.getElementById('loading').classList.add('hidden');
+    document.getElementById('content').classList.remove('hidden');
+}
+
+function renderTotals(result) {
+    document.getElementById('stats').innerHTML = [
+        {
+            label: 'Meeting Cost',
+            value: formatCurrency(result.totalCost),
+            detail: `${formatCurrency(result.directCost)} direct · ${formatCurrency(result.hiddenCost)} hidden`
+        },
+        { label: 'Meeting Hours', value: (result.totalHours || 0).toFixed(1) + 'h' },
+        { label: 'Meetings', value: result.meetingCount || 0 }
+    ].map(s => `<div class="stat-item"><div class="stat-value">${s.value}</div><div class="stat-label">${s.label}</div>${s.detail ? `<div class="stat-detail">${s.detail}</div>` : ''}</div>`).join('');
+
+    document.getElementById('scope-note').textContent = result.childCount > 0
+        ? `Includes ${result.childCount} child issue${result.childCount === 1 ? '' : 's'}; a meeting linked to several is counted once`
+        : '';
+}
+
+function renderIssues(issues, includeChildren) {
+    const section = document.getElementById('issues-section');
+    // The breakdown only adds something when child issues have meetings of their own
+    if (!includeChildren || issues.length < 2) {
+        section.classList.add('hidden');
+        return;
+    }
+    document.getElementById('issue-list').innerHTML = issues.map(issue => `
+        <div class="row">
+            <span class="row-title"><strong>${escapeHtml(issue.key)}</strong> ${escapeHtml(issue.summary || '')}</span>
+            <span class="row-value">${formatCurrency(issue.totalCost)} · ${issue.meetingCount}</span>
+        </div>
+    `).join('');
+    section.classList.remove('hidden');
+}
+
+function renderMeetings(meetings) {
+    const list = document.getElementById('meeting-list');
+    if (meetings.length === 0) {
+        list.innerHTML = '<p class="empty">No meetings are linked to this issue yet. Link them from the Meeting ROI dashboard.</p>';
+        return;
+    }
+    const more = meetings.length - MAX_LISTED_MEETINGS;
+    list.innerHTML = meetings.slice(0, MAX_LISTED_MEETINGS).map(m => `
+        <div class="row">
+            <span class="row-title">${escapeHtml(m.title || 'Untitled meeting')}<span class="row-meta">${m.date} · ${m.durationMinutes} min · ${m.attendeeCount} attendees${m.hiddenCost > 0 ? ` · ${formatCurrency(m.hiddenCost)} hidden` : ''}</span></span>
+            <span class="row-value">${formatCurrency(m.calculatedCost)}</span>
+        </div>
+    `).join('') + (more > 0 ? `<p class="empty">and ${more} earlier meeting${more === 1 ? '' : 's'}</p>` : '');
+}
+
+function showError(message) {
+    document.getElementById('stats').innerHTML = '';
+    document.getElementById('scope-note').textContent = '';
+    document.getElementById('issues-section').classList.add('hidden');
+    document.getElementById('meeting-list').innerHTML = `<p class="empty">${escapeHtml(message)}</p>`;
+}
+
+function formatCurrency(n) {
+    return new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currency.code, maximumFractionDigits: 0 }).format(n || 0);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1 @@
+(()=>{var e={8325(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.NavigationTarget=void 0,t.NavigationTarget={ContentView:"contentView",ContentEdit:"contentEdit",ContentList:"contentList",SpaceView:"spaceView",Module:"module",UserProfile:"userProfile",Dashboard:"dashboard",Issue:"issue",ProjectSettingsDetails:"projectSettingsDetails"}},6893(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.FORGE_SUPPORTED_LOCALE_CODES=t.I18N_BUNDLE_FOLDER_NAME=t.I18N_INFO_FILE_NAME=void 0,t.I18N_INFO_FILE_NAME="i18n-info.json",t.I18N_BUNDLE_FOLDER_NAME="__LOCALES__",t.FORGE_SUPPORTED_LOCALE_CODES=["zh-CN","zh-TW","cs-CZ","da-DK","nl-NL","en-US","en-GB","et-EE","fi-FI","fr-FR","de-DE","hu-HU","is-IS","it-IT","ja-JP","ko-KR","no-NO","pl-PL","pt-BR","pt-PT","ro-RO","ru-RU","sk-SK","tr-TR","es-ES","sv-SE"]},7898(e,t,r){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.ensureLocale=void 0;const o=r(6893),n=new Set(o.FORGE_SUPPORTED_LOCALE_CODES),a={"en-UK":"en-GB","nb-NO":"no-NO"},s=o.FORGE_SUPPORTED_LOCALE_CODES.reduce((e,t)=>{const[r]=t.split("-");return e[r]||(e[r]=t),e},{nb:"no-NO",pt:"pt-PT"});t.ensureLocale=e=>{const t=e.replace("_","-");return n.has(t)?t:s[t]??a[t]??null}},9962(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getI18nSupportedModuleEntries=void 0;const r=e=>{const t=new Set,r=(e,o)=>!(e=>"object"==typeof e&&null!==e&&!Array.isArray(e))(e)||t.has(e)?[]:(t.add(e),Object.entries(e).flatMap(([e,t])=>{const n=[...o,e];return(e=>"string"==typeof e?.i18n)(t)?[{propertyPath:n,key:t.i18n}]:Array.isArray(t)?t.flatMap(e=>r(e,n)):r(t,n)}));return r(e,[])};t.getI18nSupportedModuleEntries=e=>Object.entries(e).flatMap(([e,t])=>!(e=>e.startsWith("connect-"))(e)&&!(e=>e.startsWith("core:"))(e)&&t&&Array.isArray(t)&&t.length>0?t.map(t=>[t,e]):[]),t.extractI18nKeysFromModules=e=>{const o=new Set;for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const{key:t}of e)o.add(t)}return o.size>0?Array.from(o):[]},t.extractI18nPropertiesFromModules=e=>{const o=[];for(const n of(0,t.getI18nSupportedModuleEntries)(e)){const e=r(n[0]);for(const t of e)o.push({moduleName:n[1],...t})}return o}},6829(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.TranslationsGetter=t.TranslationGetterError=void 0;class r extends Error{constructor(e){super(e),this.name="TranslationGetterError"}}t.TranslationGetterError=r,t.TranslationsGetter=class{resourcesAccessor;i18nInfoConfig=null;translationResources=new Map;constructor(e){this.resourcesAccessor=e}async getTranslations(e,t={fallback:!0}){const r=await this.getI18nInfoConfig(),{fallback:o}=t;if(!o){let t;return r.locales.includes(e)&&(t=await this.getTranslationResource(e)),{translations:t??null,locale:e}}for(const t of this.getLocaleLookupOrder(e,r)){const e=await this.getTranslationResource(t);if(e)return{translations:e,locale:t}}return{translations:null,locale:e}}async getTranslationsByLocaleLookupOrder(e){const t=await this.getI18nInfoConfig(),r=this.getLocaleLookupOrder(e,t);return await Promise.all(r.map(async e=>({locale:e,translations:await this.getTranslationResource(e)})))}reset(){this.i18nInfoConfig=null,this.translationResources.clear()}async getTranslationResource(e){let t=this.translationResources.get(e);if(!t)try{t=await this.resourcesAccessor.getTranslationResource(e),this.translationResources.set(e,t)}catch(t){if(t instanceof r)throw t;throw new r(`Failed to get translation resource for locale: ${e}`)}return t}async getI18nInfoConfig(){if(!this.i18nInfoConfig)try{this.i18nInfoConfig=await this.resourcesAccessor.getI18nInfoConfig()}catch(e){if(e instanceof r)throw e;throw new r("Failed to get i18n info config")}return this.i18nInfoConfig}getLocaleLookupOrder(e,t){const{locales:r,fallback:o}=t,n=[e],a=o[e];var s,i;return a&&Array.isArray(a)&&a.length>0&&n.push(...a),s=n,i=t.fallback.default,s.includes(i)||s.push(i),n.filter(e=>r.includes(e))}}},5181(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0})},1549(e,t,r){var o=r(2032),n=r(3862),a=r(6721),s=r(2749),i=r(5749);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},79(e,t,r){var o=r(3702),n=r(80),a=r(4739),s=r(8655),i=r(1175);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},8223(e,t,r){var o=r(6110)(r(9325),"Map");e.exports=o},3661(e,t,r){var o=r(3040),n=r(7670),a=r(289),s=r(4509),i=r(2949);function c(e){var t=-1,r=null==e?0:e.length;for(this.clear();++t<r;){var o=e[t];this.set(o[0],o[1])}}c.prototype.clear=o,c.prototype.delete=n,c.prototype.get=a,c.prototype.has=s,c.prototype.set=i,e.exports=c},1873(e,t,r){var o=r(9325).Symbol;e.exports=o},4932(e){e.exports=function(e,t){for(var r=-1,o=null==e?0:e.length,n=Array(o);++r<o;)n[r]=t(e[r],r,e);return n}},6025(e,t,r){var o=r(5288);e.exports=function(e,t){for(var r=e.length;r--;)if(o(e[r][0],t))return r;return-1}},7422(e,t,r){var o=r(1769),n=r(7797);e.exports=function(e,t){for(var r=0,a=(t=o(t,e)).length;null!=e&&r<a;)e=e[n(t[r++])];return r&&r==a?e:void 0}},2552(e,t,r){var o=r(1873),n=r(659),a=r(9350),s=o?o.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":s&&s in Object(e)?n(e):a(e)}},5083(e,t,r){var o=r(1882),n=r(7296),a=r(3805),s=r(7473),i=/^\[object .+?Constructor\]$/,c=Function.prototype,l=Object.prototype,u=c.toString,d=l.hasOwnProperty,p=RegExp("^"+u.call(d).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!a(e)||n(e))&&(o(e)?p:i).test(s(e))}},7556(e,t,r){var o=r(1873),n=r(4932),a=r(6449),s=r(4394),i=o?o.prototype:void 0,c=i?i.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(a(t))return n(t,e)+"";if(s(t))return c?c.call(t):"";var r=t+"";return"0"==r&&1/t==-1/0?"-0":r}},1769(e,t,r){var o=r(6449),n=r(8586),a=r(1802),s=r(3222);e.exports=function(e,t){return o(e)?e:n(e,t)?[e]:a(s(e))}},5481(e,t,r){var o=r(9325)["__core-js_shared__"];e.exports=o},4840(e,t,r){var o="object"==typeof r.g&&r.g&&r.g.Object===Object&&r.g;e.exports=o},2651(e,t,r){var o=r(4218);e.exports=function(e,t){var r=e.__data__;return o(t)?r["string"==typeof t?"string":"hash"]:r.map}},6110(e,t,r){var o=r(5083),n=r(392);e.exports=function(e,t){var r=n(e,t);return o(r)?r:void 0}},659(e,t,r){var o=r(1873),n=Object.prototype,a=n.hasOwnProperty,s=n.toString,i=o?o.toStringTag:void 0;e.exports=function(e){var t=a.call(e,i),r=e[i];try{e[i]=void 0;var o=!0}catch(e){}var n=s.call(e);return o&&(t?e[i]=r:delete e[i]),n}},392(e){e.exports=function(e,t){return null==e?void 0:e[t]}},2032(e,t,r){var o=r(1042);e.exports=function(){this.__data__=o?o(null):{},this.size=0}},3862(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},6721(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(o){var r=t[e];return"__lodash_hash_undefined__"===r?void 0:r}return n.call(t,e)?t[e]:void 0}},2749(e,t,r){var o=r(1042),n=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return o?void 0!==t[e]:n.call(t,e)}},5749(e,t,r){var o=r(1042);e.exports=function(e,t){var r=this.__data__;return this.size+=this.has(e)?0:1,r[e]=o&&void 0===t?"__lodash_hash_undefined__":t,this}},8586(e,t,r){var o=r(6449),n=r(4394),a=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,s=/^\w*$/;e.exports=function(e,t){if(o(e))return!1;var r=typeof e;return!("number"!=r&&"symbol"!=r&&"boolean"!=r&&null!=e&&!n(e))||s.test(e)||!a.test(e)||null!=t&&e in Object(t)}},4218(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},7296(e,t,r){var o,n=r(5481),a=(o=/[^.]+$/.exec(n&&n.keys&&n.keys.IE_PROTO||""))?"Symbol(src)_1."+o:"";e.exports=function(e){return!!a&&a in e}},3702(e){e.exports=function(){this.__data__=[],this.size=0}},80(e,t,r){var o=r(6025),n=Array.prototype.splice;e.exports=function(e){var t=this.__data__,r=o(t,e);return!(r<0||(r==t.length-1?t.pop():n.call(t,r,1),--this.size,0))}},4739(e,t,r){var o=r(6025);e.exports=function(e){var t=this.__data__,r=o(t,e);return r<0?void 0:t[r][1]}},8655(e,t,r){var o=r(6025);e.exports=function(e){return o(this.__data__,e)>-1}},1175(e,t,r){var o=r(6025);e.exports=function(e,t){var r=this.__data__,n=o(r,e);return n<0?(++this.size,r.push([e,t])):r[n][1]=t,this}},3040(e,t,r){var o=r(1549),n=r(79),a=r(8223);e.exports=function(){this.size=0,this.__data__={hash:new o,map:new(a||n),string:new o}}},7670(e,t,r){var o=r(2651);e.exports=function(e){var t=o(this,e).delete(e);return this.size-=t?1:0,t}},289(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).get(e)}},4509(e,t,r){var o=r(2651);e.exports=function(e){return o(this,e).has(e)}},2949(e,t,r){var o=r(2651);e.exports=function(e,t){var r=o(this,e),n=r.size;return r.set(e,t),this.size+=r.size==n?0:1,this}},2224(e,t,r){var o=r(104);e.exports=function(e){var t=o(e,function(e){return 500===r.size&&r.clear(),e}),r=t.cache;return t}},1042(e,t,r){var o=r(6110)(Object,"create");e.exports=o},9350(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},9325(e,t,r){var o=r(4840),n="object"==typeof self&&self&&self.Object===Object&&self,a=o||n||Function("return this")();e.exports=a},1802(e,t,r){var o=r(2224),n=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,a=/\\(\\)?/g,s=o(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(n,function(e,r,o,n){t.push(o?n.replace(a,"$1"):r||e)}),t});e.exports=s},7797(e,t,r){var o=r(4394);e.exports=function(e){if("string"==typeof e||o(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},7473(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(e){}try{return e+""}catch(e){}}return""}},5288(e){e.exports=function(e,t){return e===t||e!=e&&t!=t}},8156(e,t,r){var o=r(7422);e.exports=function(e,t,r){var n=null==e?void 0:o(e,t);return void 0===n?r:n}},6449(e){var t=Array.isArray;e.exports=t},1882(e,t,r){var o=r(2552),n=r(3805);e.exports=function(e){if(!n(e))return!1;var t=o(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},3805(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},346(e){e.exports=function(e){return null!=e&&"object"==typeof e}},4394(e,t,r){var o=r(2552),n=r(346);e.exports=function(e){return"symbol"==typeof e||n(e)&&"[object Symbol]"==o(e)}},104(e,t,r){var o=r(3661);function n(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var r=function(){var o=arguments,n=t?t.apply(this,o):o[0],a=r.cache;if(a.has(n))return a.get(n);var s=e.apply(this,o);return r.cache=a.set(n,s)||a,s};return r.cache=new(n.Cache||o),r}n.Cache=o,e.exports=n},3222(e,t,r){var o=r(7556);e.exports=function(e){return null==e?"":o(e)}}};const t={};function r(o){const n=t[o];if(void 0!==n)return n.exports;const a=t[o]={exports:{}};return e[o](a,a.exports,r),a.exports}r.cw=e=>{var t;return()=>{if(e){var r=e;e=0,t={exports:{}},r.call(t.exports,t,t.exports)}return t.exports}},r.d=(e,t)=>{for(var o in t)r.o(t,o)&&!r.o(e,o)&&Object.defineProperty(e,o,{enumerable:!0,get:t[o]})},r.g=function(){if("object"==typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"==typeof window)return window}}(),r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),(()=>{"use strict";var e=r.cw(function(e,r){r.getCallBridge=void 0;const o=t();r.getCallBridge=()=>{if(!(null==(e=window.__bridge)?void 0:e.callBridge))throw new o.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}}),t=r.cw(function(e,t){t.BridgeAPIError=void 0;class r extends Error{}t.BridgeAPIError=r}),o=r.cw(function(t,r){Object.defineProperty(r,"__esModule",{value:!0}),r.events=void 0;const o=(0,e().getCallBridge)();r.events={emit:(e,t)=>o("emit",{event:e,payload:t}),on:(e,t)=>o("on",{event:e,callback:t})}}),n=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(o(),t)}),a=r.cw(function(e,t){t.productFetchApi=void 0;const r=b();t.productFetchApi=e=>{const t=async(t,o,n)=>{const{body:a,headers:s,isMultipartFormData:i}=await(async e=>{const t=(null==e?void 0:e.body)instanceof FormData,o=t?await(async e=>{const t={};for(const[o,n]of e.entries())if("file"===o){const e=n.name,o=n.type;t.file=await(0,r.blobToBase64)(n),t.__fileName=e,t.__fileType=o}else t[o]=n;return JSON.stringify(t)})(null==e?void 0:e.body):null==e?void 0:e.body,n=new Request("",{body:o,method:null==e?void 0:e.method,headers:null==e?void 0:e.headers}),a=Object.fromEntries(n.headers.entries());return{body:"GET"!==n.method?await n.text():null,headers:new Headers(a),isMultipartFormData:t}})(n);s.has("X-Atlassian-Token")||s.set("X-Atlassian-Token","no-check");const c={product:t,restPath:o,fetchRequestInit:{...n,body:a,headers:[...s.entries()]},isMultipartFormData:i},{body:l,headers:u,statusText:d,status:p,isAttachment:f}=await e("fetchProduct",c),h=f?(0,r.base64ToBlob)(l,u["content-type"]):l;return new Response(h||null,{headers:u,status:p,statusText:d})};return{requestConfluence:(e,r)=>t("confluence",e,r),requestJira:(e,r)=>t("jira",e,r),requestBitbucket:(e,r)=>t("bitbucket",e,r)}}}),s=r.cw(function(t,r){var o;Object.defineProperty(r,"__esModule",{value:!0}),r.requestBitbucket=r.requestJira=r.requestConfluence=void 0;const n=e();o=(0,a().productFetchApi)((0,n.getCallBridge)()),r.requestConfluence=o.requestConfluence,r.requestJira=o.requestJira,r.requestBitbucket=o.requestBitbucket}),i=r.cw(function(r,o){Object.defineProperty(o,"__esModule",{value:!0}),o.showFlag=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)();o.showFlag=e=>{var t;if(!e.id)throw new a.BridgeAPIError('"id" must be defined in flag options');const r=s("showFlag",{...e,type:null!==(t=e.type)&&void 0!==t?t:"info"});return{close:async()=>(await r,s("closeFlag",{id:e.id}))}}}),c=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=i();Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})}),l=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.createTranslationFunction=t.getTranslations=t.resetTranslationsCache=void 0;const r=S(),o=T(),n={getI18nInfoConfig:async()=>{const e=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${r.I18N_INFO_FILE_NAME}`);if(!e.ok)throw new Error("Failed to get i18n info config: "+e.statusText);return(await e.json()).config},getTranslationResource:async e=>{const t=await fetch(`./${r.I18N_BUNDLE_FOLDER_NAME}/${e}.json`);if(!t.ok)throw new Error(`Failed to get translation resource for locale: ${e}`);return t.json()}},a=new r.TranslationsGetter(n);t.resetTranslationsCache=()=>{a.reset()},t.getTranslations=async(e=null,t={fallback:!0})=>{let r=e;return r||(r=(await o.view.getContext()).locale),await a.getTranslations(r,t)},t.createTranslationFunction=async(e=null)=>{let t=e;t||(t=(await o.view.getContext()).locale);const n=new r.Translator(t,a);return await n.init(),(e,t)=>{var r,o;return null!==(o=null!==(r=n.translate(e))&&void 0!==r?r:t)&&void 0!==o?o:e}}}),u=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.i18n=t.NavigationTarget=void 0;const r=N();var o=w();Object.defineProperty(t,"NavigationTarget",{enumerable:!0,get:function(){return o.NavigationTarget}}),r.__exportStar(f(),t),r.__exportStar(d(),t),r.__exportStar(T(),t),r.__exportStar(y(),t),r.__exportStar(v(),t),r.__exportStar(s(),t),r.__exportStar(c(),t),r.__exportStar(n(),t),t.i18n=r.__importStar(l())}),d=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(p(),t)}),p=r.cw(function(r,o){Object.defineProperty(o,"__esModule",{value:!0}),o.invokeRemote=void 0;const n=e(),a=t(),s=m(),i=(0,n.getCallBridge)();o.invokeRemote=(0,s.withRateLimiter)(async e=>{var t;(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new a.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:r,payload:o,error:n}=null!==(t=await i("invoke",e))&&void 0!==t?t:{},s={...r?o:n};if(s&&s.headers)for(const e in s.headers)Array.isArray(s.headers[e])&&(s.headers[e]=s.headers[e].join(","));return s},500,25e3,"Remote invocation calls are rate limited at 500req/25s")}),f=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(h(),t)}),h=r.cw(function(r,o){Object.defineProperty(o,"__esModule",{value:!0}),o.invoke=void 0;const n=e(),a=t(),s=m(),i=(0,n.getCallBridge)();o.invoke=(0,s.withRateLimiter)((e,t)=>{if("string"!=typeof e)throw new a.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"==typeof e))throw new a.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),i("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")}),v=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(g(),t)}),g=r.cw(function(r,o){Object.defineProperty(o,"__esModule",{value:!0}),o.Modal=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)(),i=()=>{};o.Modal=class{constructor(e){var t,r;this.resource=(null==e?void 0:e.resource)||null,this.onClose=(null==e?void 0:e.onClose)||i,this.size=(null==e?void 0:e.size)||"medium",this.context=(null==e?void 0:e.context)||{},this.closeOnEscape=null===(t=null==e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(r=null==e?void 0:e.closeOnOverlayClick)||void 0===r||r}async open(){try{if(!1===await s("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick}))throw new a.BridgeAPIError("Unable to open modal.")}catch(e){throw new a.BridgeAPIError("Unable to open modal.")}}}}),y=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(_(),t)}),_=r.cw(function(t,r){Object.defineProperty(r,"__esModule",{value:!0}),r.router=void 0;const o=(0,e().getCallBridge)();r.router={navigate:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"same-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"same-tab"})},open:async e=>{if("string"==typeof e)return o("navigate",{url:e,type:"new-tab"});if(!(null==e?void 0:e.target))throw new Error("target is required for navigation");return o("navigate",{...e,type:"new-tab"})},reload:async()=>o("reload")}}),w=()=>r(8325),b=r.cw(function(e,t){t.blobToBase64=t.base64ToBlob=void 0,t.base64ToBlob=(e,t)=>{if(!e)return null;const r=e.includes(";base64")?e.split(",")[1]:e,o=atob(r),n=new Array(o.length);for(let e=0;e<o.length;e++)n[e]=o.charCodeAt(e);const a=new Uint8Array(n);return new Blob([a],{type:t})},t.blobToBase64=e=>new Promise((t,r)=>{const o=new FileReader;o.onloadend=()=>{t(o.result)},o.onerror=r,o.readAsDataURL(e)})}),m=r.cw(function(e,r){r.withRateLimiter=void 0;const o=t();r.withRateLimiter=(e,t,r,n)=>{let a=Date.now(),s=0;return async(...i)=>{const c=Date.now();if(c-a>r&&(a=c,s=0),s>=t)throw new o.BridgeAPIError(n||"Too many invocations.");return s+=1,e(...i)}}}),O=r.cw(function(r,o){o.changeWindowTitle=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)();o.changeWindowTitle=async e=>{try{await s("changeWindowTitle",e)}catch(e){throw new a.BridgeAPIError("the window title wasn't changed due to error.")}}}),x=r.cw(function(r,o){o.close=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)();o.close=async e=>{try{if(!1===await s("close",e))throw new a.BridgeAPIError("this resource's view is not closable.")}catch(e){throw new a.BridgeAPIError("this resource's view is not closable.")}}}),E=r.cw(function(t,r){r.createHistory=void 0;const o=(0,e().getCallBridge)();r.createHistory=async()=>{const e=await o("createHistory");return e.listen(t=>{e.location=t}),e}}),P=r.cw(function(t,r){r.getContext=void 0;const o=e(),n=S(),a=(0,o.getCallBridge)();r.getContext=async()=>{var e;const t=await a("getContext"),r=null==t?void 0:t.locale;return r&&(t.locale=null!==(e=(0,n.ensureLocale)(r))&&void 0!==e?e:r),t}}),T=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),N().__exportStar(M(),t)}),j=r.cw(function(r,o){o.refresh=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)();o.refresh=async e=>{if(!1===await s("refresh",e))throw new a.BridgeAPIError("this resource's view is not refreshable.")}}),I=r.cw(function(r,o){o.submit=void 0;const n=e(),a=t(),s=(0,n.getCallBridge)();o.submit=async e=>{if(!1===await s("submit",e))throw new a.BridgeAPIError("this resource's view is not submittable.")}}),C=r.cw(function(t,r){r.theme=void 0;const o=(0,e().getCallBridge)();r.theme={enable:()=>o("enableTheming")}}),M=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=I(),o=x(),n=j(),a=E(),s=P(),i=O(),c=C();t.view={submit:r.submit,close:o.close,refresh:n.refresh,createHistory:a.createHistory,getContext:s.getContext,theme:c.theme,changeWindowTitle:i.changeWindowTitle}}),S=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.getI18nSupportedModuleEntries=t.extractI18nPropertiesFromModules=t.extractI18nKeysFromModules=t.getTranslationValue=void 0;const o=N();o.__exportStar(r(6893),t),o.__exportStar(F(),t),o.__exportStar(k(),t),o.__exportStar(r(7898),t);var n=B();Object.defineProperty(t,"getTranslationValue",{enumerable:!0,get:function(){return n.getTranslationValue}});var a=A();Object.defineProperty(t,"extractI18nKeysFromModules",{enumerable:!0,get:function(){return a.extractI18nKeysFromModules}}),Object.defineProperty(t,"extractI18nPropertiesFromModules",{enumerable:!0,get:function(){return a.extractI18nPropertiesFromModules}}),Object.defineProperty(t,"getI18nSupportedModuleEntries",{enumerable:!0,get:function(){return a.getI18nSupportedModuleEntries}}),o.__exportStar(L(),t)}),A=()=>r(9962),B=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.getTranslationValueFromContent=t.getTranslationValue=void 0;const r=N().__importDefault(R());t.getTranslationValue=(e,r,o)=>{const n=e[o];return n?(0,t.getTranslationValueFromContent)(n,r):null},t.getTranslationValueFromContent=(e,t)=>{let o=e[t];if(!o){const n=t.split(".");n.length>1&&(o=(0,r.default)(e,n,null))}return"string"==typeof o?o:null}}),F=()=>r(6829),k=r.cw(function(e,t){Object.defineProperty(t,"__esModule",{value:!0}),t.Translator=void 0;const r=B();t.Translator=class{locale;translationsGetter;localeLookupOrderedTranslations=null;cache=new Map;constructor(e,t){this.locale=e,this.translationsGetter=t}async init(){this.localeLookupOrderedTranslations=await this.translationsGetter.getTranslationsByLocaleLookupOrder(this.locale)}translate(e){if(!this.localeLookupOrderedTranslations)throw new Error("TranslationLookup not initialized");let t=this.cache.get(e);if(void 0===t){for(const{translations:o}of this.localeLookupOrderedTranslations){const n=(0,r.getTranslationValueFromContent)(o,e);if(null!==n){t=n;break}}t=t??null,this.cache.set(e,t)}return t}}}),L=()=>r(5181),R=()=>r(8156),N=r.cw(function(e,t){r.d(t,{__exportStar:()=>n,__importDefault:()=>c,__importStar:()=>i});var o=Object.create?function(e,t,r,o){void 0===o&&(o=r);var n=Object.getOwnPropertyDescriptor(t,r);n&&!("get"in n?!t.__esModule:n.writable||n.configurable)||(n={enumerable:!0,get:function(){return t[r]}}),Object.defineProperty(e,o,n)}:function(e,t,r,o){void 0===o&&(o=r),e[o]=t[r]};function n(e,t){for(var r in e)"default"===r||Object.prototype.hasOwnProperty.call(t,r)||o(t,e,r)}var a=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},s=function(e){return s=Object.getOwnPropertyNames||function(e){var t=[];for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[t.length]=r);return t},s(e)};function i(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var r=s(e),n=0;n<r.length;n++)"default"!==r[n]&&o(t,e,r[n]);return a(t,e),t}function c(e){return e&&e.__esModule?e:{default:e}}});u();const D=["totalCost","totalHours","meetingCount","costPerHour"],q={"last-week":"last-7-days","last-month":"last-30-days","last-quarter":"last-90-days"};async function $(){const e=await u().view.getContext(),t=e.extension&&e.extension.config||{};await async function(e){let t=[];try{const e=await(0,u().invoke)("getTeams");t=e&&e.success&&e.teams||[]}catch(e){console.error("getTeams error:",e)}const r=[...new Set(t.flatMap(e=>e.projectKeys))].sort(),o=(t,r)=>`<option value="${t}" ${t===e?"selected":""}>${r}</option>`;let n=o("","All teams");t.length>0&&(n+=`<optgroup label="Teams">${t.map(e=>o(`team:${e.teamId}`,e.name)).join("")}</optgroup>`),r.length>0&&(n+=`<optgroup label="Projects">${r.map(e=>o(`project:${e}`,e)).join("")}</optgroup>`),document.getElementById("scope").innerHTML=n}(t.scope||""),document.getElementById("dateRange").value=q[t.dateRange]||t.dateRange||"last-30-days";const r=t.metrics||D;document.querySelectorAll('input[name="metrics"]').forEach(e=>{e.checked=r.includes(e.value)}),document.getElementById("showTypes").checked=Boolean(t.showTypes),document.getElementById("showTrend").checked=Boolean(t.showTrend),document.querySelectorAll("select, input").forEach(e=>{e.addEventListener("change",()=>u().view.submit({dateRange:document.getElementById("dateRange").value,scope:document.getElementById("scope").value,metrics:Array.from(document.querySelectorAll('input[name="metrics"]:checked')).map(e=>e.value),showTypes:document.getElementById("showTypes").checked,showTrend:document.getElementById("showTrend").checked}))})}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",$):$()})()})();
\ No newline at end of file
@@ -0,0 +1,63 @@
+import { invoke, view } from '@forge/bridge';
+
+const DEFAULT_METRICS = ['totalCost', 'totalHours', 'meetingCount', 'costPerHour'];
+// Macros saved before calendar presets existed store these rolling windows
+const LEGACY_DATE_RANGES = { 'last-week': 'last-7-days', 'last-month': 'last-30-days', 'last-quarter': 'last-90-days' };
+
+async function init() {
+    const context = await view.getContext();
+    const config = (context.extension && context.extension.config) || {};
+
+    await renderScopeOptions(config.scope || '');
+    document.getElementById('dateRange').value = LEGACY_DATE_RANGES[config.dateRange] || config.dateRange || 'last-30-days';
+    const metrics = config.metrics || DEFAULT_METRICS;
+    document.querySelectorAll('input[name="metrics"]').forEach(input => {
+        input.checked = metrics.includes(input.value);
+    });
+    document.getElementById('showTypes').checked = Boolean(config.showTypes);
+    document.getElementById('showTrend').checked = Boolean(config.showTrend);
+
+    // Save config on change
+    document.querySelectorAll('select, input').forEach(el => {
+        el.addEventListener('change', () => view.submit(readConfig()));
+    });
+}
+
+// Teams, then the Jira projects they own, as in the dashboard's team switcher
+async function renderScopeOptions(selected) {
+    let teams = [];
+    try {
+        const result = await invoke('getTeams');
+        teams = (result && result.success && result.teams) || [];
+    } catch (e) {
+        console.error('getTeams error:', e);
+    }
+
+    const projectKeys = [...new Set(teams.flatMap(t => t.projectKeys))].sort();
+    const option = (value, label) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+    let html = option('', 'All teams');
+    if (teams.length > 0) {
+        html += `<optgroup label="Teams">${teams.map(t => option(`team:${t.teamId}`, t.name)).join('')}</optgroup>`;
+    }
+    if (projectKeys.length > 0) {
+        html += `<optgroup label="Projects">${projectKeys.map(k => option(`project:${k}`, k)).join('')}</optgroup>`;
+    }
+    document.getElementById('scope').innerHTML = html;
+}
+
+function readConfig() {
+    return {
+        dateRange: document.getElementById('dateRange').value,
+        scope: document.getElementById('scope').value,
+        metrics: Array.from(document.querySelectorAll('input[name="metrics"]:checked')).map(input => input.value),
+        showTypes: document.getElementById('showTypes').checked,
+        showTrend: document.getElementById('showTrend').checked
+    };
+}
+
+// Initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1,12 @@
+const path = require('path');
+
+module.exports = {
+    entry: './src/index.js',
+    output: {
+        filename: 'bundle.js',
+        path: path.resolve(__dirname, 'build'),
+    },
+    resolve: {
+        extensions: ['.js'],
+    },
+};
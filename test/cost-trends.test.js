@@ -0,0 +1,43 @@
+const { calculateCostTrends } = require('../src/utils/cost-calculator');
+const { periodKey, listPeriods } = require('../src/utils/periods');
+
+// The board reused a sprint name after a rename back
+const SPRINTS = [
+    { id: 31, name: 'Payments sprint', startDate: '2026-09-01T09:00:00.000Z', endDate: '2026-09-14T17:00:00.000Z', completeDate: '2026-09-14T16:00:00.000Z' },
+    { id: 32, name: 'Hardening', startDate: '2026-09-15T09:00:00.000Z', endDate: '2026-09-28T17:00:00.000Z', completeDate: '2026-09-28T16:00:00.000Z' },
+    { id: 33, name: 'Payments sprint', startDate: '2026-09-29T09:00:00.000Z', endDate: '2026-10-12T17:00:00.000Z' }
+];
+
+function meeting(date, calculatedCost) {
+    return { id: `m-${date}`, date, durationMinutes: 60, calculatedCost };
+}
+
+describe('sprint trends', () => {
+    it('keeps sprints that share a name apart and labels them by name', () => {
+        const trends = calculateCostTrends([meeting('2026-09-02', 100), meeting('2026-09-16', 50), meeting('2026-10-01', 300)], 'sprint', {
+            sprints: SPRINTS,
+            timeZone: 'UTC'
+        });
+
+        expect(trends.map(t => [t.period, t.label, t.startDate, t.totalCost])).toEqual([
+            ['31', 'Payments sprint', '2026-09-01', 100],
+            ['32', 'Hardening', '2026-09-15', 50],
+            ['33', 'Payments sprint', '2026-09-29', 300]
+        ]);
+    });
+
+    it('lists empty sprints of a range under their ids', () => {
+        expect(listPeriods('2026-09-10', '2026-10-05', 'sprint', { sprints: SPRINTS, timeZone: 'UTC' })).toEqual([
+            { period: '31', startDate: '2026-09-10', endDate: '2026-09-14' },
+            { period: '32', startDate: '2026-09-15', endDate: '2026-09-28' },
+            { period: '33', startDate: '2026-09-29', endDate: '2026-10-05' }
+        ]);
+        expect(periodKey('2026-08-31', 'sprint', { sprints: SPRINTS, timeZone: 'UTC' })).toBeNull();
+    });
+
+    it('labels other groupings with their key', () => {
+        const [week] = calculateCostTrends([meeting('2026-10-14', 10)], 'week', { timeZone: 'UTC' });
+
+        expect(week).toMatchObject({ period: '2026-W42', label: '2026-W42' });
+    });
+});
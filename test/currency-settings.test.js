@@ -0,0 +1,73 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const { resolver } = require('../src/index');
+const { findMissingExchangeRates } = require('../src/utils/currency');
+const { insertMeeting } = require('../src/utils/meeting-store');
+
+const NOW = new Date('2026-10-14T10:00:00Z');
+const EUR_TO_USD = { from: 'EUR', to: 'USD', rate: 1.08, effectiveDate: '2026-01-01' };
+
+function call(functionKey, payload) {
+    return resolver({ call: { functionKey, payload }, context: {} }, { principal: { accountId: 'acc-1' } });
+}
+
+beforeEach(() => {
+    storage.data.clear();
+    storage.data.set('config:settings', { currency: 'USD' });
+    storage.data.set('config:roleRateVersions', [{
+        effectiveFrom: null,
+        rates: [
+            { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 100, currency: 'USD' },
+            { roleId: 'consultant', roleName: 'Consultant', hourlyRate: 90, currency: 'EUR' }
+        ]
+    }]);
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('reporting currency', () => {
+    it('names each currency without a rate in effect on its first day', () => {
+        expect(findMissingExchangeRates('USD', { USD: '2026-01-01', EUR: '2025-12-31', GBP: '2026-03-01' }, [EUR_TO_USD]))
+            .toEqual([{ currency: 'EUR', date: '2025-12-31' }, { currency: 'GBP', date: '2026-03-01' }]);
+        // A rate entered the other way round counts
+        expect(findMissingExchangeRates('EUR', { USD: '2026-02-01' }, [EUR_TO_USD])).toEqual([]);
+    });
+
+    it('refuses a reporting currency the stored rates cannot be converted into', async () => {
+        storage.data.set('config:exchangeRates', [EUR_TO_USD]);
+        await insertMeeting({ id: 'm-1', title: 'Planning', date: '2026-03-02', durationMinutes: 60, calculatedCost: 200, currency: 'USD' });
+
+        const result = await call('saveConfig', { settings: { currency: 'GBP' } });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Costs cannot be shown in GBP without an exchange rate to GBP from EUR (in effect by 2026-03-02), USD (in effect by 2026-03-02). Add them under Exchange Rates first.');
+        expect(storage.data.get('config:settings').currency).toBe('USD');
+    });
+
+    it('switches once every stored currency has a rate', async () => {
+        storage.data.set('config:exchangeRates', [EUR_TO_USD]);
+
+        expect(await call('saveConfig', { settings: { currency: 'EUR', locale: 'de-DE' } })).toEqual({ success: true });
+        expect(storage.data.get('config:settings')).toMatchObject({ currency: 'EUR', locale: 'de-DE' });
+    });
+
+    it('still saves other settings while the currency stays the same', async () => {
+        expect(await call('saveConfig', { settings: { currency: 'USD', timeZone: 'Europe/Berlin' } })).toEqual({ success: true });
+    });
+
+    it('refuses exchange rates that leave a stored currency unconvertible', async () => {
+        storage.data.set('config:exchangeRates', [EUR_TO_USD]);
+
+        const late = { ...EUR_TO_USD, effectiveDate: '2026-11-01' };
+        const result = await call('saveExchangeRates', { exchangeRates: [late] });
+
+        expect(result).toEqual({ success: false, error: expect.stringContaining('from EUR (in effect by 2026-10-14)') });
+        expect(storage.data.get('config:exchangeRates')).toEqual([EUR_TO_USD]);
+    });
+});
@@ -0,0 +1,62 @@
+const { normalizeCurrency, getExchangeRate, convertRoleRates, convertMeetingCosts, normalizeExchangeRates } = require('../src/utils/currency');
+
+const EXCHANGE_RATES = [
+    { from: 'EUR', to: 'USD', rate: 1.1, effectiveDate: '2026-07-01' },
+    { from: 'EUR', to: 'USD', rate: 1.05, effectiveDate: '2026-01-01' }
+];
+const USD = { code: 'USD', exchangeRates: EXCHANGE_RATES };
+
+describe('exchange rates', () => {
+    it('accepts only three-letter currency codes', () => {
+        expect(normalizeCurrency(' eur ')).toBe('EUR');
+        expect(() => normalizeCurrency('EURO')).toThrow('Invalid currency code: EURO');
+    });
+
+    it('uses the latest rate in effect on the day', () => {
+        expect(getExchangeRate('EUR', 'USD', '2026-06-30', EXCHANGE_RATES)).toBe(1.05);
+        expect(getExchangeRate('EUR', 'USD', '2026-07-01', EXCHANGE_RATES)).toBe(1.1);
+        expect(getExchangeRate('USD', 'USD', '2020-01-01', [])).toBe(1);
+    });
+
+    it('inverts a rate entered the other way round', () => {
+        expect(getExchangeRate('USD', 'EUR', '2026-07-01', EXCHANGE_RATES)).toBeCloseTo(1 / 1.1);
+    });
+
+    it('fails when no rate is in effect yet', () => {
+        expect(() => getExchangeRate('EUR', 'USD', '2025-12-31', EXCHANGE_RATES))
+            .toThrow('No exchange rate from EUR to USD in effect on 2025-12-31');
+    });
+
+    it('validates a rate table and sorts it newest first', () => {
+        expect(normalizeExchangeRates([...EXCHANGE_RATES].reverse().map(r => ({ ...r, from: r.from.toLowerCase() }))))
+            .toEqual(EXCHANGE_RATES);
+        expect(() => normalizeExchangeRates([{ from: 'EUR', to: 'EUR', rate: 1, effectiveDate: '2026-01-01' }]))
+            .toThrow('Exchange rate from EUR to itself');
+        expect(() => normalizeExchangeRates([{ from: 'EUR', to: 'USD', rate: 0, effectiveDate: '2026-01-01' }]))
+            .toThrow('Invalid exchange rate for EUR to USD: 0');
+    });
+});
+
+describe('reporting currency conversion', () => {
+    it('converts role rates as of a day', () => {
+        const [rate] = convertRoleRates([{ roleId: 'consultant', hourlyRate: 100, currency: 'EUR' }], USD, '2026-03-02');
+
+        expect(rate).toEqual({ roleId: 'consultant', hourlyRate: expect.any(Number), currency: 'USD' });
+        expect(rate.hourlyRate).toBeCloseTo(105);
+    });
+
+    it('converts stored costs at the rate on each meeting day', () => {
+        const meetings = convertMeetingCosts([
+            { id: 'm-1', date: '2026-03-02', calculatedCost: 200, currency: 'EUR' },
+            { id: 'm-2', date: '2026-08-03', calculatedCost: 200, currency: 'EUR' },
+            // Logged before costs carried a currency
+            { id: 'm-3', date: '2026-08-03', calculatedCost: 50 }
+        ], USD);
+
+        expect(meetings.map(m => [m.id, Math.round(m.calculatedCost), m.currency])).toEqual([
+            ['m-1', 210, 'USD'],
+            ['m-2', 220, 'USD'],
+            ['m-3', 50, undefined]
+        ]);
+    });
+});
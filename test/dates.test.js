@@ -0,0 +1,40 @@
+const { isDay, addDays, daysBetween } = require('../src/utils/dates');
+const { resolveDateRange } = require('../src/utils/date-range');
+const { csvToMeetings } = require('../src/utils/meeting-csv');
+
+const ROLE_RATES = [{ role: 'engineer', hourlyRate: 100 }];
+const MAPPING = { title: 'Title', date: 'Date', durationMinutes: 'Duration' };
+
+describe('calendar days', () => {
+    it('accepts only days that exist', () => {
+        expect(isDay('2026-10-14')).toBe(true);
+        expect(isDay('2028-02-29')).toBe(true);
+        expect(isDay('2026-02-29')).toBe(false);
+        expect(isDay('2026-02-30')).toBe(false);
+        expect(isDay('2026-04-31')).toBe(false);
+        expect(isDay('2026-13-01')).toBe(false);
+        expect(isDay('2026-10-14T10:00:00Z')).toBe(false);
+        expect(isDay('')).toBe(false);
+        expect(isDay(undefined)).toBe(false);
+    });
+
+    it('steps across month and year ends', () => {
+        expect(addDays('2026-12-30', 3)).toBe('2027-01-02');
+        expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+        expect(daysBetween('2026-10-01', '2026-10-31')).toBe(31);
+    });
+
+    it('rejects a custom range with an impossible day', () => {
+        expect(() => resolveDateRange({ dateRange: 'custom', startDate: '2026-02-01', endDate: '2026-02-30' }))
+            .toThrow('Invalid custom range');
+    });
+
+    it('reports CSV rows with an impossible day', () => {
+        const csv = 'Title,Date,Duration\nStandup,2026-10-14,15\nPlanning,2026-02-30,60\n';
+
+        const { meetings, errors } = csvToMeetings(csv, MAPPING, ROLE_RATES);
+
+        expect(meetings.map(m => m.title)).toEqual(['Standup']);
+        expect(errors).toEqual([{ row: 3, column: 'date', message: 'Invalid date "2026-02-30" (expected YYYY-MM-DD)' }]);
+    });
+});
@@ -0,0 +1,92 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const api = require('@forge/api');
+const { jsonResponse } = require('./support/forge-api');
+const { publishToConfluencePage } = require('../src/utils/digest-publisher');
+const { normalizeDigestConfig } = require('../src/utils/digest');
+const { normalizeIssueKeys } = require('../src/utils/scope');
+
+const TITLE = 'Meeting cost digest: 2026-10-05 to 2026-10-11';
+const PARENT = { id: '100', type: 'page', title: 'Team home', space: { key: 'ENG' }, version: { number: 7 } };
+
+function confluence(existing = []) {
+    return async (path, options = {}) => {
+        if (path === '/wiki/rest/api/content/100?expand=space') {
+            return jsonResponse(PARENT);
+        }
+        if (path.startsWith('/wiki/rest/api/content?spaceKey=ENG&title=')) {
+            return jsonResponse({ results: existing });
+        }
+        if (path === '/wiki/rest/api/content' && options.method === 'POST') {
+            return jsonResponse({ id: '200', version: { number: 1 } });
+        }
+        if (path === '/wiki/rest/api/content/200' && options.method === 'PUT') {
+            return jsonResponse({ id: '200', version: { number: JSON.parse(options.body).version.number } });
+        }
+        return jsonResponse({ message: `Unexpected request ${options.method || 'GET'} ${path}` }, 404);
+    };
+}
+
+function writes() {
+    return api.asApp().requestConfluence.mock.calls
+        .filter(([, options]) => options && options.method)
+        .map(([path, options]) => ({ path, method: options.method, body: JSON.parse(options.body) }));
+}
+
+beforeEach(() => {
+    api.asApp().requestConfluence.mockReset();
+});
+
+describe('publishing the digest to Confluence', () => {
+    it('creates a child page and leaves the parent alone', async () => {
+        api.asApp().requestConfluence.mockImplementation(confluence());
+
+        const result = await publishToConfluencePage('100', TITLE, '<p>Digest</p>');
+
+        expect(result).toEqual({ parentPageId: '100', pageId: '200', title: TITLE, version: 1 });
+        expect(writes()).toEqual([{
+            path: '/wiki/rest/api/content',
+            method: 'POST',
+            body: {
+                type: 'page',
+                title: TITLE,
+                space: { key: 'ENG' },
+                ancestors: [{ id: '100' }],
+                body: { storage: { value: '<p>Digest</p>', representation: 'storage' } }
+            }
+        }]);
+    });
+
+    it('updates the child page when the same week is sent again', async () => {
+        api.asApp().requestConfluence.mockImplementation(confluence([
+            { id: '200', title: TITLE, version: { number: 1 }, ancestors: [{ id: '1' }, { id: '100' }] }
+        ]));
+
+        const result = await publishToConfluencePage('100', TITLE, '<p>Digest</p>');
+
+        expect(result.version).toBe(2);
+        expect(writes().map(w => [w.method, w.path])).toEqual([['PUT', '/wiki/rest/api/content/200']]);
+    });
+
+    it('refuses to overwrite a page with the same title under another parent', async () => {
+        api.asApp().requestConfluence.mockImplementation(confluence([
+            { id: '300', title: TITLE, version: { number: 4 }, ancestors: [{ id: '1' }] }
+        ]));
+
+        await expect(publishToConfluencePage('100', TITLE, '<p>Digest</p>'))
+            .rejects.toThrow(`A page titled "${TITLE}" already exists elsewhere in space ENG`);
+        expect(writes()).toEqual([]);
+    });
+});
+
+describe('issue keys', () => {
+    it('are checked the same way for meetings and the digest', () => {
+        expect(normalizeIssueKeys('pay-12, OPS_2-7')).toEqual(['PAY-12', 'OPS_2-7']);
+        expect(normalizeDigestConfig({ target: 'jira', issueKey: 'ops_2-7' }).issueKey).toBe('OPS_2-7');
+
+        for (const key of ['P-1', '1PAY-1', 'PAY-']) {
+            expect(() => normalizeIssueKeys(key)).toThrow(`Invalid issue key: ${key}`);
+            expect(() => normalizeDigestConfig({ target: 'jira', issueKey: key })).toThrow(`Invalid Jira issue key: ${key}`);
+        }
+    });
+});
@@ -0,0 +1,71 @@
+const { digestWeek, digestWindow, buildDigest, renderDigestStorage, renderDigestAdf } = require('../src/utils/digest');
+
+// A Wednesday: the digest covers the Monday to Sunday week before it
+const TODAY = new Date('2026-10-14T10:00:00Z');
+
+const ROLE_RATES = [
+    { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 75, currency: 'USD' },
+    { roleId: 'pm', roleName: 'Product Manager', hourlyRate: 90, currency: 'USD' }
+];
+
+function meeting(date, fields) {
+    return {
+        id: `m-${date}-${fields.title}`,
+        date,
+        durationMinutes: 30,
+        attendeeRoles: ['engineer', 'engineer', 'pm'],
+        attendeeCount: 3,
+        meetingType: 'standup',
+        currency: 'USD',
+        ...fields
+    };
+}
+
+const MEETINGS = [
+    // The week before the digest week, for the trend
+    meeting('2026-09-29', { title: 'Planning', meetingType: 'planning', durationMinutes: 120, calculatedCost: 480, directCost: 400, hiddenCost: 80 }),
+    meeting('2026-10-01', { title: 'Standup', calculatedCost: 120, directCost: 120, hiddenCost: 0 }),
+    // The digest week
+    meeting('2026-10-05', { title: 'Standup', calculatedCost: 120, directCost: 100, hiddenCost: 20 }),
+    meeting('2026-10-06', { title: 'Standup', calculatedCost: 120, directCost: 100, hiddenCost: 20 }),
+    meeting('2026-10-07', { title: 'Retro <team>', meetingType: 'retro', durationMinutes: 60, calculatedCost: 240, directCost: 200, hiddenCost: 40 }),
+    meeting('2026-10-08', { title: 'Planning', meetingType: 'planning', durationMinutes: 180, calculatedCost: 720, directCost: 600, hiddenCost: 120 }),
+    // The day after the digest week is left out
+    meeting('2026-10-12', { title: 'Standup', calculatedCost: 120, directCost: 100, hiddenCost: 20 })
+];
+
+const OPTIONS = {
+    currency: { code: 'USD', locale: 'en-US' },
+    scopeLabel: 'Payments',
+    roleRates: ROLE_RATES,
+    workHoursPerDay: 8
+};
+
+describe('weekly digest', () => {
+    const week = digestWeek(TODAY);
+
+    it('covers the last full ISO week before today', () => {
+        expect(week).toEqual({ weekStart: '2026-10-05', weekEnd: '2026-10-11' });
+        expect(digestWindow(week)).toEqual({ startDate: '2026-09-14', endDate: '2026-10-11' });
+    });
+
+    it('builds the same digest from the same meetings', () => {
+        const digest = buildDigest(MEETINGS, week, OPTIONS);
+        expect(digest).toEqual(buildDigest([...MEETINGS].reverse(), week, OPTIONS));
+        expect(digest).toMatchSnapshot();
+    });
+
+    it('renders Confluence storage format', () => {
+        expect(renderDigestStorage(buildDigest(MEETINGS, week, OPTIONS))).toMatchSnapshot();
+    });
+
+    it('renders an ADF document for Jira comments', () => {
+        expect(renderDigestAdf(buildDigest(MEETINGS, week, OPTIONS))).toMatchSnapshot();
+    });
+
+    it('renders a week without meetings', () => {
+        const digest = buildDigest([], week, OPTIONS);
+        expect(renderDigestStorage(digest)).toMatchSnapshot();
+        expect(renderDigestAdf(digest)).toMatchSnapshot();
+    });
+});
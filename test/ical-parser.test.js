@@ -0,0 +1,115 @@
+const { parseICalendar, expandEvents } = require('../src/utils/ical-parser');
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...properties) {
+    return ['BEGIN:VEVENT', ...properties, 'END:VEVENT'];
+}
+
+function expand(ics, timeZone = 'Europe/Berlin') {
+    return expandEvents(parseICalendar(ics), { from: '2026-10-01', to: '2026-10-31', timeZone });
+}
+
+function times(instances) {
+    return instances.map(i => [i.date, i.startMinutes, i.durationMinutes]);
+}
+
+describe('calendar timezones', () => {
+    it('moves a UTC time into the org timezone, across midnight when it has to', () => {
+        const { instances } = expand(calendar(
+            vevent('UID:late', 'SUMMARY:Late sync', 'DTSTART:20261014T230000Z', 'DTEND:20261014T233000Z')
+        ));
+
+        expect(times(instances)).toEqual([['2026-10-15', 60, 30]]);
+    });
+
+    it('moves a TZID time into the org timezone', () => {
+        const { instances } = expand(calendar(
+            vevent('UID:ny', 'SUMMARY:NY standup', 'DTSTART;TZID=America/New_York:20261014T090000', 'DURATION:PT15M')
+        ));
+
+        expect(times(instances)).toEqual([['2026-10-14', 15 * 60, 15]]);
+    });
+
+    it('keeps a floating time as written', () => {
+        const { instances } = expand(calendar(
+            vevent('UID:local', 'SUMMARY:Planning', 'DTSTART:20261014T090000', 'DTEND:20261014T100000')
+        ));
+
+        expect(times(instances)).toEqual([['2026-10-14', 9 * 60, 60]]);
+    });
+
+    it('repeats at the same local time in the event zone across a clock change', () => {
+        // New York leaves daylight saving on 1 November, a week after Berlin
+        const { instances } = expand(calendar(
+            vevent('UID:weekly', 'SUMMARY:Weekly', 'DTSTART;TZID=America/New_York:20261021T090000', 'DURATION:PT30M',
+                'RRULE:FREQ=WEEKLY;COUNT=2')
+        ));
+
+        expect(times(instances)).toEqual([['2026-10-21', 15 * 60, 30], ['2026-10-28', 14 * 60, 30]]);
+    });
+
+    it('excludes dates given with a TZID', () => {
+        const { instances } = expand(calendar(
+            vevent('UID:daily', 'SUMMARY:Daily', 'DTSTART;TZID=America/New_York:20261012T090000', 'DURATION:PT15M',
+                'RRULE:FREQ=DAILY;COUNT=3', 'EXDATE;TZID=America/New_York:20261013T090000')
+        ));
+
+        expect(instances.map(i => i.date)).toEqual(['2026-10-12', '2026-10-14']);
+    });
+
+    it('matches a UTC override to its occurrence and uses the moved time', () => {
+        const { instances, skipped } = expand(calendar(
+            vevent('UID:daily', 'SUMMARY:Daily', 'DTSTART;TZID=Europe/Berlin:20261012T093000', 'DURATION:PT15M',
+                'RRULE:FREQ=DAILY;COUNT=3'),
+            vevent('UID:daily', 'RECURRENCE-ID:20261013T073000Z', 'DTSTART:20261013T120000Z', 'DURATION:PT15M')
+        ));
+
+        expect(skipped).toEqual([]);
+        expect(instances.map(i => [i.date, i.startMinutes, i.occurrence])).toEqual([
+            ['2026-10-12', 9 * 60 + 30, '2026-10-12'],
+            ['2026-10-13', 14 * 60, '2026-10-13'],
+            ['2026-10-14', 9 * 60 + 30, '2026-10-14']
+        ]);
+    });
+});
+
+describe('unmatched overrides', () => {
+    it('reports an override of a day its event is not scheduled on', () => {
+        const { instances, skipped } = expand(calendar(
+            vevent('UID:weekly', 'SUMMARY:Weekly', 'DTSTART:20261012T090000', 'DURATION:PT30M', 'RRULE:FREQ=WEEKLY;COUNT=2'),
+            vevent('UID:weekly', 'SUMMARY:Weekly (moved)', 'RECURRENCE-ID:20261013T090000', 'DTSTART:20261013T110000', 'DURATION:PT30M')
+        ));
+
+        expect(instances.map(i => i.date)).toEqual(['2026-10-12', '2026-10-19']);
+        expect(skipped).toEqual([expect.objectContaining({
+            title: 'Weekly (moved)',
+            date: '2026-10-13',
+            reason: 'Changes an occurrence its recurring event does not have'
+        })]);
+    });
+
+    it('reports an override whose recurring event is not in the file', () => {
+        const { instances, skipped } = expand(calendar(
+            vevent('UID:gone', 'SUMMARY:Orphan', 'RECURRENCE-ID:20261013T090000', 'DTSTART:20261013T100000', 'DURATION:PT30M')
+        ));
+
+        expect(instances).toEqual([]);
+        expect(skipped).toEqual([expect.objectContaining({
+            title: 'Orphan',
+            date: '2026-10-13',
+            reason: 'Changes an occurrence of a recurring event that is not in the file'
+        })]);
+    });
+
+    it('leaves the overrides of a cancelled event with it', () => {
+        const { skipped } = expand(calendar(
+            vevent('UID:off', 'SUMMARY:Off', 'STATUS:CANCELLED', 'DTSTART:20261012T090000', 'RRULE:FREQ=DAILY;COUNT=3'),
+            vevent('UID:off', 'RECURRENCE-ID:20261013T090000', 'DTSTART:20261013T100000', 'DURATION:PT30M')
+        ));
+
+        expect(skipped.map(s => s.reason)).toEqual(['Event is cancelled']);
+    });
+});
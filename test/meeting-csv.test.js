@@ -0,0 +1,54 @@
+const { meetingsToCsv } = require('../src/utils/meeting-csv');
+const { parseCsv } = require('../src/utils/csv');
+
+const ROLE_RATES = [
+    { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 100 },
+    { roleId: 'pm', roleName: 'Product Manager', hourlyRate: 200 }
+];
+
+function meeting(fields) {
+    return { id: 'm-1', title: 'Planning', date: '2026-10-14', durationMinutes: 60, attendeeCount: 2, attendeeRoles: [], ...fields };
+}
+
+function exportRows(meetings, options = {}) {
+    return parseCsv(meetingsToCsv(meetings, { columns: ['title', 'calculatedCost'], ...options }, ROLE_RATES));
+}
+
+describe('meeting CSV export', () => {
+    it('splits the stored cost between roles in the shares their rates give', () => {
+        // Costed at 150 before the rates went up
+        const rows = exportRows([meeting({ attendeeRoles: ['engineer', 'pm'], calculatedCost: 150 })], { roleBreakdown: true });
+
+        expect(rows).toEqual([
+            ['Title', 'Cost', 'Engineer Cost', 'Product Manager Cost', 'Unattributed Cost'],
+            ['Planning', '150', '50', '100', '0']
+        ]);
+    });
+
+    it('leaves a head count without roles unattributed', () => {
+        const rows = exportRows([meeting({ calculatedCost: 240 })], { roleBreakdown: true });
+
+        expect(rows[1]).toEqual(['Planning', '240', '0', '0', '240']);
+    });
+
+    it('adds up to the cost across repeated roles', () => {
+        const rows = exportRows([meeting({ attendeeRoles: ['engineer', 'engineer', 'pm'], calculatedCost: 100 })], { roleBreakdown: true });
+        const [, cost, ...parts] = rows[1];
+
+        expect(parts.slice(0, 2)).toEqual(['50', '50']);
+        expect(parts.reduce((sum, p) => sum + Number(p), 0)).toBeCloseTo(Number(cost));
+    });
+
+    it('writes text that spreadsheets would run as a formula with a leading quote', () => {
+        const titles = ['=HYPERLINK("http://evil.example","Click")', '+1 sync', '-5 min standup', '@channel update', 'Plain'];
+        const rows = exportRows(titles.map((title, i) => meeting({ id: `m-${i}`, title, calculatedCost: -12.5 })));
+
+        expect(rows.slice(1)).toEqual([
+            ['\'=HYPERLINK("http://evil.example","Click")', '-12.5'],
+            ['\'+1 sync', '-12.5'],
+            ['\'-5 min standup', '-12.5'],
+            ['\'@channel update', '-12.5'],
+            ['Plain', '-12.5']
+        ]);
+    });
+});
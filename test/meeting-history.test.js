@@ -0,0 +1,75 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const api = require('@forge/api');
+const { jsonResponse } = require('./support/forge-api');
+const { resolver } = require('../src/index');
+
+const NOW = new Date('2026-10-14T10:00:00Z');
+
+function call(functionKey, payload, accountId = 'acc-1') {
+    return resolver({ call: { functionKey, payload }, context: {} }, { principal: { accountId } });
+}
+
+async function addStandup() {
+    const { meeting } = await call('addMeeting', { title: 'Standup', date: '2026-10-13', durationMinutes: 15, attendeeCount: 4 });
+    return meeting;
+}
+
+beforeEach(() => {
+    api.storage.data.clear();
+    api.asApp().requestJira.mockReset();
+    api.asApp().requestJira.mockImplementation(async path =>
+        path === '/rest/api/3/user?accountId=acc-2'
+            ? jsonResponse({ accountId: 'acc-2', displayName: 'Ada Lovelace' })
+            : jsonResponse({ errorMessages: ['User not found'] }, 404));
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('meeting edits', () => {
+    it('recosts an edited meeting and records who changed what', async () => {
+        const meeting = await addStandup();
+        jest.setSystemTime(new Date('2026-10-14T11:00:00Z'));
+
+        const result = await call('updateMeeting', { meetingId: meeting.id, durationMinutes: 30 }, 'acc-2');
+
+        expect(result.success).toBe(true);
+        expect(result.meeting.calculatedCost).toBeCloseTo(meeting.calculatedCost * 2);
+        expect(result.changes).toEqual([
+            { field: 'durationMinutes', from: 15, to: 30 },
+            { field: 'calculatedCost', from: meeting.calculatedCost, to: result.meeting.calculatedCost }
+        ]);
+
+        const { revisions } = await call('getMeetingHistory', { meetingId: meeting.id });
+        expect(revisions.map(r => [r.action, r.changedBy, r.changedByName])).toEqual([
+            ['updated', 'acc-2', 'Ada Lovelace'],
+            ['created', 'acc-1', 'acc-1']
+        ]);
+    });
+
+    it('records nothing when an edit changes no field', async () => {
+        const meeting = await addStandup();
+
+        expect(await call('updateMeeting', { meetingId: meeting.id, title: 'Standup' })).toMatchObject({ success: true, changes: [] });
+
+        const { revisions } = await call('getMeetingHistory', { meetingId: meeting.id });
+        expect(revisions.map(r => r.action)).toEqual(['created']);
+    });
+
+    it('rejects invalid edits and unknown meetings', async () => {
+        const meeting = await addStandup();
+
+        expect(await call('updateMeeting', { meetingId: meeting.id, date: '2026-13-01' }))
+            .toEqual({ success: false, error: 'Invalid date: 2026-13-01' });
+        expect(await call('updateMeeting', { meetingId: meeting.id, title: ' ' }))
+            .toEqual({ success: false, error: 'Title is required' });
+        expect(await call('updateMeeting', { meetingId: 'missing', title: 'Sync' }))
+            .toEqual({ success: false, error: 'Meeting missing not found' });
+    });
+});
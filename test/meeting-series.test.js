@@ -0,0 +1,131 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const { resolver } = require('../src/index');
+const { createSeries, generateOccurrences, calculateSeriesCost } = require('../src/utils/meeting-series');
+const { loadMeetings, getMeeting } = require('../src/utils/meeting-store');
+const { expandRecurrence } = require('../src/utils/recurrence');
+
+const ROLE_RATES = [{ roleId: 'engineer', roleName: 'Engineer', hourlyRate: 100 }];
+// 00:30 on Wednesday 2026-10-14 in Sydney, still Tuesday in UTC
+const NOW = new Date('2026-10-13T13:30:00Z');
+
+function call(functionKey, payload) {
+    return resolver({ call: { functionKey, payload }, context: {} }, { principal: { accountId: 'acc-1' } });
+}
+
+function standup(fields = {}) {
+    return createSeries({
+        title: 'Standup',
+        rrule: 'FREQ=DAILY',
+        startDate: '2026-10-12',
+        durationMinutes: 15,
+        attendeeRoles: ['engineer'],
+        ...fields
+    });
+}
+
+beforeEach(() => {
+    storage.data.clear();
+    // Storage stubs yield with setImmediate, so leave it real
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('meeting series', () => {
+    it('rejects a start date that is not a real day', async () => {
+        await expect(standup({ startDate: '2026-02-30' })).rejects.toThrow('Invalid series start date: 2026-02-30');
+        await expect(standup({ startDate: 'next monday' })).rejects.toThrow('Invalid series start date');
+    });
+
+    it('generates occurrences through today in the org timezone', async () => {
+        const series = await standup();
+
+        const generated = await generateOccurrences(series, ROLE_RATES, undefined, 'Australia/Sydney');
+
+        expect(generated).toBe(3);
+        const meetings = await loadMeetings();
+        expect(meetings.map(m => m.date).sort()).toEqual(['2026-10-12', '2026-10-13', '2026-10-14']);
+        // 15 minutes of one engineer at 100 an hour, before overhead
+        expect(meetings.every(m => m.calculatedCost >= 25)).toBe(true);
+    });
+
+    it('stops at the UTC day without an org timezone', async () => {
+        const series = await standup();
+
+        expect(await generateOccurrences(series, ROLE_RATES)).toBe(2);
+    });
+
+    it('projects cost from today in the org timezone', async () => {
+        // A single occurrence on Tuesday 2026-10-13, already past in Sydney
+        const series = await standup({ rrule: 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20261013' });
+
+        const utc = calculateSeriesCost(series, ROLE_RATES, undefined, 'UTC');
+        expect(utc.occurrencesPerYear).toBe(1);
+        expect(utc.annualizedCost).toBe(utc.costPerOccurrence);
+        expect(utc.costPerOccurrence).toBeGreaterThan(0);
+        expect(calculateSeriesCost(series, ROLE_RATES, undefined, 'Australia/Sydney').occurrencesPerYear).toBe(0);
+    });
+
+    it('cancels the date an occurrence was generated for when it is deleted after a move', async () => {
+        storage.data.set('config:roleRates', ROLE_RATES);
+        const series = await standup();
+        await generateOccurrences(series, ROLE_RATES);
+        const moved = `meeting-${series.id}-2026-10-12`;
+        const other = `meeting-${series.id}-2026-10-13`;
+
+        // Moved onto a day that has an occurrence of its own
+        expect(await call('updateMeeting', { meetingId: moved, date: '2026-10-13' })).toMatchObject({ success: true });
+        expect(await call('deleteMeeting', { meetingId: moved })).toEqual({ success: true });
+
+        expect(await getMeeting(moved)).toBeUndefined();
+        expect(await getMeeting(other)).toMatchObject({ date: '2026-10-13', occurrenceDate: '2026-10-13' });
+        expect(storage.data.get(`series:${series.id}`).exceptions).toEqual({ '2026-10-12': 'cancelled' });
+    });
+
+    it('reports a failure to cancel rather than deleting something else', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const series = await standup();
+        await generateOccurrences(series, ROLE_RATES);
+        const meetingId = `meeting-${series.id}-2026-10-12`;
+        const set = storage.set;
+        storage.set = jest.fn().mockRejectedValue(new Error('Storage unavailable'));
+
+        try {
+            expect(await call('deleteMeeting', { meetingId })).toEqual({ success: false, error: 'Storage unavailable' });
+        } finally {
+            storage.set = set;
+        }
+    });
+});
+
+describe('recurrence expansion', () => {
+    it('finds occurrences of a rule that started long before the window', () => {
+        expect(expandRecurrence('FREQ=WEEKLY;BYDAY=TU', '2001-01-02', { from: '2026-10-01', to: '2026-10-14' }))
+            .toEqual(['2026-10-06', '2026-10-13']);
+        expect(expandRecurrence('FREQ=WEEKLY;INTERVAL=2', '2001-01-02', { from: '2026-10-01', to: '2026-10-31' }))
+            .toEqual(['2026-10-06', '2026-10-20']);
+    });
+
+    it('keeps generating for a series that started over ten years ago', async () => {
+        const series = await standup({ rrule: 'FREQ=WEEKLY;BYDAY=MO,TU' });
+
+        expect(await generateOccurrences({ ...series, startDate: '2014-03-03', generatedThrough: '2026-10-11' }, ROLE_RATES)).toBe(2);
+    });
+
+    it('refuses a series that would back-fill more than ten years', async () => {
+        await expect(standup({ startDate: '2014-03-03' })).rejects.toThrow('Recurrence spans more than 3660 days');
+        expect(await loadMeetings()).toEqual([]);
+    });
+
+    it('refuses a window too long to walk rather than stopping part-way', () => {
+        expect(() => expandRecurrence('FREQ=DAILY', '2001-01-01', { to: '2026-10-14' }))
+            .toThrow('Recurrence spans more than 3660 days before 2026-10-14; choose a shorter range');
+        // COUNT still ends a long walk early
+        expect(expandRecurrence('FREQ=YEARLY;COUNT=2', '2001-01-01', { to: '2026-10-14' })).toEqual(['2001-01-01', '2002-01-01']);
+    });
+});
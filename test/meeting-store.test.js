@@ -0,0 +1,99 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const store = require('../src/utils/meeting-store');
+
+function meeting(id, date, fields = {}) {
+    return { id, title: id, date, durationMinutes: 30, attendeeCount: 2, calculatedCost: 100, ...fields };
+}
+
+beforeEach(() => {
+    storage.data.clear();
+});
+
+describe('meeting store under interleaved writes', () => {
+    it('keeps every meeting inserted concurrently, across months', async () => {
+        const meetings = Array.from({ length: 30 }, (_, i) =>
+            meeting(`m-${i}`, i % 2 === 0 ? '2026-09-15' : '2026-10-15'));
+
+        await Promise.all(meetings.map(m => store.insertMeeting(m)));
+
+        const stored = await store.loadMeetings();
+        expect(stored.map(m => m.id).sort()).toEqual(meetings.map(m => m.id).sort());
+        expect(storage.data.get('meeting-month:2026-09')).toEqual({ month: '2026-09' });
+        expect(storage.data.get('meeting-month:2026-10')).toEqual({ month: '2026-10' });
+    });
+
+    it('gives concurrent inserts without an id distinct ids', async () => {
+        const inserted = await Promise.all(Array.from({ length: 10 }, () =>
+            store.insertMeeting(meeting(undefined, '2026-10-01'))));
+
+        expect(new Set(inserted.map(m => m.id)).size).toBe(10);
+        expect(await store.loadMeetings()).toHaveLength(10);
+    });
+
+    it('loses no inserts while other meetings are edited, moved and deleted', async () => {
+        await store.insertMeeting(meeting('edited', '2026-10-02'));
+        await store.insertMeeting(meeting('moved', '2026-10-03', { issueKeys: ['PAY-1'] }));
+        await store.insertMeeting(meeting('deleted', '2026-10-04', { issueKeys: ['PAY-1'] }));
+
+        await Promise.all([
+            store.replaceMeeting(meeting('edited', '2026-10-02', { title: 'Edited' })),
+            store.replaceMeeting(meeting('moved', '2026-11-03', { issueKeys: ['PAY-2'] })),
+            store.removeMeeting('deleted'),
+            ...Array.from({ length: 10 }, (_, i) => store.insertMeeting(meeting(`new-${i}`, '2026-10-05')))
+        ]);
+
+        const stored = await store.loadMeetings();
+        expect(stored.map(m => m.id).sort()).toEqual(['edited', 'moved', ...Array.from({ length: 10 }, (_, i) => `new-${i}`)].sort());
+        expect(stored.find(m => m.id === 'edited').title).toBe('Edited');
+        expect(stored.find(m => m.id === 'moved').date).toBe('2026-11-03');
+        expect(await store.getMeeting('deleted')).toBeUndefined();
+        expect((await store.loadIssueMeetings(['PAY-1'])).map(m => m.id)).toEqual([]);
+        expect((await store.loadIssueMeetings(['PAY-2'])).map(m => m.id)).toEqual(['moved']);
+    });
+
+    it('draws a fresh id when the given one is taken', async () => {
+        await store.insertMeeting(meeting('taken', '2026-10-01'));
+        const second = await store.insertMeeting(meeting('taken', '2026-10-02'));
+
+        expect(second.id).not.toBe('taken');
+        expect((await store.getMeeting('taken')).date).toBe('2026-10-01');
+    });
+});
+
+describe('first meeting dates', () => {
+    // Runs first: the currency index is built once per function instance
+    it('indexes the currencies of meetings stored before currency markers', async () => {
+        storage.data.set('meeting-month:2026-03', { month: '2026-03' });
+        storage.data.set('meeting:2026-03:old', meeting('old', '2026-03-09', { currency: 'EUR' }));
+
+        expect(await store.getFirstMeetingDates()).toEqual({ earliest: '2026-03-09', currencies: { EUR: '2026-03-09' } });
+        expect(storage.data.get('meeting-currency:EUR:2026-03')).toEqual({ currency: 'EUR', month: '2026-03' });
+    });
+
+    it('finds the first day of each currency from the oldest marked partitions', async () => {
+        await store.insertMeeting(meeting('usd-old', '2025-03-10', { currency: 'USD' }));
+        await store.insertMeeting(meeting('eur', '2026-02-20', { currency: 'EUR' }));
+        await store.insertMeeting(meeting('eur-early', '2026-02-03', { currency: 'EUR' }));
+        for (let month = 1; month <= 9; month++) {
+            await store.insertMeeting(meeting(`usd-${month}`, `2026-0${month}-15`, { currency: 'USD' }));
+        }
+        const query = jest.spyOn(storage, 'query');
+
+        const first = await store.getFirstMeetingDates();
+
+        expect(first).toEqual({ earliest: '2025-03-10', currencies: { USD: '2025-03-10', EUR: '2026-02-03' } });
+        // The currency and month indexes, then only the oldest USD and EUR partitions of ten
+        expect(query).toHaveBeenCalledTimes(4);
+        query.mockRestore();
+    });
+
+    it('skips a marked month whose meetings have since gone', async () => {
+        await store.insertMeeting(meeting('gone', '2026-01-05', { currency: 'GBP' }));
+        await store.insertMeeting(meeting('kept', '2026-04-05', { currency: 'GBP' }));
+        await store.removeMeeting('gone');
+
+        expect((await store.getFirstMeetingDates()).currencies).toEqual({ GBP: '2026-04-05' });
+    });
+});
@@ -0,0 +1,48 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const { resolver } = require('../src/index');
+
+// 01:30 on Wednesday 2026-10-14 in Berlin, still Tuesday in UTC
+const NOW = new Date('2026-10-13T23:30:00Z');
+const VERSIONS = [
+    { effectiveFrom: null, rates: [{ roleId: 'engineer', roleName: 'Engineer', hourlyRate: 100, currency: 'USD' }] },
+    { effectiveFrom: '2026-10-14', rates: [{ roleId: 'engineer', roleName: 'Engineer', hourlyRate: 120, currency: 'USD' }] }
+];
+
+function call(functionKey, payload) {
+    return resolver({ call: { functionKey, payload }, context: {} }, { principal: { accountId: 'acc-1' } });
+}
+
+beforeEach(() => {
+    storage.data.clear();
+    storage.data.set('config:roleRateVersions', VERSIONS);
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('rate version in effect', () => {
+    it('switches at midnight in the org timezone', async () => {
+        storage.data.set('config:settings', { currency: 'USD', timeZone: 'Europe/Berlin' });
+
+        expect(await call('getRoleRates', {})).toMatchObject({ effectiveFrom: '2026-10-14', rates: [{ hourlyRate: 120 }] });
+    });
+
+    it('is still the earlier version where the day has not turned yet', async () => {
+        storage.data.set('config:settings', { currency: 'USD', timeZone: 'America/New_York' });
+
+        expect(await call('getRoleRates', {})).toMatchObject({ effectiveFrom: null, rates: [{ hourlyRate: 100 }] });
+    });
+
+    it('saves undated rates into the version in effect in the org timezone', async () => {
+        storage.data.set('config:settings', { currency: 'USD', timeZone: 'Europe/Berlin' });
+
+        const result = await call('saveRoleRates', { rates: [{ roleId: 'engineer', roleName: 'Engineer', hourlyRate: 125 }] });
+
+        expect(result).toEqual({ success: true, effectiveFrom: '2026-10-14' });
+        expect(storage.data.get('config:roleRateVersions').map(v => v.rates[0].hourlyRate)).toEqual([100, 125]);
+    });
+});
@@ -0,0 +1,119 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const { logMeeting, getTopMeetings, compareMeetingCosts, explainMeetingCost } = require('../src/index');
+
+const NOW = new Date('2026-10-14T10:00:00Z');
+const ROLE_RATES = [
+    { roleId: 'engineer', roleName: 'Engineer', hourlyRate: 100, currency: 'USD' },
+    { roleId: 'architect', roleName: 'Architect', hourlyRate: 150, currency: 'USD' },
+    { roleId: 'pm', roleName: 'Product Manager', hourlyRate: 120, currency: 'USD' }
+];
+const TEAMS = [
+    { teamId: 'team-payments', name: 'Payments', projectKeys: ['PAY'] },
+    { teamId: 'team-core', name: 'Core', projectKeys: ['CORE'] }
+];
+const CONTEXT = { accountId: 'acc-1' };
+
+function log(payload) {
+    return logMeeting({ payload, context: CONTEXT });
+}
+
+beforeEach(() => {
+    storage.data.clear();
+    storage.data.set('config:roleRates', ROLE_RATES);
+    storage.data.set('config:teams', TEAMS);
+    // Storage stubs yield with setImmediate, so leave it real
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('logMeeting', () => {
+    it('reads counts and articles in front of role names', async () => {
+        const result = await log({ title: 'Design review', durationMinutes: 60, attendees: '2 engineers, an architect and a product manager' });
+
+        expect(result.error).toBeUndefined();
+        expect(result.meeting.attendeeRoles).toEqual(['engineer', 'engineer', 'architect', 'pm']);
+        expect(result.meeting.date).toBe('2026-10-14');
+        expect(result.summary).toMatch(/^Logged "Design review" on 2026-10-14: 60 minutes with 4 attendees, costing /);
+    });
+
+    it('does not read the start of a role name as an article', async () => {
+        const result = await log({ title: 'Architecture sync', attendees: 'architect, 3 x engineers, one pm' });
+
+        expect(result.meeting.attendeeRoles).toEqual(['architect', 'engineer', 'engineer', 'engineer', 'pm']);
+    });
+
+    it('tags the meeting with a configured team', async () => {
+        const result = await log({ title: 'Payments sync', attendees: 'engineer', team: 'payments' });
+
+        expect(result.meeting.teamIds).toEqual(['team-payments']);
+    });
+
+    it('returns an error for an unknown role or date', async () => {
+        expect(await log({ title: 'Wizards', attendees: '3 wizards' })).toEqual({ error: 'Unknown role: wizards' });
+        expect(await log({ title: 'Leap', date: '2026-02-29', attendees: 'engineer' })).toEqual({ error: 'Invalid date: 2026-02-29' });
+        expect(storage.data.has('meeting-month:2026-02')).toBe(false);
+    });
+});
+
+describe('reporting actions', () => {
+    beforeEach(async () => {
+        await log({ title: 'Payments planning', date: '2026-10-06', durationMinutes: 120, attendees: '4 engineers and a pm', team: 'Payments' });
+        await log({ title: 'Payments standup', date: '2026-10-07', durationMinutes: 15, attendees: '4 engineers', team: 'Payments' });
+        await log({ title: 'Core architecture', date: '2026-10-08', durationMinutes: 60, attendees: '2 architects', team: 'Core' });
+        await log({ title: 'Payments planning', date: '2026-09-08', durationMinutes: 60, attendees: '4 engineers', team: 'Payments' });
+    });
+
+    it('lists the most expensive meetings first', async () => {
+        const result = await getTopMeetings({ payload: { dateRange: 'last-30-days', limit: 2 } });
+
+        expect(result.meetings.map(m => [m.title, m.date])).toEqual([
+            ['Payments planning', '2026-10-06'],
+            ['Core architecture', '2026-10-08']
+        ]);
+        expect(result.summary).toMatch(/^The most expensive meetings from 2026-09-15 to 2026-10-14: 1\. Payments planning on 2026-10-06: /);
+    });
+
+    it('rejects an unknown grouping', async () => {
+        expect(await getTopMeetings({ payload: { groupBy: 'room' } }))
+            .toEqual({ error: 'Unknown grouping: room (expected meeting or series)' });
+    });
+
+    it('compares only the headline metrics of two teams', async () => {
+        const result = await compareMeetingCosts({ payload: { dateRange: 'last-30-days', team: 'Payments', compareTeam: 'Core' } });
+
+        expect(result.first).toMatchObject({ scope: 'Payments', meetingCount: 2, costByType: { 'ad-hoc': expect.objectContaining({ count: 2 }) } });
+        expect(result.second).toMatchObject({ scope: 'Core', meetingCount: 1 });
+        expect(Object.keys(result.changes).sort()).toEqual(
+            ['avgCostPerMeeting', 'costPerHour', 'directCost', 'hiddenCost', 'meetingCount', 'totalCost', 'totalHours']
+        );
+        expect(result.changes.meetingCount).toBe(100);
+        expect(result.changes.totalCost).toBeCloseTo((result.first.totalCost - result.second.totalCost) / result.second.totalCost * 100);
+    });
+
+    it('compares a team with its previous period', async () => {
+        const result = await compareMeetingCosts({ payload: { dateRange: 'this-month', team: 'Payments' } });
+
+        expect(result.first).toMatchObject({ startDate: '2026-10-01', endDate: '2026-10-14', meetingCount: 2 });
+        expect(result.second).toMatchObject({ meetingCount: 1 });
+        expect(result.changes.meetingCount).toBe(100);
+    });
+
+    it('explains a meeting cost role by role', async () => {
+        const result = await explainMeetingCost({ payload: { title: 'core arch' } });
+
+        expect(result.meeting).toMatchObject({ title: 'Core architecture', date: '2026-10-08' });
+        expect(result.breakdown).toEqual([expect.objectContaining({ role: 'Architect', attendees: 2, hourlyRate: 150, hours: 1, directCost: 300 })]);
+    });
+
+    it('returns an error when no meeting matches', async () => {
+        expect(await explainMeetingCost({ payload: { title: 'retro' } }))
+            .toEqual({ error: 'No meeting titled "retro" in the last 90 days' });
+    });
+});
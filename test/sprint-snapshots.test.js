@@ -0,0 +1,115 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const api = require('@forge/api');
+const { jsonResponse } = require('./support/forge-api');
+const { getBoardSprintVelocity } = require('../src/utils/jira-agile');
+const { rebuildBoardSnapshots, listSnapshots } = require('../src/utils/sprint-snapshots');
+const { insertMeeting } = require('../src/utils/meeting-store');
+
+const POINTS = 'customfield_10016';
+const STATUSES = [
+    { id: '1', name: 'To Do', statusCategory: { key: 'new' } },
+    { id: '3', name: 'In Progress', statusCategory: { key: 'indeterminate' } },
+    { id: '10', name: 'Done', statusCategory: { key: 'done' } }
+];
+const SPRINTS = [
+    { id: 11, name: 'Sprint 11', state: 'closed', startDate: '2026-09-01T09:00:00.000Z', endDate: '2026-09-14T17:00:00.000Z', completeDate: '2026-09-14T16:00:00.000Z' },
+    { id: 12, name: 'Sprint 12', state: 'closed', startDate: '2026-09-15T09:00:00.000Z', endDate: '2026-09-28T17:00:00.000Z', completeDate: '2026-09-28T16:00:00.000Z' }
+];
+
+function issue(key, statusId, points, histories = []) {
+    return { key, fields: { status: { id: statusId }, [POINTS]: points }, changelog: { histories } };
+}
+
+function statusChange(created, from, to) {
+    return { created, items: [{ field: 'status', fieldId: 'status', from, to }] };
+}
+
+const SPRINT_ISSUES = {
+    11: [
+        // Done at close and still done
+        issue('PAY-1', '10', 5, [statusChange('2026-09-10T10:00:00.000Z', '3', '10')]),
+        // Done at close, reopened a week later
+        issue('PAY-2', '3', 3, [
+            statusChange('2026-09-12T10:00:00.000Z', '3', '10'),
+            statusChange('2026-09-21T10:00:00.000Z', '10', '3')
+        ]),
+        // Still in progress at close, finished the day after
+        issue('PAY-3', '10', 8, [statusChange('2026-09-15T10:00:00.000Z', '3', '10')]),
+        // Done at close with 2 points, re-estimated to 13 afterwards
+        issue('PAY-4', '10', 13, [
+            statusChange('2026-09-05T10:00:00.000Z', '1', '10'),
+            { created: '2026-09-20T10:00:00.000Z', items: [{ field: 'Story Points', fieldId: POINTS, fromString: '2', toString: '13' }] }
+        ]),
+        // Done without an estimate
+        issue('PAY-5', '10', null)
+    ],
+    12: [
+        // Carried over from sprint 11 and done in this one
+        issue('PAY-3', '10', 8, [statusChange('2026-09-15T10:00:00.000Z', '3', '10')]),
+        issue('PAY-6', '1', 5)
+    ]
+};
+
+function jira(path) {
+    if (path === '/rest/api/3/field') {
+        return jsonResponse([{ id: 'summary', name: 'Summary' }, { id: POINTS, name: 'Story Points' }]);
+    }
+    if (path === '/rest/api/3/status') {
+        return jsonResponse(STATUSES);
+    }
+    if (path.startsWith('/rest/agile/1.0/board/7/sprint?')) {
+        return jsonResponse({ isLast: true, values: SPRINTS });
+    }
+    const sprintIssues = /^\/rest\/agile\/1\.0\/board\/7\/sprint\/(\d+)\/issue\?/.exec(path);
+    if (sprintIssues) {
+        const issues = SPRINT_ISSUES[sprintIssues[1]];
+        return jsonResponse({ startAt: 0, total: issues.length, issues });
+    }
+    return jsonResponse({ errorMessages: [`Unexpected request ${path}`] }, 404);
+}
+
+beforeEach(() => {
+    api.storage.data.clear();
+    api.asApp().requestJira.mockReset();
+    api.asApp().requestJira.mockImplementation(async path => jira(path));
+});
+
+describe('sprint velocity', () => {
+    it('counts the story points that were done when each sprint closed', async () => {
+        const velocity = await getBoardSprintVelocity(7);
+
+        expect(velocity.map(v => [v.sprintName, v.completedPoints])).toEqual([
+            ['Sprint 11', 5 + 3 + 2],
+            ['Sprint 12', 8]
+        ]);
+        expect(velocity[0]).toMatchObject({ boardId: 7, sprintId: 11, endDate: '2026-09-14T16:00:00.000Z' });
+    });
+
+    it('asks Jira for each sprint issue with its changelog', async () => {
+        await getBoardSprintVelocity(7, { maxSprints: 1 });
+
+        const issueCalls = api.asApp().requestJira.mock.calls.map(([path]) => path).filter(path => path.includes('/issue?'));
+        expect(issueCalls).toEqual([expect.stringContaining('/sprint/12/issue?fields=status,customfield_10016&expand=changelog')]);
+    });
+
+    it('stores a snapshot per sprint with the meetings it held', async () => {
+        await insertMeeting({ id: 'm-1', title: 'Planning', date: '2026-09-01', durationMinutes: 120, calculatedCost: 600 });
+        await insertMeeting({ id: 'm-2', title: 'Standup', date: '2026-09-16', durationMinutes: 15, calculatedCost: 50 });
+
+        await rebuildBoardSnapshots(7);
+
+        const snapshots = await listSnapshots({ boardId: 7 });
+        expect(snapshots.map(s => [s.sprintId, s.completedPoints, s.meetingCount, s.totalMeetingCost])).toEqual([
+            [11, 10, 1, 600],
+            [12, 8, 1, 50]
+        ]);
+    });
+
+    it('fails when the site has no story points field', async () => {
+        api.asApp().requestJira.mockImplementation(async path =>
+            path === '/rest/api/3/field' ? jsonResponse([{ id: 'summary', name: 'Summary' }]) : jira(path));
+
+        await expect(getBoardSprintVelocity(7)).rejects.toThrow('No story points field found on this Jira site');
+    });
+});
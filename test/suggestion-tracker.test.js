@@ -0,0 +1,116 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const { storage } = require('@forge/api');
+const { scopeKey, setSuggestionStatus, listTrackedSuggestions, openMeasurements, measureStart, measureSuggestions, summarizeRealized } = require('../src/utils/suggestion-tracker');
+
+const USD = { code: 'USD', exchangeRates: [] };
+const SUGGESTION = { ruleId: 'timebox-overrun', subject: 'standup', title: 'Standups run long', potentialSavings: 500, target: { meetingTypes: ['standup'] } };
+
+function standup(date, calculatedCost) {
+    return { id: `m-${date}`, date, meetingType: 'standup', calculatedCost };
+}
+
+// 30 days before acceptance at 30 a day, then 10 a day after
+const MEETINGS = [
+    ...Array.from({ length: 30 }, (_, i) => standup(`2026-05-${String(i + 2).padStart(2, '0')}`, 30)),
+    ...Array.from({ length: 90 }, (_, i) => standup(new Date(Date.UTC(2026, 5, 1 + i)).toISOString().slice(0, 10), 10))
+];
+
+async function accept(today = '2026-06-01') {
+    return setSuggestionStatus(SUGGESTION, 'accepted', { currency: USD, today });
+}
+
+beforeEach(() => {
+    storage.data.clear();
+});
+
+describe('realized savings', () => {
+    it('keeps measuring while the window is open', async () => {
+        await accept();
+        const records = await listTrackedSuggestions();
+
+        const [tracked] = await measureSuggestions(records, MEETINGS, { today: '2026-07-15', currency: USD });
+
+        expect(tracked.realized).toMatchObject({ measured: true, final: false, measuredDays: 45 });
+        expect((await storage.get(`suggestion:${tracked.id}`)).realized).toBeNull();
+        expect(openMeasurements(await listTrackedSuggestions())).toHaveLength(1);
+    });
+
+    it('stores the result once the window has closed and stops measuring', async () => {
+        await accept();
+
+        const [closed] = await measureSuggestions(await listTrackedSuggestions(), MEETINGS, { today: '2026-09-01', currency: USD });
+        expect(closed.realized).toMatchObject({ measured: true, final: true, measuredDays: 90, currency: 'USD' });
+        expect(closed.realized.realizedSavings).toBeCloseTo(20 * 365 / 12);
+
+        // Later edits to the measured meetings no longer move the result
+        const records = await listTrackedSuggestions();
+        expect(openMeasurements(records)).toEqual([]);
+        const [again] = await measureSuggestions(records, [], { today: '2026-12-01', currency: USD });
+        expect(again.realized).toEqual(closed.realized);
+    });
+
+    it('loads meetings only for suggestions still being measured', async () => {
+        await accept('2026-06-01');
+        await measureSuggestions(await listTrackedSuggestions(), MEETINGS, { today: '2026-09-01', currency: USD });
+        await setSuggestionStatus({ ...SUGGESTION, subject: 'retro' }, 'accepted', { currency: USD, today: '2026-08-20' });
+
+        const open = openMeasurements(await listTrackedSuggestions());
+
+        expect(open.map(r => r.subject)).toEqual(['retro']);
+        expect(measureStart(open, '2026-09-01')).toBe('2026-07-21');
+    });
+
+    it('keeps a final result when the suggestion is marked done, and drops it when dismissed', async () => {
+        await accept();
+        await measureSuggestions(await listTrackedSuggestions(), MEETINGS, { today: '2026-09-01', currency: USD });
+
+        const done = await setSuggestionStatus(SUGGESTION, 'done', { currency: USD, today: '2026-09-02' });
+        expect(done.realized).toMatchObject({ final: true });
+
+        const dismissed = await setSuggestionStatus(SUGGESTION, 'dismissed', { currency: USD, today: '2026-09-03' });
+        expect(dismissed.realized).toBeNull();
+    });
+
+    it('converts a final result into a new reporting currency', async () => {
+        await accept();
+        await measureSuggestions(await listTrackedSuggestions(), MEETINGS, { today: '2026-09-01', currency: USD });
+        const eur = { code: 'EUR', exchangeRates: [{ from: 'EUR', to: 'USD', rate: 2, effectiveDate: '2026-01-01' }] };
+
+        const [tracked] = await measureSuggestions(await listTrackedSuggestions(), [], { today: '2026-10-01', currency: eur });
+
+        expect(tracked.realized.currency).toBe('EUR');
+        expect(tracked.realized.realizedSavings).toBeCloseTo(10 * 365 / 12);
+    });
+});
+
+describe('tracked suggestions', () => {
+    const EUR = { code: 'EUR', exchangeRates: [{ from: 'EUR', to: 'USD', rate: 2, effectiveDate: '2026-01-01' }] };
+
+    it('adds up promised savings made in different reporting currencies in today\'s', async () => {
+        await setSuggestionStatus(SUGGESTION, 'accepted', { currency: USD, today: '2026-06-01' });
+        // 100 EUR promised after the switch, 200 USD at the stored rate
+        await setSuggestionStatus({ ...SUGGESTION, subject: 'retro', potentialSavings: 100 }, 'accepted', { currency: EUR, today: '2026-06-01' });
+
+        const results = await measureSuggestions(await listTrackedSuggestions(), MEETINGS, { today: '2026-07-15', currency: { ...USD, exchangeRates: EUR.exchangeRates } });
+
+        expect(results.map(r => [r.subject, r.potentialSavings, r.currency])).toEqual([['retro', 200, 'USD'], ['standup', 500, 'USD']]);
+        expect(summarizeRealized(results).promised).toBe(700);
+        // The stored amounts stay as promised
+        expect(storage.data.get('suggestion:all:timebox-overrun:retro')).toMatchObject({ potentialSavings: 100, currency: 'EUR' });
+    });
+
+    it('reads a scope\'s suggestions by their key prefix', async () => {
+        const payments = { teamId: 'payments' };
+        await setSuggestionStatus(SUGGESTION, 'accepted', { scope: payments, currency: USD, today: '2026-06-01' });
+        await setSuggestionStatus(SUGGESTION, 'dismissed', { scope: { teamId: 'payments-emea' }, currency: USD, today: '2026-06-01' });
+        await setSuggestionStatus(SUGGESTION, 'dismissed', { currency: USD, today: '2026-06-01' });
+
+        const tracked = await listTrackedSuggestions(scopeKey(payments));
+
+        expect(tracked.map(r => r.id)).toEqual(['team:payments:timebox-overrun:standup']);
+        await expect(setSuggestionStatus(tracked[0], 'done', { currency: USD, today: '2026-06-02' }))
+            .rejects.toThrow('Suggestion team:payments:timebox-overrun:standup does not belong to all');
+    });
+});
+
@@ -0,0 +1,88 @@
+/**
+ * In-memory stand-in for @forge/api in tests. Every storage call yields to
+ * the event loop before it touches the map, so concurrent callers interleave
+ * the way separate invocations do against real storage.
+ *
+ *   jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+ */
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+function createStorage() {
+    const data = new Map();
+
+    const query = () => {
+        let prefix = '';
+        let limit = 10;
+        let cursor = 0;
+        const builder = {
+            where: (field, condition) => {
+                prefix = condition.value;
+                return builder;
+            },
+            limit: n => {
+                limit = n;
+                return builder;
+            },
+            cursor: c => {
+                cursor = Number(c);
+                return builder;
+            },
+            getMany: async () => {
+                await tick();
+                const keys = [...data.keys()].filter(k => k.startsWith(prefix)).sort();
+                const page = keys.slice(cursor, cursor + limit);
+                return {
+                    results: page.map(key => ({ key, value: copy(data.get(key)) })),
+                    nextCursor: cursor + limit < keys.length ? String(cursor + limit) : undefined
+                };
+            }
+        };
+        return builder;
+    };
+
+    return {
+        data,
+        get: async key => {
+            await tick();
+            return copy(data.get(key));
+        },
+        set: async (key, value) => {
+            await tick();
+            data.set(key, copy(value));
+        },
+        delete: async key => {
+            await tick();
+            data.delete(key);
+        },
+        query
+    };
+}
+
+/**
+ * Module shape of @forge/api: storage, key conditions and a Jira client
+ * whose responses a test sets with `requestJira.mockImplementation`
+ */
+function createForgeApi() {
+    const requestJira = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({}) }));
+    const requestConfluence = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({}) }));
+    return {
+        storage: createStorage(),
+        startsWith: value => ({ condition: 'STARTS_WITH', value }),
+        route: (strings, ...values) => strings.reduce((path, part, i) => path + part + (i < values.length ? values[i] : ''), ''),
+        asApp: () => ({ requestJira, requestConfluence })
+    };
+}
+
+/**
+ * A fetch Response-like object for stubbed Jira and Confluence calls
+ */
+function jsonResponse(body, status = 200) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+module.exports = {
+    createForgeApi,
+    jsonResponse
+};
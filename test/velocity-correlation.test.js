@@ -0,0 +1,136 @@
+jest.mock('@forge/api', () => require('./support/forge-api').createForgeApi());
+
+const api = require('@forge/api');
+const { jsonResponse } = require('./support/forge-api');
+const { resolver, getVelocityCorrelation } = require('../src/index');
+const { insertMeeting } = require('../src/utils/meeting-store');
+const { addDays } = require('../src/utils/dates');
+
+const POINTS = 'customfield_10016';
+// Four two-week sprints; the more meeting time, the fewer points done
+const SPRINTS = [
+    { id: 21, name: 'Sprint 21', start: '2026-07-06', end: '2026-07-17', points: 30, meetingMinutes: 60 },
+    { id: 22, name: 'Sprint 22', start: '2026-07-20', end: '2026-07-31', points: 24, meetingMinutes: 180 },
+    { id: 23, name: 'Sprint 23', start: '2026-08-03', end: '2026-08-14', points: 20, meetingMinutes: 300 },
+    { id: 24, name: 'Sprint 24', start: '2026-08-17', end: '2026-08-28', points: 12, meetingMinutes: 480 }
+];
+
+function jiraSprint(sprint) {
+    return {
+        id: sprint.id,
+        name: sprint.name,
+        state: 'closed',
+        startDate: `${sprint.start}T09:00:00.000Z`,
+        endDate: `${sprint.end}T17:00:00.000Z`,
+        completeDate: `${sprint.end}T16:00:00.000Z`
+    };
+}
+
+function jira(path, sprints) {
+    if (path.startsWith('/rest/agile/1.0/board?projectKeyOrId=PAY&type=scrum')) {
+        return jsonResponse({ isLast: true, values: [{ id: 7, name: 'PAY board', type: 'scrum' }] });
+    }
+    if (path === '/rest/api/3/field') {
+        return jsonResponse([{ id: POINTS, name: 'Story Points' }]);
+    }
+    if (path === '/rest/api/3/status') {
+        return jsonResponse([{ id: '10', name: 'Done', statusCategory: { key: 'done' } }]);
+    }
+    if (path.startsWith('/rest/agile/1.0/board/7/sprint?')) {
+        return jsonResponse({ isLast: true, values: sprints.map(jiraSprint) });
+    }
+    const sprintIssues = /^\/rest\/agile\/1\.0\/board\/7\/sprint\/(\d+)\/issue\?/.exec(path);
+    if (sprintIssues) {
+        const sprint = SPRINTS.find(s => s.id === Number(sprintIssues[1]));
+        const issues = [{ key: `PAY-${sprint.id}`, fields: { status: { id: '10' }, [POINTS]: sprint.points }, changelog: { histories: [] } }];
+        return jsonResponse({ startAt: 0, total: issues.length, issues });
+    }
+    return jsonResponse({ errorMessages: [`Unexpected request ${path}`] }, 404);
+}
+
+function call(functionKey, payload) {
+    return resolver({ call: { functionKey, payload }, context: {} }, { principal: { accountId: 'acc-1' } });
+}
+
+async function recordSprints(sprints) {
+    api.asApp().requestJira.mockImplementation(async path => jira(path, sprints));
+    for (const sprint of sprints) {
+        await insertMeeting({
+            id: `m-${sprint.id}`,
+            title: 'Sync',
+            date: addDays(sprint.start, 1),
+            durationMinutes: sprint.meetingMinutes,
+            attendeeCount: 4,
+            calculatedCost: sprint.meetingMinutes * 2,
+            currency: 'USD',
+            projectKeys: ['PAY']
+        });
+    }
+    expect(await call('recomputeSprintSnapshots', { projectKey: 'PAY' })).toMatchObject({ success: true });
+}
+
+beforeEach(() => {
+    api.storage.data.clear();
+    api.storage.data.set('config:settings', { currency: 'USD' });
+    api.asApp().requestJira.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getVelocityCorrelation action', () => {
+    it('correlates meeting load with the points each stored sprint closed with', async () => {
+        await recordSprints(SPRINTS);
+
+        const result = await getVelocityCorrelation({ payload: { projectKey: 'PAY' } });
+
+        expect(result).toEqual({
+            correlation: expect.any(Number),
+            interpretation: expect.any(String),
+            recommendation: expect.any(String),
+            dataPoints: 'Based on 4 closed sprints in PAY',
+            sprints: SPRINTS.map(s => ({
+                sprintName: s.name,
+                startDate: `${s.start}T09:00:00.000Z`,
+                endDate: `${s.end}T16:00:00.000Z`,
+                completedPoints: s.points,
+                totalMeetingHours: s.meetingMinutes / 60,
+                totalMeetingCost: s.meetingMinutes * 2
+            }))
+        });
+        expect(result.correlation).toBeLessThan(-0.9);
+    });
+
+    it('reads stored snapshots rather than asking Jira for sprints', async () => {
+        await recordSprints(SPRINTS);
+        api.asApp().requestJira.mockClear();
+
+        await getVelocityCorrelation({ payload: { projectKey: 'PAY' } });
+
+        const paths = api.asApp().requestJira.mock.calls.map(([path]) => path);
+        expect(paths.every(path => path.startsWith('/rest/agile/1.0/board?'))).toBe(true);
+    });
+
+    it('explains when there are too few closed sprints', async () => {
+        await recordSprints(SPRINTS.slice(0, 2));
+
+        const result = await getVelocityCorrelation({ payload: { projectKey: 'PAY' } });
+
+        expect(result).toMatchObject({
+            correlation: null,
+            interpretation: 'Not enough closed sprints for PAY to analyze (found 2, need at least 3).',
+            dataPoints: '2 closed sprints'
+        });
+        expect(result.sprints).toHaveLength(2);
+    });
+
+    it('returns an error without a project or when Jira fails', async () => {
+        expect(await getVelocityCorrelation({ payload: {} })).toEqual({ error: 'projectKey is required' });
+
+        api.asApp().requestJira.mockImplementation(async () => jsonResponse({ errorMessages: ['Down'] }, 503));
+        expect(await getVelocityCorrelation({ payload: { projectKey: 'PAY' } }))
+            .toEqual({ error: expect.stringContaining('Jira request failed (503)') });
+    });
+});